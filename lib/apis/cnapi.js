@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2019, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -137,6 +137,17 @@ Cnapi.prototype.getVm = function (serverUuid, uuid, acceptNotFound, callback) {
 };
 
 
+/*
+ * Lists the waitlist tickets of a server
+ */
+Cnapi.prototype.listWaitlistTickets = function (serverUuid, callback) {
+    var path = '/servers/' + encodeURIComponent(serverUuid) + '/tickets';
+    this.client.get(path, function (err, req, res, tickets) {
+        return callback(err, tickets);
+    });
+};
+
+
 /*
  * Gets the capacity object from a server
  */
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -27,6 +27,7 @@
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
 var deepDiff = require('deep-diff');
+var EventEmitter = require('events').EventEmitter;
 var jsprim = require('jsprim');
 var ldapjs = require('ldap-filter');
 var once = require('once');
@@ -34,6 +35,7 @@ var restify = require('restify');
 var sprintf = require('sprintf').sprintf;
 var strsplit = require('strsplit');
 var util = require('util');
+var uuid = require('uuid');
 var vasync = require('vasync');
 var verror = require('verror');
 
@@ -46,12 +48,19 @@ var DEPRECATED_VM_FIELDS = [
     'package_version'
 ];
 var PARAM_FILTER = '(%s=%s)';
+/*
+ * Keys of internal_metadata whose values are secrets (e.g passwords generated
+ * at provisioning time) that must not be included in changefeed items.
+ */
+var REDACTED_INTERNAL_METADATA_KEY_RE = /_pw$/;
+var REDACTED_VALUE = '[REDACTED]';
 var PARAM_FILTER_GE = '(%s>=%s)';
 var PARAM_FILTER_LE = '(%s<=%s)';
 var PARAM_FILTER_NE = '(!(%s=%s))';
 var SELECT_ALL_FILTER = '(uuid=*)';
-var VM_OBJECTS_DATA_VERSION = 1;
+var VM_OBJECTS_DATA_VERSION = 3;
 var VM_MIGRATE_OBJECTS_DATA_VERSION = 1;
+var VM_HISTORY_DATA_VERSION = 1;
 
 /*
  * The constructor for the Moray class.
@@ -76,6 +85,8 @@ var VM_MIGRATE_OBJECTS_DATA_VERSION = 1;
  *    this Moray instance to perform all operations on the moray database.
  */
 function Moray(options) {
+    EventEmitter.call(this);
+
     assert.object(options, 'options');
     assert.object(options.morayClient, 'options.morayClient');
     assert.object(options.bucketsConfig, 'options.bucketsConfig');
@@ -98,9 +109,29 @@ function Moray(options) {
 
     this._latestCompletedMigration = undefined;
 
+    /*
+     * Each client watching VM changes (see lib/endpoints/watch.js) adds a
+     * listener for the 'vmChanged' event, so there is no sensible limit to
+     * the number of listeners.
+     */
+    this.setMaxListeners(0);
+
     _validateBucketsConfig(this._bucketsConfig);
 }
 
+/*
+ * Moray instances emit a 'vmChanged' event every time a VM is successfully
+ * written by "putVm" (and thus "markAsDestroyed"). The event is emitted with
+ * an object with the following properties:
+ *
+ *  - "uuid": the UUID of the VM that changed
+ *  - "vm": the new VM object
+ *  - "oldVm": the previous VM object, or an empty object for new VMs
+ *  - "diffs": the names of the VM's properties that changed, as computed by
+ *    "computeDiff"
+ */
+util.inherits(Moray, EventEmitter);
+
 /*
  * Validates that the buckets config "bucketsConfig" is sound, which currently
  * only means that there is some data for all models that the application uses.
@@ -113,6 +144,14 @@ function _validateBucketsConfig(bucketsConfig) {
     assert.object(bucketsConfig.server_vms, 'bucketsConfig.server_vms');
     assert.object(bucketsConfig.vm_role_tags, 'bucketsConfig.vm_role_tags');
     assert.object(bucketsConfig.vm_migrations, 'bucketsConfig.vm_migrations');
+    assert.object(bucketsConfig.idempotency_keys,
+        'bucketsConfig.idempotency_keys');
+    assert.object(bucketsConfig.audit, 'bucketsConfig.audit');
+    assert.object(bucketsConfig.vm_history, 'bucketsConfig.vm_history');
+    assert.object(bucketsConfig.owner_limits, 'bucketsConfig.owner_limits');
+    assert.object(bucketsConfig.searches, 'bucketsConfig.searches');
+    assert.object(bucketsConfig.schedules, 'bucketsConfig.schedules');
+    assert.object(bucketsConfig.leases, 'bucketsConfig.leases');
 }
 
 /*
@@ -256,6 +295,14 @@ Moray.prototype.setupBuckets = function setupBuckets(callback) {
     self._VMS_BUCKET_NAME = self._bucketsConfig.vms.name;
     self._VM_ROLE_TAGS_BUCKET_NAME = self._bucketsConfig.vm_role_tags.name;
     self._VM_MIGRATIONS_BUCKET_NAME = self._bucketsConfig.vm_migrations.name;
+    self._IDEMPOTENCY_KEYS_BUCKET_NAME =
+        self._bucketsConfig.idempotency_keys.name;
+    self._AUDIT_BUCKET_NAME = self._bucketsConfig.audit.name;
+    self._VM_HISTORY_BUCKET_NAME = self._bucketsConfig.vm_history.name;
+    self._OWNER_LIMITS_BUCKET_NAME = self._bucketsConfig.owner_limits.name;
+    self._SEARCHES_BUCKET_NAME = self._bucketsConfig.searches.name;
+    self._SCHEDULES_BUCKET_NAME = self._bucketsConfig.schedules.name;
+    self._LEASES_BUCKET_NAME = self._bucketsConfig.leases.name;
 
     for (bucketConfig in self._bucketsConfig) {
         bucketsList.push(self._bucketsConfig[bucketConfig]);
@@ -325,7 +372,9 @@ Moray.prototype.ping = function (callback) {
 
 /*
  * Gets a VM object from moray. uuid is required param and owner_uuid is
- * optional
+ * optional. The callback is called as cb(err, vm, etag), where "etag" is the
+ * moray etag of the VM's record, which can be used by callers to implement
+ * conditional requests.
  */
 Moray.prototype.getVm = function getVm(params, cb) {
     var uuid = params.uuid;
@@ -360,6 +409,7 @@ Moray.prototype.getVm = function getVm(params, cb) {
 
 
     var vm;
+    var etag;
     var req = this._morayClient.findObjects(this._VMS_BUCKET_NAME, filter);
 
     req.once('error', function (err) {
@@ -369,10 +419,11 @@ Moray.prototype.getVm = function getVm(params, cb) {
     // For getVm we want the first result (and there should only be one result)
     req.once('record', function (object) {
         vm = object.value;
+        etag = object._etag;
     });
 
     return req.once('end', function () {
-        return cb(null, vm);
+        return cb(null, vm, etag);
     });
 };
 
@@ -509,6 +560,7 @@ Moray.prototype._vmsListParams = function (params, cb) {
 
     this._addTagsFilter(params, filter);
     _addInternalMetadataFilter(params, filter);
+    _addNicsFilter(params, filter);
 
     return cb(null, filter);
 };
@@ -548,6 +600,31 @@ function _addInternalMetadataFilter(params, filter) {
         }
     }
 }
+/*
+ * Augments the LDAP filter "filter" with a filter that represents any NIC
+ * search parameter (ip, mac, network_uuid and nic_tag) in "params". We consider
+ * that any validation on such parameters already took place.
+ */
+function _addNicsFilter(params, filter) {
+    assert.object(params, 'params');
+    assert.arrayOfString(filter, 'filter');
+
+    Object.keys(common.NIC_SEARCH_FIELDS).forEach(function (paramName) {
+        var value = params[paramName];
+
+        if (value === undefined) {
+            return;
+        }
+
+        if (paramName === 'mac') {
+            value = value.toLowerCase();
+        }
+
+        filter.push(sprintf(PARAM_FILTER, common.NIC_SEARCH_FIELDS[paramName],
+            value));
+    });
+}
+
 /*
  * This is a bit different to getVm.
  * For this one we need exactly the VM that has the provided UUID
@@ -803,6 +880,311 @@ Moray.prototype.countVms = function countVms(params, cb) {
 };
 
 
+var SEARCH_VMS_PAGE_SIZE = 1000;
+
+/*
+ * Finds VMs that have all of the search terms "params.terms" in their indexed
+ * fulltext_search_array field (see common.vmToFulltextSearchArray). Results can
+ * be restricted with the "owner_uuid" and "state" properties of "params", as
+ * for listVms. All matching VMs are read, one page of SEARCH_VMS_PAGE_SIZE VMs
+ * at a time, and "onVm" is called with each of them, in no particular order:
+ * it's up to the caller to rank them without keeping them all in memory. "cb"
+ * is called as cb(err) once all matching VMs have been read.
+ */
+Moray.prototype.searchVms = function searchVms(params, onVm, cb) {
+    var self = this;
+
+    assert.object(params, 'params');
+    assert.arrayOfString(params.terms, 'params.terms');
+    assert.ok(params.terms.length > 0, 'params.terms must not be empty');
+    assert.optionalUuid(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalString(params.state, 'params.state');
+    assert.func(onVm, 'onVm');
+    assert.func(cb, 'cb');
+
+    if (!self.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    self._vmsListParams({
+        owner_uuid: params.owner_uuid,
+        state: params.state
+    }, function onListParams(err, filter) {
+        var ldapFilter;
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        params.terms.forEach(function addTerm(term) {
+            filter.push(sprintf(PARAM_FILTER, 'fulltext_search_array', term));
+        });
+
+        ldapFilter = '(&' + filter.join('') + ')';
+        self._log.info({ filter: ldapFilter }, 'searchVms filter');
+
+        readPage();
+
+        /*
+         * As for getVmStats, pages are read in increasing order of UUIDs, each
+         * page starting at the last VM of the previous page.
+         */
+        function readPage(lastUuid) {
+            var pageFilter = ldapFilter;
+            var nbRecords = 0;
+            var req;
+
+            if (lastUuid !== undefined) {
+                pageFilter = '(&' + ldapFilter +
+                    sprintf(PARAM_FILTER_GE, 'uuid', lastUuid) + ')';
+            }
+
+            req = self._morayClient.findObjects(self._VMS_BUCKET_NAME,
+                pageFilter, {
+                    limit: SEARCH_VMS_PAGE_SIZE,
+                    sort: {
+                        attribute: 'uuid',
+                        order: 'ASC'
+                    }
+                });
+
+            req.once('error', function onError(findErr) {
+                cb(findErr);
+            });
+
+            req.on('record', function onRecord(object) {
+                nbRecords++;
+
+                if (!object || !object.value ||
+                    object.value.uuid === lastUuid) {
+                    return;
+                }
+
+                lastUuid = object.value.uuid;
+                onVm(common.translateVm(object.value, true));
+            });
+
+            req.once('end', function onEnd() {
+                if (nbRecords < SEARCH_VMS_PAGE_SIZE) {
+                    cb(null);
+                } else {
+                    readPage(lastUuid);
+                }
+            });
+        }
+    });
+};
+
+
+/*
+ * Properties of VMs that are summed by "getVmStats".
+ */
+var VM_STATS_SUMMED_FIELDS = [
+    'max_physical_memory',
+    'quota',
+    'cpu_cap'
+];
+var VM_STATS_PAGE_SIZE = 1000;
+
+/*
+ * Adds the resources used by the VM "vm" to the stats object "stats", without
+ * counting it.
+ */
+function addVmResourcesToStats(stats, vm) {
+    assert.object(stats, 'stats');
+    assert.object(vm, 'vm');
+
+    VM_STATS_SUMMED_FIELDS.forEach(function addField(field) {
+        if (typeof (vm[field]) === 'number') {
+            stats[field] += vm[field];
+        }
+    });
+
+    if (Array.isArray(vm.disks)) {
+        vm.disks.forEach(function addDisk(disk) {
+            if (disk && typeof (disk.size) === 'number') {
+                stats.disk_size += disk.size;
+            }
+        });
+    }
+}
+
+function createEmptyVmStats() {
+    var stats = {count: 0, disk_size: 0};
+
+    VM_STATS_SUMMED_FIELDS.forEach(function initField(field) {
+        stats[field] = 0;
+    });
+
+    return stats;
+}
+
+/*
+ * Computes the number of VMs that match the same filters as listVms/countVms
+ * in "params", and the sums of their max_physical_memory, quota, cpu_cap and
+ * disks sizes. The number of VMs is counted by moray (see countVms). Moray
+ * cannot compute sums though, so when VMs match, they are all read, one page
+ * of VM_STATS_PAGE_SIZE VMs at a time, without keeping them in memory.
+ *
+ * When "groupBy" is set, stats are also computed for each distinct value of
+ * that VM property. "cb" is called as cb(err, stats, groups), where "stats" are
+ * the stats for all VMs and "groups" is an array of objects with a "value"
+ * property, the value of the "groupBy" property (null for VMs that do not have
+ * that property), and a "stats" property, the stats for the VMs in that group.
+ */
+Moray.prototype.getVmStats = function getVmStats(params, groupBy, cb) {
+    assert.object(params, 'params');
+    assert.optionalString(groupBy, 'groupBy');
+    assert.func(cb, 'cb');
+
+    var groups = [];
+    var self = this;
+    var stats = createEmptyVmStats();
+
+    if (!self.bucketsSetup()) {
+        cb(new Error(self._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    vasync.pipeline({funcs: [
+        function countMatchingVms(_, next) {
+            self.countVms(params, function onCount(countErr, count) {
+                stats.count = count;
+                next(countErr);
+            });
+        },
+        function sumResources(_, next) {
+            // There are no resources to sum.
+            if (stats.count === 0) {
+                next();
+                return;
+            }
+
+            self._sumVmStatsResources(params, groupBy, stats, groups, next);
+        }
+    ]}, function onStats(err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, stats, groups);
+    });
+};
+
+/*
+ * Reads all the VMs that match "params" to add the resources they use to
+ * "stats", and to add them to their group in "groups" when "groupBy" is set
+ * (see getVmStats).
+ */
+Moray.prototype._sumVmStatsResources =
+function _sumVmStatsResources(params, groupBy, stats, groups, cb) {
+    assert.object(params, 'params');
+    assert.optionalString(groupBy, 'groupBy');
+    assert.object(stats, 'stats');
+    assert.array(groups, 'groups');
+    assert.func(cb, 'cb');
+
+    var groupsByValue = {};
+    var self = this;
+
+    self._createSearch(params, function onSearch(err, ldapFilter) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        self._log.info({filter: ldapFilter, group_by: groupBy},
+            'getVmStats filter');
+
+        readPage();
+
+        /*
+         * Pages are read in increasing order of UUIDs, each page starting at
+         * the last VM of the previous page, so that VMs created or deleted
+         * while reading pages do not make other VMs be counted twice or not
+         * counted.
+         */
+        function readPage(lastUuid) {
+            var filter = ldapFilter;
+            var nbRecords = 0;
+            var req;
+
+            if (lastUuid !== undefined) {
+                filter = '(&' + ldapFilter +
+                    sprintf(PARAM_FILTER_GE, 'uuid', lastUuid) + ')';
+            }
+
+            req = self._morayClient.findObjects(self._VMS_BUCKET_NAME, filter, {
+                limit: VM_STATS_PAGE_SIZE,
+                sort: {
+                    attribute: 'uuid',
+                    order: 'ASC'
+                }
+            });
+
+            req.once('error', function onError(findErr) {
+                cb(findErr);
+            });
+
+            req.on('record', function onRecord(object) {
+                var group;
+                var groupKey;
+                var groupValue;
+                var vm;
+
+                nbRecords++;
+
+                if (!object || !object.value ||
+                    object.value.uuid === lastUuid) {
+                    return;
+                }
+
+                /*
+                 * Groups use the indexed values of VMs' records, which for
+                 * instance have the image_uuid of bhyve and kvm VMs.
+                 */
+                if (groupBy !== undefined) {
+                    groupValue = object.value[groupBy];
+                }
+
+                vm = common.translateVm(object.value, true);
+                lastUuid = vm.uuid;
+                addVmResourcesToStats(stats, vm);
+
+                if (groupBy !== undefined) {
+                    if (groupValue === undefined) {
+                        groupValue = null;
+                    }
+                    groupKey = JSON.stringify(groupValue);
+                    group = groupsByValue[groupKey];
+                    if (group === undefined) {
+                        group = {
+                            value: groupValue,
+                            stats: createEmptyVmStats()
+                        };
+                        groupsByValue[groupKey] = group;
+                        groups.push(group);
+                    }
+                    group.stats.count += 1;
+                    addVmResourcesToStats(group.stats, vm);
+                }
+            });
+
+            req.once('end', function onEnd() {
+                if (nbRecords < VM_STATS_PAGE_SIZE) {
+                    cb(null);
+                } else {
+                    readPage(lastUuid);
+                }
+            });
+        }
+    });
+};
+
+
 /*
  * Takes two objects, "oldObject" and "newObject" and computes the differences
  * between them. Returns an array that contains the properties that are not
@@ -836,16 +1218,79 @@ function computeDiff(oldObject, newObject, log) {
 }
 
 
+/*
+ * Returns a copy of the value "value" of the VM property named "field" where
+ * sensitive data is redacted.
+ */
+function redactVmFieldValue(field, value) {
+    var redacted;
+
+    if (field !== 'internal_metadata' || value === null ||
+        typeof (value) !== 'object') {
+        return value;
+    }
+
+    redacted = jsprim.deepCopy(value);
+    Object.keys(redacted).forEach(function redactKey(key) {
+        if (REDACTED_INTERNAL_METADATA_KEY_RE.test(key)) {
+            redacted[key] = REDACTED_VALUE;
+        }
+    });
+
+    return redacted;
+}
+
+/*
+ * Returns an object that has a property for each VM property listed in "diffs"
+ * (as computed by "computeDiff"), whose value is an object with an "old"
+ * property set to its value in "oldVm" and a "new" property set to its value in
+ * "newVm", with sensitive data redacted.
+ *
+ * @param {Object} oldVm
+ * @param {Object} newVm
+ * @param {Array} diffs
+ */
+function computeVmChanges(oldVm, newVm, diffs) {
+    assert.object(oldVm, 'oldVm');
+    assert.object(newVm, 'newVm');
+    assert.arrayOfString(diffs, 'diffs');
+
+    var changes = {};
+
+    diffs.forEach(function addChange(field) {
+        changes[field] = {
+            old: redactVmFieldValue(field, oldVm[field]),
+            new: redactVmFieldValue(field, newVm[field])
+        };
+    });
+
+    return changes;
+}
+
+
 /*
  * Puts a VM. If it doesn't exist it gets created, if it does exist it gets
- * updated. We no longer need to execute partial updates
+ * updated. We no longer need to execute partial updates. On success, "cb" is
+ * called with the new etag of the VM's moray record as its second argument, and
+ * with the names of the VM's properties that changed (as computed by
+ * "computeDiff") as its third argument. When "options.etag" is set, the VM is
+ * only written if the etag of its moray record still matches, otherwise "cb"
+ * is called with an EtagConflictError.
  */
-Moray.prototype.putVm = function putVm(uuid, vm, oldVm, cb) {
+Moray.prototype.putVm = function putVm(uuid, vm, oldVm, options, cb) {
     var self = this;
+    var putOpts = {};
+
+    if (typeof (options) === 'function') {
+        cb = options;
+        options = {};
+    }
 
     assert.uuid(uuid, 'uuid');
     assert.object(vm, 'vm');
     assert.object(oldVm, 'oldVm');
+    assert.object(options, 'options');
+    assert.optionalString(options.etag, 'options.etag');
     assert.func(cb, 'cb');
 
     assert.object(self._changefeedPublisher, 'self._changefeedPublisher');
@@ -870,42 +1315,72 @@ Moray.prototype.putVm = function putVm(uuid, vm, oldVm, cb) {
 
     self._log.debug({vmObject: vmObject, oldVm: oldVm, vm: vm}, 'putting VM');
 
-    self._morayClient.putObject(self._VMS_BUCKET_NAME, uuid, vmObject,
-        function onPutObj(putObjErr) {
+    if (options.etag !== undefined) {
+        putOpts.etag = options.etag;
+    }
+
+    self._morayClient.putObject(self._VMS_BUCKET_NAME, uuid, vmObject, putOpts,
+        function onPutObj(putObjErr, putObjMeta) {
             var diffs;
+            var etag = putObjMeta && putObjMeta.etag;
 
-            if (!putObjErr) {
-                self._log.debug('VM successfully put to moray');
-
-                if (oldVm && self._changefeedPublisher) {
-                    diffs = computeDiff(oldVm, vm, self._log);
-                    self._log.debug({diffs: diffs},
-                        'publishing change to changefeed');
-                    common.publishChange(self._changefeedPublisher,
-                        VM_CHANGEFEED_RESOURCE_NAME, diffs, vm.uuid,
-                        function onChangePublished(publishErr) {
-                            if (publishErr) {
-                                self._log.error({
-                                    err: publishErr
-                                }, 'error when publishing change to ' +
-                                    'changefeed');
-                            } else {
-                                self._log.debug('change published to ' +
-                                    'changefeed successfully');
-                            }
-
-                            cb(publishErr);
-                        });
-                } else {
-                    self._log.debug('not publishing change to changefeed');
-                    cb(putObjErr);
-                }
-            } else {
+            if (putObjErr) {
                 self._log.error({err: putObjErr},
                     'error when putting VM to moray');
                 cb(putObjErr);
+                return;
             }
+
+            self._log.debug('VM successfully put to moray');
+
+            diffs = computeDiff(oldVm, vm, self._log);
+            self.emit('vmChanged', {
+                uuid: uuid,
+                vm: vm,
+                oldVm: oldVm,
+                diffs: diffs
+            });
+
+            /*
+             * The VM's revision is stored in the background: failing to store
+             * it is logged, but neither delays nor fails the put, as the VM's
+             * record itself was updated successfully.
+             */
+            self._putVmRevision(uuid, vmObject, diffs,
+                function onRevisionPut(revisionErr) {
+                    if (revisionErr) {
+                        self._log.error({err: revisionErr, vm_uuid: uuid},
+                            'error when storing VM revision');
+                    }
+                });
+
+            publishVmChange(diffs, etag);
         });
+
+    function publishVmChange(diffs, etag) {
+        if (oldVm && self._changefeedPublisher) {
+            self._log.debug({diffs: diffs},
+                'publishing change to changefeed');
+            common.publishChange(self._changefeedPublisher,
+                VM_CHANGEFEED_RESOURCE_NAME, diffs, vm.uuid,
+                computeVmChanges(oldVm, vm, diffs),
+                function onChangePublished(publishErr) {
+                    if (publishErr) {
+                        self._log.error({
+                            err: publishErr
+                        }, 'error when publishing change to changefeed');
+                    } else {
+                        self._log.debug('change published to changefeed ' +
+                            'successfully');
+                    }
+
+                    cb(publishErr, etag, diffs);
+                });
+        } else {
+            self._log.debug('not publishing change to changefeed');
+            cb(null, etag, diffs);
+        }
+    }
 };
 
 
@@ -938,10 +1413,20 @@ Moray.prototype.delVms = function delVms(params, cb) {
 
 
 /*
- * Marks a VM as destroyed
+ * Marks a VM as destroyed. On success, "callback" is called as
+ * callback(null, vm, etag, diffs), where "etag" is the new etag of the VM's
+ * record and "diffs" the names of the VM's properties that changed.
+ * "options" are passed to putVm.
  */
-Moray.prototype.markAsDestroyed = function markAsDestroyed(vm, callback) {
+Moray.prototype.markAsDestroyed =
+function markAsDestroyed(vm, options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+
     assert.object(vm, 'vm');
+    assert.object(options, 'options');
     assert.func(callback, 'callback');
 
     var self = this;
@@ -963,11 +1448,11 @@ Moray.prototype.markAsDestroyed = function markAsDestroyed(vm, callback) {
         vm.destroyed = new Date();
     }
 
-    self.putVm(vm.uuid, vm, oldVm, function (err) {
+    self.putVm(vm.uuid, vm, oldVm, options, function (err, etag, diffs) {
         if (err) {
             callback(err);
         } else {
-            callback(null, vm);
+            callback(null, vm, etag, diffs);
         }
     });
 };
@@ -976,30 +1461,30 @@ Moray.prototype.markAsDestroyed = function markAsDestroyed(vm, callback) {
 /*
  * Returns a list of objects each representing a sort option to pass
  * to moray according to the sort parameter "sortparam" that was passed
- * by the HTTP client.
- * If no sort option needs to be set, an empty array is returned.
+ * by the HTTP client. "sortParam" is a comma-separated list of sort criterion
+ * of the form 'property' or 'property.order', and the sort options are in the
+ * same order as the criterion. Criterion that don't specify an order use the
+ * default sort order.
  */
 function _sortOptionsFromSortParam(sortParam) {
     assert.optionalString(sortParam, 'sortParam must be a string or undefined');
 
     var sortOptions = [];
-    var order;
 
     if (sortParam) {
-        var splitted = sortParam.split('.');
-        var property = splitted[0];
+        sortParam.split(',').forEach(function (sortCriterion) {
+            var splitted = sortCriterion.split('.');
+            var property = splitted[0];
+            var order = splitted[1] || common.DEFAULT_SORT_ORDER;
 
-        if (property == 'ram') {
-            property = 'max_physical_memory';
-        }
-
-        if (splitted.length == 2) {
-            order = splitted[1] || common.DEFAULT_SORT_ORDER;
-        }
+            if (property == 'ram') {
+                property = 'max_physical_memory';
+            }
 
-        sortOptions.push({
-            attribute: property,
-            order: order
+            sortOptions.push({
+                attribute: property,
+                order: order
+            });
         });
     }
 
@@ -1024,56 +1509,178 @@ function _sortOptionsFromSortParam(sortParam) {
 }
 
 
+/*
+ * Returns an LDAP filter that matches objects whose value for the attribute
+ * "attribute" is "value", or that have no value for "attribute" if "value" is
+ * null.
+ */
+function _buildSortEqualityFilter(attribute, value) {
+    assert.string(attribute, 'attribute');
+    assert.optionalString(value, 'value');
+
+    if (value === null) {
+        return new ldapjs.NotFilter({
+            filter: new ldapjs.PresenceFilter({attribute: attribute})
+        });
+    }
+
+    return new ldapjs.EqualityFilter({attribute: attribute, value: value});
+}
+
+
+/*
+ * Returns an LDAP filter that matches objects whose value for the attribute
+ * "attribute" comes after the value "value" when sorting in the order "order".
+ * If "orEqual" is true, the filter also matches objects whose value is
+ * "value". Returns null if no object can match.
+ *
+ * Objects that have no value for "attribute" sort after all other objects in
+ * ascending order, and before them in descending order, and a "value" of null
+ * stands for no value.
+ */
+function _buildSortBoundFilter(attribute, value, order, orEqual) {
+    assert.string(attribute, 'attribute');
+    assert.optionalString(value, 'value');
+    assert.string(order, 'order');
+    assert.bool(orEqual, 'orEqual');
+
+    var boundFilter;
+    var descending = common.isSortOrderDescending(order);
+    var filterOptions = {attribute: attribute, value: value};
+    var presenceFilter = new ldapjs.PresenceFilter({attribute: attribute});
+
+    if (value === null) {
+        if (descending) {
+            // All objects that have a value come after the marker's.
+            if (!orEqual) {
+                return presenceFilter;
+            }
+
+            return new ldapjs.OrFilter({
+                filters: [
+                    presenceFilter,
+                    _buildSortEqualityFilter(attribute, null)
+                ]
+            });
+        }
+
+        // No object comes after an object that has no value.
+        return orEqual ? _buildSortEqualityFilter(attribute, null) : null;
+    }
+
+    if (descending) {
+        boundFilter = new ldapjs.LessThanEqualsFilter(filterOptions);
+    } else {
+        boundFilter = new ldapjs.GreaterThanEqualsFilter(filterOptions);
+    }
+
+    if (!orEqual) {
+        boundFilter = new ldapjs.AndFilter({
+            filters: [
+                boundFilter,
+                new ldapjs.NotFilter({
+                    filter: new ldapjs.EqualityFilter(filterOptions)
+                })
+            ]
+        });
+    }
+
+    if (descending) {
+        return boundFilter;
+    }
+
+    // Objects that have no value come after all other objects.
+    return new ldapjs.OrFilter({
+        filters: [
+            boundFilter,
+            _buildSortEqualityFilter(attribute, null)
+        ]
+    });
+}
+
+
 /*
  * Build the appropriate LDAP filters for the marker "marker" and the sort
  * options "sortOptions". Returns a list of strings representing ldap
  * filters. An empty list is returned if a filter is not required for the
  * corresponding marker and sortOptions.
+ *
+ * The results set is sorted lexicographically on the sort options, so the
+ * objects that come after the marker are those whose value for the first
+ * sort attribute comes after the marker's, or that have the same value for
+ * the first sort attribute and whose value for the second sort attribute comes
+ * after the marker's, and so on. For instance, with the sort options "state
+ * DESC, uuid DESC" and the marker {"state": "running", "uuid": "some-uuid"},
+ * the filter is:
+ *
+ * (|(&(state<=running)(!(state=running)))(&(state=running)(uuid<=some-uuid)))
+ *
+ * The last sort attribute is compared inclusively so that the object that
+ * corresponds to the marker is part of the results set. It is then removed
+ * from the results set by listVms.
+ *
+ * A null value in the marker means that the object it identifies has no value
+ * for that sort attribute, and is matched with a "(!(attribute=*))" filter.
  */
 function _buildFiltersFromMarker(marker, sortOptions) {
     assert.object(marker, 'marker must be an object');
     assert.arrayOfObject(sortOptions,
         'sortOptions must be an array of objects');
 
-    var markerFilters = [];
+    var boundFilters = [];
+    var markerSortOptions;
+
+    function markerValue(attribute) {
+        var value = marker[attribute];
+
+        return (value === null) ? null : '' + value;
+    }
 
-    var sortOptionsLookup = {};
-    sortOptions.forEach(function (sortOption) {
+    markerSortOptions = sortOptions.filter(function (sortOption) {
         assert.string(sortOption.attribute,
             'sortOption.attribute must be a string');
         assert.string(sortOption.order,
             'sortOption.order must be a string');
 
-        sortOptionsLookup[sortOption.attribute] = sortOption.order;
+        return marker[sortOption.attribute] !== undefined;
     });
 
-    Object.keys(marker).forEach(function (markerKey) {
-        var markerValue = '' + marker[markerKey];
-        var order;
-        var ldapFilter;
+    markerSortOptions.forEach(function (sortOption, index) {
+        var boundFilter;
+        var equalityFilters = [];
+        var isLast = index === markerSortOptions.length - 1;
 
-        if (markerValue !== null) {
-            order = sortOptionsLookup[markerKey];
-            if (order === undefined)
-                order = common.DEFAULT_SORT_ORDER;
+        boundFilter = _buildSortBoundFilter(sortOption.attribute,
+            markerValue(sortOption.attribute), sortOption.order, isLast);
+        if (boundFilter === null) {
+            return;
+        }
 
-            if (common.isSortOrderDescending(order)) {
-                ldapFilter = new ldapjs.LessThanEqualsFilter({
-                    attribute: markerKey,
-                    value: markerValue
-                });
-            } else {
-                ldapFilter = new ldapjs.GreaterThanEqualsFilter({
-                    attribute: markerKey,
-                    value: markerValue
-                });
-            }
+        markerSortOptions.slice(0, index).forEach(function (prevSortOption) {
+            equalityFilters.push(_buildSortEqualityFilter(
+                prevSortOption.attribute,
+                markerValue(prevSortOption.attribute)));
+        });
 
-            markerFilters.push(ldapFilter);
+        if (equalityFilters.length === 0) {
+            boundFilters.push(boundFilter);
+            return;
         }
+
+        boundFilters.push(new ldapjs.AndFilter({
+            filters: equalityFilters.concat([boundFilter])
+        }));
     });
 
-    return markerFilters;
+    if (boundFilters.length === 0) {
+        return [];
+    }
+
+    if (boundFilters.length === 1) {
+        return boundFilters;
+    }
+
+    return [new ldapjs.OrFilter({filters: boundFilters})];
 }
 
 
@@ -1451,6 +2058,17 @@ Moray.prototype._toMorayVm = function (vm) {
             log: this._log
         });
 
+    /*
+     * Write the properties of the VM's NICs to the indexed *_search_array
+     * fields so that VMs can be searched by IP, MAC, network and NIC tag.
+     */
+    var nicsSearchArrays = common.nicsToSearchArrays(vm.nics);
+    Object.keys(nicsSearchArrays).forEach(function (field) {
+        copy[field] = nicsSearchArrays[field];
+    });
+
+    copy.fulltext_search_array = common.vmToFulltextSearchArray(vm);
+
     copy.data_version = VM_OBJECTS_DATA_VERSION;
 
     return copy;
@@ -1560,6 +2178,866 @@ Moray.prototype.delVmRoleTags = function (uuid, cb) {
 
 
 
+/**
+ * Idempotency keys
+ */
+
+/*
+ * Returns the key of the moray object that stores the record of the
+ * idempotency key "key" for the owner "ownerUuid". Idempotency keys are scoped
+ * by owner, so that different owners can use the same key.
+ */
+function idempotencyKeyObjectKey(ownerUuid, key) {
+    return ownerUuid + '/' + key;
+}
+
+
+/*
+ * Gets the record stored for the idempotency key "key" of the owner
+ * "ownerUuid". Calls "cb" with cb(err, record, etag), where "record" is
+ * undefined if there is no record for that key.
+ */
+Moray.prototype.getIdempotencyKey =
+function getIdempotencyKey(ownerUuid, key, cb) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.string(key, 'key');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.getObject(this._IDEMPOTENCY_KEYS_BUCKET_NAME,
+        idempotencyKeyObjectKey(ownerUuid, key),
+        function onGetObject(err, obj) {
+            if (err) {
+                if (verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                    cb(null);
+                } else {
+                    cb(err);
+                }
+            } else {
+                cb(null, obj.value, obj._etag);
+            }
+        });
+};
+
+
+/*
+ * Stores "record" for the idempotency key "key" of the owner "ownerUuid". When
+ * "options.etag" is null, the record is only created if no record exists for
+ * that key yet, otherwise it only replaces the record whose etag is
+ * "options.etag". When that's not the case, "cb" is called with an
+ * EtagConflictError. On success, "cb" is called with the new etag of the record
+ * as its second argument.
+ *
+ * Records of requests whose job is not created yet have null "vm_uuid",
+ * "job_uuid" and "response" properties.
+ */
+Moray.prototype.putIdempotencyKey =
+function putIdempotencyKey(ownerUuid, key, record, options, cb) {
+    var objectKey;
+
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.string(key, 'key');
+    assert.object(record, 'record');
+    assert.string(record.request_hash, 'record.request_hash');
+    assert.optionalUuid(record.vm_uuid, 'record.vm_uuid');
+    assert.optionalUuid(record.job_uuid, 'record.job_uuid');
+    assert.number(record.created_timestamp, 'record.created_timestamp');
+    assert.optionalObject(record.response, 'record.response');
+    assert.object(options, 'options');
+    assert.ok(options.etag === null || typeof (options.etag) === 'string',
+        'options.etag must be null or a string');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    objectKey = idempotencyKeyObjectKey(ownerUuid, key);
+
+    this._morayClient.putObject(this._IDEMPOTENCY_KEYS_BUCKET_NAME, objectKey,
+        jsprim.mergeObjects(record, {
+            key: objectKey,
+            owner_uuid: ownerUuid
+        }), {etag: options.etag},
+        function onPutObject(err, meta) {
+            cb(err, meta && meta.etag);
+        });
+};
+
+
+/*
+ * Deletes the record stored for the idempotency key "key" of the owner
+ * "ownerUuid", if any.
+ */
+Moray.prototype.delIdempotencyKey =
+function delIdempotencyKey(ownerUuid, key, cb) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.string(key, 'key');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.delObject(this._IDEMPOTENCY_KEYS_BUCKET_NAME,
+        idempotencyKeyObjectKey(ownerUuid, key), function onDelObject(err) {
+            if (!err ||
+                (err && verror.hasCauseWithName(err, 'ObjectNotFoundError'))) {
+                cb(null);
+            } else {
+                cb(err);
+            }
+        });
+};
+
+
+
+/**
+ * Audit entries
+ */
+
+/*
+ * Properties of audit entries that "listAuditEntries" can filter on by
+ * equality.
+ */
+var AUDIT_ENTRY_FILTER_FIELDS = [
+    'action',
+    'job_uuid',
+    'owner_uuid',
+    'req_id',
+    'route',
+    'vm_uuid'
+];
+
+/*
+ * Stores the audit entry "entry" (see lib/audit.js).
+ */
+Moray.prototype.putAuditEntry = function putAuditEntry(entry, cb) {
+    assert.object(entry, 'entry');
+    assert.uuid(entry.uuid, 'entry.uuid');
+    assert.number(entry.timestamp, 'entry.timestamp');
+    assert.string(entry.route, 'entry.route');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.putObject(this._AUDIT_BUCKET_NAME, entry.uuid, entry,
+        function onPutObject(err) {
+            cb(err);
+        });
+};
+
+
+/*
+ * Lists audit entries, most recent first. "params" can have the following
+ * properties, which must have been validated by the caller:
+ *
+ *  - "action", "job_uuid", "owner_uuid", "req_id", "route" and "vm_uuid": only
+ *    entries with the same value for that property are listed.
+ *
+ *  - "since" and "until": timestamps in milliseconds, only entries recorded
+ *    between these two timestamps (inclusive) are listed.
+ *
+ *  - "limit" and "offset": used for pagination.
+ */
+Moray.prototype.listAuditEntries = function listAuditEntries(params, cb) {
+    assert.object(params, 'params');
+    assert.optionalNumber(params.since, 'params.since');
+    assert.optionalNumber(params.until, 'params.until');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(cb, 'cb');
+
+    var entries = [];
+    var filter = '';
+    var findOptions = {
+        sort: {
+            order: 'DESC',
+            attribute: 'timestamp'
+        }
+    };
+    var req;
+    var self = this;
+
+    if (!self.bucketsSetup()) {
+        cb(new Error(self._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    AUDIT_ENTRY_FILTER_FIELDS.forEach(function addFilter(field) {
+        if (params[field] !== undefined) {
+            filter += sprintf(PARAM_FILTER, field, params[field]);
+        }
+    });
+
+    if (params.since !== undefined) {
+        filter += sprintf(PARAM_FILTER_GE, 'timestamp', params.since);
+    }
+
+    if (params.until !== undefined) {
+        filter += sprintf(PARAM_FILTER_LE, 'timestamp', params.until);
+    }
+
+    if (filter) {
+        filter = '(&' + filter + ')';
+    } else {
+        filter = '(uuid=*)';
+    }
+
+    if (params.limit !== undefined) {
+        findOptions.limit = params.limit;
+    }
+
+    if (params.offset !== undefined) {
+        findOptions.offset = params.offset;
+    }
+
+    self._log.debug({filter: filter, findOptions: findOptions},
+        'listAuditEntries');
+
+    req = self._morayClient.findObjects(self._AUDIT_BUCKET_NAME, filter,
+        findOptions);
+
+    req.once('error', function onError(err) {
+        cb(err);
+    });
+
+    req.on('record', function onRecord(object) {
+        entries.push(object.value);
+    });
+
+    req.once('end', function onEnd() {
+        cb(null, entries);
+    });
+};
+
+
+
+/**
+ * VM history
+ */
+
+/*
+ * Stores a new revision of the VM with UUID "vmUuid", "vmObject" being the VM's
+ * moray record after it changed and "diffs" the names of the VM's properties
+ * that changed. Nothing is stored when no property changed, which happens
+ * regularly as vm-agent puts VMs that did not change.
+ */
+Moray.prototype._putVmRevision =
+function _putVmRevision(vmUuid, vmObject, diffs, cb) {
+    assert.uuid(vmUuid, 'vmUuid');
+    assert.object(vmObject, 'vmObject');
+    assert.arrayOfString(diffs, 'diffs');
+    assert.func(cb, 'cb');
+
+    var revision;
+
+    if (diffs.length === 0) {
+        cb();
+        return;
+    }
+
+    revision = {
+        uuid: uuid.v4(),
+        vm_uuid: vmUuid,
+        timestamp: Date.now(),
+        diffs: diffs,
+        vm: vmObject,
+        data_version: VM_HISTORY_DATA_VERSION
+    };
+
+    this._morayClient.putObject(this._VM_HISTORY_BUCKET_NAME, revision.uuid,
+        revision, function onPutObject(err) {
+            cb(err);
+        });
+};
+
+
+/*
+ * Lists the revisions of the VM with UUID "uuid", most recent first. "params"
+ * can have the "limit" and "offset" properties, which are used for pagination
+ * and must have been validated by the caller.
+ */
+Moray.prototype.listVmRevisions = function listVmRevisions(uuid, params, cb) {
+    assert.uuid(uuid, 'uuid');
+    assert.object(params, 'params');
+    assert.optionalNumber(params.limit, 'params.limit');
+    assert.optionalNumber(params.offset, 'params.offset');
+    assert.func(cb, 'cb');
+
+    var findOptions = {
+        sort: {
+            order: 'DESC',
+            attribute: 'timestamp'
+        }
+    };
+    var req;
+    var revisions = [];
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    if (params.limit !== undefined) {
+        findOptions.limit = params.limit;
+    }
+
+    if (params.offset !== undefined) {
+        findOptions.offset = params.offset;
+    }
+
+    req = this._morayClient.findObjects(this._VM_HISTORY_BUCKET_NAME,
+        sprintf(PARAM_FILTER, 'vm_uuid', uuid), findOptions);
+
+    req.once('error', function onError(err) {
+        cb(err);
+    });
+
+    req.on('record', function onRecord(object) {
+        revisions.push(object.value);
+    });
+
+    req.once('end', function onEnd() {
+        cb(null, revisions);
+    });
+};
+
+
+/*
+ * Gets the revision of the VM with UUID "uuid" that was current at the time
+ * "timestamp" (in milliseconds), that is the most recent revision stored at or
+ * before that time. Calls "cb" with no revision if there is none, e.g if the
+ * VM did not exist yet at that time or if its revisions were purged.
+ */
+Moray.prototype.getVmRevisionAsOf =
+function getVmRevisionAsOf(uuid, timestamp, cb) {
+    assert.uuid(uuid, 'uuid');
+    assert.number(timestamp, 'timestamp');
+    assert.func(cb, 'cb');
+
+    var filter;
+    var req;
+    var revision;
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    filter = '(&' + sprintf(PARAM_FILTER, 'vm_uuid', uuid) +
+        sprintf(PARAM_FILTER_LE, 'timestamp', timestamp) + ')';
+
+    req = this._morayClient.findObjects(this._VM_HISTORY_BUCKET_NAME, filter, {
+        limit: 1,
+        sort: {
+            order: 'DESC',
+            attribute: 'timestamp'
+        }
+    });
+
+    req.once('error', function onError(err) {
+        cb(err);
+    });
+
+    req.once('record', function onRecord(object) {
+        revision = object.value;
+    });
+
+    req.once('end', function onEnd() {
+        cb(null, revision);
+    });
+};
+
+
+/*
+ * Deletes all the revisions of all VMs that were stored at or before the time
+ * "timestamp" (in milliseconds). Calls "cb" with the number of revisions that
+ * were deleted.
+ */
+Moray.prototype.purgeVmHistory = function purgeVmHistory(timestamp, cb) {
+    assert.number(timestamp, 'timestamp');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.deleteMany(this._VM_HISTORY_BUCKET_NAME,
+        sprintf(PARAM_FILTER_LE, 'timestamp', timestamp),
+        function onDeleted(err, res) {
+            cb(err, res && res.count);
+        });
+};
+
+
+
+/**
+ * Owner limits
+ */
+
+/*
+ * Lists the limits of the owner with UUID "ownerUuid" (see
+ * lib/owner-limits.js).
+ */
+Moray.prototype.listOwnerLimits = function listOwnerLimits(ownerUuid, cb) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.func(cb, 'cb');
+
+    var limits = [];
+    var req;
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    req = this._morayClient.findObjects(this._OWNER_LIMITS_BUCKET_NAME,
+        sprintf(PARAM_FILTER, 'owner_uuid', ownerUuid), {
+            sort: {
+                order: 'ASC',
+                attribute: 'uuid'
+            }
+        });
+
+    req.once('error', function onError(err) {
+        cb(err);
+    });
+
+    req.on('record', function onRecord(object) {
+        limits.push(object.value);
+    });
+
+    req.once('end', function onEnd() {
+        cb(null, limits);
+    });
+};
+
+
+/*
+ * Gets the limit with UUID "limitUuid". Calls "cb" with no limit if there is
+ * no such limit.
+ */
+Moray.prototype.getOwnerLimit = function getOwnerLimit(limitUuid, cb) {
+    assert.uuid(limitUuid, 'limitUuid');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.getObject(this._OWNER_LIMITS_BUCKET_NAME, limitUuid,
+        function onGetObject(err, obj) {
+            if (err) {
+                if (verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                    cb();
+                } else {
+                    cb(err);
+                }
+                return;
+            }
+
+            cb(null, obj.value);
+        });
+};
+
+
+/*
+ * Creates or replaces the limit "limit".
+ */
+Moray.prototype.putOwnerLimit = function putOwnerLimit(limit, cb) {
+    assert.object(limit, 'limit');
+    assert.uuid(limit.uuid, 'limit.uuid');
+    assert.uuid(limit.owner_uuid, 'limit.owner_uuid');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.putObject(this._OWNER_LIMITS_BUCKET_NAME, limit.uuid,
+        limit, function onPutObject(err) {
+            cb(err);
+        });
+};
+
+
+/*
+ * Deletes the limit with UUID "limitUuid".
+ */
+Moray.prototype.delOwnerLimit = function delOwnerLimit(limitUuid, cb) {
+    assert.uuid(limitUuid, 'limitUuid');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.delObject(this._OWNER_LIMITS_BUCKET_NAME, limitUuid,
+        function onDelObject(err) {
+            cb(err);
+        });
+};
+
+
+/**
+ * Saved searches
+ */
+
+/*
+ * Lists the saved searches of the owner with UUID "params.owner_uuid" (see
+ * lib/searches.js). When "params.name" is set, only the search with that name,
+ * if any, is listed.
+ */
+Moray.prototype.listSearches = function listSearches(params, cb) {
+    assert.object(params, 'params');
+    assert.uuid(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalString(params.name, 'params.name');
+    assert.func(cb, 'cb');
+
+    var filters = [
+        new ldapjs.EqualityFilter({
+            attribute: 'owner_uuid',
+            value: params.owner_uuid
+        })
+    ];
+    var req;
+    var searches = [];
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    if (params.name !== undefined) {
+        filters.push(new ldapjs.EqualityFilter({
+            attribute: 'name',
+            value: params.name
+        }));
+    }
+
+    req = this._morayClient.findObjects(this._SEARCHES_BUCKET_NAME,
+        new ldapjs.AndFilter({filters: filters}).toString(), {
+            sort: {
+                order: 'ASC',
+                attribute: 'name'
+            }
+        });
+
+    req.once('error', function onError(err) {
+        cb(err);
+    });
+
+    req.on('record', function onRecord(object) {
+        searches.push(object.value);
+    });
+
+    req.once('end', function onEnd() {
+        cb(null, searches);
+    });
+};
+
+
+/*
+ * Gets the saved search with UUID "searchUuid". Calls "cb" with no search if
+ * there is no such search.
+ */
+Moray.prototype.getSearch = function getSearch(searchUuid, cb) {
+    assert.uuid(searchUuid, 'searchUuid');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.getObject(this._SEARCHES_BUCKET_NAME, searchUuid,
+        function onGetObject(err, obj) {
+            if (err) {
+                if (verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                    cb();
+                } else {
+                    cb(err);
+                }
+                return;
+            }
+
+            cb(null, obj.value);
+        });
+};
+
+
+/*
+ * Creates or replaces the saved search "search".
+ */
+Moray.prototype.putSearch = function putSearch(search, cb) {
+    assert.object(search, 'search');
+    assert.uuid(search.uuid, 'search.uuid');
+    assert.uuid(search.owner_uuid, 'search.owner_uuid');
+    assert.string(search.name, 'search.name');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.putObject(this._SEARCHES_BUCKET_NAME, search.uuid,
+        search, function onPutObject(err) {
+            cb(err);
+        });
+};
+
+
+/*
+ * Deletes the saved search with UUID "searchUuid".
+ */
+Moray.prototype.delSearch = function delSearch(searchUuid, cb) {
+    assert.uuid(searchUuid, 'searchUuid');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.delObject(this._SEARCHES_BUCKET_NAME, searchUuid,
+        function onDelObject(err) {
+            cb(err);
+        });
+};
+
+
+/**
+ * Schedules
+ */
+
+/*
+ * Lists schedules of VM actions (see lib/schedules.js). When
+ * "params.owner_uuid" is set, only the schedules of that owner are listed.
+ * When "params.due_before" (a number of milliseconds since the epoch) is set,
+ * only enabled schedules whose next run is at or before that time are listed,
+ * sorted by next run.
+ */
+Moray.prototype.listSchedules = function listSchedules(params, cb) {
+    assert.object(params, 'params');
+    assert.optionalUuid(params.owner_uuid, 'params.owner_uuid');
+    assert.optionalNumber(params.due_before, 'params.due_before');
+    assert.func(cb, 'cb');
+
+    var filters = [];
+    var filter;
+    var req;
+    var schedules = [];
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    if (params.owner_uuid !== undefined) {
+        filters.push(new ldapjs.EqualityFilter({
+            attribute: 'owner_uuid',
+            value: params.owner_uuid
+        }));
+    }
+
+    if (params.due_before !== undefined) {
+        filters.push(new ldapjs.EqualityFilter({
+            attribute: 'enabled',
+            value: 'true'
+        }));
+        filters.push(new ldapjs.LessThanEqualsFilter({
+            attribute: 'next_run',
+            value: String(params.due_before)
+        }));
+    }
+
+    if (filters.length === 0) {
+        filter = '(uuid=*)';
+    } else {
+        filter = new ldapjs.AndFilter({filters: filters}).toString();
+    }
+
+    req = this._morayClient.findObjects(this._SCHEDULES_BUCKET_NAME, filter, {
+        sort: {
+            order: 'ASC',
+            attribute: params.due_before !== undefined ? 'next_run' :
+                'created_at'
+        }
+    });
+
+    req.once('error', function onError(err) {
+        cb(err);
+    });
+
+    req.on('record', function onRecord(object) {
+        schedules.push(object.value);
+    });
+
+    req.once('end', function onEnd() {
+        cb(null, schedules);
+    });
+};
+
+
+/*
+ * Gets the schedule with UUID "scheduleUuid". The callback is called as
+ * cb(err, schedule, etag), with no schedule if there is no such schedule.
+ * "etag" can be passed to "putSchedule" to only update the schedule if it
+ * didn't change in the meantime.
+ */
+Moray.prototype.getSchedule = function getSchedule(scheduleUuid, cb) {
+    assert.uuid(scheduleUuid, 'scheduleUuid');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.getObject(this._SCHEDULES_BUCKET_NAME, scheduleUuid,
+        function onGetObject(err, obj) {
+            if (err) {
+                if (verror.hasCauseWithName(err, 'ObjectNotFoundError')) {
+                    cb();
+                } else {
+                    cb(err);
+                }
+                return;
+            }
+
+            cb(null, obj.value, obj._etag);
+        });
+};
+
+
+/*
+ * Creates or replaces the schedule "schedule". When "options.etag" is set, the
+ * schedule is only written if its current etag matches, otherwise "cb" is
+ * called with an EtagConflictError.
+ */
+Moray.prototype.putSchedule = function putSchedule(schedule, options, cb) {
+    assert.object(schedule, 'schedule');
+    assert.uuid(schedule.uuid, 'schedule.uuid');
+    assert.uuid(schedule.owner_uuid, 'schedule.owner_uuid');
+    assert.object(options, 'options');
+    assert.func(cb, 'cb');
+
+    var putOpts = {};
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    if (options.etag !== undefined) {
+        putOpts.etag = options.etag;
+    }
+
+    this._morayClient.putObject(this._SCHEDULES_BUCKET_NAME, schedule.uuid,
+        schedule, putOpts, function onPutObject(err) {
+            cb(err);
+        });
+};
+
+
+/*
+ * Deletes the schedule with UUID "scheduleUuid".
+ */
+Moray.prototype.delSchedule = function delSchedule(scheduleUuid, cb) {
+    assert.uuid(scheduleUuid, 'scheduleUuid');
+    assert.func(cb, 'cb');
+
+    if (!this.bucketsSetup()) {
+        cb(new Error(this._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    this._morayClient.delObject(this._SCHEDULES_BUCKET_NAME, scheduleUuid,
+        function onDelObject(err) {
+            cb(err);
+        });
+};
+
+
+
+/**
+ * Leases
+ */
+
+/*
+ * Tries to acquire, or renew, the lease named "name" for "holder" for "ttl"
+ * milliseconds. The lease is acquired if nobody holds it, if it expired or if
+ * "holder" already holds it. Moray etags make sure that only one of several
+ * concurrent holders can acquire a given lease. The callback is called as
+ * cb(err, acquired).
+ */
+Moray.prototype.acquireLease = function acquireLease(name, holder, ttl, cb) {
+    assert.string(name, 'name');
+    assert.string(holder, 'holder');
+    assert.number(ttl, 'ttl');
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    if (!self.bucketsSetup()) {
+        cb(new Error(self._createMorayBucketsNotSetupErrMsg()));
+        return;
+    }
+
+    self._morayClient.getObject(self._LEASES_BUCKET_NAME, name,
+        function onGetObject(getErr, obj) {
+            var etag = null;
+            var now = Date.now();
+
+            if (getErr) {
+                if (!verror.hasCauseWithName(getErr, 'ObjectNotFoundError')) {
+                    cb(getErr);
+                    return;
+                }
+            } else {
+                if (obj.value.holder !== holder && obj.value.expires > now) {
+                    cb(null, false);
+                    return;
+                }
+                etag = obj._etag;
+            }
+
+            self._morayClient.putObject(self._LEASES_BUCKET_NAME, name, {
+                name: name,
+                holder: holder,
+                expires: now + ttl
+            }, {etag: etag}, function onPutObject(putErr) {
+                if (putErr) {
+                    if (verror.hasCauseWithName(putErr, 'EtagConflictError')) {
+                        cb(null, false);
+                    } else {
+                        cb(putErr);
+                    }
+                    return;
+                }
+
+                cb(null, true);
+            });
+        });
+};
+
+
+
 /**
  * VM Migrations
  */
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2019 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -859,21 +859,90 @@ Wfapi.prototype.getJob = function (jobUuid, cb) {
 
 
 /*
- * Lists jobs from WFAPI.
+ * Retrieves the names of the tasks of the chain of a job from WFAPI, in the
+ * order in which they run. Job objects returned by getJob don't include the
+ * chain, only the results of the tasks that already ran.
+ */
+Wfapi.prototype.getJobChain = function (jobUuid, cb) {
+    this.client.getJob(jobUuid, function (err, job) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        cb(null, (job.chain || []).map(function getTaskName(task) {
+            return task.name;
+        }));
+    });
+};
+
+
+
+/*
+ * Returns the CNAPI waitlist tickets that the (raw, untranslated) job "job"
+ * took: the VM ticket that is stored in its params by the VM workflows and
+ * by provisions, and the allocation ticket of provision jobs.
+ */
+function getJobTickets(job) {
+    return [
+        job.params && job.params.vmTicket,
+        job.allocationTicket
+    ].filter(function isTicket(ticket) {
+        return ticket && typeof (ticket.uuid) === 'string';
+    });
+}
+
+
+
+/*
+ * Cancels a job from WFAPI. Calls "cb" with the canceled job and the CNAPI
+ * waitlist tickets that it took, which are not released by WFAPI.
+ */
+Wfapi.prototype.cancelJob = function (jobUuid, cb) {
+    var self = this;
+
+    self.client.getJob(jobUuid, function (getErr, job) {
+        if (getErr) {
+            cb(getErr);
+            return;
+        }
+
+        self.client.cancelJob(jobUuid, function (err, canceledJob) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            self.log.debug('Job ' + jobUuid + ' canceled');
+            cb(null, common.translateJob(canceledJob || job),
+                getJobTickets(job));
+        });
+    });
+};
+
+
+
+/*
+ * Lists jobs from WFAPI. WFAPI can only filter jobs on a single value of
+ * "execution", and of the "task", "vm_uuid" and "owner_uuid" job parameters.
+ * Jobs are listed from the most recent to the oldest, and "limit" and
+ * "offset" can be used to list them one page at a time.
  */
 Wfapi.prototype.listJobs = function (params, cb) {
     var query = {};
 
-    if (params.execution) {
-        query.execution = params.execution;
-    }
+    ['execution', 'task', 'vm_uuid', 'owner_uuid'].forEach(function (name) {
+        if (params[name]) {
+            query[name] = params[name];
+        }
+    });
 
-    if (params.task) {
-        query.task = params.task;
+    if (params.limit !== undefined) {
+        query.limit = params.limit;
     }
 
-    if (params.vm_uuid) {
-        query.vm_uuid = params.vm_uuid;
+    if (params.offset !== undefined) {
+        query.offset = params.offset;
     }
 
     this.client.listJobs(query, function (err, jobs) {
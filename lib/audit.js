@@ -0,0 +1,274 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Audit log of the requests that modify VMs.
+ *
+ * Once a request to one of the routes listed in AUDITED_ROUTES has been
+ * responded to successfully, one audit entry per VM that the request modified
+ * is stored in moray. Each entry records:
+ *
+ *  - when the request was handled and its request ID ("x-request-id" header)
+ *
+ *  - who sent it: the "caller" from the "x-context" header, which is set by
+ *    CloudAPI and AdminUI, the remote IP address and the user agent
+ *
+ *  - what it did: the route and action (for UpdateVm and BulkVmAction),
+ *    the sanitized request parameters, the UUID of the job that was created
+ *    (see "recordJob"), and for requests that write VMs directly (e.g PutVm),
+ *    the names of the VM properties that changed (see "recordVmChange")
+ *
+ * Jobs send the request ID of the request that created them when they update
+ * VMs, so the changes that a job made to a VM can be found by looking for
+ * entries with the same "req_id" as the entry that has the job's UUID.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var common = require('./common');
+
+var AUDIT_ENTRY_DATA_VERSION = 1;
+
+/*
+ * Maps the names of the audited routes, as lowercased by restify, to their
+ * actual name. Routes with "vmChangesOnly: true" write VMs directly, and only
+ * have entries for the VMs they actually changed (see "recordVmChange"). Routes
+ * with "params: false" send whole VM objects as parameters, so their
+ * parameters are not recorded: the names of the VM properties they changed
+ * are recorded instead.
+ */
+var AUDITED_ROUTES = {
+    addmetadata: { name: 'AddMetadata' },
+    addroletags: { name: 'AddRoleTags' },
+    bulkvmaction: { name: 'BulkVmAction' },
+    createvm: { name: 'CreateVm' },
+    deleteallmetadata: { name: 'DeleteAllMetadata' },
+    deleteallroletags: { name: 'DeleteAllRoleTags' },
+    deletemetadata: { name: 'DeleteMetadata' },
+    deleteroletag: { name: 'DeleteRoleTag' },
+    deletevm: { name: 'DeleteVm' },
+    deletevmsnapshotretention: { name: 'DeleteVmSnapshotRetention' },
+    jobaction: { name: 'JobAction' },
+    jobresults: { name: 'JobResults', vmChangesOnly: true },
+    migrationupdatevmserveruuid: {
+        name: 'MigrationUpdateVmServerUuid',
+        params: false,
+        vmChangesOnly: true
+    },
+    putvm: { name: 'PutVm', params: false, vmChangesOnly: true },
+    putvms: { name: 'PutVms', params: false, vmChangesOnly: true },
+    setmetadata: { name: 'SetMetadata' },
+    setroletags: { name: 'SetRoleTags' },
+    setvmsnapshotretention: { name: 'SetVmSnapshotRetention' },
+    updatevm: { name: 'UpdateVm' }
+};
+
+/*
+ * Returns the "caller" object from the "x-context" header of the request
+ * "req", if any.
+ */
+function getCaller(req) {
+    var context = req.headers['x-context'];
+
+    if (context === undefined) {
+        return undefined;
+    }
+
+    try {
+        context = JSON.parse(context);
+    } catch (parseErr) {
+        return undefined;
+    }
+
+    if (context === null || typeof (context) !== 'object') {
+        return undefined;
+    }
+
+    return context.caller;
+}
+
+/*
+ * Records that the request "req" changed the properties named "diffs" of the
+ * VM "vm" with UUID "uuid", so that these changes are included in the
+ * request's audit entries. This must be called by handlers that write VMs
+ * directly, instead of creating a job.
+ */
+function recordVmChange(req, uuid, vm, diffs) {
+    assert.object(req, 'req');
+    assert.uuid(uuid, 'uuid');
+    assert.object(vm, 'vm');
+    assert.optionalArrayOfString(diffs, 'diffs');
+
+    if (req.auditVmChanges === undefined) {
+        req.auditVmChanges = [];
+    }
+
+    req.auditVmChanges.push({
+        vm_uuid: uuid,
+        owner_uuid: vm.owner_uuid,
+        diffs: diffs || []
+    });
+}
+
+/*
+ * Records that the request "req" created the job with UUID "jobUuid" for the
+ * VM "vm", so that this job is included in the request's audit entries. This
+ * must be called by handlers of audited routes that create jobs.
+ */
+function recordJob(req, vm, jobUuid) {
+    assert.object(req, 'req');
+    assert.object(vm, 'vm');
+    assert.uuid(jobUuid, 'jobUuid');
+
+    if (req.auditJobs === undefined) {
+        req.auditJobs = [];
+    }
+
+    req.auditJobs.push({
+        vm_uuid: vm.uuid,
+        owner_uuid: vm.owner_uuid,
+        job_uuid: jobUuid
+    });
+}
+
+/*
+ * Returns the list of entries to store for the request "req" to the audited
+ * route "auditedRoute".
+ */
+function createAuditEntries(req, auditedRoute) {
+    var entries = [];
+    var template = {
+        req_id: req.getId(),
+        timestamp: Date.now(),
+        route: auditedRoute.name,
+        caller: getCaller(req),
+        remote_ip: req.connection.remoteAddress,
+        user_agent: req.headers['user-agent'],
+        data_version: AUDIT_ENTRY_DATA_VERSION
+    };
+
+    if (auditedRoute.name === 'UpdateVm' ||
+        auditedRoute.name === 'BulkVmAction' ||
+        auditedRoute.name === 'JobAction') {
+        template.action = req.params.action;
+    }
+
+    if (auditedRoute.params !== false) {
+        template.params = common.sanitizeJobParams(req.params);
+    }
+
+    function addEntry(props) {
+        var entry = {uuid: uuid.v4()};
+
+        Object.keys(template).forEach(function (key) {
+            entry[key] = template[key];
+        });
+
+        Object.keys(props).forEach(function (key) {
+            entry[key] = props[key];
+        });
+
+        entries.push(entry);
+    }
+
+    if (auditedRoute.vmChangesOnly) {
+        (req.auditVmChanges || []).forEach(function addVmChangeEntry(change) {
+            // vm-agent regularly puts VMs that did not change.
+            if (change.diffs.length > 0) {
+                addEntry(change);
+            }
+        });
+    } else if (req.auditJobs !== undefined) {
+        req.auditJobs.forEach(addEntry);
+    } else if (auditedRoute.name !== 'BulkVmAction') {
+        // e.g JobAction requests that cancel a job don't create a job.
+        addEntry({
+            vm_uuid: (req.vm && req.vm.uuid) || req.params.uuid,
+            owner_uuid: (req.vm && req.vm.owner_uuid) ||
+                req.params.owner_uuid,
+            job_uuid: req.params.job_uuid
+        });
+    }
+
+    return entries;
+}
+
+/*
+ * Handler for the restify server's 'after' event that stores the audit
+ * entries of requests to audited routes. Failing to store them is logged but
+ * has no effect on the request, which was already responded to.
+ */
+function auditRequest(req, res, route, err) {
+    var auditedRoute;
+    var entries;
+
+    if (!route || !AUDITED_ROUTES.hasOwnProperty(route.name) || err ||
+        res.statusCode >= 300) {
+        return;
+    }
+
+    auditedRoute = AUDITED_ROUTES[route.name];
+
+    // The original request already has an entry.
+    if (res.getHeader('Idempotent-Replayed') !== undefined) {
+        return;
+    }
+
+    entries = createAuditEntries(req, auditedRoute);
+    if (entries.length === 0) {
+        return;
+    }
+
+    vasync.forEachParallel({
+        func: function storeEntry(entry, done) {
+            req.app.moray.putAuditEntry(entry, done);
+        },
+        inputs: entries
+    }, function onEntriesStored(storeErr) {
+        if (storeErr) {
+            req.log.error({err: storeErr, entries: entries},
+                'could not store audit entries');
+        } else {
+            req.log.debug({count: entries.length}, 'stored audit entries');
+        }
+    });
+}
+
+/*
+ * Returns the API representation of the audit entry "entry".
+ */
+function translateAuditEntry(entry) {
+    assert.object(entry, 'entry');
+
+    return {
+        uuid: entry.uuid,
+        timestamp: new Date(entry.timestamp).toISOString(),
+        req_id: entry.req_id,
+        route: entry.route,
+        action: entry.action,
+        vm_uuid: entry.vm_uuid,
+        owner_uuid: entry.owner_uuid,
+        caller: entry.caller,
+        remote_ip: entry.remote_ip,
+        user_agent: entry.user_agent,
+        params: entry.params,
+        job_uuid: entry.job_uuid,
+        diffs: entry.diffs
+    };
+}
+
+module.exports = {
+    auditRequest: auditRequest,
+    recordJob: recordJob,
+    recordVmChange: recordVmChange,
+    translateAuditEntry: translateAuditEntry
+};
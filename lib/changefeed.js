@@ -5,10 +5,103 @@
  */
 
 /*
- * Copyright (c) 2019, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 var assert = require('assert-plus');
+var changefeed = require('changefeed');
+
+/*
+ * Name of the property of a listener's "changeKind" registration object that,
+ * when set to true, makes the listener receive changefeed items that include a
+ * "changes" property. That property has the old and new values of each changed
+ * VM property (see "computeVmChanges" in lib/apis/moray.js).
+ */
+var INCLUDE_CHANGES_PROPERTY = 'includeChanges';
+
+/*
+ * Returns a function that sends "text" on websocket "websocket" after removing
+ * the "changes" property from it if it represents a changefeed item.
+ */
+function createSendWithoutChanges(websocket) {
+    assert.object(websocket, 'websocket');
+
+    var send = websocket.send;
+
+    return function sendWithoutChanges(text) {
+        var item;
+
+        try {
+            item = JSON.parse(text);
+        } catch (parseErr) {
+            item = undefined;
+        }
+
+        if (item === null || typeof (item) !== 'object' ||
+            item.changes === undefined) {
+            return send.call(websocket, text);
+        }
+
+        delete item.changes;
+        return send.call(websocket, JSON.stringify(item));
+    };
+}
+
+/*
+ * Creates and returns a changefeed publisher with the options "options" (see
+ * changefeed's createPublisher). Items that VMAPI publishes carry a "changes"
+ * property, but listeners only get it if they opted in by setting
+ * "changeKind.includeChanges" to true when registering. Existing listeners
+ * thus keep receiving items in the format they expect.
+ *
+ * changefeed publishes the same serialized item to all listeners, so this
+ * relies on the publisher's "registrations" and "websockets" properties to
+ * strip "changes" from items sent to listeners that did not opt in.
+ */
+function createPublisher(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+
+    var log = options.log;
+    var publisher = changefeed.createPublisher(options);
+    var handledWebsockets = [];
+
+    /*
+     * The 'registration' event is emitted synchronously when a listener's
+     * registration is accepted, before any item is sent to it.
+     */
+    publisher.on('registration', function onRegistration() {
+        Object.keys(publisher.registrations).forEach(function (instance) {
+            var changeKind = publisher.registrations[instance].changeKind;
+            var websocket = publisher.websockets[instance];
+
+            if (handledWebsockets.indexOf(websocket) !== -1) {
+                return;
+            }
+
+            handledWebsockets.push(websocket);
+            websocket.once('end', forgetWebsocket);
+            websocket.once('connectionReset', forgetWebsocket);
+
+            if (changeKind[INCLUDE_CHANGES_PROPERTY] === true) {
+                log.info({instance: instance},
+                    'listener registered for items including changes');
+            } else {
+                websocket.send = createSendWithoutChanges(websocket);
+            }
+
+            function forgetWebsocket() {
+                var idx = handledWebsockets.indexOf(websocket);
+
+                if (idx !== -1) {
+                    handledWebsockets.splice(idx, 1);
+                }
+            }
+        });
+    });
+
+    return publisher;
+}
 
 /*
  * Creates and returns an instance of a mocked changefeed publisher that doesn't
@@ -34,5 +127,6 @@ function createNoopCfPublisher() {
 }
 
 module.exports = {
-    createNoopCfPublisher: createNoopCfPublisher
+    createNoopCfPublisher: createNoopCfPublisher,
+    createPublisher: createPublisher
 };
@@ -31,6 +31,7 @@ function mixinModule(modulePath) {
 
 mixinModule('./ldap-filter');
 mixinModule('./marker');
+mixinModule('./page-token');
 mixinModule('./predicate');
 mixinModule('./util');
 mixinModule('./validation');
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2015, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 var assert = require('assert-plus');
@@ -15,6 +15,7 @@ var errors = require('../errors');
 var sortValidation = require('../validation/sort');
 
 var util = require('./util');
+var vmCommon = require('./vm-common');
 
 // Identifies what VM field provides a strict total ordering.
 var STRICT_TOTAL_ORDER_FIELD = 'uuid';
@@ -88,7 +89,7 @@ function convertMarkerFields(markerObject) {
 
     Object.keys(MARKER_FIELDS_CONVERSIONS).forEach(function (fieldName) {
         var field = markerObject[fieldName];
-        if (field !== undefined) {
+        if (field !== undefined && field !== null) {
             if (!MARKER_FIELDS_CONVERSIONS[fieldName](markerObject,
                 fieldName)) {
                 errs.push('Marker has an invalid ' + fieldName + ' field: ' +
@@ -121,7 +122,7 @@ function validateMarker(marker, sort) {
         // Make sure that all fields used to sort the results set
         // are present in the marker so that a strict total order can be
         // established by the marker over the sorted results set.
-        if (!sortFieldInMarker(sort, marker)) {
+        if (!allSortFieldsInMarker(sort, marker)) {
             errs.push('All sort fields must be present in marker.' +
                 ' Sort fields: ' + sort + '.');
         }
@@ -140,27 +141,51 @@ function validateMarker(marker, sort) {
 }
 
 /*
- * Returns true if the string "sortField" is also one of the marker's object
- * field.
+ * Returns the list of the names of the fields used in the sort criteria
+ * "sortCriteria", or null if "sortCriteria" is not a valid sort criteria.
+ *
+ * For instance, it returns ["state", "create_timestamp"] if "sortCriteria" is
+ * "state.ASC,create_timestamp.DESC".
+ */
+function sortFieldsFromSortCriteria(sortCriteria) {
+    assert.optionalString(sortCriteria, 'sort must be a string or undefined');
+
+    var parsedSortCriteria = sortValidation.parseSortCriteria(sortCriteria ||
+        '');
+
+    if (parsedSortCriteria === null)
+        return null;
+
+    return parsedSortCriteria.map(function (sortCriterion) {
+        return sortCriterion.field;
+    });
+}
+
+/*
+ * Returns true if all the fields of the sort criteria "sortCriteria" are also
+ * fields of the marker object "marker".
  *
  * For instance, it returns true if:
- * - sortField is "create_timestamp" and marker is
+ * - sortCriteria is "create_timestamp" and marker is
  * "{"uuid": "some-uuid", "create_timestamp": "09-09-2015 08:00:00"}
  *
  * It returns false if:
- * - sortField is "create_timestamp" and marker is
+ * - sortCriteria is "create_timestamp" and marker is
  * "{"uuid": "some-uuid"}
+ * - sortCriteria is "state,create_timestamp" and marker is
+ * "{"uuid": "some-uuid", "create_timestamp": "09-09-2015 08:00:00"}
  */
-function sortFieldInMarker(sortField, marker) {
-    assert.string(sortField, 'sortField');
+function allSortFieldsInMarker(sortCriteria, marker) {
+    assert.string(sortCriteria, 'sortCriteria');
     assert.object(marker, 'marker');
 
-    // If sortField specifies an order with 'field.ASC' or 'field.DESC',
-    // remove the order and just keep the sort field name.
-    sortField = sortField.split('.')[0];
+    var sortFields = sortFieldsFromSortCriteria(sortCriteria);
 
-    return Object.keys(marker).some(function (markerField) {
-        return sortField === markerField;
+    if (sortFields === null)
+        return false;
+
+    return sortFields.every(function (sortField) {
+        return marker.hasOwnProperty(sortField);
     });
 }
 
@@ -180,29 +205,19 @@ function allMarkerFieldsInSort(marker, sortCriteria) {
     assert.object(marker, 'marker must be an object');
     assert.optionalString(sortCriteria, 'sort must be a string or undefined');
 
-    sortCriteria = sortCriteria || '';
-
     // If the sortCriteria string is not a valid sort criteria,
     // then assume that all marker fields are not in the sort
     // criteria.
-    if (!sortValidation.isValidSortCriteria(sortCriteria))
+    var sortFields = sortFieldsFromSortCriteria(sortCriteria);
+    if (sortFields === null)
         return false;
 
-    var markerFields = Object.keys(marker);
-    if (markerFields.length === 0) {
-        // A marker object with no property have all its fields
-        // included in "sortCriteria", since it has none.
-        return true;
-    }
-
-    // If sortField specifies an order with 'field.ASC' or 'field.DESC',
-    // remove the order and just keep the sort field name.
-    var sortField = sortCriteria.split('.')[0];
-
-    return markerFields.every(function (markerField) {
+    // A marker object with no property have all its fields included in
+    // "sortCriteria", since it has none.
+    return Object.keys(marker).every(function (markerField) {
         return isStrictTotalOrderField(markerField) ||
-            markerField === sortField;
-        });
+            sortFields.indexOf(markerField) !== -1;
+    });
 }
 
 /*
@@ -238,7 +253,67 @@ function markerIdentifiesObject(marker, vm) {
          marker[STRICT_TOTAL_ORDER_FIELD] === vm[STRICT_TOTAL_ORDER_FIELD];
 }
 
+/*
+ * Returns a marker object that identifies the VM object "vm" in a results set
+ * sorted according to the sort criteria "sort", so that it can be used to get
+ * the page of results that follows "vm". Sort fields for which "vm" has no
+ * value are null in the marker. Returns null if the value of one of the sort
+ * fields can't be represented in a marker.
+ */
+function createMarkerFromVm(vm, sort) {
+    assert.object(vm, 'vm must be an object');
+    assert.optionalString(sort, 'sort must be an optional string');
+
+    var allSortValuesFound;
+    var marker = {};
+    var sortFields = sortFieldsFromSortCriteria(sort);
+
+    assert.ok(sortFields !== null, 'sort must be a valid sort criteria');
+
+    marker[STRICT_TOTAL_ORDER_FIELD] = vm[STRICT_TOTAL_ORDER_FIELD];
+
+    allSortValuesFound = sortFields.every(function (sortField) {
+        var sortValue;
+
+        if (isStrictTotalOrderField(sortField))
+            return true;
+
+        // VM objects that are sent to clients have a "ram" property that
+        // holds the value of the "max_physical_memory" sort field.
+        if (sortField === 'max_physical_memory') {
+            sortValue = vm.ram;
+        } else if (sortField === 'tags') {
+            if (vm.tags && Object.keys(vm.tags).length > 0) {
+                sortValue = vmCommon.objectToTagFormat(vm.tags);
+            }
+        } else {
+            sortValue = vm[sortField];
+        }
+
+        if (sortValue instanceof Date) {
+            sortValue = sortValue.toISOString();
+        }
+
+        if (sortValue === undefined || sortValue === null) {
+            marker[sortField] = null;
+            return true;
+        }
+
+        if (typeof (sortValue) !== 'string' &&
+            typeof (sortValue) !== 'number' &&
+            typeof (sortValue) !== 'boolean') {
+            return false;
+        }
+
+        marker[sortField] = sortValue;
+        return true;
+    });
+
+    return allSortValuesFound ? marker : null;
+}
+
 module.exports = {
+    createMarkerFromVm: createMarkerFromVm,
     parseMarkerJSONString: parseMarkerJSONString,
     validateMarker: validateMarker,
     strictTotalOrderField: strictTotalOrderField,
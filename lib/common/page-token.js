@@ -0,0 +1,128 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Page tokens are opaque strings that ListVms sends to clients so that they
+ * can get the next page of a listing without having to build a marker. A page
+ * token holds all the parameters of the request for the next page (filters,
+ * sort, limit and marker), and has the form:
+ *
+ * base64url(JSON payload) + '.' + base64url(HMAC-SHA256 of the encoded payload)
+ *
+ * The signature makes sure that clients can't change the parameters that a
+ * page token holds.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+
+var PAGE_TOKEN_VERSION = 1;
+
+function base64UrlEncode(buf) {
+    assert.buffer(buf, 'buf');
+
+    return buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function base64UrlDecode(str) {
+    assert.string(str, 'str');
+
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function signPayload(encodedPayload, secret) {
+    assert.string(encodedPayload, 'encodedPayload');
+    assert.string(secret, 'secret');
+
+    return crypto.createHmac('sha256', secret).update(encodedPayload)
+        .digest();
+}
+
+/*
+ * Returns a page token that holds the request parameters "params", signed
+ * with the secret "secret".
+ */
+function createPageToken(params, secret) {
+    assert.object(params, 'params');
+    assert.string(secret, 'secret');
+
+    var encodedPayload = base64UrlEncode(Buffer.from(JSON.stringify({
+        v: PAGE_TOKEN_VERSION,
+        params: params
+    })));
+
+    return encodedPayload + '.' +
+        base64UrlEncode(signPayload(encodedPayload, secret));
+}
+
+/*
+ * Parses the page token "pageToken" and checks that it was signed with the
+ * secret "secret".
+ *
+ * Returns an object that has two properties:
+ *
+ * - params: null if "pageToken" is not a valid page token, otherwise the
+ * request parameters that it holds.
+ *
+ * - parseErrors: a list of strings that describe the errors encountered when
+ * parsing "pageToken".
+ */
+function parsePageToken(pageToken, secret) {
+    assert.string(secret, 'secret');
+
+    var errs = [];
+    var expectedSignature;
+    var payload;
+    var signature;
+    var tokenParts;
+
+    if (typeof (pageToken) !== 'string') {
+        return {params: null, parseErrors: ['Page token must be a string']};
+    }
+
+    tokenParts = pageToken.split('.');
+    if (tokenParts.length !== 2 || tokenParts[0] === '') {
+        return {params: null, parseErrors: ['Malformed page token']};
+    }
+
+    signature = base64UrlDecode(tokenParts[1]);
+    expectedSignature = signPayload(tokenParts[0], secret);
+
+    if (signature.length !== expectedSignature.length ||
+        !crypto.timingSafeEqual(signature, expectedSignature)) {
+        return {params: null, parseErrors: ['Invalid page token signature']};
+    }
+
+    try {
+        payload = JSON.parse(base64UrlDecode(tokenParts[0]).toString());
+    } catch (err) {
+        errs.push('Could not parse page token, reason: ' + err.message);
+    }
+
+    if (errs.length === 0 && (payload === null ||
+        typeof (payload) !== 'object' ||
+        payload.v !== PAGE_TOKEN_VERSION ||
+        payload.params === null || typeof (payload.params) !== 'object' ||
+        Array.isArray(payload.params))) {
+        errs.push('Unsupported page token');
+    }
+
+    if (errs.length > 0) {
+        return {params: null, parseErrors: errs};
+    }
+
+    return {params: payload.params, parseErrors: []};
+}
+
+module.exports = {
+    createPageToken: createPageToken,
+    parsePageToken: parsePageToken
+};
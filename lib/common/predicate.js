@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -17,6 +17,10 @@ var assert = require('assert-plus');
 var krill = require('krill');
 var util = require('util');
 
+var vmCommon = require('./vm-common');
+
+var NIC_SEARCH_FIELDS = vmCommon.NIC_SEARCH_FIELDS;
+
 var format = util.format;
 
 /*
@@ -31,8 +35,14 @@ var parseFuncs = {
     ge: predValidateRel,
     eq: predValidateRel,
     ne: predValidateRel,
+    'in': predValidateIn,
+    prefix: predValidateSubstr,
+    contains: predValidateSubstr,
+    exists: predValidateExists,
+    not_exists: predValidateExists,
     and: predValidateLog,
-    or: predValidateLog
+    or: predValidateLog,
+    not: predValidateNot
 };
 
 /*
@@ -45,8 +55,14 @@ var ldapPrintFuncs = {
     ge: ldapPrintRel,
     eq: ldapPrintRel,
     ne: ldapPrintRel,
+    'in': ldapPrintDesugared,
+    prefix: ldapPrintDesugared,
+    contains: ldapPrintDesugared,
+    exists: ldapPrintDesugared,
+    not_exists: ldapPrintDesugared,
     and: ldapPrintLog,
-    or: ldapPrintLog
+    or: ldapPrintLog,
+    not: ldapPrintNot
 };
 
 /*
@@ -165,6 +181,183 @@ function predValidateLog(pred, key)
         predValidateSyntax(pred[key][ii]);
 }
 
+/*
+ * Validates that the "in" predicate has a valid format. That means that it fits
+ * the format:
+ * { in: [ field, [ constant, constant,... ] ] }
+ *
+ * Input:
+ *  - pred: The predicate
+ *  - key: The key that we're interested in
+ *
+ * On return the following points have been validated:
+ *  - That the key points to a two element array
+ *  - That the first field is a string
+ *  - That the second field is a non-empty array of constants
+ */
+function predValidateIn(pred, key)
+{
+    var field, values, ii;
+
+    if (!(pred[key] instanceof Array))
+        throw (new Error('predicate key does not point to an array'));
+
+    if (pred[key].length != 2)
+        throw (new Error(format('predicate key ' +
+            'does not point to an array of two elements: found %d ' +
+            'elements', pred[key].length)));
+
+    field = pred[key][0];
+    values = pred[key][1];
+
+    if (typeof (field) != 'string')
+        throw (new Error(format('predicate field is not a string: ' +
+            'got %j.', field)));
+
+    if (!(values instanceof Array) || values.length < 1)
+        throw (new Error(format('predicate values are not a non-empty ' +
+            'array: got %j.', values)));
+
+    for (ii = 0; ii < values.length; ii++) {
+        if (typeof (values[ii]) != 'number' &&
+            typeof (values[ii]) != 'string' &&
+            typeof (values[ii]) != 'boolean')
+            throw (new Error(format('predicate value is not a constant: ' +
+                'got %j.', values[ii])));
+    }
+}
+
+/*
+ * Validates that the "prefix" and "contains" predicates have a valid format.
+ * That means that they fit the format:
+ * { key: [ field, string ] }
+ *
+ * Input:
+ *  - pred: The predicate
+ *  - key: The key that we're interested in
+ *
+ * On return the following points have been validated:
+ *  - That the key points to a two element array
+ *  - That the first field is a string
+ *  - That the second field is a non-empty string without any "*" character
+ *  - That "contains" is not used on a tag, since tags are all stored in one
+ *    string and a substring could match across several tags
+ */
+function predValidateSubstr(pred, key)
+{
+    var field, constant;
+
+    if (!(pred[key] instanceof Array))
+        throw (new Error('predicate key does not point to an array'));
+
+    if (pred[key].length != 2)
+        throw (new Error(format('predicate key ' +
+            'does not point to an array of two elements: found %d ' +
+            'elements', pred[key].length)));
+
+    field = pred[key][0];
+    constant = pred[key][1];
+
+    if (typeof (field) != 'string')
+        throw (new Error(format('predicate field is not a string: ' +
+            'got %j.', field)));
+
+    if (typeof (constant) != 'string' || constant.length === 0)
+        throw (new Error(format('predicate constant is not a non-empty ' +
+            'string: got %j.', constant)));
+
+    if (constant.indexOf('*') !== -1)
+        throw (new Error(format('predicate constant cannot contain "*": ' +
+            'got %j.', constant)));
+
+    if (key === 'contains' && field.match(/^tag\./))
+        throw (new Error(format('"contains" is not supported for tags: ' +
+            'got %j.', field)));
+}
+
+/*
+ * Validates that the "exists" and "not_exists" predicates have a valid format.
+ * That means that they fit the format:
+ * { key: field }
+ *
+ * Input:
+ *  - pred: The predicate
+ *  - key: The key that we're interested in
+ *
+ * On return the following points have been validated:
+ *  - That the key points to a non-empty string
+ */
+function predValidateExists(pred, key)
+{
+    if (typeof (pred[key]) != 'string' || pred[key].length === 0)
+        throw (new Error(format('predicate field is not a non-empty ' +
+            'string: got %j.', pred[key])));
+}
+
+/*
+ * Validates that the "not" logical expression has a valid format. That means
+ * that it fits the format:
+ * { not: obj }
+ *
+ * Input:
+ *  - pred: The current predicate
+ *  - key: The key that we're interested in
+ *
+ * On return the following points have been validated:
+ *  - The key points to a valid predicate or logical expression
+ */
+function predValidateNot(pred, key)
+{
+    predValidateSyntax(pred[key]);
+}
+
+/*
+ * Rewrites the predicate "pred", which uses one of the "in", "prefix",
+ * "contains", "exists" and "not_exists" operators, with the relational and
+ * logical operators of krill. A "*" in the constant of an "eq" or "ne"
+ * predicate matches any sequence of characters, both in the LDAP filters that
+ * predicates are printed to and when predicates are evaluated, so:
+ *
+ *  - { in: [ field, [ c1, c2 ] ] } is { or: [ { eq: [ field, c1 ] },
+ *    { eq: [ field, c2 ] } ] }
+ *  - { prefix: [ field, s ] } is { eq: [ field, "s*" ] }
+ *  - { contains: [ field, s ] } is { eq: [ field, "*s*" ] }
+ *  - { exists: field } is { eq: [ field, "*" ] }
+ *  - { not_exists: field } is { ne: [ field, "*" ] }
+ *
+ * Input:
+ *  - pred: The predicate, already validated by predValidateSyntax
+ *  - key: The key for the predicate
+ *
+ * Output:
+ *  - Returns the equivalent predicate.
+ */
+function predDesugar(pred, key)
+{
+    var field;
+
+    switch (key) {
+        case 'in':
+            field = pred[key][0];
+            if (pred[key][1].length === 1)
+                return ({eq: [field, pred[key][1][0]]});
+            return ({or: pred[key][1].map(function (value) {
+                return ({eq: [field, value]});
+            })});
+        case 'prefix':
+            return ({eq: [pred[key][0], pred[key][1] + '*']});
+        case 'contains':
+            return ({eq: [pred[key][0], '*' + pred[key][1] + '*']});
+        case 'exists':
+            return ({eq: [pred[key], '*']});
+        case 'not_exists':
+            return ({ne: [pred[key], '*']});
+        default:
+            assert.ok(false, 'unexpected operator: ' + key);
+            return (undefined);
+    }
+}
+
 /*
  * This is the entry point for validating and parsing any given predicate. This
  * will be called when beginning to parse any specific predicate.
@@ -210,6 +403,15 @@ function ldapPrintRel(pred, key) {
         case 'ram':
             string = printKeyValue(key, 'max_physical_memory', pred[key][1]);
             break;
+        case 'mac':
+            string = printKeyValue(key, NIC_SEARCH_FIELDS.mac,
+                String(pred[key][1]).toLowerCase());
+            break;
+        case 'ip':
+        case 'network_uuid':
+        case 'nic_tag':
+            string = printKeyValue(key, NIC_SEARCH_FIELDS[field], pred[key][1]);
+            break;
         default:
             if (typeof (field) === 'string' &&
                 field.match(/^tag\.(.*)$/)) {
@@ -274,6 +476,20 @@ function printKeyValue(key, k, v) {
     return k + printStrings[key] + v;
 }
 
+/*
+ * Prints out the value of a predicate that uses one of the operators rewritten
+ * by predDesugar, by printing its rewritten form.
+ *
+ * Input:
+ *  - pred: The predicate to print
+ *  - key: The key for the predicate
+ *
+ * Output:
+ *  - Returns the ldap query string representation of the specified predicate.
+ */
+function ldapPrintDesugared(pred, key) {
+    return (ldapPrintGen(predDesugar(pred, key)));
+}
 
 /*
  * Prints out the value of a logical expression.
@@ -296,6 +512,22 @@ function ldapPrintLog(pred, key) {
     return (printStrings[key] + elts.join(''));
 }
 
+/*
+ * Prints out the value of a "not" logical expression.
+ * This should print as:
+ * !(<predicate>)
+ *
+ * Inputs:
+ *  - pred: The logical expression to print
+ *  - key: The key for the object in the logical expression
+ *
+ * Output:
+ *  - Returns the string representation of the specified predicate.
+ */
+function ldapPrintNot(pred, key) {
+    return ('!(' + ldapPrintGen(pred[key]) + ')');
+}
+
 /*
  * This is the generic entry point to begin parsing an individual predicate.
  * This is responsible for determining the key and dispatching to the correct
@@ -347,6 +579,220 @@ function toLdapQuery(pred)
 
 exports.toLdapQuery = toLdapQuery;
 
+/*
+ * Returns the value of the field named "field" in "vm", using the same field
+ * names as the ones that can be used in predicates (e.g "ram", "tag.<key>" or
+ * "internal_metadata.<key>"). The value of NIC fields (e.g "ip") is the array
+ * of the values of that field for all of the VM's NICs.
+ */
+function predFieldValue(vm, field) {
+    var match;
+
+    if (field === 'ram') {
+        return (vm.ram !== undefined ? vm.ram : vm.max_physical_memory);
+    }
+
+    if (NIC_SEARCH_FIELDS.hasOwnProperty(field)) {
+        return vmCommon.nicsToSearchArrays(vm.nics)[NIC_SEARCH_FIELDS[field]];
+    }
+
+    match = field.match(/^(tag|internal_metadata)\.(.+)$/);
+    if (match) {
+        var container = (match[1] === 'tag' ? vm.tags : vm.internal_metadata);
+        return (container ? container[match[2]] : undefined);
+    }
+
+    return vm[field];
+}
+
+/*
+ * Returns the predicate constant "constant" for the field named "field" as it
+ * is compared to the values of that field. MAC addresses are stored lowercased,
+ * so they are compared to lowercased constants.
+ */
+function predFieldConstant(field, constant) {
+    if (field === 'mac' && typeof (constant) === 'string') {
+        return constant.toLowerCase();
+    }
+
+    return constant;
+}
+
+/*
+ * Returns true if the value "value" is equal to the predicate constant
+ * "constant". As in the LDAP filters predicates are translated to, values are
+ * compared as strings, and a "*" in a string constant matches any sequence of
+ * characters.
+ */
+function predValueEquals(value, constant) {
+    var re;
+
+    if (value === undefined || value === null) {
+        return false;
+    }
+
+    if (Array.isArray(value)) {
+        return value.some(function (elem) {
+            return predValueEquals(elem, constant);
+        });
+    }
+
+    if (typeof (constant) === 'string' && constant.indexOf('*') !== -1) {
+        re = new RegExp('^' + constant.split('*').map(function (part) {
+            return part.replace(/[|\\{}()[\]^$+?.]/g, '\\$&');
+        }).join('.*') + '$');
+        return re.test(String(value));
+    }
+
+    return String(value) === String(constant);
+}
+
+/*
+ * Compares the value "value" to the predicate constant "constant" for the
+ * relational operator "key" (one of "lt", "le", "gt" or "ge"). Values are
+ * compared as numbers if they both are numeric, as strings otherwise.
+ */
+function predValueCompare(key, value, constant) {
+    var a = value;
+    var b = constant;
+
+    if (value === undefined || value === null) {
+        return false;
+    }
+
+    if (Array.isArray(value)) {
+        return value.some(function (elem) {
+            return predValueCompare(key, elem, constant);
+        });
+    }
+
+    if (!isNaN(Number(value)) && !isNaN(Number(constant))) {
+        a = Number(value);
+        b = Number(constant);
+    } else {
+        a = String(value);
+        b = String(constant);
+    }
+
+    switch (key) {
+        case 'lt':
+            return a < b;
+        case 'le':
+            return a <= b;
+        case 'gt':
+            return a > b;
+        case 'ge':
+            return a >= b;
+        default:
+            assert.ok(false, 'unexpected relational operator: ' + key);
+            return false;
+    }
+}
+
+/*
+ * A mapping to the operator specific evaluation routine.
+ */
+var evalFuncs = {
+    lt: predEvaluateRel,
+    le: predEvaluateRel,
+    gt: predEvaluateRel,
+    ge: predEvaluateRel,
+    eq: predEvaluateRel,
+    ne: predEvaluateRel,
+    'in': predEvaluateDesugared,
+    prefix: predEvaluateDesugared,
+    contains: predEvaluateDesugared,
+    exists: predEvaluateDesugared,
+    not_exists: predEvaluateDesugared,
+    and: predEvaluateLog,
+    or: predEvaluateLog,
+    not: predEvaluateNot
+};
+
+function predEvaluateRel(pred, key, vm) {
+    var value = predFieldValue(vm, pred[key][0]);
+    var constant = predFieldConstant(pred[key][0], pred[key][1]);
+
+    if (key === 'eq') {
+        return predValueEquals(value, constant);
+    } else if (key === 'ne') {
+        return !predValueEquals(value, constant);
+    }
+
+    return predValueCompare(key, value, constant);
+}
+
+function predEvaluateDesugared(pred, key, vm) {
+    return predEvaluate(predDesugar(pred, key), vm);
+}
+
+function predEvaluateNot(pred, key, vm) {
+    return !predEvaluate(pred[key], vm);
+}
+
+function predEvaluateLog(pred, key, vm) {
+    if (key === 'and') {
+        return pred[key].every(function (subPred) {
+            return predEvaluate(subPred, vm);
+        });
+    }
+
+    return pred[key].some(function (subPred) {
+        return predEvaluate(subPred, vm);
+    });
+}
+
+/*
+ * Evaluates a predicate against a VM object, with the same semantics as the
+ * LDAP query that toLdapQuery would generate for that predicate.
+ *
+ * Input:
+ *  - pred: A predicate that has already been validated by predValidateSyntax
+ *  - vm: The VM object to evaluate the predicate against
+ *
+ * Output:
+ *  - Returns true if the VM matches the predicate, false otherwise.
+ */
+function predEvaluate(pred, vm)
+{
+    var key = predGetKey(pred);
+
+    assert.ok(evalFuncs[key], 'Missing evaluation function for key ' + key);
+
+    return (evalFuncs[key](pred, key, vm));
+}
+
+exports.predEvaluate = predEvaluate;
+
+/*
+ * Rewrites the predicate "pred" so that it only uses operators that krill
+ * understands, so that krill can list the fields that it filters on. Negation
+ * does not change which fields a predicate filters on, so "not" predicates are
+ * replaced by the predicate that they negate.
+ */
+function predToKrill(pred)
+{
+    var key = predGetKey(pred);
+
+    switch (key) {
+        case 'and':
+        case 'or':
+            var res = {};
+            res[key] = pred[key].map(predToKrill);
+            return (res);
+        case 'not':
+            return (predToKrill(pred[key]));
+        case 'in':
+        case 'prefix':
+        case 'contains':
+        case 'exists':
+        case 'not_exists':
+            return (predToKrill(predDesugar(pred, key)));
+        default:
+            return (pred);
+    }
+}
+
 /*
  * Returns true if the JSON predicate represented by "predicateString" filters
  * on the field with name "fieldName".
@@ -377,7 +823,13 @@ function jsonPredicateFiltersOn(fieldName, predicateString, polymorphicParams) {
         return false;
     }
 
-    krillPred = krill.createPredicate(parsedJsonPred);
+    try {
+        predValidateSyntax(parsedJsonPred);
+    } catch (syntaxErr) {
+        return false;
+    }
+
+    krillPred = krill.createPredicate(predToKrill(parsedJsonPred));
     predFields = krillPred.fields();
 
     if (polymorphicParams && polymorphicParams.indexOf(fieldName) !== -1) {
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -119,13 +119,18 @@ exports.timestamp = function (aDate) {
  * @param  {string}    resource     Identifies the resource e.g. 'vms'
  * @param  {array}     subResources Strings of resource properties e.g ['nics']
  * @param  {string}    uuid         UUID of the changed resource
+ * @param  {object}    changes      (optional) Old and new values of each
+ *                                  changed property, only sent to listeners
+ *                                  that asked for them (see lib/changefeed.js)
  * @param  {function}  cb           callback function which takes err param
  */
-function publishChange(publisher, resource, subResources, uuid, cb) {
+function publishChange(publisher, resource, subResources, uuid, changes,
+    cb) {
     assert.object(publisher, 'publisher');
     assert.string(resource, 'resource');
     assert.arrayOfString(subResources, 'subResources');
     assert.uuid(uuid, 'uuid');
+    assert.optionalObject(changes, 'changes');
     assert.func(cb, 'cb');
 
     var changeItem = {
@@ -136,6 +141,10 @@ function publishChange(publisher, resource, subResources, uuid, cb) {
         changedResourceId: uuid
     };
 
+    if (changes) {
+        changeItem.changes = changes;
+    }
+
     publisher.publish(changeItem, cb);
 }
 
@@ -143,6 +152,20 @@ exports.publishChange = publishChange;
 
 
 
+/*
+ * Returns the value of the HTTP "ETag" header for a moray etag, which is the
+ * etag as a quoted string (a strong entity tag per RFC 7232).
+ */
+function formatEtag(etag) {
+    assert.string(etag, 'etag');
+
+    return '"' + etag + '"';
+}
+
+exports.formatEtag = formatEtag;
+
+
+
 /*
  * Poll a job until it reaches either the succeeded or failed state.
  *
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2019 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -26,9 +26,11 @@ var uuid = require('uuid');
 var verror = require('verror');
 
 var common = require('./vm-common');
+var cron = require('../cron');
 var errors = require('../errors');
 var markerUtils = require('./marker');
 var predicateUtils = require('./predicate');
+var snapshotRetention = require('../snapshot-retention');
 var sortValidation = require('../validation/sort');
 
 var ALIAS_RE = /^[a-zA-Z0-9][a-zA-Z0-9\_\.\-]*$/;
@@ -41,9 +43,13 @@ var DOCKER_TAG_RE = DOCKER_TAG_DEFAULT_RE;
 // 1123, but the broader range of characters can sometimes cause problems with
 // other systems (e.g. see the underscore in RFC5321).
 var DNS_NAME_RE = /^[a-z0-9][a-z0-9\-]{0,62}(?:\.[a-z0-9][a-z0-9\-]{0,62})*$/i;
+var DURATION_RE = /^([0-9]+)(ms|s|m)?$/;
 /* JSSTYLED */
 var IP_RE = /^(([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])\.){3}([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])$/;
+var MAC_RE = /^([0-9a-fA-F]{2}:){5}[0-9a-fA-F]{2}$/;
+var MAX_LIST_JOBS_LIMIT = 1000;
 var MAX_LIST_VMS_LIMIT = 1000;
+var MAX_WAIT_JOB_TIMEOUT_MS = 60 * 1000;
 var PCI_SLOT_RE = /^[0-9]{1,3}\:[0-9]{1,2}\:[0-7]$/;
 var PCI_SLOT_DEV_RESERVED = [0, 6, 30, 31];
 var PW_SUFFIX = /^(.*)_pw$/;
@@ -52,7 +58,15 @@ var TRITON_TAG_ROOT_RE = /^triton\./;
 var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
 var VOLUME_NAME_RE = /^[a-zA-Z0-9][a-zA-Z0-9_\.\-]+$/;
 
+exports.MAX_LIST_JOBS_LIMIT = MAX_LIST_JOBS_LIMIT;
 exports.MAX_LIST_VMS_LIMIT = MAX_LIST_VMS_LIMIT;
+exports.MAX_WAIT_JOB_TIMEOUT_MS = MAX_WAIT_JOB_TIMEOUT_MS;
+
+var DURATION_UNITS_MS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000
+};
 
 var VALID_VM_BRANDS = [
     'bhyve',
@@ -715,6 +729,47 @@ function createValidateTimestampFn(field, options) {
     };
 }
 
+/*
+ * Returns a function that validates a duration, expressed as a number of
+ * milliseconds ("500ms"), seconds ("30s" or "30") or minutes ("1m"), and
+ * converts it to a number of milliseconds.
+ */
+function createValidateDurationFn(field, options) {
+    assert.string(field, 'field');
+    options = options || {};
+    assert.object(options, 'options');
+    assert.optionalNumber(options.max, 'options.max');
+
+    return function (params) {
+        var errs = [];
+        var duration = params[field];
+        var matches;
+        var ms;
+
+        if (options.required && duration === undefined)
+            errs.push(errors.missingParamErrorsElem(field));
+
+        if (duration === undefined) {
+            return errs;
+        }
+
+        matches = DURATION_RE.exec(String(duration));
+        if (matches) {
+            ms = Number(matches[1]) * DURATION_UNITS_MS[matches[2] || 's'];
+        }
+
+        if (!matches || ms === 0 ||
+            (options.max !== undefined && ms > options.max)) {
+            errs.push(errors.invalidParamErrorsElem(field,
+                'Invalid duration: ' + duration));
+        } else {
+            params[field] = ms;
+        }
+
+        return errs;
+    };
+}
+
 /*
  * Validate that the polymorphic parameter with name "paramName" has a key and
  * value that are both valid non-empty strings.
@@ -812,7 +867,7 @@ function createValidateVmFieldsFn(field, options) {
             errs.push(errors.missingParamErrorsElem(field));
 
         if (csValues !== undefined) {
-            allValuesValid = csValues.split(',').every(validVmField);
+            allValuesValid = csValues.split(',').every(validVmFieldPath);
             if (!allValuesValid) {
                 errs.push(errors.invalidParamErrorsElem(field,
                     'Invalid values: ' + csValues));
@@ -843,6 +898,23 @@ function createValidateUUIDFn(field, required) {
     };
 }
 
+/*
+ * Returns a validateIP function, that accepts IPv4 and IPv6 addresses
+ */
+function createValidateIPFn(field) {
+    return function (params) {
+        var errs = [];
+
+        if (params[field] !== undefined &&
+            (typeof (params[field]) !== 'string' || !net.isIP(params[field]))) {
+            errs.push(errors.invalidParamErrorsElem(field,
+                'Not a valid IP address'));
+        }
+
+        return errs;
+    };
+}
+
 function createValidateSortFn(field, options) {
     assert.string(field, 'field');
     options = options || {};
@@ -856,7 +928,8 @@ function createValidateSortFn(field, options) {
             errs.push(errors.missingParamErrorsElem(field));
 
         if (sortString !== undefined &&
-            !sortValidation.isValidSortCriteria(sortString)) {
+            !sortValidation.isValidSortCriteria(sortString,
+                options.validSortKeys)) {
             errs.push(errors.invalidParamErrorsElem(field,
                 'Invalid sort param: ' + sortString));
         }
@@ -1741,42 +1814,55 @@ exports.validateUpdateVmParams = function (vmapi, vm, obj, callback) {
     });
 };
 
+/*
+ * Returns the validators for the parameters that ListVms and GetVmStats use to
+ * filter VMs.
+ */
+function createListVmsFilterValidators() {
+    return {
+        alias: createValidateStringFn('alias', {re: ALIAS_RE}),
+        billing_id: createValidateUUIDFn('billing_id'),
+        brand: createValidateStringsListFn('brand', VALID_VM_BRANDS),
+        create_timestamp: createValidateTimestampFn('create_timestamp'),
+        docker: createValidateBooleanFn('docker'),
+        image_uuid: createValidateUUIDFn('image_uuid'),
+        internal_metadata: createValidatePolymorphicParamFn({
+            paramName: 'internal_metadata',
+            validationFunc: validatePolymorphicParamStringKeyValue
+        }),
+        ip: createValidateIPFn('ip'),
+        mac: createValidateStringFn('mac', {re: MAC_RE}),
+        network_uuid: createValidateUUIDFn('network_uuid'),
+        nic_tag: createValidateStringFn('nic_tag'),
+        owner_uuid: createValidateUUIDFn('owner_uuid'),
+        package_name: createValidateStringFn('package_name'),
+        package_version: createValidateStringFn('package_version'),
+        predicate: createValidateJSONPredicateFn('predicate'),
+        query: createValidateStringFn('query'),
+        ram: createValidateStringFn('ram', {re: RAM_RE}),
+        server_uuid: createValidateUUIDFn('server_uuid'),
+        state: createValidateStringsListFn('state', VALID_VM_STATES),
+        tag: createValidatePolymorphicParamFn({
+            paramName: 'tag',
+            validationFunc: validatePolymorphicParamStringKeyValue
+        }),
+        uuid: createValidateUUIDFn('uuid'),
+        uuids: createValidateCSVFn('uuids', validUUID)
+    };
+}
+
 function validateListVmsParams(params, callback) {
     async.series([
         function validateSingleParams(next) {
-            var listVmValidators = {
-                alias: createValidateStringFn('alias', {re: ALIAS_RE}),
-                billing_id: createValidateUUIDFn('billing_id'),
-                brand: createValidateStringsListFn('brand', VALID_VM_BRANDS),
-                create_timestamp: createValidateTimestampFn('create_timestamp'),
-                docker: createValidateBooleanFn('docker'),
-                fields: createValidateVmFieldsFn('fields'),
-                image_uuid: createValidateUUIDFn('image_uuid'),
-                internal_metadata: createValidatePolymorphicParamFn({
-                    paramName: 'internal_metadata',
-                    validationFunc: validatePolymorphicParamStringKeyValue
-                }),
-                limit: createValidateNumberFn('limit',
-                    {min: 1, max: MAX_LIST_VMS_LIMIT}),
-                marker: createValidateMarkerFn('marker',
-                    {sortParamName: 'sort'}),
-                offset: createValidateNumberFn('offset'),
-                owner_uuid: createValidateUUIDFn('owner_uuid'),
-                package_name: createValidateStringFn('package_name'),
-                package_version: createValidateStringFn('package_version'),
-                predicate: createValidateJSONPredicateFn('predicate'),
-                query: createValidateStringFn('query'),
-                ram: createValidateStringFn('ram', {re: RAM_RE}),
-                server_uuid: createValidateUUIDFn('server_uuid'),
-                sort: createValidateSortFn('sort'),
-                state: createValidateStringsListFn('state', VALID_VM_STATES),
-                tag: createValidatePolymorphicParamFn({
-                    paramName: 'tag',
-                    validationFunc: validatePolymorphicParamStringKeyValue
-                }),
-                uuid: createValidateUUIDFn('uuid'),
-                uuids: createValidateCSVFn('uuids', validUUID)
-            };
+            var listVmValidators = createListVmsFilterValidators();
+
+            listVmValidators.fields = createValidateVmFieldsFn('fields');
+            listVmValidators.limit = createValidateNumberFn('limit',
+                {min: 1, max: MAX_LIST_VMS_LIMIT});
+            listVmValidators.marker = createValidateMarkerFn('marker',
+                {sortParamName: 'sort'});
+            listVmValidators.offset = createValidateNumberFn('offset');
+            listVmValidators.sort = createValidateSortFn('sort');
 
             return validateParams(listVmValidators, params, {strict: true},
                 next);
@@ -1797,6 +1883,561 @@ function validateListVmsParams(params, callback) {
 }
 exports.validateListVmsParams = validateListVmsParams;
 
+/*
+ * The VM properties by which GetVmStats can group VMs.
+ */
+var VM_STATS_GROUP_BY_FIELDS = [
+    'brand',
+    'image_uuid',
+    'owner_uuid',
+    'package_name',
+    'server_uuid',
+    'state'
+];
+
+function validateGetVmStatsParams(params, callback) {
+    var vmStatsValidators = createListVmsFilterValidators();
+
+    vmStatsValidators.group_by = createValidateStringsListFn('group_by',
+        VM_STATS_GROUP_BY_FIELDS);
+
+    validateParams(vmStatsValidators, params, {strict: true}, callback);
+}
+exports.validateGetVmStatsParams = validateGetVmStatsParams;
+
+/*
+ * GET /vms/export accepts the same filters as ListVms, and the "fields"
+ * parameter. It doesn't accept role_tags as a field, since loading the role
+ * tags of each VM would make exports of large sets of VMs too slow.
+ */
+function validateExportVmsParams(params, callback) {
+    var exportVmsValidators = createListVmsFilterValidators();
+    var validateFields = createValidateVmFieldsFn('fields');
+
+    exportVmsValidators.fields = function validateExportFields(_params) {
+        var errs = validateFields(_params);
+
+        if (errs.length === 0 && _params.fields !== undefined &&
+            _params.fields.split(',').some(function isRoleTags(field) {
+                return field.split('.')[0] === 'role_tags';
+            })) {
+            errs.push(errors.invalidParamErrorsElem('fields',
+                'role_tags cannot be exported'));
+        }
+
+        return errs;
+    };
+
+    validateParams(exportVmsValidators, params, {strict: true}, callback);
+}
+exports.validateExportVmsParams = validateExportVmsParams;
+
+var MAX_SEARCH_QUERY_LENGTH = 256;
+
+function validateSearchQuery(params) {
+    var errs = [];
+    var q = params.q;
+
+    if (q === undefined) {
+        errs.push(errors.missingParamErrorsElem('q'));
+    } else if (typeof (q) !== 'string' || q.length > MAX_SEARCH_QUERY_LENGTH) {
+        errs.push(errors.invalidParamErrorsElem('q', 'Must be a string of at ' +
+            'most ' + MAX_SEARCH_QUERY_LENGTH + ' characters'));
+    } else if (common.tokenizeSearchString(q).length === 0) {
+        errs.push(errors.invalidParamErrorsElem('q', 'Must contain at least ' +
+            'one word of two or more letters or digits'));
+    }
+
+    return errs;
+}
+
+function validateSearchVmsParams(params, callback) {
+    var searchVmsValidators = {
+        limit: createValidateNumberFn('limit',
+            {min: 1, max: MAX_LIST_VMS_LIMIT}),
+        owner_uuid: createValidateUUIDFn('owner_uuid'),
+        q: validateSearchQuery,
+        state: createValidateStringsListFn('state', VALID_VM_STATES)
+    };
+
+    validateParams(searchVmsValidators, params, {strict: true}, callback);
+}
+exports.validateSearchVmsParams = validateSearchVmsParams;
+
+function validateWatchVmsParams(params, callback) {
+    var watchVmsValidators = {
+        owner_uuid: createValidateUUIDFn('owner_uuid'),
+        predicate: createValidateJSONPredicateFn('predicate'),
+        server_uuid: createValidateUUIDFn('server_uuid')
+    };
+
+    validateParams(watchVmsValidators, params, {strict: true}, callback);
+}
+exports.validateWatchVmsParams = validateWatchVmsParams;
+
+/*
+ * Request IDs and route names are used in moray filters, so they are limited
+ * to characters that do not need to be escaped.
+ */
+var AUDIT_FILTER_STRING_RE = /^[a-zA-Z0-9_.:-]{1,255}$/;
+
+function validateListAuditParams(params, callback) {
+    var listAuditValidators = {
+        action: createValidateStringFn('action',
+            {re: AUDIT_FILTER_STRING_RE}),
+        job_uuid: createValidateUUIDFn('job_uuid'),
+        limit: createValidateNumberFn('limit',
+            {min: 1, max: MAX_LIST_VMS_LIMIT}),
+        offset: createValidateNumberFn('offset'),
+        owner_uuid: createValidateUUIDFn('owner_uuid'),
+        req_id: createValidateStringFn('req_id',
+            {re: AUDIT_FILTER_STRING_RE}),
+        route: createValidateStringFn('route', {re: AUDIT_FILTER_STRING_RE}),
+        since: createValidateTimestampFn('since'),
+        until: createValidateTimestampFn('until'),
+        uuid: createValidateUUIDFn('uuid'),
+        vm_uuid: createValidateUUIDFn('vm_uuid')
+    };
+
+    validateParams(listAuditValidators, params, {strict: true}, callback);
+}
+exports.validateListAuditParams = validateListAuditParams;
+
+/*
+ * The execution states of WFAPI jobs.
+ */
+var VALID_JOB_EXECUTIONS = [
+    'canceled',
+    'failed',
+    'queued',
+    'retried',
+    'running',
+    'succeeded',
+    'waiting'
+];
+exports.VALID_JOB_EXECUTIONS = VALID_JOB_EXECUTIONS;
+
+/*
+ * The properties of jobs that ListJobs can sort on.
+ */
+var JOB_SORT_KEYS = ['created_at', 'exec_after', 'execution', 'name'];
+exports.JOB_SORT_KEYS = JOB_SORT_KEYS;
+
+var JOB_TASK_RE = /^[a-z0-9][a-z0-9_-]*$/;
+
+function validJobExecution(execution) {
+    return VALID_JOB_EXECUTIONS.indexOf(execution) !== -1;
+}
+
+function validJobTask(task) {
+    return JOB_TASK_RE.test(task);
+}
+
+/*
+ * Validates the parameters of ListJobs and ListVmJobs requests. "vm_uuid",
+ * "execution" and "task" can be comma-separated lists of values, in which case
+ * jobs matching any of these values are listed. Unknown parameters are
+ * ignored, as they were before ListJobs validated its parameters.
+ */
+function validateListJobsParams(params, callback) {
+    var listJobsValidators = {
+        execution: createValidateCSVFn('execution', validJobExecution),
+        limit: createValidateNumberFn('limit',
+            {min: 1, max: MAX_LIST_JOBS_LIMIT}),
+        marker: createValidateUUIDFn('marker'),
+        offset: createValidateNumberFn('offset'),
+        owner_uuid: createValidateUUIDFn('owner_uuid'),
+        since: createValidateTimestampFn('since'),
+        sort: createValidateSortFn('sort', {validSortKeys: JOB_SORT_KEYS}),
+        task: createValidateCSVFn('task', validJobTask),
+        until: createValidateTimestampFn('until'),
+        vm_uuid: createValidateCSVFn('vm_uuid', validUUID)
+    };
+
+    validateParams(listJobsValidators, params, {strict: false},
+        function onValidated(errs) {
+            errs = errs || [];
+
+            if (params.offset !== undefined && params.marker !== undefined) {
+                errs.push(errors.conflictingParamsErrorsElem(
+                    ['offset', 'marker'],
+                    'offset and marker cannot be used at the same time'));
+            }
+
+            callback(errs.length > 0 ? errs : undefined);
+        });
+}
+exports.validateListJobsParams = validateListJobsParams;
+
+/*
+ * Validates the parameters of WaitJob requests. "timeout" is converted to a
+ * number of milliseconds.
+ */
+function validateWaitJobParams(params, callback) {
+    var waitJobValidators = {
+        execution: createValidateCSVFn('execution', validJobExecution),
+        job_uuid: createValidateUUIDFn('job_uuid', true),
+        timeout: createValidateDurationFn('timeout',
+            {max: MAX_WAIT_JOB_TIMEOUT_MS})
+    };
+
+    validateParams(waitJobValidators, params, {strict: true}, callback);
+}
+exports.validateWaitJobParams = validateWaitJobParams;
+
+/*
+ * Validates the "as_of" parameter of GetVm requests, which get the VM as it was
+ * at that time from its history. The VM's server is not queried for these
+ * requests, so "as_of" cannot be used with "sync".
+ */
+function validateGetVmAsOfParams(params, callback) {
+    var getVmAsOfValidators = {
+        as_of: createValidateTimestampFn('as_of', {required: true})
+    };
+
+    validateParams(getVmAsOfValidators, params, {strict: false},
+        function onValidated(errs) {
+            errs = errs || [];
+
+            if (params.sync === 'true' || params.sync === true) {
+                errs.push(errors.conflictingParamsErrorsElem(
+                    ['as_of', 'sync'],
+                    'as_of and sync cannot be used at the same time'));
+            }
+
+            callback(errs.length > 0 ? errs : undefined);
+        });
+}
+exports.validateGetVmAsOfParams = validateGetVmAsOfParams;
+
+function validateListVmHistoryParams(params, callback) {
+    var listVmHistoryValidators = {
+        limit: createValidateNumberFn('limit',
+            {min: 1, max: MAX_LIST_VMS_LIMIT}),
+        offset: createValidateNumberFn('offset'),
+        owner_uuid: createValidateUUIDFn('owner_uuid'),
+        uuid: createValidateUUIDFn('uuid')
+    };
+
+    validateParams(listVmHistoryValidators, params, {strict: true}, callback);
+}
+exports.validateListVmHistoryParams = validateListVmHistoryParams;
+
+/*
+ * Validates the parameters of requests that create or replace owner limits
+ * (see lib/owner-limits.js).
+ */
+function validateOwnerLimitParams(params, callback) {
+    var ownerLimitValidators = {
+        brand: createValidateStringsListFn('brand', VALID_VM_BRANDS),
+        disk: createValidateNumberFn('disk'),
+        image_uuid: createValidateUUIDFn('image_uuid'),
+        limit_uuid: createValidateUUIDFn('limit_uuid'),
+        owner_uuid: createValidateUUIDFn('owner_uuid', true),
+        ram: createValidateNumberFn('ram'),
+        vms: createValidateNumberFn('vms')
+    };
+
+    validateParams(ownerLimitValidators, params, {strict: true},
+        function onValidated(errs) {
+            errs = errs || [];
+
+            if (params.vms === undefined && params.ram === undefined &&
+                params.disk === undefined) {
+                errs.push(errors.missingParamErrorsElem('vms',
+                    'At least one of vms, ram or disk is required'));
+            }
+
+            callback(errs.length > 0 ? errs : undefined);
+        });
+}
+exports.validateOwnerLimitParams = validateOwnerLimitParams;
+
+/*
+ * ListVms parameters that can't be saved in the filters of a saved search:
+ * owner_uuid is the owner of the search, and the other parameters control
+ * the pagination and rendering of results rather than which VMs are listed.
+ */
+var SEARCH_EXCLUDED_FILTERS = [
+    'fields',
+    'limit',
+    'marker',
+    'offset',
+    'owner_uuid',
+    'sort'
+];
+
+/*
+ * Validates the "filters" of a saved search (see lib/searches.js). Filters are
+ * ListVms parameters in the form in which they are sent in a query string, and
+ * they are validated by validateListVmsParams.
+ */
+function validateSearchFilters(filters, callback) {
+    var errs = [];
+    var filterNames;
+    var filterValidators = createListVmsFilterValidators();
+
+    if (filters === undefined) {
+        callback([errors.missingParamErrorsElem('filters')]);
+        return;
+    }
+
+    if (filters === null || typeof (filters) !== 'object' ||
+        Array.isArray(filters)) {
+        callback([errors.invalidParamErrorsElem('filters',
+            'Must be an object')]);
+        return;
+    }
+
+    filterNames = Object.keys(filters);
+    if (filterNames.length === 0) {
+        callback([errors.invalidParamErrorsElem('filters',
+            'Must have at least one filter')]);
+        return;
+    }
+
+    filterNames.forEach(function checkFilter(filterName) {
+        var paramName = polymorphicParamName(filterName);
+
+        if (filterValidators[paramName] === undefined ||
+            SEARCH_EXCLUDED_FILTERS.indexOf(paramName) !== -1) {
+            errs.push(errors.invalidParamErrorsElem('filters.' + filterName,
+                'Not a supported filter'));
+        } else if (typeof (filters[filterName]) !== 'string') {
+            errs.push(errors.invalidParamErrorsElem('filters.' + filterName,
+                'Not a valid string'));
+        }
+    });
+
+    if (errs.length > 0) {
+        callback(errs);
+        return;
+    }
+
+    /*
+     * Some validators convert the parameters they validate, so the filters
+     * are validated on a copy to be saved as they were sent.
+     */
+    validateListVmsParams(jsprim.deepCopy(filters), function onValidated(err) {
+        if (err) {
+            callback(err.map(function prefixField(errElem) {
+                if (errElem.field !== undefined) {
+                    errElem.field = 'filters.' + errElem.field;
+                }
+                return errElem;
+            }));
+            return;
+        }
+
+        callback();
+    });
+}
+
+/*
+ * Validates the parameters of requests that create or replace saved searches
+ * (see lib/searches.js).
+ */
+function validateSearchParams(params, callback) {
+    var searchValidators = {
+        description: createValidateStringFn('description', {max: 255}),
+        filters: function noop() {
+            return [];
+        },
+        name: createValidateStringFn('name', {
+            re: ALIAS_RE,
+            max: 64,
+            required: true
+        }),
+        owner_uuid: createValidateUUIDFn('owner_uuid', true),
+        search_uuid: createValidateUUIDFn('search_uuid')
+    };
+
+    validateParams(searchValidators, params, {strict: true},
+        function onValidated(errs) {
+            errs = errs || [];
+
+            validateSearchFilters(params.filters,
+                function onFiltersValidated(filtersErrs) {
+                    errs = errs.concat(filtersErrs || []);
+                    callback(errs.length > 0 ? errs : undefined);
+                });
+        });
+}
+exports.validateSearchParams = validateSearchParams;
+
+var VALID_SCHEDULE_ACTIONS = ['reboot', 'snapshot'];
+exports.VALID_SCHEDULE_ACTIONS = VALID_SCHEDULE_ACTIONS;
+
+var MAX_SCHEDULE_VMS = 100;
+var MAX_SCHEDULE_KEEP = 100;
+
+/*
+ * Validates the "cron" parameter of schedules, which must be a cron expression
+ * that is due at least once (see lib/cron.js).
+ */
+function validateScheduleCron(params) {
+    if (params.cron === undefined) {
+        return [errors.missingParamErrorsElem('cron')];
+    }
+
+    if (typeof (params.cron) !== 'string' || !cron.isValidCron(params.cron)) {
+        return [errors.invalidParamErrorsElem('cron',
+            'Not a valid cron expression')];
+    }
+
+    if (cron.nextCronTime(params.cron, Date.now()) === null) {
+        return [errors.invalidParamErrorsElem('cron',
+            'Cron expression is never due')];
+    }
+
+    return [];
+}
+
+/*
+ * Validates the "vm_uuids" parameter of schedules, which is either an array or
+ * a comma-separated list of VM UUIDs, and converts it to an array.
+ */
+function validateScheduleVmUuids(params) {
+    var vmUuids = params.vm_uuids;
+
+    if (vmUuids === undefined) {
+        return [errors.missingParamErrorsElem('vm_uuids')];
+    }
+
+    if (typeof (vmUuids) === 'string') {
+        vmUuids = vmUuids.split(',');
+    }
+
+    if (!Array.isArray(vmUuids) || !vmUuids.every(validUUID)) {
+        return [errors.invalidParamErrorsElem('vm_uuids',
+            'Must be a list of VM UUIDs')];
+    }
+
+    if (vmUuids.length === 0 || vmUuids.length > MAX_SCHEDULE_VMS) {
+        return [errors.invalidParamErrorsElem('vm_uuids',
+            'Must have between 1 and ' + MAX_SCHEDULE_VMS + ' VM UUIDs')];
+    }
+
+    params.vm_uuids = vmUuids.filter(function isFirst(vmUuid, idx) {
+        return vmUuids.indexOf(vmUuid) === idx;
+    });
+
+    return [];
+}
+
+/*
+ * Validates the parameters of requests that create or replace schedules of VM
+ * actions (see lib/schedules.js).
+ */
+function validateScheduleParams(params, callback) {
+    var scheduleValidators = {
+        action: createValidateStringsListFn('action', VALID_SCHEDULE_ACTIONS,
+            {required: true}),
+        cron: validateScheduleCron,
+        enabled: createValidateBooleanFn('enabled'),
+        keep: createValidateNumberFn('keep', {min: 1, max: MAX_SCHEDULE_KEEP}),
+        name: createValidateStringFn('name', {re: ALIAS_RE, max: 64}),
+        owner_uuid: createValidateUUIDFn('owner_uuid', true),
+        schedule_uuid: createValidateUUIDFn('schedule_uuid'),
+        vm_uuids: validateScheduleVmUuids
+    };
+
+    validateParams(scheduleValidators, params, {strict: true},
+        function onValidated(errs) {
+            errs = errs || [];
+
+            if (params.keep !== undefined && params.action !== 'snapshot') {
+                errs.push(errors.conflictingParamsErrorsElem(
+                    ['keep', 'action'],
+                    'keep can only be used with the snapshot action'));
+            }
+
+            callback(errs.length > 0 ? errs : undefined);
+        });
+}
+exports.validateScheduleParams = validateScheduleParams;
+
+var MAX_RETENTION_KEEP_LAST = 1000;
+var MAX_RETENTION_TAGGED_SNAPSHOTS = 100;
+var MAX_SNAPSHOT_NAME_LENGTH = 64;
+
+/*
+ * Validates the "keep_tagged" parameter of snapshot retention policies, which
+ * is either an array or a comma-separated list of snapshot names, and converts
+ * it to an array.
+ */
+function validateRetentionTaggedSnapshots(params) {
+    var names = params.keep_tagged;
+
+    if (names === undefined) {
+        return [];
+    }
+
+    if (typeof (names) === 'string') {
+        names = names.split(',');
+    }
+
+    if (!Array.isArray(names) || !names.every(function validName(name) {
+        return typeof (name) === 'string' && name.length > 0 &&
+            name.length <= MAX_SNAPSHOT_NAME_LENGTH;
+    })) {
+        return [errors.invalidParamErrorsElem('keep_tagged',
+            'Must be a list of snapshot names')];
+    }
+
+    if (names.length > MAX_RETENTION_TAGGED_SNAPSHOTS) {
+        return [errors.invalidParamErrorsElem('keep_tagged',
+            'Must have at most ' + MAX_RETENTION_TAGGED_SNAPSHOTS +
+            ' snapshot names')];
+    }
+
+    params.keep_tagged = names;
+
+    return [];
+}
+
+/*
+ * Validates the parameters of requests that set the snapshot retention policy
+ * of a VM (see lib/snapshot-retention.js).
+ */
+function validateSnapshotRetentionParams(params, callback) {
+    var retentionValidators = {
+        creator_uuid: createValidateUUIDFn('creator_uuid'),
+        keep_last: createValidateNumberFn('keep_last', {
+            min: 1,
+            max: MAX_RETENTION_KEEP_LAST
+        }),
+        keep_newer_than: function validateKeepNewerThan(prms) {
+            if (prms.keep_newer_than !== undefined &&
+                snapshotRetention.parseRetentionDuration(
+                    prms.keep_newer_than) === null) {
+                return [errors.invalidParamErrorsElem('keep_newer_than',
+                    'Must be a number of hours, days or weeks, e.g 7d')];
+            }
+
+            return [];
+        },
+        keep_tagged: validateRetentionTaggedSnapshots,
+        origin: createValidateStringFn('origin'),
+        uuid: createValidateUUIDFn('uuid')
+    };
+
+    validateParams(retentionValidators, params, {strict: true},
+        function onValidated(errs) {
+            errs = errs || [];
+
+            if (params.keep_last === undefined &&
+                params.keep_newer_than === undefined) {
+                errs.push(errors.missingParamErrorsElem('keep_last',
+                    'At least one of keep_last or keep_newer_than is ' +
+                    'required'));
+            }
+
+            callback(errs.length > 0 ? errs : undefined);
+        });
+}
+exports.validateSnapshotRetentionParams = validateSnapshotRetentionParams;
+
 function validTimestamp(timestamp) {
     // Try the ISO string form
     var date = new Date(timestamp);
@@ -2800,6 +3441,33 @@ function validVmField(field) {
 }
 exports.validVmField = validVmField;
 
+/*
+ * Returns true if "fieldPath" is a valid element of the "fields" parameter
+ * (see parseVmFieldsParam): "*", or a VM field name optionally followed by
+ * nested property names separated by dots, and optionally prefixed with "-".
+ */
+function validVmFieldPath(fieldPath) {
+    assert.string(fieldPath, 'fieldPath');
+
+    var pathComponents;
+
+    if (fieldPath === '*') {
+        return true;
+    }
+
+    if (fieldPath[0] === '-') {
+        fieldPath = fieldPath.substr(1);
+    }
+
+    pathComponents = fieldPath.split('.');
+
+    return pathComponents[0] !== '*' && validVmField(pathComponents[0]) &&
+        pathComponents.every(function isNotEmpty(pathComponent) {
+            return pathComponent.length > 0;
+        });
+}
+exports.validVmFieldPath = validVmFieldPath;
+
 function isSortOrderDescending(order) {
     assert.string(order);
     return order.toUpperCase() === 'DESC';
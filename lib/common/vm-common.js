@@ -5,10 +5,11 @@
  */
 
 /*
- * Copyright 2019 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 var assert = require('assert-plus');
+var net = require('net');
 var restify = require('restify');
 var strsplit = require('strsplit');
 
@@ -256,6 +257,8 @@ function sanitizeJobParams(params) {
     return newParams;
 }
 
+exports.sanitizeJobParams = sanitizeJobParams;
+
 
 
 /*
@@ -556,3 +559,419 @@ function internalMetadataToSearchArray(internalMetadata, options) {
 
     return searchArray;
 };
+
+/*
+ * Maps the names of the NIC properties that VMs can be searched on to the name
+ * of the indexed moray field that stores the values of that property for all
+ * NICs of a VM.
+ */
+var NIC_SEARCH_FIELDS = {
+    ip: 'ip_search_array',
+    mac: 'mac_search_array',
+    network_uuid: 'network_uuid_search_array',
+    nic_tag: 'nic_tag_search_array'
+};
+exports.NIC_SEARCH_FIELDS = NIC_SEARCH_FIELDS;
+
+/*
+ * Returns an object that has a property for each of the values of
+ * NIC_SEARCH_FIELDS, whose value is the array of the (unique) values of the
+ * corresponding property for the NICs in "nics". IP addresses are stored
+ * without their prefix length (e.g "10.0.0.1" for "10.0.0.1/24"), and MAC
+ * addresses are lowercased.
+ *
+ * As for internal_metadata_search_array, these arrays are empty instead of
+ * undefined when a VM has no NIC, since moray does not support filters on array
+ * indexes with null values.
+ *
+ * @params {Array} nics (optional): the NICs of a VM, either as an array of
+ *   objects or as its JSON representation (as stored in moray).
+ */
+exports.nicsToSearchArrays = function nicsToSearchArrays(nics) {
+    var searchArrays = {};
+
+    if (typeof (nics) === 'string') {
+        try {
+            nics = JSON.parse(nics);
+        } catch (parseErr) {
+            nics = undefined;
+        }
+    }
+
+    /*
+     * Invalid NICs values should not prevent VMs from being stored or migrated
+     * (see internalMetadataToSearchArray), so they are ignored.
+     */
+    if (!Array.isArray(nics)) {
+        nics = [];
+    }
+
+    Object.keys(NIC_SEARCH_FIELDS).forEach(function initArray(nicProp) {
+        searchArrays[NIC_SEARCH_FIELDS[nicProp]] = [];
+    });
+
+    function addValue(nicProp, value) {
+        var searchArray = searchArrays[NIC_SEARCH_FIELDS[nicProp]];
+
+        if (typeof (value) === 'string' && value.length > 0 &&
+            searchArray.indexOf(value) === -1) {
+            searchArray.push(value);
+        }
+    }
+
+    nics.forEach(function addNicValues(nic) {
+        if (!nic || typeof (nic) !== 'object') {
+            return;
+        }
+
+        /*
+         * "ips" can also have values such as "dhcp" or "addrconf" that are not
+         * IP addresses.
+         */
+        [nic.ip].concat(nic.ips || []).forEach(function addIp(ip) {
+            if (typeof (ip) === 'string' && net.isIP(ip.split('/')[0])) {
+                addValue('ip', ip.split('/')[0]);
+            }
+        });
+
+        if (typeof (nic.mac) === 'string') {
+            addValue('mac', nic.mac.toLowerCase());
+        }
+
+        addValue('network_uuid', nic.network_uuid);
+        addValue('nic_tag', nic.nic_tag);
+    });
+
+    return searchArrays;
+};
+
+var FULLTEXT_SEARCH_MIN_TOKEN_LENGTH = 2;
+var FULLTEXT_SEARCH_MAX_PREFIX_LENGTH = 20;
+var FULLTEXT_SEARCH_MAX_TOKENS = 100;
+var DOCKER_LABEL_TAG_PREFIX = 'docker:label:';
+
+/*
+ * The weight of a token in the ranking of search results depends on where it
+ * comes from: matching a VM's alias is better than matching one of its tags'
+ * value, which is better than matching a key.
+ */
+var FULLTEXT_SEARCH_WEIGHTS = {
+    alias: 3,
+    value: 2,
+    key: 1
+};
+
+/*
+ * Splits the string "str" in lowercased alphanumeric tokens, ignoring tokens
+ * that are shorter than FULLTEXT_SEARCH_MIN_TOKEN_LENGTH characters. Returns an
+ * array of unique tokens in the order in which they appear in "str".
+ */
+function tokenizeSearchString(str) {
+    var tokens = [];
+
+    assert.string(str, 'str');
+
+    str.toLowerCase().split(/[^a-z0-9]+/).forEach(function addToken(token) {
+        if (token.length >= FULLTEXT_SEARCH_MIN_TOKEN_LENGTH &&
+            tokens.indexOf(token) === -1) {
+            tokens.push(token);
+        }
+    });
+
+    return tokens;
+}
+exports.tokenizeSearchString = tokenizeSearchString;
+
+/*
+ * Returns an object that maps each token found in the searchable properties of
+ * the VM "vm" (its alias, its tags' keys and values, its customer_metadata keys
+ * and its docker labels) to its weight (see FULLTEXT_SEARCH_WEIGHTS). Docker
+ * labels are stored as tags whose key starts with "docker:label:", and only the
+ * rest of their key is tokenized.
+ */
+function getVmSearchTokens(vm) {
+    var tokens = {};
+
+    assert.object(vm, 'vm');
+
+    function addTokens(value, weight) {
+        if (value === undefined || value === null ||
+            typeof (value) === 'object') {
+            return;
+        }
+
+        tokenizeSearchString(String(value)).forEach(function addToken(token) {
+            if (!tokens.hasOwnProperty(token) || tokens[token] < weight) {
+                tokens[token] = weight;
+            }
+        });
+    }
+
+    addTokens(vm.alias, FULLTEXT_SEARCH_WEIGHTS.alias);
+
+    if (vm.tags && typeof (vm.tags) === 'object') {
+        Object.keys(vm.tags).forEach(function addTagTokens(tagKey) {
+            var searchedKey = tagKey;
+
+            if (tagKey.indexOf(DOCKER_LABEL_TAG_PREFIX) === 0) {
+                searchedKey = tagKey.substr(DOCKER_LABEL_TAG_PREFIX.length);
+            }
+
+            addTokens(searchedKey, FULLTEXT_SEARCH_WEIGHTS.key);
+            addTokens(vm.tags[tagKey], FULLTEXT_SEARCH_WEIGHTS.value);
+        });
+    }
+
+    if (vm.customer_metadata && typeof (vm.customer_metadata) === 'object') {
+        Object.keys(vm.customer_metadata).forEach(function addKeyTokens(key) {
+            addTokens(key, FULLTEXT_SEARCH_WEIGHTS.key);
+        });
+    }
+
+    return tokens;
+}
+exports.getVmSearchTokens = getVmSearchTokens;
+
+/*
+ * Returns the search term to use to find the VMs that have a token that starts
+ * with the token "token" in their indexed fulltext_search_array field.
+ */
+function searchTokenToTerm(token) {
+    assert.string(token, 'token');
+
+    return token.substr(0, FULLTEXT_SEARCH_MAX_PREFIX_LENGTH);
+}
+exports.searchTokenToTerm = searchTokenToTerm;
+
+/*
+ * Generates the array of strings to store in the indexed fulltext_search_array
+ * field of the VM "vm". Moray only supports exact matches on array fields, so
+ * to make it possible to search VMs by fragments of words, all prefixes of each
+ * token (up to FULLTEXT_SEARCH_MAX_PREFIX_LENGTH characters) are stored. At
+ * most FULLTEXT_SEARCH_MAX_TOKENS tokens are stored for each VM, starting with
+ * the ones with the highest weight.
+ */
+exports.vmToFulltextSearchArray = function vmToFulltextSearchArray(vm) {
+    var prefixes = {};
+    var tokens = getVmSearchTokens(vm);
+    var sortedTokens;
+
+    sortedTokens = Object.keys(tokens).sort(function byWeight(a, b) {
+        return tokens[b] - tokens[a];
+    });
+
+    sortedTokens.slice(0, FULLTEXT_SEARCH_MAX_TOKENS).forEach(
+        function addPrefixes(token) {
+            var maxLength = Math.min(token.length,
+                FULLTEXT_SEARCH_MAX_PREFIX_LENGTH);
+            var prefixLength;
+
+            for (prefixLength = FULLTEXT_SEARCH_MIN_TOKEN_LENGTH;
+                prefixLength <= maxLength; ++prefixLength) {
+                prefixes[token.substr(0, prefixLength)] = true;
+            }
+        });
+
+    return Object.keys(prefixes);
+};
+
+
+/*
+ * Parses the "fields" parameter of GET /vms and GET /vms/:uuid, a
+ * comma-separated list of field paths. A field path is a VM property name,
+ * optionally followed by the names of nested properties separated by dots
+ * (e.g "nics.ip" or "customer_metadata.user-script"). A field path prefixed
+ * with "-" excludes that field from the response. "*" selects all fields.
+ *
+ * Returns an object with the following properties:
+ *
+ * - all: true if "*" was passed
+ *
+ * - include: an array of the field paths to include in the response, each
+ * represented as an array of property names
+ *
+ * - exclude: an array of the field paths to exclude from the response, each
+ * represented as an array of property names
+ */
+function parseVmFieldsParam(fieldsParam) {
+    assert.string(fieldsParam, 'fieldsParam');
+
+    var parsedFields = {all: false, include: [], exclude: []};
+
+    fieldsParam.split(',').forEach(function parseField(field) {
+        if (field === '*') {
+            parsedFields.all = true;
+        } else if (field[0] === '-') {
+            parsedFields.exclude.push(field.substr(1).split('.'));
+        } else {
+            parsedFields.include.push(field.split('.'));
+        }
+    });
+
+    return parsedFields;
+}
+exports.parseVmFieldsParam = parseVmFieldsParam;
+
+/*
+ * Returns the property of the object "obj" that the field path "fieldPath"
+ * starts with, along with the rest of the path. Property names can contain dots
+ * (e.g docker labels in tags), so the longest matching property name is used.
+ * Returns null if no property of "obj" matches.
+ */
+function matchFieldPath(obj, fieldPath) {
+    var key;
+    var nbComponents;
+
+    for (nbComponents = fieldPath.length; nbComponents > 0; --nbComponents) {
+        key = fieldPath.slice(0, nbComponents).join('.');
+        if (Object.prototype.hasOwnProperty.call(obj, key)) {
+            return {key: key, rest: fieldPath.slice(nbComponents)};
+        }
+    }
+
+    return null;
+}
+
+/*
+ * Returns a copy of "value" that only has the nested properties selected by
+ * the field paths "fieldPaths". Arrays are projected element by element, so
+ * that e.g ["ip"] selects the "ip" property of each element of the "nics"
+ * array. Returns undefined if "value" has none of the selected properties.
+ */
+function projectVmFieldValue(value, fieldPaths) {
+    assert.arrayOfArray(fieldPaths, 'fieldPaths');
+
+    var projected = {};
+    var restsByKey = {};
+    var wholeKeys = {};
+
+    if (Array.isArray(value)) {
+        return value.map(function projectElement(element) {
+            return projectVmFieldValue(element, fieldPaths);
+        });
+    }
+
+    if (value === null || typeof (value) !== 'object') {
+        return undefined;
+    }
+
+    fieldPaths.forEach(function groupByKey(fieldPath) {
+        var match = matchFieldPath(value, fieldPath);
+
+        if (match === null) {
+            return;
+        }
+
+        if (match.rest.length === 0) {
+            wholeKeys[match.key] = true;
+        } else {
+            restsByKey[match.key] = restsByKey[match.key] || [];
+            restsByKey[match.key].push(match.rest);
+        }
+    });
+
+    Object.keys(wholeKeys).forEach(function copyWholeKey(key) {
+        projected[key] = value[key];
+    });
+
+    Object.keys(restsByKey).forEach(function projectKey(key) {
+        var projectedValue;
+
+        if (wholeKeys[key]) {
+            return;
+        }
+
+        projectedValue = projectVmFieldValue(value[key], restsByKey[key]);
+        if (projectedValue !== undefined) {
+            projected[key] = projectedValue;
+        }
+    });
+
+    if (Object.keys(projected).length === 0) {
+        return undefined;
+    }
+
+    return projected;
+}
+exports.projectVmFieldValue = projectVmFieldValue;
+
+/*
+ * Returns a copy of "value" without the nested property designated by the
+ * field path "fieldPath". Arrays are handled element by element. "value" is
+ * not modified.
+ */
+function omitVmFieldValue(value, fieldPath) {
+    assert.array(fieldPath, 'fieldPath');
+
+    var match;
+    var omitted;
+
+    if (Array.isArray(value)) {
+        return value.map(function omitFromElement(element) {
+            return omitVmFieldValue(element, fieldPath);
+        });
+    }
+
+    if (value === null || typeof (value) !== 'object') {
+        return value;
+    }
+
+    match = matchFieldPath(value, fieldPath);
+    if (match === null) {
+        return value;
+    }
+
+    omitted = clone(value);
+    if (match.rest.length === 0) {
+        delete omitted[match.key];
+    } else {
+        omitted[match.key] = omitVmFieldValue(value[match.key], match.rest);
+    }
+
+    return omitted;
+}
+exports.omitVmFieldValue = omitVmFieldValue;
+
+/*
+ * Returns the value of the nested property designated by the field path
+ * "fieldPath" in "value", or undefined if "value" doesn't have it. When a
+ * property along the path is an array, the values found in each of its
+ * elements are returned in an array, e.g the IP addresses of all NICs for
+ * ["nics", "ip"].
+ */
+function getVmFieldValue(value, fieldPath) {
+    assert.array(fieldPath, 'fieldPath');
+
+    var match;
+    var values = [];
+
+    if (fieldPath.length === 0) {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach(function addElementValue(element) {
+            var elementValue = getVmFieldValue(element, fieldPath);
+
+            if (Array.isArray(elementValue)) {
+                values = values.concat(elementValue);
+            } else if (elementValue !== undefined) {
+                values.push(elementValue);
+            }
+        });
+
+        return values;
+    }
+
+    if (value === null || typeof (value) !== 'object') {
+        return undefined;
+    }
+
+    match = matchFieldPath(value, fieldPath);
+    if (match === null) {
+        return undefined;
+    }
+
+    return getVmFieldValue(value[match.key], match.rest);
+}
+exports.getVmFieldValue = getVmFieldValue;
@@ -0,0 +1,199 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Parses cron expressions and computes when they are next due. Expressions
+ * have the usual five fields, "minute hour day-of-month month day-of-week",
+ * and are always evaluated in UTC. Each field is "*", a value, a range
+ * ("1-5"), a step ("*\/15" or "0-30/10") or a comma-separated list of those.
+ * Days of the week go from 0 (Sunday) to 7 (Sunday again), and the
+ * "@hourly", "@daily", "@weekly", "@monthly" and "@yearly" shortcuts are
+ * supported.
+ *
+ * As with cron(8), when both the day of the month and the day of the week are
+ * restricted, an expression is due on days that match either of them.
+ */
+
+var assert = require('assert-plus');
+
+var CRON_FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day of month', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12},
+    {name: 'day of week', min: 0, max: 7}
+];
+
+var CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+var CRON_FIELD_ITEM_RE = /^(\*|[0-9]+(?:-[0-9]+)?)(?:\/([0-9]+))?$/;
+
+/*
+ * Expressions that can never be due (e.g "0 0 31 2 *") are detected by giving
+ * up after that many years.
+ */
+var MAX_SEARCHED_YEARS = 5;
+
+/*
+ * Parses the field "str" of a cron expression according to "field" (one of
+ * CRON_FIELDS), and returns an object whose keys are the values that the field
+ * matches. Throws an error if the field is invalid.
+ */
+function parseCronField(str, field) {
+    var values = {};
+
+    str.split(',').forEach(function parseItem(item) {
+        var end;
+        var matches = CRON_FIELD_ITEM_RE.exec(item);
+        var range;
+        var start;
+        var step;
+        var value;
+
+        if (!matches) {
+            throw new Error('invalid ' + field.name + ': ' + item);
+        }
+
+        if (matches[1] === '*') {
+            start = field.min;
+            end = field.max;
+        } else {
+            range = matches[1].split('-');
+            start = Number(range[0]);
+            end = range.length > 1 ? Number(range[1]) : start;
+            // A value with a step, e.g "5/15", means "from 5 to the max".
+            if (range.length === 1 && matches[2] !== undefined) {
+                end = field.max;
+            }
+        }
+
+        step = matches[2] !== undefined ? Number(matches[2]) : 1;
+
+        if (start < field.min || end > field.max || start > end ||
+            step === 0) {
+            throw new Error('invalid ' + field.name + ': ' + item);
+        }
+
+        for (value = start; value <= end; value += step) {
+            values[value] = true;
+        }
+    });
+
+    return values;
+}
+
+/*
+ * Parses the cron expression "expression", and returns an object that can be
+ * passed to "nextCronTime". Throws an error if the expression is invalid.
+ */
+function parseCron(expression) {
+    assert.string(expression, 'expression');
+
+    var fields = (CRON_SHORTCUTS[expression] || expression).trim().split(/\s+/);
+    var parsed;
+
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new Error('cron expressions must have ' + CRON_FIELDS.length +
+            ' fields');
+    }
+
+    parsed = {
+        minutes: parseCronField(fields[0], CRON_FIELDS[0]),
+        hours: parseCronField(fields[1], CRON_FIELDS[1]),
+        daysOfMonth: parseCronField(fields[2], CRON_FIELDS[2]),
+        months: parseCronField(fields[3], CRON_FIELDS[3]),
+        daysOfWeek: parseCronField(fields[4], CRON_FIELDS[4]),
+        anyDayOfMonth: fields[2] === '*',
+        anyDayOfWeek: fields[4] === '*'
+    };
+
+    // 7 is another name for Sunday.
+    if (parsed.daysOfWeek[7]) {
+        parsed.daysOfWeek[0] = true;
+    }
+
+    return parsed;
+}
+
+/*
+ * Returns true if "expression" is a valid cron expression.
+ */
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+    } catch (err) {
+        return false;
+    }
+
+    return true;
+}
+
+function cronDayMatches(parsed, date) {
+    var dayOfMonthMatches = parsed.daysOfMonth[date.getUTCDate()] === true;
+    var dayOfWeekMatches = parsed.daysOfWeek[date.getUTCDay()] === true;
+
+    if (parsed.anyDayOfMonth || parsed.anyDayOfWeek) {
+        return dayOfMonthMatches && dayOfWeekMatches;
+    }
+
+    return dayOfMonthMatches || dayOfWeekMatches;
+}
+
+/*
+ * Returns the first time, in milliseconds since the epoch, strictly after
+ * "after" (also in milliseconds since the epoch) at which the cron expression
+ * "expression" is due, or null if it is never due.
+ */
+function nextCronTime(expression, after) {
+    assert.string(expression, 'expression');
+    assert.number(after, 'after');
+
+    var date = new Date(after);
+    var limit;
+    var parsed = parseCron(expression);
+
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    limit = Date.UTC(date.getUTCFullYear() + MAX_SEARCHED_YEARS, 0, 1);
+
+    /*
+     * Skip whole months, days and hours that don't match, so that this takes
+     * at most a few thousand iterations.
+     */
+    while (date.getTime() < limit) {
+        if (!parsed.months[date.getUTCMonth() + 1]) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!parsed.hours[date.getUTCHours()]) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!parsed.minutes[date.getUTCMinutes()]) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    isValidCron: isValidCron,
+    nextCronTime: nextCronTime,
+    parseCron: parseCron
+};
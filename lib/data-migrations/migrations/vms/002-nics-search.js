@@ -0,0 +1,49 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * This data migration is used to allow searching VMs by the properties of their
+ * NICs. It reads the content of the nics property of each VM object, and writes
+ * their IP addresses, MAC addresses, network UUIDs and NIC tags to the indexed
+ * "ip_search_array", "mac_search_array", "network_uuid_search_array" and
+ * "nic_tag_search_array" properties.
+ */
+
+var assert = require('assert-plus');
+var common = require('../../../common');
+
+var DATA_VERSION = 2;
+
+function migrateRecord(record, options) {
+    var nicsSearchArrays;
+    var recordValue;
+
+    assert.object(record, 'record');
+    assert.object(record.value, 'record.value');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+
+    recordValue = record.value;
+
+    nicsSearchArrays = common.nicsToSearchArrays(recordValue.nics);
+
+    Object.keys(nicsSearchArrays).forEach(function setField(field) {
+        recordValue[field] = nicsSearchArrays[field];
+    });
+
+    recordValue.data_version = DATA_VERSION;
+
+    return record;
+}
+
+module.exports = {
+    migrateRecord: migrateRecord,
+    DATA_VERSION: DATA_VERSION
+};
@@ -0,0 +1,49 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * This data migration is used to allow searching VMs with GET /vms/search. It
+ * reads the alias, tags and customer_metadata properties of each VM object, and
+ * writes the words they contain to the indexed "fulltext_search_array"
+ * property.
+ */
+
+var assert = require('assert-plus');
+var common = require('../../../common');
+
+var DATA_VERSION = 3;
+
+function migrateRecord(record, options) {
+    var recordValue;
+    var vm;
+
+    assert.object(record, 'record');
+    assert.object(record.value, 'record.value');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+
+    recordValue = record.value;
+
+    /*
+     * translateVm parses the properties of the object it's passed in place, so
+     * it must not be passed the record's value, which is written back as is.
+     */
+    vm = common.translateVm(common.clone(recordValue), true);
+
+    recordValue.fulltext_search_array = common.vmToFulltextSearchArray(vm);
+    recordValue.data_version = DATA_VERSION;
+
+    return record;
+}
+
+module.exports = {
+    migrateRecord: migrateRecord,
+    DATA_VERSION: DATA_VERSION
+};
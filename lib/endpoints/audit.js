@@ -0,0 +1,71 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Endpoints to list the audit entries of requests that modified VMs (see
+ * lib/audit.js).
+ */
+
+var audit = require('../audit');
+var common = require('../common');
+var errors = require('../errors');
+var interceptors = require('../interceptors');
+
+
+/*
+ * GET /audit
+ * GET /vms/:uuid/audit
+ */
+function listAudit(req, res, next) {
+    req.log.trace({params: req.params}, 'ListAudit start');
+
+    common.validateListAuditParams(req.params, function onValidated(errs) {
+        var params = req.params;
+
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        if (req.vm) {
+            params.vm_uuid = req.vm.uuid;
+        }
+
+        req.app.moray.listAuditEntries(params, function onList(err, entries) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, entries.map(audit.translateAuditEntry));
+            next();
+        });
+    });
+}
+
+
+/*
+ * Mounts audit endpoints as server routes. GET /vms/:uuid/audit must be
+ * mounted before the metadata endpoints, otherwise it would be handled by the
+ * ListMetadata route (GET /vms/:uuid/:metaType).
+ */
+function mount(server) {
+    server.get({ path: '/audit', name: 'ListAudit' }, listAudit);
+    server.get({ path: '/vms/:uuid/audit', name: 'ListVmAudit' },
+        interceptors.loadVm,
+        listAudit);
+}
+
+
+// --- Exports
+
+module.exports = {
+    mount: mount
+};
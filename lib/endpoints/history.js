@@ -0,0 +1,83 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Endpoint to list the revisions of a VM. A new revision is stored each time
+ * the VM's record changes (see Moray.prototype.putVm), and revisions older
+ * than the "vm_history_retention_days" SAPI configuration value are purged
+ * periodically (see VmapiApp.prototype._purgeVmHistory).
+ */
+
+var assert = require('assert-plus');
+
+var common = require('../common');
+var errors = require('../errors');
+var interceptors = require('../interceptors');
+
+
+/*
+ * Returns the API representation of the VM revision "revision". The VM itself
+ * is not included, it can be retrieved with GetVm and the revision's timestamp
+ * as the "as_of" parameter.
+ */
+function translateVmRevision(revision) {
+    assert.object(revision, 'revision');
+
+    return {
+        uuid: revision.uuid,
+        timestamp: new Date(revision.timestamp).toISOString(),
+        diffs: revision.diffs
+    };
+}
+
+
+/*
+ * GET /vms/:uuid/history
+ */
+function listVmHistory(req, res, next) {
+    req.log.trace({ vm_uuid: req.params.uuid }, 'ListVmHistory start');
+
+    common.validateListVmHistoryParams(req.params, function onValidated(errs) {
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        req.app.moray.listVmRevisions(req.vm.uuid, req.params,
+            function onList(err, revisions) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                res.send(200, revisions.map(translateVmRevision));
+                next();
+            });
+    });
+}
+
+
+/*
+ * Mounts VM history endpoints as server routes. GET /vms/:uuid/history must be
+ * mounted before the metadata endpoints, otherwise it would be handled by the
+ * ListMetadata route (GET /vms/:uuid/:metaType).
+ */
+function mount(server) {
+    server.get({ path: '/vms/:uuid/history', name: 'ListVmHistory' },
+        interceptors.loadVm,
+        listVmHistory);
+}
+
+
+// --- Exports
+
+module.exports = {
+    mount: mount
+};
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -13,10 +13,43 @@
  */
 
 var assert = require('assert');
+var jsprim = require('jsprim');
 var restify = require('restify');
+var sdc = require('sdc-clients');
+var vasync = require('vasync');
 
+var audit = require('../audit');
 var common = require('../common');
+var errors = require('../errors');
 var interceptors = require('../interceptors');
+var jobPoller = require('../job-poller');
+var sortValidation = require('../validation/sort');
+var vms = require('./vms');
+
+var DEFAULT_LIST_JOBS_LIMIT = common.MAX_LIST_JOBS_LIMIT;
+var DEFAULT_LIST_JOBS_SORT_ORDER = 'DESC';
+var DEFAULT_WAIT_JOB_TIMEOUT_MS = 30 * 1000;
+var TIMESTAMP_JOB_FIELDS = ['created_at', 'exec_after'];
+var WFAPI_LIST_JOBS_PAGE_SIZE = 1000;
+
+/*
+ * The maximum number of jobs that are loaded from WFAPI for a ListJobs
+ * request that VMAPI has to filter or sort. When more jobs match the filters
+ * that WFAPI applies, only the most recent ones are loaded, and the request
+ * fails unless the requested page can be listed from them (see listJobs).
+ */
+var MAX_LIST_JOBS_CANDIDATES = 10000;
+
+/*
+ * The ListJobs filters that WFAPI can apply, when they have a single value.
+ */
+var WFAPI_LIST_JOBS_FILTERS = ['execution', 'task', 'vm_uuid', 'owner_uuid'];
+
+/*
+ * The maximum number of values of a ListJobs filter for which WFAPI is sent
+ * one query per value. Longer lists of values are applied by VMAPI.
+ */
+var MAX_WFAPI_LIST_JOBS_QUERIES = 10;
 
 
 
@@ -37,6 +70,213 @@ function getJob(req, res, next) {
 
 
 
+/*
+ * Returns a function that compares jobs according to the sort criteria
+ * "sortCriteria" (see lib/validation/sort.js). Jobs that are equal for all
+ * criteria are sorted by UUID, so that the order of jobs is always the same.
+ */
+function createCompareJobsFn(sortCriteria) {
+    return function compareJobs(a, b) {
+        var idx;
+        var order;
+        var valueA;
+        var valueB;
+
+        for (idx = 0; idx < sortCriteria.length; ++idx) {
+            valueA = a[sortCriteria[idx].field];
+            valueB = b[sortCriteria[idx].field];
+            order = sortCriteria[idx].order || DEFAULT_LIST_JOBS_SORT_ORDER;
+
+            if (TIMESTAMP_JOB_FIELDS.indexOf(sortCriteria[idx].field) !== -1) {
+                valueA = valueA ? Date.parse(valueA) : 0;
+                valueB = valueB ? Date.parse(valueB) : 0;
+            } else {
+                valueA = valueA === undefined ? '' : String(valueA);
+                valueB = valueB === undefined ? '' : String(valueB);
+            }
+
+            if (valueA !== valueB) {
+                return (valueA < valueB ? -1 : 1) * (order === 'ASC' ? 1 : -1);
+            }
+        }
+
+        if (a.uuid === b.uuid) {
+            return 0;
+        }
+
+        return a.uuid < b.uuid ? -1 : 1;
+    };
+}
+
+
+/*
+ * Returns true if the (translated) job "job" matches all the filters of the
+ * validated ListJobs parameters "params".
+ */
+function jobMatchesParams(job, params) {
+    var createdAt = Date.parse(job.created_at);
+
+    function matchesList(value, csv) {
+        return csv === undefined || csv.split(',').indexOf(value) !== -1;
+    }
+
+    return matchesList(job.execution, params.execution) &&
+        matchesList(job.params.task, params.task) &&
+        matchesList(job.params.vm_uuid, params.vm_uuid) &&
+        (params.owner_uuid === undefined ||
+            job.params.owner_uuid === params.owner_uuid) &&
+        (params.since === undefined || createdAt >= params.since) &&
+        (params.until === undefined || createdAt <= params.until);
+}
+
+
+/*
+ * Returns the queries to send to WFAPI to list the jobs that can match the
+ * validated ListJobs parameters "params". WFAPI can only filter jobs on a
+ * single value of each of WFAPI_LIST_JOBS_FILTERS, so the jobs that match a
+ * list of values of one of these filters are listed with one query per value.
+ * When several filters are lists, the one with the fewest values is used. The
+ * other filters have to be applied by jobMatchesParams.
+ */
+function getWfapiListJobsQueries(params) {
+    var listName;
+    var listValues;
+    var query = {};
+
+    WFAPI_LIST_JOBS_FILTERS.forEach(function (name) {
+        var values;
+
+        if (params[name] === undefined) {
+            return;
+        }
+
+        values = params[name].split(',');
+
+        if (values.length === 1) {
+            query[name] = values[0];
+        } else if (values.length <= MAX_WFAPI_LIST_JOBS_QUERIES &&
+            (listValues === undefined || values.length < listValues.length)) {
+            listName = name;
+            listValues = values;
+        }
+    });
+
+    if (listName === undefined) {
+        return [query];
+    }
+
+    return listValues.map(function (value) {
+        var valueQuery = common.clone(query);
+
+        valueQuery[listName] = value;
+        return valueQuery;
+    });
+}
+
+
+/*
+ * Returns true if WFAPI can list the jobs that match the validated ListJobs
+ * parameters "params" by itself: all filters can be applied by WFAPI, and jobs
+ * are sorted by "sortCriteria" in the order in which WFAPI lists them, from the
+ * most recent to the oldest.
+ */
+function canListJobsWithWfapi(params, sortCriteria) {
+    return isWfapiJobsOrder(sortCriteria) &&
+        params.marker === undefined &&
+        params.since === undefined &&
+        params.until === undefined &&
+        WFAPI_LIST_JOBS_FILTERS.every(function (name) {
+            return params[name] === undefined ||
+                params[name].indexOf(',') === -1;
+        });
+}
+
+
+/*
+ * Returns true if "sortCriteria" sorts jobs in the order in which WFAPI lists
+ * them, from the most recent to the oldest.
+ */
+function isWfapiJobsOrder(sortCriteria) {
+    return sortCriteria.length === 1 &&
+        sortCriteria[0].field === 'created_at' &&
+        (sortCriteria[0].order || DEFAULT_LIST_JOBS_SORT_ORDER) === 'DESC';
+}
+
+
+/*
+ * Lists the jobs from WFAPI that can match the validated ListJobs parameters
+ * "params", using the queries returned by getWfapiListJobsQueries. Each query
+ * lists jobs one page at a time, from the most recent to the oldest, and at
+ * most MAX_LIST_JOBS_CANDIDATES jobs are listed for all queries. "callback" is
+ * called as callback(err, candidates, cutoff), where "cutoff" is undefined if
+ * all the jobs that can match "params" were listed. Otherwise, it's the
+ * creation time, in milliseconds, of the most recent job that some of the
+ * jobs that were not listed could have been created at, or before.
+ */
+function listCandidateJobs(req, params, callback) {
+    var candidates = [];
+    var cutoff;
+    var queries = getWfapiListJobsQueries(params);
+    var maxQueryJobs = Math.ceil(MAX_LIST_JOBS_CANDIDATES / queries.length);
+
+    function listQueryJobs(query, done) {
+        var nbQueryJobs = 0;
+        var wfapiParams = common.clone(query);
+
+        wfapiParams.limit = WFAPI_LIST_JOBS_PAGE_SIZE;
+
+        function listPage() {
+            wfapiParams.offset = nbQueryJobs;
+
+            req.app.wfapi.listJobs(wfapiParams, function onList(err, jobs) {
+                var oldest;
+
+                if (err) {
+                    done(err);
+                    return;
+                }
+
+                candidates = candidates.concat(jobs);
+                nbQueryJobs += jobs.length;
+
+                if (jobs.length < WFAPI_LIST_JOBS_PAGE_SIZE) {
+                    done();
+                    return;
+                }
+
+                if (nbQueryJobs >= maxQueryJobs) {
+                    req.log.warn({query: query, max: maxQueryJobs},
+                        'too many jobs match ListJobs filters, ignoring ' +
+                        'oldest jobs');
+                    oldest = Date.parse(jobs[jobs.length - 1].created_at);
+                    if (cutoff === undefined || oldest > cutoff) {
+                        cutoff = oldest;
+                    }
+                    done();
+                    return;
+                }
+
+                listPage();
+            });
+        }
+
+        listPage();
+    }
+
+    vasync.forEachPipeline({
+        func: listQueryJobs,
+        inputs: queries
+    }, function onListed(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, candidates, cutoff);
+    });
+}
+
+
 /*
  * GET /jobs
  * GET /vms/:uuid/jobs
@@ -44,16 +284,776 @@ function getJob(req, res, next) {
 function listJobs(req, res, next) {
     req.log.trace('ListJobs start');
 
-    if (req.vm)
-        req.params.vm_uuid = req.vm.uuid;
+    var limit = DEFAULT_LIST_JOBS_LIMIT;
+    var markerJob;
+    var offset = 0;
+    var params = common.clone(req.params);
+    var sortCriteria;
 
-    req.app.wfapi.listJobs(req.params, function (err, jobs) {
-        if (err)
-            return next(err);
+    if (req.vm) {
+        delete params.uuid;
+        params.vm_uuid = req.vm.uuid;
+    }
 
-        res.send(jobs);
-        return next();
+    vasync.pipeline({funcs: [
+        function validateParams(_, done) {
+            common.validateListJobsParams(params, function onValidated(errs) {
+                if (errs) {
+                    done(new errors.ValidationFailedError(
+                        'Invalid Parameters', errs));
+                    return;
+                }
+
+                if (params.limit !== undefined) {
+                    limit = params.limit;
+                }
+
+                if (params.offset !== undefined) {
+                    offset = params.offset;
+                }
+
+                sortCriteria = params.sort ?
+                    sortValidation.parseSortCriteria(params.sort,
+                        common.JOB_SORT_KEYS) :
+                    [ {field: 'created_at'} ];
+
+                done();
+            });
+        },
+        function loadMarkerJob(_, done) {
+            if (params.marker === undefined) {
+                done();
+                return;
+            }
+
+            req.app.wfapi.getJob(params.marker, function onGetJob(err, job) {
+                if (err && err.statusCode === 404) {
+                    done(new errors.ValidationFailedError(
+                        'Invalid Parameters', [
+                            errors.invalidParamErrorsElem('marker',
+                                'Job not found')
+                        ]));
+                    return;
+                }
+
+                markerJob = job;
+                done(err);
+            });
+        },
+        function list(_, done) {
+            var wfapiParams;
+
+            if (!canListJobsWithWfapi(params, sortCriteria)) {
+                listFilteredJobs(done);
+                return;
+            }
+
+            wfapiParams = getWfapiListJobsQueries(params)[0];
+            wfapiParams.limit = limit;
+            wfapiParams.offset = offset;
+
+            req.app.wfapi.listJobs(wfapiParams, function onList(err, jobs) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+
+                /*
+                 * WFAPI does not count the jobs that match its filters, so
+                 * they are only counted when this page is the last one.
+                 */
+                if (jobs.length < limit && (jobs.length > 0 || offset === 0)) {
+                    res.header('x-joyent-resource-count',
+                        offset + jobs.length);
+                }
+
+                res.send(200, jobs);
+                done();
+            });
+        }
+    ]}, function onDone(err) {
+        next(err);
     });
+
+    /*
+     * Lists the jobs that match "params" by filtering and sorting the jobs
+     * that match the filters WFAPI can apply.
+     */
+    function listFilteredJobs(done) {
+        listCandidateJobs(req, params,
+            function onList(err, candidates, cutoff) {
+                var compareJobs;
+                var jobs;
+                var nbJobs;
+
+                if (err) {
+                    done(err);
+                    return;
+                }
+
+                compareJobs = createCompareJobsFn(sortCriteria);
+
+                jobs = candidates.filter(function (job) {
+                    return jobMatchesParams(job, params);
+                }).sort(compareJobs);
+                nbJobs = jobs.length;
+
+                if (markerJob) {
+                    jobs = jobs.filter(function (job) {
+                        return compareJobs(job, markerJob) > 0;
+                    });
+                }
+
+                jobs = jobs.slice(offset, offset + limit);
+
+                /*
+                 * When not all candidates could be loaded, the loaded ones are
+                 * the most recent ones. The page of jobs is right only if jobs
+                 * are sorted from the most recent to the oldest, the page is
+                 * full and its jobs were created after "cutoff", and the total
+                 * number of jobs is unknown.
+                 */
+                if (cutoff !== undefined) {
+                    if (!isWfapiJobsOrder(sortCriteria) ||
+                        jobs.length < limit ||
+                        Date.parse(jobs[jobs.length - 1].created_at) <=
+                        cutoff) {
+                        done(new errors.TooManyJobsError(
+                            MAX_LIST_JOBS_CANDIDATES));
+                        return;
+                    }
+                } else {
+                    res.header('x-joyent-resource-count', nbJobs);
+                }
+
+                res.send(200, jobs);
+                done();
+            });
+    }
+}
+
+
+/*
+ * Execution states of jobs that have not finished, and that can be canceled.
+ */
+var CANCELABLE_JOB_EXECUTIONS = ['queued', 'running', 'waiting'];
+
+/*
+ * Execution states of jobs that can be retried.
+ */
+var RETRYABLE_JOB_EXECUTIONS = ['canceled', 'failed'];
+
+/*
+ * Metadata properties of VMs that update jobs change with "set_<property>" and
+ * "remove_<property>" parameters.
+ */
+var UPDATE_JOB_METADATA_KEYS = ['customer_metadata', 'internal_metadata',
+    'tags'];
+
+/*
+ * Returns the UpdateVm parameters that produced the update job parameters
+ * "jobParams" for the VM "vm". Metadata changes are turned back into the
+ * complete metadata they were computed from, so that they are computed again
+ * for the current metadata of the VM.
+ */
+function getUpdateVmParamsFromJob(vm, jobParams) {
+    var params = common.clone(jobParams.payload || {});
+
+    UPDATE_JOB_METADATA_KEYS.forEach(function (mdataKey) {
+        var metadata;
+        var removals = params['remove_' + mdataKey];
+        var sets = params['set_' + mdataKey];
+
+        if (removals === undefined && sets === undefined) {
+            return;
+        }
+
+        metadata = common.clone(vm[mdataKey] || {});
+        (removals || []).forEach(function (key) {
+            delete metadata[key];
+        });
+        Object.keys(sets || {}).forEach(function (key) {
+            metadata[key] = sets[key];
+        });
+
+        params[mdataKey] = metadata;
+        delete params['remove_' + mdataKey];
+        delete params['set_' + mdataKey];
+    });
+
+    ['creator_uuid', 'origin', 'force'].forEach(function (name) {
+        if (jobParams[name] !== undefined) {
+            params[name] = jobParams[name];
+        }
+    });
+
+    return params;
+}
+
+/*
+ * For each type of job that can be retried, identified by the prefix of its
+ * "target" parameter, the UpdateVm action (or "destroy") that created it, and
+ * the function that validates the parameters of the job and re-creates it from
+ * the request object "vmReq", whose "vm" property is the job's VM and whose
+ * "params" are the (sanitized) parameters of the job to retry. Provision, add
+ * NICs and migration jobs depend on resources allocated when they were first
+ * created, so they can't be retried.
+ */
+var RETRY_JOB_TYPES = {
+    start: {
+        action: 'start',
+        createJob: function retryStart(vmReq, cb) {
+            vmReq.app.wfapi.createStartJob(vmReq, cb);
+        }
+    },
+    stop: {
+        action: 'stop',
+        createJob: function retryStop(vmReq, cb) {
+            vmReq.app.wfapi.createStopJob(vmReq, cb);
+        }
+    },
+    kill: {
+        action: 'kill',
+        createJob: function retryKill(vmReq, cb) {
+            vmReq.app.wfapi.createKillJob(vmReq, cb);
+        }
+    },
+    reboot: {
+        action: 'reboot',
+        createJob: function retryReboot(vmReq, cb) {
+            vmReq.app.wfapi.createRebootJob(vmReq, cb);
+        }
+    },
+    reprovision: {
+        action: 'reprovision',
+        createJob: function retryReprovision(vmReq, cb) {
+            vmReq.app.wfapi.createReprovisionJob(vmReq, cb);
+        }
+    },
+    destroy: {
+        action: 'destroy',
+        createJob: function retryDestroy(vmReq, cb) {
+            vmReq.app.wfapi.createDestroyJob(vmReq, cb);
+        }
+    },
+    update: {
+        action: 'update',
+        createJob: function retryUpdate(vmReq, cb) {
+            vmReq.params = getUpdateVmParamsFromJob(vmReq.vm, vmReq.params);
+            vms.createChangeVmJob(vmReq, cb);
+        }
+    },
+    'update-nics': {
+        action: 'update_nics',
+        createJob: function retryUpdateNics(vmReq, cb) {
+            vmReq.params.nics = vmReq.params.update_nics;
+
+            try {
+                common.validateNics(vmReq.vm, vmReq.params);
+            } catch (err) {
+                cb(err);
+                return;
+            }
+
+            vmReq.app.wfapi.createUpdateNicsJob(vmReq, vmReq.params.nics, cb);
+        }
+    },
+    'remove-nics': {
+        action: 'remove_nics',
+        createJob: function retryRemoveNics(vmReq, cb) {
+            vmReq.params.macs = vmReq.params.remove_nics;
+
+            try {
+                common.validateMacs(vmReq.params);
+            } catch (err) {
+                cb(err);
+                return;
+            }
+
+            vmReq.app.wfapi.createRemoveNicsJob(vmReq, vmReq.params.macs, cb);
+        }
+    },
+    snapshot: {
+        action: 'create_snapshot',
+        createJob: function retrySnapshot(vmReq, cb) {
+            vmReq.app.wfapi.createSnapshotJob(vmReq, cb);
+        }
+    },
+    rollback: {
+        action: 'rollback_snapshot',
+        createJob: function retryRollback(vmReq, cb) {
+            vmReq.app.wfapi.createRollbackJob(vmReq, cb);
+        }
+    },
+    'delete-snapshot': {
+        action: 'delete_snapshot',
+        createJob: function retryDeleteSnapshot(vmReq, cb) {
+            vmReq.app.wfapi.createDeleteSnapshotJob(vmReq, cb);
+        }
+    }
+};
+
+
+/*
+ * Returns the type of the job "job" from its "target" parameter, which has
+ * the form "/<type>-<vm_uuid>", or undefined if the job has no such target.
+ */
+function getJobType(job) {
+    var suffix;
+    var target = job.params.target;
+
+    if (typeof (target) !== 'string' || !job.params.vm_uuid) {
+        return undefined;
+    }
+
+    suffix = '-' + job.params.vm_uuid;
+    if (target.charAt(0) !== '/' ||
+        target.length <= suffix.length + 1 ||
+        target.slice(-suffix.length) !== suffix) {
+        return undefined;
+    }
+
+    return target.slice(1, -suffix.length);
+}
+
+
+/*
+ * Loads the VM with UUID "vmUuid" from moray as req.vm.
+ */
+function loadJobVm(req, vmUuid, callback) {
+    req.app.moray.getVm({ uuid: vmUuid }, function onGetVm(err, vm, etag) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (!vm) {
+            callback(new restify.ResourceNotFoundError('VM not found'));
+            return;
+        }
+
+        req.vm = common.translateVm(vm, true);
+        req.vmEtag = etag;
+        callback();
+    });
+}
+
+
+/*
+ * Releases the CNAPI waitlist tickets "tickets" taken by a canceled job, so
+ * that the jobs waiting on them can run. Tickets that were already released
+ * by the job, or that have expired, can't be released again, so errors are
+ * only logged.
+ */
+function releaseJobTickets(req, tickets, callback) {
+    // vmapi's custom cnapi client doesn't support waitlist tickets, see
+    // releaseVMTicket in lib/endpoints/vms.js.
+    var cnapi = new sdc.CNAPI({
+        url: req.app.options.cnapi.url,
+        headers: { 'x-request-id': req.getId() }
+    });
+
+    vasync.forEachParallel({
+        func: function releaseTicket(ticket, done) {
+            cnapi.waitlistTicketRelease(ticket.uuid, function (err) {
+                if (err) {
+                    req.log.warn({err: err, ticket: ticket},
+                        'error releasing CNAPI waitlist ticket of canceled ' +
+                        'job');
+                } else {
+                    req.log.info({ticket: ticket},
+                        'released CNAPI waitlist ticket of canceled job');
+                }
+                done();
+            });
+        },
+        inputs: tickets
+    }, function onReleased() {
+        callback();
+    });
+}
+
+
+/*
+ * POST /jobs/:job_uuid?action=cancel
+ *
+ * Cancels a job that has not finished, releases the CNAPI waitlist tickets it
+ * took and refreshes its VM from its server, since the job may have been
+ * canceled while it was changing the VM.
+ */
+function cancelJob(req, res, next) {
+    req.log.trace({ job_uuid: req.params.job_uuid }, 'CancelJob start');
+
+    if (CANCELABLE_JOB_EXECUTIONS.indexOf(req.job.execution) === -1) {
+        next(new errors.JobExecutionConflictError(req.job, 'cancel'));
+        return;
+    }
+
+    req.app.wfapi.cancelJob(req.job.uuid, function (err, job, tickets) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        req.log.info({ job_uuid: job.uuid, tickets: tickets },
+            'job canceled');
+
+        releaseJobTickets(req, tickets, function onReleased() {
+            if (!job.params.vm_uuid) {
+                res.send(200, job);
+                next();
+                return;
+            }
+
+            loadJobVm(req, job.params.vm_uuid, function onVmLoaded(loadErr) {
+                if (loadErr) {
+                    req.log.warn({ err: loadErr },
+                        'could not load VM of canceled job');
+                    res.send(200, job);
+                    next();
+                    return;
+                }
+
+                vms.getVmSync(req, function onVmRefreshed(syncErr) {
+                    if (syncErr) {
+                        req.log.warn({ err: syncErr },
+                            'could not refresh VM of canceled job');
+                    }
+
+                    res.send(200, job);
+                    next();
+                });
+            });
+        });
+    });
+}
+
+
+/*
+ * POST /jobs/:job_uuid?action=retry
+ *
+ * Re-creates a job that failed or was canceled, with the same parameters and
+ * for the current state of its VM. The VM and the parameters of the job are
+ * checked as they would be by the UpdateVm (or DeleteVm) request that created
+ * it, and the "If-Match" header is checked against the VM's current etag.
+ */
+function retryJob(req, res, next) {
+    req.log.trace({ job_uuid: req.params.job_uuid }, 'RetryJob start');
+
+    var jobType = getJobType(req.job);
+    var retryType;
+    var vmReq;
+
+    if (RETRYABLE_JOB_EXECUTIONS.indexOf(req.job.execution) === -1) {
+        next(new errors.JobExecutionConflictError(req.job, 'retry'));
+        return;
+    }
+
+    if (jobType === undefined || !RETRY_JOB_TYPES.hasOwnProperty(jobType)) {
+        next(new errors.ValidationFailedError('Invalid Parameters', [
+            errors.invalidParamErrorsElem('job_uuid',
+                'Job ' + req.job.name + ' cannot be retried')
+        ]));
+        return;
+    }
+
+    retryType = RETRY_JOB_TYPES[jobType];
+
+    vasync.pipeline({funcs: [
+        function loadVm(_, done) {
+            loadJobVm(req, req.job.params.vm_uuid, done);
+        },
+        function checkIfMatch(_, done) {
+            interceptors.checkIfMatch(req, res, done);
+        },
+        function checkVm(_, done) {
+            if (req.vm.state === 'destroyed') {
+                done(new errors.ValidationFailedError('Invalid Parameters', [
+                    errors.invalidParamErrorsElem('job_uuid',
+                        'Job ' + req.job.name + ' cannot be retried, its ' +
+                        'VM is destroyed')
+                ]));
+                return;
+            }
+
+            done(vms.vmActionError(retryType.action, req.vm));
+        },
+        function createJob(_, done) {
+            /*
+             * The job creation functions read the parameters of the job from
+             * req.params, and can modify them.
+             */
+            vmReq = Object.create(req);
+            vmReq.params = jsprim.deepCopy(req.job.params);
+            vmReq.log = req.log.child({ vm_uuid: req.vm.uuid }, true);
+
+            retryType.createJob(vmReq, function onJobQueued(err, juuid) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+
+                req.log.info({ job_uuid: req.job.uuid, new_job_uuid: juuid },
+                    'job retried');
+
+                audit.recordJob(req, req.vm, juuid);
+                res.header('workflow-api', req.app.wfapi.url);
+                res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
+                done();
+            });
+        }
+    ]}, function onDone(err) {
+        next(err);
+    });
+}
+
+
+/*
+ * POST /jobs/:job_uuid
+ */
+function jobAction(req, res, next) {
+    var action = req.params.action;
+    var errs = [];
+
+    if (!common.validUUID(req.params.job_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('job_uuid'));
+    }
+
+    if (action === undefined) {
+        errs.push(errors.missingParamErrorsElem('action'));
+    } else if (['cancel', 'retry'].indexOf(action) === -1) {
+        errs.push(errors.invalidParamErrorsElem('action',
+            'Must be one of: cancel, retry'));
+    }
+
+    if (errs.length > 0) {
+        next(new errors.ValidationFailedError('Invalid Parameters', errs));
+        return;
+    }
+
+    req.app.wfapi.getJob(req.params.job_uuid, function (err, job) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        req.job = job;
+
+        if (action === 'cancel') {
+            cancelJob(req, res, next);
+        } else {
+            retryJob(req, res, next);
+        }
+    });
+}
+
+
+/*
+ * GET /jobs/:job_uuid/wait
+ *
+ * Waits for a job to reach one of the executions in the "execution" parameter
+ * or a terminal execution, for at most "timeout". The x-joyent-repoll header
+ * of the response tells clients whether the job is still not in one of these
+ * executions, and thus whether they should send another WaitJob request.
+ */
+function waitJob(req, res, next) {
+    req.log.trace({ job_uuid: req.params.job_uuid }, 'WaitJob start');
+
+    common.validateWaitJobParams(req.params, function onValidated(errs) {
+        var executions;
+        var timeout = req.params.timeout || DEFAULT_WAIT_JOB_TIMEOUT_MS;
+        var waiter;
+
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        if (req.params.execution !== undefined) {
+            executions = req.params.execution.split(',');
+        }
+
+        waiter = req.app.jobPoller.waitForJob(req.params.job_uuid, {
+            executions: executions,
+            timeout: timeout
+        }, function onJobWaited(err, job, reached) {
+            req.removeListener('close', onClose);
+
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.header('x-joyent-repoll', String(!reached));
+            res.send(200, job);
+            next();
+        });
+
+        function onClose() {
+            req.log.debug('WaitJob: client went away, stop waiting');
+            req.app.jobPoller.cancelWait(waiter);
+        }
+
+        req.on('close', onClose);
+    });
+}
+
+
+/*
+ * Returns the events of the WatchJob stream for the changes between the
+ * previous version of a job and its latest version "job". "progress" tracks
+ * the events that were already sent: "nbStarted" is the number of chain tasks
+ * whose task_start event was sent, and "nbFinished" the number of tasks whose
+ * task_end event was sent. "chain" holds the names of the tasks of the job.
+ */
+function getJobProgressEvents(job, chain, progress) {
+    var events = [];
+    var idx;
+    var lastResult;
+    var results = job.chain_results || [];
+
+    function taskStartEvent(taskIdx, timestamp) {
+        return {
+            type: 'task_start',
+            task: (results[taskIdx] && results[taskIdx].name) ||
+                chain[taskIdx],
+            index: taskIdx,
+            timestamp: timestamp
+        };
+    }
+
+    for (idx = progress.nbFinished; idx < results.length; idx++) {
+        if (idx >= progress.nbStarted) {
+            events.push(taskStartEvent(idx, results[idx].started_at));
+            progress.nbStarted = idx + 1;
+        }
+
+        events.push({
+            type: 'task_end',
+            task: results[idx].name || chain[idx],
+            index: idx,
+            timestamp: results[idx].finished_at,
+            result: results[idx].result,
+            error: results[idx].error || undefined
+        });
+    }
+    progress.nbFinished = results.length;
+
+    /*
+     * WFAPI only records the tasks that finished, so a running job is
+     * considered to have started the task that follows the last finished one,
+     * unless that task failed, in which case the job is running its "onerror"
+     * chain.
+     */
+    lastResult = results[results.length - 1];
+    if (job.execution === 'running' && progress.nbStarted === results.length &&
+        results.length < chain.length && !(lastResult && lastResult.error)) {
+        events.push(taskStartEvent(results.length,
+            lastResult ? lastResult.finished_at : new Date().toISOString()));
+        progress.nbStarted++;
+    }
+
+    return events;
+}
+
+
+/*
+ * GET /jobs/:job_uuid/watch
+ *
+ * Streams an event each time a task of the chain of a job starts or finishes,
+ * until the job reaches a terminal execution.
+ */
+function watchJob(req, res, next) {
+    var jobUuid = req.params.job_uuid;
+    var watchEnded = false;
+    var waiter;
+
+    req.log.trace({ job_uuid: jobUuid }, 'WatchJob start');
+
+    if (!common.validUUID(jobUuid)) {
+        next(new errors.ValidationFailedError('Invalid Parameters',
+            [errors.invalidUuidErrorsElem('job_uuid')]));
+        return;
+    }
+
+    req.app.wfapi.getJobChain(jobUuid, function onGetChain(err, chain) {
+        var progress = {nbFinished: 0, nbStarted: 0};
+
+        if (watchEnded) {
+            req.log.debug('WatchJob: client went away, not watching');
+            return;
+        }
+
+        if (err) {
+            watchEnded = true;
+            next(err);
+            return;
+        }
+
+        function writeEvent(event) {
+            res.write(JSON.stringify(event) + '\n');
+        }
+
+        function endWatch(event) {
+            watchEnded = true;
+            writeEvent(event);
+            res.end();
+            next();
+        }
+
+        // Watching can last for much longer than the default socket timeout.
+        req.connection.setTimeout(0);
+
+        res.writeHead(200, {'Content-Type': 'application/x-json-stream'});
+        writeEvent({type: 'start', job_uuid: jobUuid, chain: chain});
+
+        waiter = req.app.jobPoller.watchJob(jobUuid,
+            function onJob(pollErr, job) {
+                if (pollErr) {
+                    endWatch({
+                        type: 'end',
+                        execution: 'unknown',
+                        message: 'Watch error: unable to load the job: ' +
+                            pollErr.message,
+                        timestamp: new Date().toISOString()
+                    });
+                    return;
+                }
+
+                getJobProgressEvents(job, chain, progress).forEach(writeEvent);
+
+                if (jobPoller.isTerminalExecution(job.execution)) {
+                    endWatch({
+                        type: 'end',
+                        execution: job.execution,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            });
+    });
+
+    /*
+     * When the client goes away, the job is not watched anymore and the
+     * request ends. The client can go away while the job's chain is loaded,
+     * before the job is polled, in which case watching never starts.
+     */
+    function onClose() {
+        if (watchEnded) {
+            return;
+        }
+
+        watchEnded = true;
+
+        if (waiter !== undefined) {
+            req.log.debug('WatchJob: client went away, stop watching');
+            req.app.jobPoller.cancelWait(waiter);
+        }
+
+        next();
+    }
+
+    req.on('close', onClose);
+    res.on('close', onClose);
 }
 
 
@@ -79,15 +1079,18 @@ function postJobResults(req, res, next) {
             var vm = common.simpleMerge(obj, req.params);
             vm = common.translateVm(vm, false);
 
-            req.app.moray.putVm(req.params.vm_uuid, vm, obj, function (err2) {
-                if (err2) {
-                    return next(err2);
-                } else {
-                    req.log.info('Set VM %s state as failed', vm.uuid);
-                    res.send(200);
-                    return next();
-                }
-            });
+            req.app.moray.putVm(req.params.vm_uuid, vm, obj,
+                function (err2, etag, diffs) {
+                    if (err2) {
+                        return next(err2);
+                    } else {
+                        audit.recordVmChange(req, req.params.vm_uuid, vm,
+                            diffs);
+                        req.log.info('Set VM %s state as failed', vm.uuid);
+                        res.send(200);
+                        return next();
+                    }
+                });
         });
     } else {
         res.send(200);
@@ -106,6 +1109,9 @@ function mount(server) {
         listJobs);
     server.get({ path: '/jobs', name: 'ListJobs' }, listJobs);
     server.get({ path: '/jobs/:job_uuid', name: 'GetJob' }, getJob);
+    server.post({ path: '/jobs/:job_uuid', name: 'JobAction' }, jobAction);
+    server.get({ path: '/jobs/:job_uuid/wait', name: 'WaitJob' }, waitJob);
+    server.get({ path: '/jobs/:job_uuid/watch', name: 'WatchJob' }, watchJob);
 
     // Post back URL for provision job results
     server.post({ path: '/job_results', name: 'JobResults' }, postJobResults);
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2019 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -18,6 +18,7 @@ var assert = require('assert-plus');
 var format = require('util').format;
 var restify = require('restify');
 
+var audit = require('../audit');
 var common = require('../common');
 var errors = require('../errors');
 var interceptors = require('../interceptors');
@@ -134,6 +135,7 @@ function addMetadata(req, res, next) {
               return next(err);
           }
 
+          audit.recordJob(req, req.vm, juuid);
           res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
           return next();
     });
@@ -174,6 +176,7 @@ function setMetadata(req, res, next) {
               return next(err);
           }
 
+          audit.recordJob(req, req.vm, juuid);
           res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
           return next();
     });
@@ -216,6 +219,7 @@ function deleteMetadata(req, res, next) {
             return next(err);
         }
 
+        audit.recordJob(req, req.vm, juuid);
         res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
         return next();
     });
@@ -252,6 +256,7 @@ function deleteAllMetadata(req, res, next) {
             return next(err);
         }
 
+        audit.recordJob(req, req.vm, juuid);
         res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
         return next();
     });
@@ -276,24 +281,28 @@ function mount(server) {
     server.post({ path: '/vms/:uuid/:metaType', name: 'AddMetadata' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         reqMetaType,
         addMetadata);
 
     server.put({ path: '/vms/:uuid/:metaType', name: 'SetMetadata' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         reqMetaType,
         setMetadata);
 
     server.del({ path: '/vms/:uuid/:metaType/:key', name: 'DeleteMetadata' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         reqMetaType,
         deleteMetadata);
 
     server.del({ path: '/vms/:uuid/:metaType', name: 'DeleteAllMetadata' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         reqMetaType,
         deleteAllMetadata);
 }
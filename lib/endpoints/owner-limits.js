@@ -0,0 +1,184 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Endpoints to manage the limits of owners (see lib/owner-limits.js).
+ */
+
+var restify = require('restify');
+var uuid = require('uuid');
+
+var common = require('../common');
+var errors = require('../errors');
+var ownerLimits = require('../owner-limits');
+
+
+/*
+ * Validates the UUIDs of the owner and of the limit in the request's path, and
+ * loads the limit as req.ownerLimit.
+ */
+function loadOwnerLimit(req, res, next) {
+    var errs = [];
+
+    if (!common.validUUID(req.params.owner_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('owner_uuid'));
+    }
+
+    if (!common.validUUID(req.params.limit_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('limit_uuid'));
+    }
+
+    if (errs.length > 0) {
+        next(new errors.ValidationFailedError('Invalid Parameters', errs));
+        return;
+    }
+
+    req.app.moray.getOwnerLimit(req.params.limit_uuid,
+        function onGetLimit(err, limit) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            if (!limit || limit.owner_uuid !== req.params.owner_uuid) {
+                next(new restify.ResourceNotFoundError('Limit not found'));
+                return;
+            }
+
+            req.ownerLimit = limit;
+            next();
+        });
+}
+
+
+/*
+ * GET /owners/:owner_uuid/limits
+ */
+function listOwnerLimits(req, res, next) {
+    req.log.trace({ owner_uuid: req.params.owner_uuid },
+        'ListOwnerLimits start');
+
+    if (!common.validUUID(req.params.owner_uuid)) {
+        next(new errors.ValidationFailedError('Invalid Parameters',
+            [ errors.invalidUuidErrorsElem('owner_uuid') ]));
+        return;
+    }
+
+    req.app.moray.listOwnerLimits(req.params.owner_uuid,
+        function onList(err, limits) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(200, limits.map(ownerLimits.translateOwnerLimit));
+            next();
+        });
+}
+
+
+/*
+ * GET /owners/:owner_uuid/limits/:limit_uuid
+ */
+function getOwnerLimit(req, res, next) {
+    res.send(200, ownerLimits.translateOwnerLimit(req.ownerLimit));
+    next();
+}
+
+
+/*
+ * POST /owners/:owner_uuid/limits
+ * PUT /owners/:owner_uuid/limits/:limit_uuid
+ *
+ * Creates a new limit, or replaces an existing limit when req.ownerLimit is
+ * set.
+ */
+function putOwnerLimit(req, res, next) {
+    req.log.trace({ owner_uuid: req.params.owner_uuid }, 'PutOwnerLimit start');
+
+    common.validateOwnerLimitParams(req.params, function onValidated(errs) {
+        var limit;
+        var limitUuid;
+
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        limitUuid = req.ownerLimit ? req.ownerLimit.uuid : uuid.v4();
+        limit = ownerLimits.createOwnerLimit(req.params.owner_uuid, limitUuid,
+            req.params);
+
+        req.app.moray.putOwnerLimit(limit, function onPut(err) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            res.send(req.ownerLimit ? 200 : 201,
+                ownerLimits.translateOwnerLimit(limit));
+            next();
+        });
+    });
+}
+
+
+/*
+ * DELETE /owners/:owner_uuid/limits/:limit_uuid
+ */
+function deleteOwnerLimit(req, res, next) {
+    req.log.trace({ limit_uuid: req.params.limit_uuid }, 'DeleteOwnerLimit ' +
+        'start');
+
+    req.app.moray.delOwnerLimit(req.ownerLimit.uuid, function onDel(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
+}
+
+
+/*
+ * Mounts owner limits endpoints as server routes
+ */
+function mount(server) {
+    server.get({ path: '/owners/:owner_uuid/limits', name: 'ListOwnerLimits' },
+        listOwnerLimits);
+
+    server.post({ path: '/owners/:owner_uuid/limits',
+        name: 'CreateOwnerLimit' },
+        putOwnerLimit);
+
+    server.get({ path: '/owners/:owner_uuid/limits/:limit_uuid',
+        name: 'GetOwnerLimit' },
+        loadOwnerLimit,
+        getOwnerLimit);
+
+    server.put({ path: '/owners/:owner_uuid/limits/:limit_uuid',
+        name: 'UpdateOwnerLimit' },
+        loadOwnerLimit,
+        putOwnerLimit);
+
+    server.del({ path: '/owners/:owner_uuid/limits/:limit_uuid',
+        name: 'DeleteOwnerLimit' },
+        loadOwnerLimit,
+        deleteOwnerLimit);
+}
+
+
+// --- Exports
+
+module.exports = {
+    mount: mount
+};
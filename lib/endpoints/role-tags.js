@@ -163,24 +163,28 @@ function mount(server, before) {
     server.post({ path: '/vms/:uuid/role_tags', name: 'AddRoleTags' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         getVmRoleTags,
         addRoleTags);
 
     server.put({ path: '/vms/:uuid/role_tags', name: 'SetRoleTags' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         setRoleTags);
 
     server.del({ path: '/vms/:uuid/role_tags/:role_tag',
         name: 'DeleteRoleTag' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         getVmRoleTags,
         deleteRoleTag);
 
     server.del({ path: '/vms/:uuid/role_tags', name: 'DeleteAllRoleTags' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        interceptors.checkIfMatch,
         deleteAllRoleTags);
 }
 
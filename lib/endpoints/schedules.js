@@ -0,0 +1,234 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Endpoints to manage schedules of VM actions (see lib/schedules.js).
+ */
+
+var restify = require('restify');
+var uuid = require('uuid');
+var verror = require('verror');
+
+var common = require('../common');
+var errors = require('../errors');
+var schedules = require('../schedules');
+
+
+/*
+ * Validates the UUIDs of the owner and of the schedule of the request, and
+ * loads the schedule as req.schedule and its moray etag as req.scheduleEtag.
+ */
+function loadSchedule(req, res, next) {
+    var errs = [];
+
+    if (req.params.owner_uuid === undefined) {
+        errs.push(errors.missingParamErrorsElem('owner_uuid'));
+    } else if (!common.validUUID(req.params.owner_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('owner_uuid'));
+    }
+
+    if (!common.validUUID(req.params.schedule_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('schedule_uuid'));
+    }
+
+    if (errs.length > 0) {
+        next(new errors.ValidationFailedError('Invalid Parameters', errs));
+        return;
+    }
+
+    req.app.moray.getSchedule(req.params.schedule_uuid,
+        function onGetSchedule(err, schedule, etag) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            if (!schedule || schedule.owner_uuid !== req.params.owner_uuid) {
+                next(new restify.ResourceNotFoundError('Schedule not found'));
+                return;
+            }
+
+            req.schedule = schedule;
+            req.scheduleEtag = etag;
+            next();
+        });
+}
+
+
+/*
+ * GET /schedules
+ */
+function listSchedules(req, res, next) {
+    var errs = [];
+
+    req.log.trace({ owner_uuid: req.params.owner_uuid },
+        'ListSchedules start');
+
+    if (req.params.owner_uuid === undefined) {
+        errs.push(errors.missingParamErrorsElem('owner_uuid'));
+    } else if (!common.validUUID(req.params.owner_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('owner_uuid'));
+    }
+
+    if (errs.length > 0) {
+        next(new errors.ValidationFailedError('Invalid Parameters', errs));
+        return;
+    }
+
+    req.app.moray.listSchedules({
+        owner_uuid: req.params.owner_uuid
+    }, function onList(err, schedulesList) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, schedulesList.map(schedules.translateSchedule));
+        next();
+    });
+}
+
+
+/*
+ * GET /schedules/:schedule_uuid
+ */
+function getSchedule(req, res, next) {
+    res.send(200, schedules.translateSchedule(req.schedule));
+    next();
+}
+
+
+/*
+ * POST /schedules
+ * PUT /schedules/:schedule_uuid
+ *
+ * Creates a new schedule, or replaces an existing schedule when req.schedule
+ * is set. All the VMs of a schedule must exist and belong to its owner.
+ */
+function putSchedule(req, res, next) {
+    req.log.trace({ owner_uuid: req.params.owner_uuid }, 'PutSchedule start');
+
+    common.validateScheduleParams(req.params, function onValidated(errs) {
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        req.app.moray.getVms(req.params.vm_uuids, function onGetVms(getErr,
+            vms) {
+            var foundVmUuids;
+            var missingVmUuids;
+            var putOpts = {};
+            var schedule;
+            var scheduleUuid;
+
+            if (getErr) {
+                next(getErr);
+                return;
+            }
+
+            foundVmUuids = vms.filter(function isOwnerVm(vm) {
+                return vm.owner_uuid === req.params.owner_uuid &&
+                    vm.state !== 'destroyed';
+            }).map(function getUuid(vm) {
+                return vm.uuid;
+            });
+
+            missingVmUuids = req.params.vm_uuids.filter(
+                function isMissing(vmUuid) {
+                    return foundVmUuids.indexOf(vmUuid) === -1;
+                });
+
+            if (missingVmUuids.length > 0) {
+                next(new errors.ValidationFailedError('Invalid Parameters', [
+                    errors.invalidParamErrorsElem('vm_uuids',
+                        'VMs not found: ' + missingVmUuids.join(', '))
+                ]));
+                return;
+            }
+
+            scheduleUuid = req.schedule ? req.schedule.uuid : uuid.v4();
+            schedule = schedules.createSchedule(req.params.owner_uuid,
+                scheduleUuid, req.params, Date.now());
+
+            if (req.schedule) {
+                schedule.created_at = req.schedule.created_at;
+                schedule.last_run = req.schedule.last_run;
+                putOpts.etag = req.scheduleEtag;
+            }
+
+            req.app.moray.putSchedule(schedule, putOpts,
+                function onPut(putErr) {
+                    if (putErr) {
+                        if (verror.hasCauseWithName(putErr,
+                            'EtagConflictError')) {
+                            next(new restify.ConflictError('Schedule was ' +
+                                'modified concurrently, please retry'));
+                        } else {
+                            next(putErr);
+                        }
+                        return;
+                    }
+
+                    res.send(req.schedule ? 200 : 201,
+                        schedules.translateSchedule(schedule));
+                    next();
+                });
+        });
+    });
+}
+
+
+/*
+ * DELETE /schedules/:schedule_uuid
+ */
+function deleteSchedule(req, res, next) {
+    req.log.trace({ schedule_uuid: req.params.schedule_uuid },
+        'DeleteSchedule start');
+
+    req.app.moray.delSchedule(req.schedule.uuid, function onDel(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
+}
+
+
+/*
+ * Mounts schedules endpoints as server routes
+ */
+function mount(server) {
+    server.get({ path: '/schedules', name: 'ListSchedules' }, listSchedules);
+
+    server.post({ path: '/schedules', name: 'CreateSchedule' }, putSchedule);
+
+    server.get({ path: '/schedules/:schedule_uuid', name: 'GetSchedule' },
+        loadSchedule,
+        getSchedule);
+
+    server.put({ path: '/schedules/:schedule_uuid', name: 'UpdateSchedule' },
+        loadSchedule,
+        putSchedule);
+
+    server.del({ path: '/schedules/:schedule_uuid', name: 'DeleteSchedule' },
+        loadSchedule,
+        deleteSchedule);
+}
+
+
+// --- Exports
+
+module.exports = {
+    mount: mount
+};
@@ -0,0 +1,169 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Handles the GET /vms/search endpoint, which finds VMs from fragments of words
+ * found in their alias, tags, customer_metadata keys or docker labels. The
+ * words of each VM are indexed in its "fulltext_search_array" moray field (see
+ * common.vmToFulltextSearchArray), and VMs that match all words are ranked by
+ * VMAPI.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('../common');
+var errors = require('../errors');
+
+var DEFAULT_SEARCH_VMS_LIMIT = 100;
+var FULLTEXT_SEARCH_DATA_VER = 3;
+
+/*
+ * Returns the score of the VM "vm" for the search words "queryTokens". Each
+ * word of the search adds the score of the VM's token that matches it best: a
+ * token that is equal to the word scores twice its weight, a token that starts
+ * with the word scores its weight. As for the search terms sent to moray (see
+ * common.searchTokenToTerm), only the start of long words has to match.
+ */
+function scoreVm(vm, queryTokens) {
+    assert.object(vm, 'vm');
+    assert.arrayOfString(queryTokens, 'queryTokens');
+
+    var vmTokens = common.getVmSearchTokens(vm);
+
+    return queryTokens.reduce(function addTokenScore(score, queryToken) {
+        var bestScore = 0;
+
+        var queryTerm = common.searchTokenToTerm(queryToken);
+
+        Object.keys(vmTokens).forEach(function scoreToken(vmToken) {
+            var tokenScore = 0;
+
+            if (vmToken === queryToken) {
+                tokenScore = 2 * vmTokens[vmToken];
+            } else if (vmToken.indexOf(queryTerm) === 0) {
+                tokenScore = vmTokens[vmToken];
+            }
+
+            bestScore = Math.max(bestScore, tokenScore);
+        });
+
+        return score + bestScore;
+    }, 0);
+}
+
+/*
+ * Sorts search results by decreasing score, and then by UUID.
+ */
+function compareResults(a, b) {
+    if (a.score !== b.score) {
+        return b.score - a.score;
+    }
+
+    return a.vm.uuid < b.vm.uuid ? -1 : 1;
+}
+
+/*
+ * GET /vms/search
+ */
+function searchVms(req, res, next) {
+    req.log.trace({params: req.params}, 'SearchVms start');
+
+    vasync.pipeline({funcs: [
+        function validateParams(_, done) {
+            common.validateSearchVmsParams(req.params,
+                function onValidated(errs) {
+                    if (errs) {
+                        done(new errors.ValidationFailedError(
+                            'Invalid Parameters', errs));
+                        return;
+                    }
+                    done();
+                });
+        },
+        function checkDataVersion(_, done) {
+            var latestCompletedDataMigration =
+                req.app.getLatestCompletedDataMigrationForModel('vms');
+
+            if (latestCompletedDataMigration === undefined ||
+                latestCompletedDataMigration < FULLTEXT_SEARCH_DATA_VER) {
+                done(new errors.DataVersionError('vms',
+                    FULLTEXT_SEARCH_DATA_VER, latestCompletedDataMigration,
+                    'VMs search'));
+                return;
+            }
+
+            done();
+        },
+        function search(_, done) {
+            var limit = DEFAULT_SEARCH_VMS_LIMIT;
+            var nbMatches = 0;
+            var queryTokens = common.tokenizeSearchString(req.params.q);
+            var results = [];
+
+            if (req.params.limit !== undefined) {
+                limit = req.params.limit;
+            }
+
+            /*
+             * Only the best "limit" results are kept: results are sorted and
+             * truncated whenever twice as many have been accumulated.
+             */
+            function keepBestResults() {
+                results.sort(compareResults);
+                results = results.slice(0, limit);
+            }
+
+            req.app.moray.searchVms({
+                terms: queryTokens.map(common.searchTokenToTerm),
+                owner_uuid: req.params.owner_uuid,
+                state: req.params.state
+            }, function onVm(vm) {
+                nbMatches++;
+                results.push({vm: vm, score: scoreVm(vm, queryTokens)});
+
+                if (results.length >= 2 * limit) {
+                    keepBestResults();
+                }
+            }, function onSearch(err) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+
+                keepBestResults();
+
+                res.header('x-joyent-resource-count', nbMatches);
+                res.send(200, results.map(function getVm(result) {
+                    return result.vm;
+                }));
+                done();
+            });
+        }
+    ]}, function onDone(err) {
+        next(err);
+    });
+}
+
+
+/*
+ * Mounts the VMs search endpoint as a server route. It must be mounted before
+ * the GetVm route (GET /vms/:uuid), which would otherwise handle it.
+ */
+function mount(server) {
+    server.get({ path: '/vms/search', name: 'SearchVms' }, searchVms);
+}
+
+
+// --- Exports
+
+module.exports = {
+    mount: mount
+};
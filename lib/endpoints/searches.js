@@ -0,0 +1,213 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Endpoints to manage saved searches (see lib/searches.js).
+ */
+
+var restify = require('restify');
+var uuid = require('uuid');
+
+var common = require('../common');
+var errors = require('../errors');
+var searches = require('../searches');
+
+
+/*
+ * Validates the UUIDs of the owner and of the search of the request, and loads
+ * the search as req.search.
+ */
+function loadSearch(req, res, next) {
+    var errs = [];
+
+    if (req.params.owner_uuid === undefined) {
+        errs.push(errors.missingParamErrorsElem('owner_uuid'));
+    } else if (!common.validUUID(req.params.owner_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('owner_uuid'));
+    }
+
+    if (!common.validUUID(req.params.search_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('search_uuid'));
+    }
+
+    if (errs.length > 0) {
+        next(new errors.ValidationFailedError('Invalid Parameters', errs));
+        return;
+    }
+
+    req.app.moray.getSearch(req.params.search_uuid,
+        function onGetSearch(err, search) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            if (!search || search.owner_uuid !== req.params.owner_uuid) {
+                next(new restify.ResourceNotFoundError('Search not found'));
+                return;
+            }
+
+            req.search = search;
+            next();
+        });
+}
+
+
+/*
+ * GET /searches
+ */
+function listSearches(req, res, next) {
+    var errs = [];
+
+    req.log.trace({ owner_uuid: req.params.owner_uuid }, 'ListSearches start');
+
+    if (req.params.owner_uuid === undefined) {
+        errs.push(errors.missingParamErrorsElem('owner_uuid'));
+    } else if (!common.validUUID(req.params.owner_uuid)) {
+        errs.push(errors.invalidUuidErrorsElem('owner_uuid'));
+    }
+
+    if (req.params.name !== undefined &&
+        typeof (req.params.name) !== 'string') {
+        errs.push(errors.invalidParamErrorsElem('name', 'Not a valid string'));
+    }
+
+    if (errs.length > 0) {
+        next(new errors.ValidationFailedError('Invalid Parameters', errs));
+        return;
+    }
+
+    req.app.moray.listSearches({
+        owner_uuid: req.params.owner_uuid,
+        name: req.params.name
+    }, function onList(err, searchesList) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, searchesList.map(searches.translateSearch));
+        next();
+    });
+}
+
+
+/*
+ * GET /searches/:search_uuid
+ */
+function getSearch(req, res, next) {
+    res.send(200, searches.translateSearch(req.search));
+    next();
+}
+
+
+/*
+ * POST /searches
+ * PUT /searches/:search_uuid
+ *
+ * Creates a new saved search, or replaces an existing search when req.search
+ * is set.
+ */
+function putSearch(req, res, next) {
+    req.log.trace({ owner_uuid: req.params.owner_uuid }, 'PutSearch start');
+
+    common.validateSearchParams(req.params, function onValidated(errs) {
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        req.app.moray.listSearches({
+            owner_uuid: req.params.owner_uuid,
+            name: req.params.name
+        }, function onList(listErr, sameNameSearches) {
+            var search;
+            var searchUuid;
+
+            if (listErr) {
+                next(listErr);
+                return;
+            }
+
+            if (sameNameSearches.some(function isOtherSearch(sameNameSearch) {
+                return !req.search || sameNameSearch.uuid !== req.search.uuid;
+            })) {
+                next(new errors.ValidationFailedError('Invalid Parameters', [
+                    errors.duplicateParamErrorsElem('name',
+                        'A search with this name already exists')
+                ]));
+                return;
+            }
+
+            searchUuid = req.search ? req.search.uuid : uuid.v4();
+            search = searches.createSearch(req.params.owner_uuid, searchUuid,
+                req.params);
+
+            req.app.moray.putSearch(search, function onPut(putErr) {
+                if (putErr) {
+                    next(putErr);
+                    return;
+                }
+
+                res.send(req.search ? 200 : 201,
+                    searches.translateSearch(search));
+                next();
+            });
+        });
+    });
+}
+
+
+/*
+ * DELETE /searches/:search_uuid
+ */
+function deleteSearch(req, res, next) {
+    req.log.trace({ search_uuid: req.params.search_uuid }, 'DeleteSearch ' +
+        'start');
+
+    req.app.moray.delSearch(req.search.uuid, function onDel(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(204);
+        next();
+    });
+}
+
+
+/*
+ * Mounts saved searches endpoints as server routes
+ */
+function mount(server) {
+    server.get({ path: '/searches', name: 'ListSearches' }, listSearches);
+
+    server.post({ path: '/searches', name: 'CreateSearch' }, putSearch);
+
+    server.get({ path: '/searches/:search_uuid', name: 'GetSearch' },
+        loadSearch,
+        getSearch);
+
+    server.put({ path: '/searches/:search_uuid', name: 'UpdateSearch' },
+        loadSearch,
+        putSearch);
+
+    server.del({ path: '/searches/:search_uuid', name: 'DeleteSearch' },
+        loadSearch,
+        deleteSearch);
+}
+
+
+// --- Exports
+
+module.exports = {
+    mount: mount
+};
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -21,10 +21,14 @@ var restify = require('restify');
 var sdc = require('sdc-clients');
 var jsprim = require('jsprim');
 
+var audit = require('../audit');
 var common = require('../common');
 var errors = require('../errors');
+var idempotency = require('../idempotency');
+var ownerLimits = require('../owner-limits');
 var interceptors = require('../interceptors');
 var mod_migrate = require('../vm-migration/migrate');
+var snapshotRetention = require('../snapshot-retention');
 
 // First Platform Image supporting Bhyve VMs snapshots:
 const MIN_BHYVE_SNAPSHOT_PLATFORM = '20181119T131511Z';
@@ -49,9 +53,57 @@ var VALID_VM_ACTIONS = [
 ];
 
 
+// XXX This includes all signals from process.binding('constants') plus
+// the special '0' signal. Anything not on this list is not supported by
+// the backend, but it's possible we'll want to remove some from this list
+// too as some of these probably don't make sense to send.
+var VALID_KILL_SIGNALS = [
+    'SIGABRT', 'SIGALRM', 'SIGBUS', 'SIGCHLD', 'SIGCONT', 'SIGFPE',
+    'SIGHUP', 'SIGILL', 'SIGINT', 'SIGIO', 'SIGIOT', 'SIGKILL', 'SIGLOST',
+    'SIGPIPE', 'SIGPOLL', 'SIGPROF', 'SIGPWR', 'SIGQUIT', 'SIGSEGV',
+    'SIGSTOP', 'SIGSYS', 'SIGTERM', 'SIGTRAP', 'SIGTSTP', 'SIGTTIN',
+    'SIGTTOU', 'SIGURG', 'SIGUSR1', 'SIGUSR2', 'SIGVTALRM', 'SIGWINCH',
+    'SIGXCPU', 'SIGXFSZ', 'ABRT', 'ALRM', 'BUS', 'CHLD', 'CONT', 'FPE',
+    'HUP', 'ILL', 'INT', 'IO', 'IOT', 'KILL', 'LOST', 'PIPE', 'POLL',
+    'PROF', 'PWR', 'QUIT', 'SEGV', 'STOP', 'SYS', 'TERM', 'TRAP', 'TSTP',
+    'TTIN', 'TTOU', 'URG', 'USR1', 'USR2', 'VTALRM', 'WINCH', 'XCPU',
+    'XFSZ', 0, 1, 2, 3, 4, 5, 6, 6, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17,
+    18, 19, 20, 21, 22, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 37
+];
+
+
+/*
+ * Brands of VMs that can be reprovisioned.
+ */
+var REPROVISION_BRANDS = ['joyent', 'joyent-minimal', 'lx'];
+
+
 var DEFAULT_LIST_VM_LIMIT = common.MAX_LIST_VMS_LIMIT;
 var DEFAULT_LIST_VM_OFFSET = 0;
 
+// The formats in which GET /vms/export can stream VMs, in order of preference
+// when the client accepts any of them.
+var EXPORT_VMS_FORMATS = ['application/x-ndjson', 'text/csv'];
+
+// The sort criteria of the pages of VMs that GET /vms/export loads from moray.
+// Sorting on uuid only means a marker can be built from any VM.
+var EXPORT_VMS_SORT = 'uuid.DESC';
+
+// The columns of CSV exports when the "fields" parameter is not used.
+var DEFAULT_EXPORT_CSV_COLUMNS = [
+    'uuid',
+    'alias',
+    'owner_uuid',
+    'server_uuid',
+    'state',
+    'brand',
+    'billing_id',
+    'image_uuid',
+    'ram',
+    'quota',
+    'create_timestamp'
+];
+
 // How often vmapi will check CNAPI to determine if a given server (and thus
 // whether the vm) is running.
 const SERVER_STATUS_CACHE_UPDATE_SECONDS = 30;
@@ -88,8 +140,13 @@ function renderVms(req, res, next) {
     var asyncFields = {
         role_tags: moray.getVmRoleTags.bind(moray)
     };
-    var fieldsParam = req.query.fields.split(',');
+    var parsedFields = common.parseVmFieldsParam(req.query.fields);
     var fields = [];
+    // Top-level fields of which only some nested properties are rendered, e.g
+    // "nics" for "fields=nics.ip,nics.mac", associated to the paths of these
+    // nested properties.
+    var nestedFields = {};
+    var wholeFields = {};
 
     // Take any vm to get all its default rendered fields
     var aVm = (req.vms ? req.vms[0] : req.vm);
@@ -97,19 +154,36 @@ function renderVms(req, res, next) {
     // (we won't have anything to iterate over anyway)
     var vmFields = (typeof (aVm) === 'object') ? Object.keys(aVm) : [];
 
-    // See if '*' was passed and remove duplicates
-    for (var i = 0; i < fieldsParam.length; i++) {
-        if (fieldsParam[i] === '*') {
-            fields = vmFields;
-            fields = fields.concat(Object.keys(asyncFields));
-            break;
-        } else {
-            fields.push(fieldsParam[i]);
-        }
+    if (parsedFields.all) {
+        fields = vmFields.concat(Object.keys(asyncFields));
+    } else if (parsedFields.include.length === 0) {
+        // Only exclusions were passed, so start from all default fields.
+        fields = vmFields.slice();
+    } else {
+        parsedFields.include.forEach(function (fieldPath) {
+            var field = fieldPath[0];
+
+            fields.push(field);
+            if (fieldPath.length === 1) {
+                wholeFields[field] = true;
+            } else {
+                nestedFields[field] = nestedFields[field] || [];
+                nestedFields[field].push(fieldPath.slice(1));
+            }
+        });
+
+        Object.keys(wholeFields).forEach(function (field) {
+            delete nestedFields[field];
+        });
     }
 
+    // Remove duplicates and fields that are excluded altogether, so that
+    // excluded async fields are not loaded.
     fields = fields.filter(function (elem, index) {
-        return (index === fields.indexOf(elem));
+        return (index === fields.indexOf(elem)) &&
+            !parsedFields.exclude.some(function (fieldPath) {
+                return fieldPath.length === 1 && fieldPath[0] === elem;
+            });
     });
 
     // This function is used to return a response from either GetVm or ListVms
@@ -173,6 +247,27 @@ function renderVms(req, res, next) {
             if (err) {
                 return nextVm(err);
             }
+
+            Object.keys(nestedFields).forEach(function (field) {
+                var projectedValue = common.projectVmFieldValue(vm[field],
+                    nestedFields[field]);
+
+                if (projectedValue === undefined) {
+                    delete vm[field];
+                } else {
+                    vm[field] = projectedValue;
+                }
+            });
+
+            parsedFields.exclude.forEach(function (fieldPath) {
+                var field = fieldPath[0];
+
+                if (fieldPath.length > 1 && vm[field] !== undefined) {
+                    vm[field] = common.omitVmFieldValue(vm[field],
+                        fieldPath.slice(1));
+                }
+            });
+
             return nextVm(null, vm);
         });
     }
@@ -225,7 +320,9 @@ function preFilterVms(req, res, next) {
 function updateVmFromServerStatus(req, res, next) {
     var log = req.log;
 
-    if (!req.app.options.server_state_affects_vm_state) {
+    // VMs as they were in the past are rendered as they were stored.
+    if (!req.app.options.server_state_affects_vm_state ||
+        req.vmAsOf !== undefined) {
         next();
         return;
     }
@@ -357,6 +454,90 @@ function updateVmFromServerStatus(req, res, next) {
 }
 
 
+/*
+ * Calls "callback" with an error if the parameters of the request "req" filter
+ * VMs on internal_metadata, but the data migration that makes internal_metadata
+ * searchable has not completed yet.
+ */
+function checkInternalMetadataSearchAvailable(req, callback) {
+    var err;
+    var INTERNAL_METADATA_SEARCH_DATA_VER = 1;
+    var internalMetadataSearchUsed;
+    var latestCompletedDataMigration =
+        req.app.getLatestCompletedDataMigrationForModel('vms');
+    var LIST_VMS_POLYMORPHIC_PARAMS = ['internal_metadata', 'tags'];
+
+    internalMetadataSearchUsed =
+        common.hasPolymorphicParamWithName('internal_metadata',
+            req.params) ||
+        common.jsonPredicateFiltersOn('internal_metadata',
+            req.params.predicate, LIST_VMS_POLYMORPHIC_PARAMS) ||
+        common.ldapFilterFiltersOn('internal_metadata_search_array',
+            req.params.query);
+
+    req.log.trace({
+        latestCompletedDataMigration: latestCompletedDataMigration,
+        params: req.params
+    }, 'Checking if searching on internal_metadata is available');
+
+    if (internalMetadataSearchUsed &&
+        (latestCompletedDataMigration === undefined ||
+            latestCompletedDataMigration <
+                INTERNAL_METADATA_SEARCH_DATA_VER)) {
+        err = new errors.DataVersionError('vms',
+            INTERNAL_METADATA_SEARCH_DATA_VER, latestCompletedDataMigration,
+            'internal_metadata search');
+    }
+
+    callback(err);
+}
+
+/*
+ * Calls "callback" with an error if the parameters of the request "req" filter
+ * VMs on the properties of their NICs (ip, mac, network_uuid or nic_tag), but
+ * the data migration that makes NICs searchable has not completed yet.
+ */
+function checkNicsSearchAvailable(req, callback) {
+    var err;
+    var NICS_SEARCH_DATA_VER = 2;
+    var latestCompletedDataMigration =
+        req.app.getLatestCompletedDataMigrationForModel('vms');
+    var nicsSearchUsed;
+
+    nicsSearchUsed = Object.keys(common.NIC_SEARCH_FIELDS).some(
+        function isUsed(nicProp) {
+            return req.params[nicProp] !== undefined ||
+                common.jsonPredicateFiltersOn(nicProp, req.params.predicate) ||
+                common.ldapFilterFiltersOn(common.NIC_SEARCH_FIELDS[nicProp],
+                    req.params.query);
+        });
+
+    if (nicsSearchUsed &&
+        (latestCompletedDataMigration === undefined ||
+            latestCompletedDataMigration < NICS_SEARCH_DATA_VER)) {
+        err = new errors.DataVersionError('vms', NICS_SEARCH_DATA_VER,
+            latestCompletedDataMigration, 'NICs search');
+    }
+
+    callback(err);
+}
+
+/*
+ * Returns the params to pass to the moray layer to filter VMs from the
+ * (validated) parameters of the request "req".
+ */
+function getVmsFilterParams(req) {
+    var params = common.clone(req.params);
+
+    if (req.uuids) {
+        params.uuids = req.uuids;
+    } else if (params.uuids && typeof (params.uuids) === 'string') {
+        params.uuids = params.uuids.split(',');
+    }
+
+    return params;
+}
+
 /*
  * GET /vms
  *
@@ -365,37 +546,165 @@ function updateVmFromServerStatus(req, res, next) {
 function listVms(req, res, next) {
     req.log.trace('ListVms start');
 
-    function checkInternalMetadataSearchAvailable(_, done) {
-        var err;
-        var INTERNAL_METADATA_SEARCH_DATA_VER = 1;
-        var internalMetadataSearchUsed;
-        var latestCompletedDataMigration =
-            req.app.getLatestCompletedDataMigrationForModel('vms');
-        var LIST_VMS_POLYMORPHIC_PARAMS = ['internal_metadata', 'tags'];
+    /*
+     * The parameters of the request as they were sent by the client, before
+     * validation converts some of them. They are used to build the page token
+     * of the next page of results.
+     */
+    var requestParams;
+
+    function expandPageToken(_, done) {
+        var otherParams;
+        var pageToken = req.params.page_token;
+        var parseRes;
+
+        if (pageToken === undefined) {
+            requestParams = common.clone(req.params);
+            done();
+            return;
+        }
+
+        otherParams = Object.keys(req.params).filter(function (param) {
+            return param !== 'page_token';
+        });
+
+        if (otherParams.length > 0) {
+            done(new errors.ValidationFailedError('Invalid Parameters', [
+                errors.conflictingParamsErrorsElem(
+                    ['page_token'].concat(otherParams),
+                    'page_token cannot be used with other parameters')
+            ]));
+            return;
+        }
+
+        parseRes = common.parsePageToken(pageToken, req.app.pageTokenSecret);
+        if (parseRes.params === null) {
+            done(new errors.ValidationFailedError('Invalid Parameters',
+                parseRes.parseErrors.map(function (errorMsg) {
+                    return errors.invalidParamErrorsElem('page_token',
+                        errorMsg);
+                })));
+            return;
+        }
+
+        delete req.params.page_token;
+        Object.keys(parseRes.params).forEach(function (param) {
+            req.params[param] = parseRes.params[param];
+        });
+
+        requestParams = common.clone(parseRes.params);
+        done();
+    }
+
+    /*
+     * Replaces the "search" parameter with the filters of the saved search
+     * that it names (see lib/searches.js). The filters of the search are
+     * combined with the other filters of the request, and the page tokens of
+     * the results hold these filters rather than the name of the search.
+     */
+    function expandSavedSearch(_, done) {
+        var conflictingParams;
+        var errs = [];
+
+        if (req.params.search === undefined) {
+            done();
+            return;
+        }
+
+        if (typeof (req.params.search) !== 'string') {
+            errs.push(errors.invalidParamErrorsElem('search',
+                'Not a valid string'));
+        }
+
+        if (req.params.owner_uuid === undefined) {
+            errs.push(errors.missingParamErrorsElem('owner_uuid',
+                'owner_uuid is required when using search'));
+        } else if (!common.validUUID(req.params.owner_uuid)) {
+            errs.push(errors.invalidUuidErrorsElem('owner_uuid'));
+        }
+
+        if (errs.length > 0) {
+            done(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        req.app.moray.listSearches({
+            owner_uuid: req.params.owner_uuid,
+            name: req.params.search
+        }, function onList(err, searches) {
+            var filters;
+
+            if (err) {
+                done(err);
+                return;
+            }
+
+            if (searches.length === 0) {
+                done(new restify.ResourceNotFoundError('Search not found'));
+                return;
+            }
+
+            filters = searches[0].filters;
+            conflictingParams = Object.keys(filters).filter(function (param) {
+                return req.params[param] !== undefined;
+            });
 
-        internalMetadataSearchUsed =
-            common.hasPolymorphicParamWithName('internal_metadata',
-                req.params) ||
-            common.jsonPredicateFiltersOn('internal_metadata',
-                req.params.predicate, LIST_VMS_POLYMORPHIC_PARAMS) ||
-            common.ldapFilterFiltersOn('internal_metadata_search_array',
-                req.params.query);
+            if (conflictingParams.length > 0) {
+                done(new errors.ValidationFailedError('Invalid Parameters', [
+                    errors.conflictingParamsErrorsElem(
+                        ['search'].concat(conflictingParams),
+                        'Parameters already set by search ' +
+                            req.params.search + ' cannot be used')
+                ]));
+                return;
+            }
+
+            delete req.params.search;
+            Object.keys(filters).forEach(function (param) {
+                req.params[param] = filters[param];
+            });
+
+            requestParams = common.clone(req.params);
+            done();
+        });
+    }
 
-        req.log.trace({
-            latestCompletedDataMigration: latestCompletedDataMigration,
-            params: req.params
-        }, 'Checking if searching on internal_metadata is available');
+    /*
+     * Sets the x-joyent-next-page-token and Link headers of the response to
+     * the page token of the page that follows "vms", the current page of
+     * results. Pages that have less VMs than the limit are the last ones, and
+     * don't have a next page.
+     */
+    function setNextPageHeaders(vms, limit, offset) {
+        var marker;
+        var nextPageParams = common.clone(requestParams);
+        var pageToken;
+
+        if (vms.length === 0 || vms.length < limit) {
+            return;
+        }
+
+        delete nextPageParams.marker;
+        delete nextPageParams.offset;
 
-        if (internalMetadataSearchUsed &&
-            (latestCompletedDataMigration === undefined ||
-                latestCompletedDataMigration <
-                    INTERNAL_METADATA_SEARCH_DATA_VER)) {
-            err = new errors.DataVersionError('vms',
-                INTERNAL_METADATA_SEARCH_DATA_VER, latestCompletedDataMigration,
-                'internal_metadata search');
+        marker = common.createMarkerFromVm(vms[vms.length - 1],
+            req.params.sort);
+
+        if (marker !== null) {
+            nextPageParams.marker = JSON.stringify(marker);
+        } else if (req.params.marker === undefined) {
+            nextPageParams.offset = String(offset + vms.length);
+        } else {
+            req.log.warn({sort: req.params.sort},
+                'could not build marker for next page token');
+            return;
         }
 
-        done(err);
+        pageToken = common.createPageToken(nextPageParams,
+            req.app.pageTokenSecret);
+
+        res.header('x-joyent-next-page-token', pageToken);
+        res.header('Link', '</vms?page_token=' + pageToken + '>; rel="next"');
     }
 
     function validateParams(_, done) {
@@ -415,12 +724,7 @@ function listVms(req, res, next) {
     function list(_, done) {
         req.log.trace('listing vms');
 
-        var params = common.clone(req.params);
-        if (req.uuids) {
-            params.uuids = req.uuids;
-        } else if (params.uuids && typeof (params.uuids) === 'string') {
-            params.uuids = params.uuids.split(',');
-        }
+        var params = getVmsFilterParams(req);
 
         req.app.moray.countVms(params, function (error, count) {
             if (error) {
@@ -455,6 +759,7 @@ function listVms(req, res, next) {
                 }
 
                 req.vms = vms;
+                setNextPageHeaders(vms, limit, offset);
 
                 return done();
             });
@@ -463,8 +768,15 @@ function listVms(req, res, next) {
 
     vasync.pipeline({
         funcs: [
+            expandPageToken,
+            expandSavedSearch,
             validateParams,
-            checkInternalMetadataSearchAvailable,
+            function checkInternalMetadataSearch(_, done) {
+                checkInternalMetadataSearchAvailable(req, done);
+            },
+            function checkNicsSearch(_, done) {
+                checkNicsSearchAvailable(req, done);
+            },
             list
         ]
     }, function allDone(err) {
@@ -476,6 +788,303 @@ function listVms(req, res, next) {
 }
 
 
+/*
+ * Returns the string that represents "value" in a CSV cell. Arrays of scalar
+ * values (e.g the IP addresses of all NICs of a VM) are separated by
+ * semicolons, other objects are represented as JSON.
+ */
+function csvCellFromValue(value) {
+    var cell;
+
+    if (value === undefined || value === null) {
+        cell = '';
+    } else if (value instanceof Date) {
+        cell = value.toISOString();
+    } else if (Array.isArray(value) && value.every(function isScalar(elem) {
+        return elem === null || typeof (elem) !== 'object';
+    })) {
+        cell = value.join(';');
+    } else if (typeof (value) === 'object') {
+        cell = JSON.stringify(value);
+    } else {
+        cell = String(value);
+    }
+
+    if (/[",\r\n]/.test(cell)) {
+        cell = '"' + cell.replace(/"/g, '""') + '"';
+    }
+
+    return cell;
+}
+
+
+/*
+ * GET /vms/export
+ *
+ * Streams all the VMs that match the ListVms filters of the request, in the
+ * CSV or NDJSON format. VMs are loaded from moray one page at a time using
+ * markers, so that exports are not limited to MAX_LIST_VMS_LIMIT VMs.
+ */
+function exportVms(req, res, next) {
+    req.log.trace('ExportVms start');
+
+    var csvColumns;
+    var exportEnded = false;
+    var format;
+    var nbExportedVms = 0;
+    var parsedFields = {all: false, include: [], exclude: []};
+
+    function renderVm(vm) {
+        var projected = vm;
+
+        if (format === 'text/csv') {
+            return csvColumns.map(function getCell(column) {
+                return csvCellFromValue(common.getVmFieldValue(vm,
+                    column.split('.')));
+            }).join(',') + '\r\n';
+        }
+
+        if (!parsedFields.all && parsedFields.include.length > 0) {
+            projected = common.projectVmFieldValue(vm, parsedFields.include) ||
+                {};
+        }
+
+        parsedFields.exclude.forEach(function (fieldPath) {
+            projected = common.omitVmFieldValue(projected, fieldPath);
+        });
+
+        return JSON.stringify(projected) + '\n';
+    }
+
+    function selectCsvColumns() {
+        var columns = DEFAULT_EXPORT_CSV_COLUMNS;
+
+        if (parsedFields.all) {
+            columns = common.VM_FIELDS.map(function (vmField) {
+                return vmField.name;
+            });
+        } else if (parsedFields.include.length > 0) {
+            columns = parsedFields.include.map(function (fieldPath) {
+                return fieldPath.join('.');
+            });
+        }
+
+        return columns.filter(function (column, index) {
+            return columns.indexOf(column) === index &&
+                !parsedFields.exclude.some(function (fieldPath) {
+                    var excluded = fieldPath.join('.');
+
+                    return column === excluded ||
+                        column.indexOf(excluded + '.') === 0;
+                });
+        });
+    }
+
+    function stopExport() {
+        exportEnded = true;
+    }
+
+    /*
+     * Writes the VMs that follow the marker "marker" to the response, one page
+     * at a time, and calls "callback" when all VMs were written.
+     */
+    function exportPage(marker, callback) {
+        var params = getVmsFilterParams(req);
+
+        params.limit = common.MAX_LIST_VMS_LIMIT;
+        params.marker = marker;
+        params.sort = EXPORT_VMS_SORT;
+
+        req.app.moray.listVms(params, function onListVms(err, vms) {
+            var flushed = true;
+
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            if (exportEnded) {
+                callback();
+                return;
+            }
+
+            vms.forEach(function writeVm(vm) {
+                flushed = res.write(renderVm(vm));
+            });
+            nbExportedVms += vms.length;
+
+            if (vms.length < params.limit) {
+                callback();
+                return;
+            }
+
+            function exportNextPage() {
+                exportPage(common.createMarkerFromVm(vms[vms.length - 1],
+                    EXPORT_VMS_SORT), callback);
+            }
+
+            if (flushed) {
+                exportNextPage();
+                return;
+            }
+
+            /*
+             * If the client goes away while its socket is full, "drain" is
+             * never emitted, so the export is ended when the request is
+             * closed.
+             */
+            function onDrain() {
+                req.removeListener('close', onClose);
+                exportNextPage();
+            }
+
+            function onClose() {
+                res.removeListener('drain', onDrain);
+                callback();
+            }
+
+            res.once('drain', onDrain);
+            req.once('close', onClose);
+        });
+    }
+
+    vasync.pipeline({
+        funcs: [
+            function validateParams(_, done) {
+                common.validateExportVmsParams(req.params,
+                    function onValidated(errs) {
+                        if (errs) {
+                            done(new errors.ValidationFailedError(
+                                'Invalid Parameters', errs));
+                            return;
+                        }
+                        done();
+                    });
+            },
+            function checkInternalMetadataSearch(_, done) {
+                checkInternalMetadataSearchAvailable(req, done);
+            },
+            function checkNicsSearch(_, done) {
+                checkNicsSearchAvailable(req, done);
+            },
+            function selectFormat(_, done) {
+                format = req.accepts(EXPORT_VMS_FORMATS);
+                if (EXPORT_VMS_FORMATS.indexOf(format) === -1) {
+                    done(new restify.NotAcceptableError('VMs can only be ' +
+                        'exported as ' + EXPORT_VMS_FORMATS.join(' or ')));
+                    return;
+                }
+
+                if (req.params.fields !== undefined) {
+                    parsedFields = common.parseVmFieldsParam(req.params.fields);
+                }
+
+                done();
+            }
+        ]
+    }, function onReady(err) {
+        if (err) {
+            req.log.error({err: err}, 'Error exporting VMs');
+            next(err);
+            return;
+        }
+
+        // Exporting all VMs can last for longer than the default socket
+        // timeout.
+        req.connection.setTimeout(0);
+        req.once('close', stopExport);
+
+        res.writeHead(200, {'Content-Type': format});
+
+        if (format === 'text/csv') {
+            csvColumns = selectCsvColumns();
+            res.write(csvColumns.map(csvCellFromValue).join(',') + '\r\n');
+        }
+
+        exportPage(undefined, function onExported(exportErr) {
+            if (exportErr) {
+                // The response's status was already sent, so the only way to
+                // signal the error to the client is to end the response
+                // abruptly.
+                req.log.error({err: exportErr, nbExportedVms: nbExportedVms},
+                    'Error exporting VMs');
+                res.connection.destroy();
+            } else if (exportEnded) {
+                req.log.info({nbExportedVms: nbExportedVms},
+                    'VMs export ended by the client');
+            } else {
+                req.log.debug({nbExportedVms: nbExportedVms}, 'VMs exported');
+                res.end();
+            }
+
+            next();
+        });
+    });
+}
+
+
+/*
+ * GET /vms/stats
+ */
+function getVmStats(req, res, next) {
+    req.log.trace('GetVmStats start');
+
+    vasync.pipeline({
+        funcs: [
+            function validateParams(_, done) {
+                common.validateGetVmStatsParams(req.params,
+                    function onValidated(errs) {
+                        if (errs) {
+                            done(new errors.ValidationFailedError(
+                                'Invalid Parameters', errs));
+                            return;
+                        }
+                        done();
+                    });
+            },
+            function checkInternalMetadataSearch(_, done) {
+                checkInternalMetadataSearchAvailable(req, done);
+            },
+            function checkNicsSearch(_, done) {
+                checkNicsSearchAvailable(req, done);
+            },
+            function computeStats(_, done) {
+                var groupBy = req.params.group_by;
+
+                req.app.moray.getVmStats(getVmsFilterParams(req), groupBy,
+                    function onStats(err, stats, groups) {
+                        if (err) {
+                            done(err);
+                            return;
+                        }
+
+                        res.header('x-joyent-resource-count', stats.count);
+
+                        if (groupBy === undefined) {
+                            res.send(200, stats);
+                            done();
+                            return;
+                        }
+
+                        res.send(200, groups.map(function renderGroup(group) {
+                            var groupStats = group.stats;
+
+                            groupStats[groupBy] = group.value;
+                            return groupStats;
+                        }));
+                        done();
+                    });
+            }
+        ]
+    }, function allDone(err) {
+        if (err) {
+            req.log.error({err: err}, 'Error computing VM stats');
+        }
+        next(err);
+    });
+}
+
+
 /*
  * GET /vms/:uuid/proc
  */
@@ -505,17 +1114,207 @@ function getVmProc(req, res, next) {
 }
 
 /*
- * GET /vms/:uuid
+ * The executions of the jobs that are listed by GetVmQueue: jobs that haven't
+ * started yet, and jobs that may hold or wait on a ticket.
  */
-function getVm(req, res, next) {
-    req.log.trace({ vm_uuid: req.params.uuid }, 'GetVm start');
+var VM_QUEUE_JOB_EXECUTIONS = ['queued', 'running', 'waiting'];
 
-    if (req.params.sync && req.params.sync === 'true') {
-        _getVmSync(req, next);
-        return;
-    } else {
-        next();
-        return;
+/*
+ * Returns the GetVmQueue response for the VM "vm" from the CNAPI waitlist
+ * tickets of its server "serverTickets" and its unfinished jobs "jobs". "now"
+ * is the time used to compute ages, in milliseconds since the epoch.
+ */
+function renderVmQueue(vm, serverTickets, jobs, now) {
+    var ticketsByUuid = {};
+    var vmTickets;
+
+    function byCreationTime(a, b) {
+        return Date.parse(a.created_at) - Date.parse(b.created_at);
+    }
+
+    vmTickets = serverTickets.filter(function isVmTicket(ticket) {
+        return ticket.scope === 'vm' && ticket.id === vm.uuid &&
+            ticket.status !== 'finished';
+    }).sort(byCreationTime);
+
+    vmTickets.forEach(function indexTicket(ticket) {
+        ticketsByUuid[ticket.uuid] = ticket;
+    });
+
+    jobs = jobs.slice().sort(byCreationTime).map(function renderJob(job) {
+        var queueState = 'pending';
+        var ticket = job.params && job.params.vmTicket;
+        var ticketUuid = (ticket && ticket.uuid) || null;
+
+        if (ticketUuid !== null) {
+            if (ticketsByUuid[ticketUuid] === undefined) {
+                queueState = 'released';
+            } else if (ticketsByUuid[ticketUuid].status === 'active') {
+                queueState = 'holding';
+            } else {
+                queueState = 'waiting';
+            }
+        }
+
+        return {
+            uuid: job.uuid,
+            name: job.name,
+            execution: job.execution,
+            created_at: job.created_at,
+            age_ms: now - Date.parse(job.created_at),
+            ticket_uuid: ticketUuid,
+            queue_state: queueState
+        };
+    });
+
+    return {
+        vm_uuid: vm.uuid,
+        server_uuid: vm.server_uuid || null,
+        tickets: vmTickets.map(function renderTicket(ticket) {
+            var holderJob = jobs.filter(function hasTicket(job) {
+                return job.ticket_uuid === ticket.uuid;
+            })[0];
+
+            return {
+                uuid: ticket.uuid,
+                status: ticket.status,
+                action: ticket.action,
+                created_at: ticket.created_at,
+                updated_at: ticket.updated_at,
+                expires_at: ticket.expires_at,
+                age_ms: now - Date.parse(ticket.created_at),
+                expired: Date.parse(ticket.expires_at) < now,
+                job_uuid: holderJob ? holderJob.uuid :
+                    ((ticket.extra && ticket.extra.workflow_job_uuid) || null)
+            };
+        }),
+        jobs: jobs
+    };
+}
+
+/*
+ * GET /vms/:uuid/queue
+ *
+ * Lists the CNAPI waitlist tickets of a VM, and its jobs that haven't
+ * finished, so that operators can tell which job a queued job waits on.
+ */
+function getVmQueue(req, res, next) {
+    req.log.trace({ vm_uuid: req.params.uuid }, 'GetVmQueue start');
+
+    var jobs = [];
+    var serverTickets = [];
+    var vm = req.vm;
+
+    vasync.parallel({
+        funcs: [
+            function listServerTickets(done) {
+                // VMs that haven't been allocated to a server have no ticket.
+                if (!vm.server_uuid) {
+                    done();
+                    return;
+                }
+
+                req.app.cnapi.listWaitlistTickets(vm.server_uuid,
+                    function onListTickets(err, tickets) {
+                        serverTickets = tickets || [];
+                        done(err);
+                    });
+            },
+            function listVmJobs(done) {
+                vasync.forEachParallel({
+                    func: function listJobs(execution, listDone) {
+                        req.app.wfapi.listJobs({
+                            vm_uuid: vm.uuid,
+                            execution: execution
+                        }, function onListJobs(err, executionJobs) {
+                            if (!err) {
+                                jobs = jobs.concat(executionJobs);
+                            }
+                            listDone(err);
+                        });
+                    },
+                    inputs: VM_QUEUE_JOB_EXECUTIONS
+                }, done);
+            }
+        ]
+    }, function onQueueLoaded(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.send(200, renderVmQueue(vm, serverTickets, jobs, Date.now()));
+        next();
+    });
+}
+
+/*
+ * GET /vms/:uuid
+ */
+function getVm(req, res, next) {
+    req.log.trace({ vm_uuid: req.params.uuid }, 'GetVm start');
+
+    if (req.params.as_of !== undefined) {
+        _getVmAsOf(req, next);
+        return;
+    }
+
+    if (req.params.sync && req.params.sync === 'true') {
+        _getVmSync(req, function onGetVmSync(err) {
+            if (!err) {
+                setVmEtagHeader(req, res);
+            }
+            next(err);
+        });
+        return;
+    } else {
+        setVmEtagHeader(req, res);
+        next();
+        return;
+    }
+}
+
+/*
+ * Replaces req.vm with the revision of the VM that was current at the time
+ * "as_of" (see Moray.prototype.getVmRevisionAsOf). No ETag header is sent for
+ * these requests, as past revisions of a VM cannot be modified.
+ */
+function _getVmAsOf(req, next) {
+    common.validateGetVmAsOfParams(req.params, function onValidated(errs) {
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        req.app.moray.getVmRevisionAsOf(req.vm.uuid, req.params.as_of,
+            function onGetRevision(err, revision) {
+                if (err) {
+                    next(err);
+                    return;
+                }
+
+                if (!revision) {
+                    next(new restify.ResourceNotFoundError(
+                        'VM not found at ' +
+                        new Date(req.params.as_of).toISOString()));
+                    return;
+                }
+
+                req.vm = common.translateVm(revision.vm, true);
+                req.vmAsOf = req.params.as_of;
+                next();
+            });
+    });
+}
+
+/*
+ * Sets the "ETag" response header from the etag of the VM's moray record, so
+ * that clients can send it back in an "If-Match" header when modifying that
+ * VM.
+ */
+function setVmEtagHeader(req, res) {
+    if (req.vmEtag) {
+        res.header('ETag', common.formatEtag(req.vmEtag));
     }
 }
 
@@ -525,34 +1324,42 @@ function getVm(req, res, next) {
  */
 
 function handleUpdateVMResponse(req, res, next, juuid) {
+    var response = { vm_uuid: req.vm.uuid, job_uuid: juuid };
+
+    audit.recordJob(req, req.vm, juuid);
+
     // Allow clients to know the location of WFAPI
     res.header('workflow-api', req.app.wfapi.url);
 
-    var sync = req.params.sync;
-    if (sync) {
-        /*
-         * Node's default HTTP timeout is two minutes, and sync requests can
-         * take longer than that to complete. Set this connection's
-         * timeout to an hour to avoid an abrupt close after two minutes.
-         */
-        req.connection.setTimeout(60 * 60 * 1000);
+    idempotency.storeIdempotencyKey(req, response, sendResponse);
 
-        var opts = {
-            log: req.log,
-            job_uuid: juuid,
-            wfapi: req.app.wfapi
-        };
-        common.waitForJob(opts, function (error) {
-            if (error) {
-                next(error);
-                return;
-            }
-            res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
+    function sendResponse() {
+        var sync = req.params.sync;
+        if (sync) {
+            /*
+             * Node's default HTTP timeout is two minutes, and sync requests
+             * can take longer than that to complete. Set this connection's
+             * timeout to an hour to avoid an abrupt close after two minutes.
+             */
+            req.connection.setTimeout(60 * 60 * 1000);
+
+            var opts = {
+                log: req.log,
+                job_uuid: juuid,
+                wfapi: req.app.wfapi
+            };
+            common.waitForJob(opts, function (error) {
+                if (error) {
+                    next(error);
+                    return;
+                }
+                res.send(202, response);
+                next();
+            });
+        } else {
+            res.send(202, response);
             next();
-        });
-    } else {
-        res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
-        next();
+        }
     }
 }
 
@@ -724,28 +1531,10 @@ function stopVm(req, res, next) {
 function killVm(req, res, next) {
     var error;
 
-    // XXX This includes all signals from process.binding('constants') plus
-    // the special '0' signal. Anything not on this list is not supported by
-    // the backend, but it's possible we'll want to remove some from this list
-    // too as some of these probably don't make sense to send.
-    var valid_signals = [
-        'SIGABRT', 'SIGALRM', 'SIGBUS', 'SIGCHLD', 'SIGCONT', 'SIGFPE',
-        'SIGHUP', 'SIGILL', 'SIGINT', 'SIGIO', 'SIGIOT', 'SIGKILL', 'SIGLOST',
-        'SIGPIPE', 'SIGPOLL', 'SIGPROF', 'SIGPWR', 'SIGQUIT', 'SIGSEGV',
-        'SIGSTOP', 'SIGSYS', 'SIGTERM', 'SIGTRAP', 'SIGTSTP', 'SIGTTIN',
-        'SIGTTOU', 'SIGURG', 'SIGUSR1', 'SIGUSR2', 'SIGVTALRM', 'SIGWINCH',
-        'SIGXCPU', 'SIGXFSZ', 'ABRT', 'ALRM', 'BUS', 'CHLD', 'CONT', 'FPE',
-        'HUP', 'ILL', 'INT', 'IO', 'IOT', 'KILL', 'LOST', 'PIPE', 'POLL',
-        'PROF', 'PWR', 'QUIT', 'SEGV', 'STOP', 'SYS', 'TERM', 'TRAP', 'TSTP',
-        'TTIN', 'TTOU', 'URG', 'USR1', 'USR2', 'VTALRM', 'WINCH', 'XCPU',
-        'XFSZ', 0, 1, 2, 3, 4, 5, 6, 6, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17,
-        18, 19, 20, 21, 22, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 37
-    ];
-
     req.log.trace({ vm_uuid: req.params.uuid }, 'KillVm start');
 
     if (req.params.signal) {
-        if (valid_signals.indexOf(req.params.signal) === -1) {
+        if (VALID_KILL_SIGNALS.indexOf(req.params.signal) === -1) {
             error = [ errors.invalidParamErrorsElem('signal') ];
             next(new errors.ValidationFailedError('Invalid Parameters', error));
             return;
@@ -812,7 +1601,7 @@ function reprovisionVm(req, res, next) {
     var error;
     var vm = req.vm;
 
-    if (['joyent', 'joyent-minimal', 'lx'].indexOf(vm.brand) === -1) {
+    if (REPROVISION_BRANDS.indexOf(vm.brand) === -1) {
         next(new errors.BrandNotSupportedError(
             'VM \'brand\' does not support reprovision'));
         return;
@@ -848,32 +1637,82 @@ function changeVm(req, res, next) {
     req.log.trace({ vm_uuid: req.params.uuid }, 'ChangeVm start');
     req.log.debug({ params: req.params }, 'changeVm req.params');
 
+    createChangeVmJob(req, function (err, juuid) {
+        if (err) {
+            return next(err);
+        }
+
+        return handleUpdateVMResponse(req, res, next, juuid);
+    });
+}
+
+
+/*
+ * Validates the update parameters in req.params against the VM req.vm, and
+ * queues an update job for that VM. Calls "callback" with (err, jobUuid).
+ */
+function createChangeVmJob(req, callback) {
     common.validateUpdateVmParams(req.app, req.vm, req.params, onValidate);
 
     function onValidate(verr, params) {
         if (verr) {
-            next(verr);
+            callback(verr);
             return;
         }
 
         req.log.debug({ params: params }, 'changeVm validated params');
 
-        // work around a mid-2018 to early-2019 VM.js platform bug, which causes
-        // resize jobs to fail on VMs with no tmpfs, even when the actual VM
-        // successfully resized
-        if (params.tmpfs === undefined && req.vm.tmpfs === 0) {
-            req.log.debug('changeVm set param.tmpfs to 0 since vm.tmpfs is 0');
-            params.tmpfs = 0;
+        if (params.subtask !== 'resize') {
+            createJob();
+            return;
         }
 
-        req.app.wfapi.createUpdateJob(req, params, function (err, juuid) {
-            if (err) {
-                return next(err);
+        checkResizeOwnerLimits(req, params, function onChecked(limitErr) {
+            if (limitErr) {
+                callback(limitErr);
+                return;
             }
 
-            return handleUpdateVMResponse(req, res, next, juuid);
+            createJob();
         });
+
+        function createJob() {
+            // work around a mid-2018 to early-2019 VM.js platform bug, which
+            // causes resize jobs to fail on VMs with no tmpfs, even when the
+            // actual VM successfully resized
+            if (params.tmpfs === undefined && req.vm.tmpfs === 0) {
+                req.log.debug('changeVm set param.tmpfs to 0 since vm.tmpfs ' +
+                    'is 0');
+                params.tmpfs = 0;
+            }
+
+            req.app.wfapi.createUpdateJob(req, params, callback);
+        }
+    }
+}
+
+
+/*
+ * Checks that resizing the VM req.vm with the validated update parameters
+ * "params" does not exceed the limits of the VM's owner. Only the additional
+ * RAM and disk that the resize requires are checked. The disks of bhyve VMs are
+ * not resized by resize jobs, so only their RAM is checked.
+ */
+function checkResizeOwnerLimits(req, params, callback) {
+    var currentResources = ownerLimits.getVmResources(req.vm);
+    var newRam = params.ram || params.max_physical_memory;
+    var requested = {
+        ram: newRam === undefined ? 0 : newRam - currentResources.ram,
+        disk: 0
+    };
+
+    if (params.quota !== undefined &&
+        ['bhyve', 'kvm'].indexOf(req.vm.brand) === -1) {
+        requested.disk = params.quota * 1024 - currentResources.disk;
     }
+
+    ownerLimits.checkOwnerLimits(req.app.moray, req.vm.owner_uuid, req.vm,
+        requested, callback);
 }
 
 
@@ -1311,9 +2150,10 @@ function deleteVm(req, res, next) {
      * overall system. We can't mark the VM as destroyed because in this case
      * the VM might actually exist somewhere.
      */
-    if (req.vm.server_uuid === undefined || req.vm.server_uuid === null) {
-        next(new restify.errors.ConflictError('Cannot delete a VM with no ' +
-            'server_uuid'));
+    var vmErr = vmActionError('destroy', req.vm);
+
+    if (vmErr) {
+        next(vmErr);
     } else {
         req.app.wfapi.createDestroyJob(req, function (jobErr, juuid) {
             if (jobErr) {
@@ -2288,6 +3128,7 @@ function createVm(req, res, next) {
         funcs: [
             validateCreateVmParams,
             setBhyveDisksSizes,
+            checkOwnerLimits,
             checkAllNfsVolumesReachable,
             allocateServer,
             getNicTags,
@@ -2351,6 +3192,12 @@ function createVm(req, res, next) {
     }
 
 
+    function checkOwnerLimits(_, done) {
+        ownerLimits.checkOwnerLimits(req.app.moray, req.params.owner_uuid,
+            req.params, ownerLimits.getVmResources(req.params), done);
+    }
+
+
     function checkAllNfsVolumesReachable(_, done) {
         var volumes = req.params.volumes;
         var networks = req.filteredNetworks.networks;
@@ -2652,6 +3499,8 @@ function createSnapshot(req, res, next) {
             return next(err);
         }
 
+        pruneSnapshotsAfterJob(req, juuid);
+
         return handleUpdateVMResponse(req, res, next, juuid);
     });
 }
@@ -2720,6 +3569,551 @@ function deleteSnapshot(req, res, next) {
 
 
 
+/*
+ * When the VM of the request "req" has a snapshot retention policy, hands its
+ * snapshot job with UUID "jobUuid" to the snapshot pruner, which deletes the
+ * snapshots that the policy doesn't keep once the job succeeds.
+ */
+function pruneSnapshotsAfterJob(req, jobUuid) {
+    if (snapshotRetention.getVmSnapshotRetention(req.vm) !== null) {
+        req.app.snapshotPruner.pruneAfterJob({
+            jobUuid: jobUuid,
+            vmUuid: req.vm.uuid
+        });
+    }
+}
+
+
+
+/*
+ * GET /vms/:uuid/snapshots
+ */
+function listVmSnapshots(req, res, next) {
+    req.log.trace({ vm_uuid: req.params.uuid }, 'ListVmSnapshots start');
+
+    res.send(200, snapshotRetention.translateVmSnapshots(req.vm, Date.now()));
+    next();
+}
+
+
+
+/*
+ * GET /vms/:uuid/snapshots/retention
+ */
+function getVmSnapshotRetention(req, res, next) {
+    var policy = snapshotRetention.getVmSnapshotRetention(req.vm);
+
+    if (policy === null) {
+        next(new restify.ResourceNotFoundError(
+            'VM has no snapshot retention policy'));
+        return;
+    }
+
+    res.send(200, policy);
+    next();
+}
+
+
+
+/*
+ * PUT /vms/:uuid/snapshots/retention
+ *
+ * Sets the snapshot retention policy of a VM. The policy is stored in the VM's
+ * internal_metadata, so this queues an update job.
+ */
+function setVmSnapshotRetention(req, res, next) {
+    req.log.trace({ vm_uuid: req.params.uuid }, 'SetVmSnapshotRetention start');
+    var canSnap;
+
+    canSnap = canSnapshot(req.vm);
+    if (util.isError(canSnap)) {
+        next(canSnap);
+        return;
+    }
+
+    common.validateSnapshotRetentionParams(req.params,
+        function onValidated(errs) {
+            var params = {
+                set_internal_metadata: {},
+                subtask: 'metadata'
+            };
+            var policy = {};
+
+            if (errs) {
+                next(new errors.ValidationFailedError('Invalid Parameters',
+                    errs));
+                return;
+            }
+
+            ['keep_last', 'keep_newer_than', 'keep_tagged'].forEach(
+                function copyRule(rule) {
+                    if (req.params[rule] !== undefined) {
+                        policy[rule] = req.params[rule];
+                    }
+                });
+
+            params.set_internal_metadata[
+                snapshotRetention.SNAPSHOT_RETENTION_KEY] =
+                JSON.stringify(policy);
+
+            req.app.wfapi.createUpdateJob(req, params,
+                function onJobCreated(err, juuid) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+
+                    audit.recordJob(req, req.vm, juuid);
+                    res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
+                    next();
+                });
+        });
+}
+
+
+
+/*
+ * DELETE /vms/:uuid/snapshots/retention
+ *
+ * Removes the snapshot retention policy of a VM from its internal_metadata,
+ * which queues an update job.
+ */
+function deleteVmSnapshotRetention(req, res, next) {
+    req.log.trace({ vm_uuid: req.params.uuid },
+        'DeleteVmSnapshotRetention start');
+    var metadata = req.vm.internal_metadata;
+    var params;
+
+    if (!metadata ||
+        !metadata.hasOwnProperty(snapshotRetention.SNAPSHOT_RETENTION_KEY)) {
+        next(new restify.ResourceNotFoundError(
+            'VM has no snapshot retention policy'));
+        return;
+    }
+
+    params = common.deleteMetadata('internal_metadata',
+        snapshotRetention.SNAPSHOT_RETENTION_KEY);
+    params.subtask = 'metadata';
+
+    req.app.wfapi.createUpdateJob(req, params,
+        function onJobCreated(err, juuid) {
+            if (err) {
+                next(err);
+                return;
+            }
+
+            audit.recordJob(req, req.vm, juuid);
+            res.send(202, { vm_uuid: req.vm.uuid, job_uuid: juuid });
+            next();
+        });
+}
+
+
+
+/*
+ * Actions that can be performed on several VMs at once with POST /vms/actions,
+ * and for each of them the function that queues the job for one VM. These
+ * functions are called with a request object whose "vm" property is the VM to
+ * act on. Actions that require parameters that are specific to each VM (e.g
+ * NICs or disks) are not supported.
+ */
+var BULK_VM_ACTIONS = {
+    start: function bulkStart(vmReq, cb) {
+        vmReq.app.wfapi.createStartJob(vmReq, cb);
+    },
+    stop: function bulkStop(vmReq, cb) {
+        vmReq.app.wfapi.createStopJob(vmReq, cb);
+    },
+    kill: function bulkKill(vmReq, cb) {
+        vmReq.app.wfapi.createKillJob(vmReq, cb);
+    },
+    reboot: function bulkReboot(vmReq, cb) {
+        vmReq.app.wfapi.createRebootJob(vmReq, cb);
+    },
+    update: createChangeVmJob,
+    create_snapshot: function bulkCreateSnapshot(vmReq, cb) {
+        vmReq.app.wfapi.createSnapshotJob(vmReq,
+            function onJobCreated(err, jobUuid) {
+                if (!err) {
+                    pruneSnapshotsAfterJob(vmReq, jobUuid);
+                }
+                cb(err, jobUuid);
+            });
+    },
+    rollback_snapshot: function bulkRollbackSnapshot(vmReq, cb) {
+        vmReq.app.wfapi.createRollbackJob(vmReq, cb);
+    },
+    delete_snapshot: function bulkDeleteSnapshot(vmReq, cb) {
+        vmReq.app.wfapi.createDeleteSnapshotJob(vmReq, cb);
+    }
+};
+
+var SNAPSHOT_VM_ACTIONS = [
+    'create_snapshot',
+    'rollback_snapshot',
+    'delete_snapshot'
+];
+
+var DEFAULT_BULK_ACTION_CONCURRENCY = 10;
+var MAX_BULK_ACTION_CONCURRENCY = 50;
+var MAX_BULK_ACTION_VMS = common.MAX_LIST_VMS_LIMIT;
+
+
+/*
+ * Validates the parameters of a POST /vms/actions request and normalizes them
+ * in place. Returns an array of "errors" elements, which is empty if the
+ * parameters are valid.
+ */
+function validateBulkActionParams(params) {
+    var errs = [];
+
+    if (params.action === undefined) {
+        errs.push(errors.missingParamErrorsElem('action'));
+    } else if (!validAction(params.action)) {
+        errs.push(errors.invalidParamErrorsElem('action'));
+    } else if (!BULK_VM_ACTIONS.hasOwnProperty(params.action)) {
+        errs.push(errors.invalidParamErrorsElem('action', 'Action ' +
+            params.action + ' cannot be performed on several VMs at once, ' +
+            'supported actions are: ' +
+            Object.keys(BULK_VM_ACTIONS).join(', ')));
+    }
+
+    if (typeof (params.uuids) === 'string') {
+        params.uuids = params.uuids.split(',');
+    }
+
+    if (params.uuids !== undefined) {
+        if (!Array.isArray(params.uuids) || params.uuids.length === 0 ||
+            params.uuids.length > MAX_BULK_ACTION_VMS ||
+            !params.uuids.every(common.validUUID)) {
+            errs.push(errors.invalidParamErrorsElem('uuids', 'Must be an ' +
+                'array of at most ' + MAX_BULK_ACTION_VMS + ' VM UUIDs'));
+        }
+    }
+
+    if (params.filters !== undefined &&
+        (params.filters === null || typeof (params.filters) !== 'object' ||
+            Array.isArray(params.filters))) {
+        errs.push(errors.invalidParamErrorsElem('filters', 'Must be an ' +
+            'object'));
+    }
+
+    /*
+     * Acting on all VMs of a datacenter is never what a caller means to do, so
+     * require that the set of VMs is restricted somehow.
+     */
+    if (params.uuids === undefined && (params.filters === undefined ||
+        (typeof (params.filters) === 'object' && params.filters !== null &&
+            Object.keys(params.filters).length === 0))) {
+        errs.push(errors.missingParamErrorsElem('uuids', 'One of uuids or ' +
+            'filters must be specified'));
+    }
+
+    if (params.concurrency === undefined) {
+        params.concurrency = DEFAULT_BULK_ACTION_CONCURRENCY;
+    } else {
+        params.concurrency = Number(params.concurrency);
+        if (!(params.concurrency >= 1 &&
+            params.concurrency <= MAX_BULK_ACTION_CONCURRENCY &&
+            Math.floor(params.concurrency) === params.concurrency)) {
+            errs.push(errors.invalidParamErrorsElem('concurrency', 'Must be ' +
+                'an integer between 1 and ' + MAX_BULK_ACTION_CONCURRENCY));
+        }
+    }
+
+    if (params.dry_run === undefined || params.dry_run === false ||
+        params.dry_run === 'false') {
+        params.dry_run = false;
+    } else if (params.dry_run === true || params.dry_run === 'true') {
+        params.dry_run = true;
+    } else {
+        errs.push(errors.invalidParamErrorsElem('dry_run'));
+    }
+
+    if (params.idempotent !== undefined) {
+        if (params.idempotent === true || params.idempotent === 'true') {
+            params.idempotent = true;
+        } else {
+            errs.push(errors.invalidParamErrorsElem('idempotent'));
+        }
+    }
+
+    if (params.action === 'kill' && params.signal &&
+        VALID_KILL_SIGNALS.indexOf(params.signal) === -1) {
+        errs.push(errors.invalidParamErrorsElem('signal'));
+    }
+
+    if ((params.action === 'rollback_snapshot' ||
+        params.action === 'delete_snapshot') && !params.snapshot_name) {
+        errs.push(errors.missingParamErrorsElem('snapshot_name'));
+    }
+
+    return errs;
+}
+
+
+/*
+ * Returns an error if the action "action" (an UpdateVm action, or "destroy")
+ * cannot be performed on the VM "vm", undefined otherwise. These are the same
+ * checks that are performed by "updateVm", "deleteVm" and the handlers of each
+ * action for a single VM, and they are also used for bulk actions and to retry
+ * jobs.
+ */
+function vmActionError(action, vm) {
+    var canSnap;
+
+    if (action === 'destroy') {
+        if (vm.server_uuid === undefined || vm.server_uuid === null) {
+            return new restify.errors.ConflictError('Cannot delete a VM ' +
+                'with no server_uuid');
+        }
+
+        return undefined;
+    }
+
+    if (vm.state === 'provisioning') {
+        return new errors.UnallocatedVMError('Cannot call ' + action +
+            ' for a VM that has not been provisioned yet');
+    }
+
+    if (action === 'reprovision' &&
+        REPROVISION_BRANDS.indexOf(vm.brand) === -1) {
+        return new errors.BrandNotSupportedError(
+            'VM \'brand\' does not support reprovision');
+    }
+
+    if (SNAPSHOT_VM_ACTIONS.indexOf(action) !== -1) {
+        canSnap = canSnapshot(vm);
+        if (util.isError(canSnap)) {
+            return canSnap;
+        }
+    }
+
+    return undefined;
+}
+
+
+/*
+ * Returns the representation of the error "err" in the results of a
+ * POST /vms/actions request.
+ */
+function bulkActionResultError(err) {
+    return {
+        code: err.restCode || err.name,
+        message: err.message
+    };
+}
+
+
+/*
+ * Loads the VMs targeted by a POST /vms/actions request and sets them as
+ * req.vms. VMs that were explicitly listed in "uuids" but do not exist (or do
+ * not match "filters") are set as req.missingVmUuids.
+ */
+function loadBulkActionVms(req, callback) {
+    var listParams = common.clone(req.params.filters || {});
+
+    /*
+     * Unless a specific state is requested, do not act on VMs that are
+     * destroyed or failed.
+     */
+    if (listParams.state === undefined) {
+        listParams.state = 'active';
+    }
+
+    common.validateListVmsParams(listParams, function onValidated(validErr) {
+        if (validErr) {
+            callback(new errors.ValidationFailedError('Invalid Parameters',
+                validErr));
+            return;
+        }
+
+        if (req.params.uuids) {
+            listParams.uuids = req.params.uuids;
+        }
+
+        req.app.moray.countVms(listParams, onCount);
+    });
+
+    function onCount(countErr, count) {
+        if (countErr) {
+            callback(countErr);
+            return;
+        }
+
+        if (count > MAX_BULK_ACTION_VMS) {
+            callback(new errors.ValidationFailedError('Invalid Parameters', [
+                errors.invalidParamErrorsElem('filters', count + ' VMs ' +
+                    'match, but at most ' + MAX_BULK_ACTION_VMS + ' VMs can ' +
+                    'be acted on at once')
+            ]));
+            return;
+        }
+
+        listParams.limit = MAX_BULK_ACTION_VMS;
+        listParams.offset = 0;
+
+        req.app.moray.listVms(listParams, onList);
+    }
+
+    function onList(listErr, vms) {
+        var foundUuids;
+
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        req.vms = vms;
+        req.missingVmUuids = [];
+
+        if (req.params.uuids) {
+            foundUuids = vms.map(function (vm) { return vm.uuid; });
+            req.missingVmUuids = req.params.uuids.filter(function (uuid) {
+                return foundUuids.indexOf(uuid) === -1;
+            });
+        }
+
+        callback();
+    }
+}
+
+
+/*
+ * POST /vms/actions
+ *
+ * Performs the same action on all VMs that are either listed in "uuids" or
+ * that match "filters" (which are the same as ListVms' filters), by queueing
+ * one job per VM with at most "concurrency" jobs being queued at the same
+ * time. Responds with one result per VM, that includes either the job's UUID
+ * or the error that prevented it from being queued. With "dry_run", no job is
+ * queued and the results only list the VMs that would be acted on.
+ */
+function bulkVmAction(req, res, next) {
+    req.log.trace({ params: req.params }, 'BulkVmAction start');
+
+    var action;
+    var errs = validateBulkActionParams(req.params);
+    var results = [];
+    var resultsByVmUuid = {};
+
+    if (errs.length > 0) {
+        next(new errors.ValidationFailedError('Invalid Parameters', errs));
+        return;
+    }
+
+    action = req.params.action;
+
+    loadBulkActionVms(req, function onVmsLoaded(loadErr) {
+        if (loadErr) {
+            next(loadErr);
+            return;
+        }
+
+        res.header('x-joyent-resource-count', req.vms.length);
+
+        req.missingVmUuids.forEach(function (uuid) {
+            results.push({
+                vm_uuid: uuid,
+                error: bulkActionResultError(
+                    new restify.ResourceNotFoundError('VM not found'))
+            });
+        });
+
+        if (req.params.dry_run) {
+            req.vms.forEach(function (vm) {
+                var result = {
+                    vm_uuid: vm.uuid,
+                    alias: vm.alias,
+                    owner_uuid: vm.owner_uuid,
+                    server_uuid: vm.server_uuid,
+                    state: vm.state
+                };
+                var vmErr = vmActionError(action, vm);
+
+                if (vmErr) {
+                    result.error = bulkActionResultError(vmErr);
+                }
+                results.push(result);
+            });
+
+            res.send(200, results);
+            next();
+            return;
+        }
+
+        queueJobs();
+    });
+
+    function queueJobs() {
+        var queue = vasync.queue(queueOneJob, req.params.concurrency);
+
+        queue.on('end', function onAllJobsQueued() {
+            // Report results in the same order as the VMs were listed.
+            req.vms.forEach(function (vm) {
+                results.push(resultsByVmUuid[vm.uuid]);
+            });
+
+            req.log.info({
+                action: action,
+                results: results
+            }, 'BulkVmAction done');
+
+            res.header('workflow-api', req.app.wfapi.url);
+            res.send(202, results);
+            next();
+        });
+
+        req.vms.forEach(function (vm) {
+            queue.push(vm);
+        });
+        queue.close();
+    }
+
+    function queueOneJob(vm, done) {
+        var vmErr = vmActionError(action, vm);
+        var vmReq;
+
+        if (vmErr) {
+            resultsByVmUuid[vm.uuid] = {
+                vm_uuid: vm.uuid,
+                error: bulkActionResultError(vmErr)
+            };
+            done();
+            return;
+        }
+
+        /*
+         * The job creation functions read the VM to act on from req.vm, and
+         * can modify req.params, so each job gets its own request object.
+         */
+        vmReq = Object.create(req);
+        vmReq.vm = vm;
+        vmReq.params = jsprim.deepCopy(req.params);
+        vmReq.log = req.log.child({ vm_uuid: vm.uuid }, true);
+
+        BULK_VM_ACTIONS[action](vmReq, function onJobQueued(err, juuid) {
+            if (err) {
+                vmReq.log.error({err: err}, 'could not queue ' + action +
+                    ' job');
+                resultsByVmUuid[vm.uuid] = {
+                    vm_uuid: vm.uuid,
+                    error: bulkActionResultError(err)
+                };
+            } else {
+                audit.recordJob(req, vm, juuid);
+                resultsByVmUuid[vm.uuid] = {
+                    vm_uuid: vm.uuid,
+                    job_uuid: juuid
+                };
+            }
+            done();
+        });
+    }
+}
+
+
+
 /*
  * Replaces all VMs for a server
  */
@@ -2750,7 +4144,14 @@ function putVms(req, res, next) {
         func: function putOneVm(uuid, cb) {
             var vm = common.translateVm(req.params.vms[uuid], false);
             var oldVm = req.vms[uuid] || {};
-            req.app.moray.putVm(uuid, vm, oldVm, cb);
+            req.app.moray.putVm(uuid, vm, oldVm,
+                function onPutVm(putVmErr, etag, diffs) {
+                    if (!putVmErr) {
+                        audit.recordVmChange(req, uuid, vm, diffs);
+                    }
+
+                    cb(putVmErr);
+                });
         },
         inputs: Object.keys(req.params.vms)
     }, function putVmDone(err) {
@@ -2782,29 +4183,55 @@ function putVm(req, res, next) {
     var vm = common.translateVm(req.params, false);
 
     var oldVm = req.vm || {};
+    var putOpts = {};
+
+    /*
+     * When the request was checked against an If-Match header, only write the
+     * VM if it wasn't modified since it was loaded.
+     */
+    if (req.headers['if-match'] !== undefined) {
+        putOpts.etag = req.vmEtag;
+    }
 
     if (vm.state === 'destroyed') {
-        req.app.moray.markAsDestroyed(vm, function vmDestroyed(err) {
+        req.app.moray.markAsDestroyed(vm, putOpts,
+            function vmDestroyed(err, destroyedVm, etag, diffs) {
                 if (err) {
-                    return next(err);
+                    return next(putVmError(req, err));
                 }
 
+                audit.recordVmChange(req, req.params.uuid, vm, diffs);
                 res.send(200, vm);
                 return next();
             });
     } else {
-        req.app.moray.putVm(req.params.uuid, vm, oldVm,
-            function onPutVm(putVmErr) {
+        req.app.moray.putVm(req.params.uuid, vm, oldVm, putOpts,
+            function onPutVm(putVmErr, etag, diffs) {
                 if (putVmErr) {
-                    return next(putVmErr);
+                    return next(putVmError(req, putVmErr));
                 }
 
+                audit.recordVmChange(req, req.params.uuid, vm, diffs);
                 res.send(200, vm);
                 return next();
             });
     }
 }
 
+/*
+ * Returns the error to send when putting the VM of the request "req" failed
+ * with "err": a VM modified since it was checked against the If-Match header
+ * is a failed precondition.
+ */
+function putVmError(req, err) {
+    if (VError.hasCauseWithName(err, 'EtagConflictError')) {
+        return new restify.PreconditionFailedError('VM ' + req.params.uuid +
+            ' has been modified: its current etag does not match If-Match');
+    }
+
+    return err;
+}
+
 function _checkWfApi(req, res, next) {
     if (!req.app.wfapi.connected) {
         return next(new restify.ServiceUnavailableError('Workflow API is ' +
@@ -2818,7 +4245,7 @@ function _loadVm(req, res, next) {
     req.log = req.log.child({ vm_uuid: req.params.uuid }, true);
     req.app.moray.getVm(req.params, onGetVm);
 
-    function onGetVm(err, vm) {
+    function onGetVm(err, vm, etag) {
         if (err) {
             next(err);
             return;
@@ -2826,6 +4253,7 @@ function _loadVm(req, res, next) {
 
         if (vm) {
             req.vm = common.translateVm(vm, false);
+            req.vmEtag = etag;
         }
 
         next();
@@ -2873,29 +4301,35 @@ function _getVmSync(req, next) {
 
         if (vm) {
             var newVm = common.translateVm(vm, true);
-            req.app.moray.putVm(newVm.uuid, newVm, req.vm, function (putErr) {
-                if (putErr) {
-                    req.log.error({ err: putErr, uuid: newVm.uuid },
-                        'Error storing VM on moray');
-                    next(putErr);
-                    return;
-
-                }
-                req.log.debug('VM object %s updated in moray', newVm.uuid);
-                next();
-            });
+            req.app.moray.putVm(newVm.uuid, newVm, req.vm, onPutVm);
 
         } else {
-            req.app.moray.markAsDestroyed(req.vm, function (markErr, modVm) {
-                if (markErr) {
-                    next(markErr);
-                    return;
-                }
+            req.app.moray.markAsDestroyed(req.vm, onMarkedAsDestroyed);
+        }
 
-                req.vm = modVm;
-                next();
-            });
+        function onPutVm(putErr, etag) {
+            if (putErr) {
+                req.log.error({ err: putErr, uuid: newVm.uuid },
+                    'Error storing VM on moray');
+                next(putErr);
+                return;
+
+            }
+            req.log.debug('VM object %s updated in moray', newVm.uuid);
+            req.vmEtag = etag;
+            next();
+        }
+    }
+
+    function onMarkedAsDestroyed(markErr, modVm, etag) {
+        if (markErr) {
+            next(markErr);
+            return;
         }
+
+        req.vm = modVm;
+        req.vmEtag = etag;
+        next();
     }
 }
 
@@ -2919,14 +4353,57 @@ function mount(server) {
 
     server.post({ path: '/vms', name: 'CreateVm' },
         interceptors.checkWfapi,
+        idempotency.checkIdempotencyKey,
         preFilterNetworks,
         setPrimaryNic,
         createVm);
 
+    server.get({ path: '/vms/stats', name: 'GetVmStats' }, getVmStats);
+
+    server.get({ path: '/vms/export', name: 'ExportVms' }, exportVms);
+
+    server.post({ path: '/vms/actions', name: 'BulkVmAction' },
+        interceptors.checkWfapi,
+        bulkVmAction);
+
     server.get({ path: '/vms/:uuid/proc', name: 'GetVmProc' },
         interceptors.loadVm,
         getVmProc);
 
+    server.get({ path: '/vms/:uuid/queue', name: 'GetVmQueue' },
+        interceptors.checkWfapi,
+        interceptors.loadVm,
+        getVmQueue);
+
+    server.get({ path: '/vms/:uuid/snapshots', name: 'ListVmSnapshots' },
+        interceptors.loadVm,
+        listVmSnapshots);
+
+    server.get({
+        path: '/vms/:uuid/snapshots/retention',
+        name: 'GetVmSnapshotRetention'
+    },
+        interceptors.loadVm,
+        getVmSnapshotRetention);
+
+    server.put({
+        path: '/vms/:uuid/snapshots/retention',
+        name: 'SetVmSnapshotRetention'
+    },
+        interceptors.checkWfapi,
+        interceptors.loadVm,
+        interceptors.checkIfMatch,
+        setVmSnapshotRetention);
+
+    server.del({
+        path: '/vms/:uuid/snapshots/retention',
+        name: 'DeleteVmSnapshotRetention'
+    },
+        interceptors.checkWfapi,
+        interceptors.loadVm,
+        interceptors.checkIfMatch,
+        deleteVmSnapshotRetention);
+
     server.get({ path: '/vms/:uuid', name: 'GetVm' },
         interceptors.loadVm,
         getVm,
@@ -2948,6 +4425,8 @@ function mount(server) {
     server.post({ path: '/vms/:uuid', name: 'UpdateVm' },
         interceptors.checkWfapi,
         interceptors.loadVm,
+        idempotency.checkIdempotencyKey,
+        interceptors.checkIfMatch,
         mod_migrate.preloadNetworkParams,
         preFilterNetworks,
         updateVm);
@@ -2955,6 +4434,7 @@ function mount(server) {
     server.put({ path: '/vms/:uuid', name: 'PutVm' },
         interceptors.checkWfapi,
         _loadVm,
+        interceptors.checkIfMatch,
         putVm);
 
     server.put({ path: '/vms', name: 'PutVms' },
@@ -2995,5 +4475,9 @@ function mount(server) {
 // --- Exports
 
 module.exports = {
-    mount: mount
+    canSnapshot: canSnapshot,
+    createChangeVmJob: createChangeVmJob,
+    getVmSync: _getVmSync,
+    mount: mount,
+    vmActionError: vmActionError
 };
@@ -0,0 +1,146 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Handles the GET /vms/watch endpoint, which streams an event for each change
+ * made to VM objects by this VMAPI instance (see the 'vmChanged' event emitted
+ * by lib/apis/moray.js).
+ */
+
+var assert = require('assert-plus');
+
+var common = require('../common');
+var errors = require('../errors');
+
+/*
+ * How often an event is sent to watchers when no VM changed, so that idle
+ * connections are not closed by proxies or clients.
+ */
+var HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+
+/*
+ * Returns true if the VM object "vm" matches the watch filters "filters".
+ */
+function vmMatchesFilters(vm, filters) {
+    assert.object(vm, 'vm');
+    assert.object(filters, 'filters');
+
+    if (filters.owner_uuid && vm.owner_uuid !== filters.owner_uuid) {
+        return false;
+    }
+
+    if (filters.server_uuid && vm.server_uuid !== filters.server_uuid) {
+        return false;
+    }
+
+    if (filters.predicate && !common.predEvaluate(filters.predicate, vm)) {
+        return false;
+    }
+
+    return true;
+}
+
+
+/*
+ * GET /vms/watch
+ */
+function watchVms(req, res, next) {
+    req.log.trace({params: req.params}, 'WatchVms start');
+
+    var filters = {};
+    var heartbeatInterval;
+    var moray = req.app.moray;
+    var watchEnded = false;
+
+    common.validateWatchVmsParams(req.params, function onValidated(errs) {
+        if (errs) {
+            next(new errors.ValidationFailedError('Invalid Parameters', errs));
+            return;
+        }
+
+        filters.owner_uuid = req.params.owner_uuid;
+        filters.server_uuid = req.params.server_uuid;
+        if (req.params.predicate) {
+            filters.predicate = JSON.parse(req.params.predicate);
+        }
+
+        startWatching();
+    });
+
+    function writeEvent(event) {
+        res.write(JSON.stringify(event) + '\n');
+    }
+
+    /*
+     * A VM matches if either its previous or its new version match, so that
+     * watchers also see VMs leaving the set they watch (e.g a VM being
+     * migrated to another server).
+     */
+    function onVmChanged(change) {
+        if (!vmMatchesFilters(change.vm, filters) &&
+            !vmMatchesFilters(change.oldVm, filters)) {
+            return;
+        }
+
+        writeEvent({
+            type: 'change',
+            vm_uuid: change.uuid,
+            diffs: change.diffs,
+            vm: change.vm
+        });
+    }
+
+    function stopWatching() {
+        if (watchEnded) {
+            return;
+        }
+
+        watchEnded = true;
+        req.log.debug('WatchVms: client went away, stop watching');
+
+        moray.removeListener('vmChanged', onVmChanged);
+        clearInterval(heartbeatInterval);
+    }
+
+    function startWatching() {
+        // Watching can last for much longer than the default socket timeout.
+        req.connection.setTimeout(0);
+
+        res.writeHead(200, {'Content-Type': 'application/x-json-stream'});
+        writeEvent({type: 'start'});
+
+        moray.on('vmChanged', onVmChanged);
+        heartbeatInterval = setInterval(writeEvent, HEARTBEAT_INTERVAL_MS,
+            {type: 'heartbeat'});
+
+        req.once('close', stopWatching);
+        res.once('finish', stopWatching);
+
+        next();
+    }
+}
+
+
+/*
+ * Mounts watch endpoints as server routes. This must be called before the
+ * routes from lib/endpoints/vms.js are mounted, otherwise requests to
+ * /vms/watch would be handled by the GET /vms/:uuid route.
+ */
+function mount(server) {
+    server.get({ path: '/vms/watch', name: 'WatchVms' }, watchVms);
+}
+
+
+// --- Exports
+
+module.exports = {
+    mount: mount
+};
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2019 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -425,3 +425,156 @@ exports.VolumesNotReachableError = VolumesNotReachableError;
 VolumesNotReachableError.prototype.name = 'VolumesNotReachableError';
 VolumesNotReachableError.restCode = 'VolumesNotReachable';
 VolumesNotReachableError.statusCode = 409;
+
+/*
+ * This error is produced when a request sends an "Idempotency-Key" header with
+ * a key that was already used by a request with a different payload.
+ */
+function IdempotencyKeyConflictError(key) {
+    assert.string(key, 'key');
+
+    var message = 'Idempotency-Key ' + key + ' was already used for a ' +
+        'different request';
+
+    restify.RestError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: this.constructor.statusCode,
+        message: message,
+        body: {
+            code: this.constructor.restCode,
+            message: message
+        }
+    });
+}
+
+util.inherits(IdempotencyKeyConflictError, restify.RestError);
+exports.IdempotencyKeyConflictError = IdempotencyKeyConflictError;
+IdempotencyKeyConflictError.prototype.name = 'IdempotencyKeyConflictError';
+IdempotencyKeyConflictError.restCode = 'IdempotencyKeyConflict';
+IdempotencyKeyConflictError.statusCode = 409;
+
+/*
+ * This error is produced when a request uses the idempotency key "key" while
+ * another request that uses the same key is still being processed.
+ */
+function IdempotencyKeyInProgressError(key) {
+    assert.string(key, 'key');
+
+    var message = 'A request with Idempotency-Key ' + key + ' is already ' +
+        'in progress, retry later';
+
+    restify.RestError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: this.constructor.statusCode,
+        message: message,
+        body: {
+            code: this.constructor.restCode,
+            message: message
+        }
+    });
+}
+
+util.inherits(IdempotencyKeyInProgressError, restify.RestError);
+exports.IdempotencyKeyInProgressError = IdempotencyKeyInProgressError;
+IdempotencyKeyInProgressError.prototype.name = 'IdempotencyKeyInProgressError';
+IdempotencyKeyInProgressError.restCode = 'IdempotencyKeyInProgress';
+IdempotencyKeyInProgressError.statusCode = 409;
+
+/*
+ * This error is produced when creating or resizing a VM would make its owner
+ * use more of the resource "resource" ("vms", "ram" or "disk") than allowed by
+ * the owner limit "limit" (see lib/owner-limits.js). "used" is the amount of
+ * that resource the owner's VMs currently use, and "requested" the additional
+ * amount the request would use.
+ */
+function OwnerLimitExceededError(limit, resource, used, requested) {
+    assert.object(limit, 'limit');
+    assert.uuid(limit.uuid, 'limit.uuid');
+    assert.string(resource, 'resource');
+    assert.number(limit[resource], 'limit[resource]');
+    assert.number(used, 'used');
+    assert.number(requested, 'requested');
+
+    var message = 'Owner limit ' + limit.uuid + ' exceeded: ' + resource +
+        ' would be ' + (used + requested) + ', limit is ' + limit[resource];
+
+    restify.RestError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: this.constructor.statusCode,
+        message: message,
+        body: {
+            code: this.constructor.restCode,
+            message: message,
+            limit: {
+                uuid: limit.uuid,
+                brand: limit.brand,
+                image_uuid: limit.image_uuid,
+                resource: resource,
+                value: limit[resource],
+                used: used,
+                requested: requested
+            }
+        }
+    });
+}
+
+util.inherits(OwnerLimitExceededError, restify.RestError);
+exports.OwnerLimitExceededError = OwnerLimitExceededError;
+OwnerLimitExceededError.prototype.name = 'OwnerLimitExceededError';
+OwnerLimitExceededError.restCode = 'OwnerLimitExceeded';
+OwnerLimitExceededError.statusCode = 403;
+
+/*
+ * This error is produced when a ListJobs request needs VMAPI to filter or sort
+ * more than "maxJobs" jobs to list the requested page of jobs.
+ */
+function TooManyJobsError(maxJobs) {
+    assert.number(maxJobs, 'maxJobs');
+
+    var message = 'More than ' + maxJobs + ' jobs would need to be filtered ' +
+        'or sorted, use more specific filters';
+
+    restify.RestError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: this.constructor.statusCode,
+        message: message,
+        body: {
+            code: this.constructor.restCode,
+            message: message
+        }
+    });
+}
+
+util.inherits(TooManyJobsError, restify.RestError);
+exports.TooManyJobsError = TooManyJobsError;
+TooManyJobsError.prototype.name = 'TooManyJobsError';
+TooManyJobsError.restCode = 'TooManyJobs';
+TooManyJobsError.statusCode = 409;
+
+/*
+ * This error is produced when the action "action" (e.g "cancel" or "retry")
+ * cannot be performed on the job "job" because of its execution state.
+ */
+function JobExecutionConflictError(job, action) {
+    assert.object(job, 'job');
+    assert.string(action, 'action');
+
+    var message = 'Cannot ' + action + ' job ' + job.uuid + ', job is ' +
+        job.execution;
+
+    restify.RestError.call(this, {
+        restCode: this.constructor.restCode,
+        statusCode: this.constructor.statusCode,
+        message: message,
+        body: {
+            code: this.constructor.restCode,
+            message: message
+        }
+    });
+}
+
+util.inherits(JobExecutionConflictError, restify.RestError);
+exports.JobExecutionConflictError = JobExecutionConflictError;
+JobExecutionConflictError.prototype.name = 'JobExecutionConflictError';
+JobExecutionConflictError.restCode = 'JobExecutionConflict';
+JobExecutionConflictError.statusCode = 409;
@@ -0,0 +1,327 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Support for the "Idempotency-Key" request header on endpoints that create
+ * workflow jobs (CreateVm and POST /vms/:uuid?action=...).
+ *
+ * When a request sends an "Idempotency-Key" header, the response it gets is
+ * stored in moray along with a hash of the request. Keys are scoped by the
+ * owner of the VM, so that different owners can use the same key. Any later
+ * request from the same owner that sends the same key gets either:
+ *
+ *  - the original 202 response, without creating a new job, if its route and
+ *    parameters are the same as the original request's.
+ *
+ *  - a 409 IdempotencyKeyConflict error if its route or parameters differ.
+ *
+ * The key is reserved in moray before the request is processed, so that
+ * concurrent requests with the same key can't both create a job: the ones that
+ * find the key reserved by a request that is still being processed get a 409
+ * IdempotencyKeyInProgress error. The reservation is released if the request
+ * fails before creating its job. A reservation that is not released, e.g.
+ * because the VMAPI process that made it exited, expires after
+ * RESERVATION_TTL_MS. It is not released when the client disconnects, since
+ * the request can still create a job after that.
+ *
+ * Keys are forgotten after "idempotency_key_ttl" seconds (see the SAPI
+ * configuration template), so that they can eventually be reused.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var verror = require('verror');
+
+var errors = require('./errors');
+
+var DEFAULT_IDEMPOTENCY_KEY_TTL_SECONDS = 24 * 60 * 60;
+/*
+ * The time after which the reservation of a key by a request that did not
+ * create its job is considered abandoned.
+ */
+var RESERVATION_TTL_MS = 2 * 60 * 1000;
+var IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+var VALID_IDEMPOTENCY_KEY_RE = /^[a-zA-Z0-9_.:-]{1,255}$/;
+
+/*
+ * Returns a JSON representation of "value" where the properties of all objects
+ * are sorted, so that two deeply equal values have the same representation
+ * regardless of the order in which their properties were set.
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJSON).join(',') + ']';
+    }
+
+    if (value !== null && typeof (value) === 'object') {
+        return '{' + Object.keys(value).sort().filter(function (key) {
+            return value[key] !== undefined;
+        }).map(function (key) {
+            return JSON.stringify(key) + ':' + canonicalJSON(value[key]);
+        }).join(',') + '}';
+    }
+
+    return JSON.stringify(value);
+}
+
+/*
+ * Returns a hash that identifies the route and the parameters of the request
+ * "req".
+ */
+function hashRequest(req) {
+    assert.object(req, 'req');
+    assert.object(req.route, 'req.route');
+    assert.string(req.route.name, 'req.route.name');
+
+    return crypto.createHash('sha256').update(canonicalJSON({
+        route: req.route.name,
+        params: req.params
+    })).digest('hex');
+}
+
+function getKeyTtlMs(req) {
+    var ttl = req.app.options.idempotency_key_ttl;
+
+    if (ttl === undefined) {
+        ttl = DEFAULT_IDEMPOTENCY_KEY_TTL_SECONDS;
+    }
+
+    return ttl * 1000;
+}
+
+/*
+ * Returns true if the idempotency key record "record" expired, either because
+ * its key is older than the configured TTL, or because it's the reservation of
+ * a request that did not store its response in time.
+ */
+function isRecordExpired(req, record) {
+    var age = Date.now() - record.created_timestamp;
+
+    if (!record.response) {
+        return age > RESERVATION_TTL_MS;
+    }
+
+    return age > getKeyTtlMs(req);
+}
+
+/*
+ * Handler to be used before any handler that creates a job, and after the VM
+ * is loaded for requests on an existing VM. If the request has an
+ * "Idempotency-Key" header and a request from the same owner with the same key
+ * was already handled, it responds to the request without calling the next
+ * handlers. Otherwise, it reserves the key and sets req.idempotency so that
+ * storeIdempotencyKey can store the response once the job is created.
+ */
+function checkIdempotencyKey(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var key = req.headers[IDEMPOTENCY_KEY_HEADER];
+    var ownerUuid;
+    var requestHash;
+
+    if (key === undefined) {
+        next();
+        return;
+    }
+
+    if (!VALID_IDEMPOTENCY_KEY_RE.test(key)) {
+        next(new errors.ValidationFailedError('Invalid Parameters', [
+            errors.invalidParamErrorsElem('Idempotency-Key',
+                'Must be between 1 and 255 alphanumeric characters, ' +
+                '"_", ".", ":" or "-"')
+        ]));
+        return;
+    }
+
+    ownerUuid = req.vm ? req.vm.owner_uuid : req.params.owner_uuid;
+
+    /*
+     * CreateVm requests without a valid owner fail their validation before
+     * creating a job, so there is nothing to make idempotent.
+     */
+    if (typeof (ownerUuid) !== 'string') {
+        next();
+        return;
+    }
+
+    requestHash = hashRequest(req);
+
+    req.app.moray.getIdempotencyKey(ownerUuid, key, onGetKey);
+
+    function onGetKey(getErr, record) {
+        if (getErr) {
+            next(getErr);
+            return;
+        }
+
+        if (record && isRecordExpired(req, record)) {
+            req.log.debug({idempotency_key: key, owner_uuid: ownerUuid},
+                'removing expired idempotency key');
+            req.app.moray.delIdempotencyKey(ownerUuid, key, onExpiredKeyDel);
+            return;
+        }
+
+        if (record) {
+            onRecord(record);
+        } else {
+            reserveKey();
+        }
+    }
+
+    function onExpiredKeyDel(delErr) {
+        if (delErr) {
+            next(delErr);
+            return;
+        }
+
+        reserveKey();
+    }
+
+    function reserveKey() {
+        var createdTimestamp = Date.now();
+
+        req.app.moray.putIdempotencyKey(ownerUuid, key, {
+            request_hash: requestHash,
+            vm_uuid: null,
+            job_uuid: null,
+            created_timestamp: createdTimestamp,
+            response: null
+        }, {etag: null}, function onReserved(putErr, etag) {
+            if (putErr) {
+                if (verror.hasCauseWithName(putErr, 'EtagConflictError')) {
+                    next(new errors.IdempotencyKeyInProgressError(key));
+                } else {
+                    next(putErr);
+                }
+                return;
+            }
+
+            req.idempotency = {
+                createdTimestamp: createdTimestamp,
+                etag: etag,
+                jobCreated: false,
+                key: key,
+                ownerUuid: ownerUuid,
+                requestHash: requestHash
+            };
+
+            res.once('finish', function onResponseSent() {
+                releaseIdempotencyKey(req);
+            });
+
+            next();
+        });
+    }
+
+    function onRecord(record) {
+        if (record.request_hash !== requestHash) {
+            next(new errors.IdempotencyKeyConflictError(key));
+            return;
+        }
+
+        if (!record.response) {
+            next(new errors.IdempotencyKeyInProgressError(key));
+            return;
+        }
+
+        req.log.info({
+            idempotency_key: key,
+            job_uuid: record.job_uuid,
+            vm_uuid: record.vm_uuid
+        }, 'replaying response for idempotency key');
+
+        res.header('workflow-api', req.app.wfapi.url);
+        res.header('Idempotent-Replayed', 'true');
+        res.send(202, record.response);
+        next(false);
+    }
+}
+
+/*
+ * Releases the idempotency key reserved by the request "req" if it did not
+ * create a job, so that the request can be retried with the same key.
+ */
+function releaseIdempotencyKey(req) {
+    assert.object(req.idempotency, 'req.idempotency');
+
+    if (req.idempotency.jobCreated) {
+        return;
+    }
+
+    req.app.moray.delIdempotencyKey(req.idempotency.ownerUuid,
+        req.idempotency.key, function onDelKey(delErr) {
+            if (delErr) {
+                req.log.error({
+                    err: delErr,
+                    idempotency_key: req.idempotency.key,
+                    owner_uuid: req.idempotency.ownerUuid
+                }, 'could not release idempotency key');
+            }
+        });
+}
+
+/*
+ * Stores "response", the response body sent for a job created by the request
+ * "req", in the record of the idempotency key that it reserved, so that
+ * retries of this request that use the same key get that same response.
+ * Failing to store it is logged but not reported to "callback": the job was
+ * created and the client must know about it. The key then stays reserved, and
+ * retries get an IdempotencyKeyInProgress error until the reservation expires,
+ * rather than creating another job.
+ */
+function storeIdempotencyKey(req, response, callback) {
+    assert.object(req, 'req');
+    assert.object(response, 'response');
+    assert.uuid(response.job_uuid, 'response.job_uuid');
+    assert.func(callback, 'callback');
+
+    var record;
+
+    if (req.idempotency === undefined) {
+        callback();
+        return;
+    }
+
+    assert.object(req.vm, 'req.vm');
+    assert.uuid(req.vm.uuid, 'req.vm.uuid');
+
+    req.idempotency.jobCreated = true;
+
+    record = {
+        request_hash: req.idempotency.requestHash,
+        vm_uuid: req.vm.uuid,
+        job_uuid: response.job_uuid,
+        created_timestamp: req.idempotency.createdTimestamp,
+        response: response
+    };
+
+    req.app.moray.putIdempotencyKey(req.idempotency.ownerUuid,
+        req.idempotency.key, record, {
+        etag: req.idempotency.etag
+    }, function onPutKey(putErr) {
+        if (putErr) {
+            req.log.error({
+                err: putErr,
+                idempotency_key: req.idempotency.key,
+                owner_uuid: req.idempotency.ownerUuid,
+                job_uuid: response.job_uuid
+            }, 'could not store idempotency key');
+        }
+
+        callback();
+    });
+}
+
+module.exports = {
+    checkIdempotencyKey: checkIdempotencyKey,
+    storeIdempotencyKey: storeIdempotencyKey
+};
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -33,7 +33,8 @@ exports.checkWfapi = function checkWfapi(req, res, next) {
 
 
 /*
- * Loads a vm from moray. Gets set as req.vm for later usage.
+ * Loads a vm from moray. Gets set as req.vm for later usage, and the etag of
+ * its moray record is set as req.vmEtag.
  */
 exports.loadVm = function loadVm(req, res, next) {
     if (!req.params.uuid) {
@@ -45,7 +46,7 @@ exports.loadVm = function loadVm(req, res, next) {
     req.log = req.log.child({ vm_uuid: req.params.uuid }, true);
     req.app.moray.getVm(req.params, onGetVm);
 
-    function onGetVm(err, vm) {
+    function onGetVm(err, vm, etag) {
         if (err) {
             next(err);
             return;
@@ -60,6 +61,7 @@ exports.loadVm = function loadVm(req, res, next) {
             }
 
             req.vm = common.translateVm(vm, true);
+            req.vmEtag = etag;
             next();
         } else {
             next(new restify.ResourceNotFoundError('VM not found'));
@@ -67,6 +69,52 @@ exports.loadVm = function loadVm(req, res, next) {
     }
 };
 
+/*
+ * Implements conditional requests for handlers that modify a VM: if the client
+ * sent an "If-Match" header, the etag of the VM loaded in req.vm (see loadVm)
+ * must be one of the etags listed in that header, otherwise the request fails
+ * with a 412 Precondition Failed error. A value of "*" matches any existing
+ * VM. Weak etags never match, as required by RFC 7232 for If-Match.
+ */
+exports.checkIfMatch = function checkIfMatch(req, res, next) {
+    assert.object(req, 'req');
+    assert.object(res, 'res');
+    assert.func(next, 'next');
+
+    var ifMatch = req.headers['if-match'];
+    var matched;
+
+    if (ifMatch === undefined) {
+        next();
+        return;
+    }
+
+    if (req.vm === undefined) {
+        next(new restify.PreconditionFailedError('VM ' + req.params.uuid +
+            ' does not exist'));
+        return;
+    }
+
+    matched = ifMatch.split(',').some(function isCurrentEtag(etag) {
+        etag = etag.trim();
+
+        if (etag === '*') {
+            return true;
+        }
+
+        return (req.vmEtag !== undefined &&
+            etag === common.formatEtag(req.vmEtag));
+    });
+
+    if (!matched) {
+        next(new restify.PreconditionFailedError('VM ' + req.vm.uuid +
+            ' has been modified: its current etag does not match If-Match'));
+        return;
+    }
+
+    next();
+};
+
 /*
  * Checks that Moray buckets have been setup successfully, otherwise calls
  * "next" with an error object as its first parameter.
@@ -0,0 +1,332 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * A JobPoller polls WFAPI for the jobs that clients wait on with the WaitJob
+ * endpoint (GET /jobs/:job_uuid/wait), or watch with the WatchJob endpoint
+ * (GET /jobs/:job_uuid/watch). All the waiters of a given job share a single
+ * poller for that job, so that the number of requests sent to WFAPI doesn't
+ * grow with the number of clients waiting on the same job. A job stops being
+ * polled as soon as no client waits on it anymore.
+ *
+ * The snapshot pruner (see lib/snapshot-pruner.js) also uses its own JobPoller
+ * to wait on snapshot jobs.
+ */
+
+var assert = require('assert-plus');
+var once = require('once');
+
+/*
+ * The executions after which a job never changes again. Waiters are always
+ * notified when a job reaches one of these executions.
+ */
+var TERMINAL_JOB_EXECUTIONS = ['canceled', 'failed', 'succeeded'];
+
+var DEFAULT_POLL_INTERVAL_MS = 1000;
+
+/*
+ * The number of consecutive errors when getting a job from WFAPI after which
+ * waiting on that job fails.
+ */
+var MAX_CONSECUTIVE_POLL_ERRORS = 5;
+
+function isTerminalExecution(execution) {
+    return TERMINAL_JOB_EXECUTIONS.indexOf(execution) !== -1;
+}
+
+/*
+ * JobPoller constructor. "options.wfapi" is the WFAPI client used to get jobs,
+ * and "options.pollInterval" is the interval between two requests for the same
+ * job, in milliseconds.
+ */
+function JobPoller(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.wfapi, 'options.wfapi');
+    assert.optionalNumber(options.pollInterval, 'options.pollInterval');
+
+    this._log = options.log;
+    this._wfapi = options.wfapi;
+    this._pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+
+    /*
+     * The jobs being polled, keyed by job UUID. Each polled job has the
+     * following properties:
+     *
+     * - "job": the latest version of the job, or undefined if it hasn't been
+     *   loaded yet
+     *
+     * - "nbErrors": the number of consecutive errors when getting the job
+     *
+     * - "timer": the timer of the next poll of the job, if any
+     *
+     * - "waiters": the waiters of the job
+     */
+    this._polledJobs = {};
+}
+
+/*
+ * Waits for the job with UUID "jobUuid" to reach one of the executions in
+ * "options.executions", or a terminal execution, for at most "options.timeout"
+ * milliseconds. Calls "callback" with the following arguments:
+ *
+ * - an error if the job couldn't be loaded from WFAPI
+ *
+ * - the latest version of the job
+ *
+ * - a boolean that is true if the job reached one of the executions it was
+ *   waited for, and false if the wait timed out
+ *
+ * Returns a waiter object that can be passed to "cancelWait" to stop waiting,
+ * in which case "callback" is never called.
+ */
+JobPoller.prototype.waitForJob =
+function waitForJob(jobUuid, options, callback) {
+    assert.uuid(jobUuid, 'jobUuid');
+    assert.object(options, 'options');
+    assert.optionalArrayOfString(options.executions, 'options.executions');
+    assert.number(options.timeout, 'options.timeout');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var polledJob = self._polledJobs[jobUuid];
+    var waiter = {
+        callback: once(callback),
+        executions: options.executions || [],
+        jobUuid: jobUuid,
+        timedOut: false,
+        timer: undefined,
+        watch: false
+    };
+
+    if (polledJob !== undefined && polledJob.job !== undefined &&
+        self._jobReached(polledJob.job, waiter)) {
+        waiter.callback(null, polledJob.job, true);
+        return waiter;
+    }
+
+    polledJob = self._addWaiter(waiter);
+
+    /*
+     * If the job hasn't been loaded yet when the wait times out, the waiter
+     * is notified when the pending request to WFAPI completes.
+     */
+    waiter.timer = setTimeout(function onWaitTimeout() {
+        waiter.timedOut = true;
+        if (polledJob.job !== undefined) {
+            self._removeWaiter(waiter);
+            waiter.callback(null, polledJob.job, false);
+        }
+    }, options.timeout);
+
+    self._startPolling(jobUuid);
+
+    return waiter;
+};
+
+/*
+ * Calls "callback" with each version of the job with UUID "jobUuid" loaded
+ * from WFAPI, until the job reaches a terminal execution, or with an error if
+ * the job couldn't be loaded, in which case the job isn't watched anymore.
+ *
+ * Returns a waiter object that can be passed to "cancelWait" to stop watching.
+ */
+JobPoller.prototype.watchJob = function watchJob(jobUuid, callback) {
+    assert.uuid(jobUuid, 'jobUuid');
+    assert.func(callback, 'callback');
+
+    var waiter = {
+        callback: callback,
+        executions: [],
+        jobUuid: jobUuid,
+        timedOut: false,
+        timer: undefined,
+        watch: true
+    };
+
+    this._addWaiter(waiter);
+    this._startPolling(jobUuid);
+
+    return waiter;
+};
+
+/*
+ * Stops waiting for a job. "waiter" is the value returned by "waitForJob".
+ */
+JobPoller.prototype.cancelWait = function cancelWait(waiter) {
+    assert.object(waiter, 'waiter');
+
+    this._removeWaiter(waiter);
+};
+
+/*
+ * Stops polling all jobs. Waiters are not notified.
+ */
+JobPoller.prototype.close = function close() {
+    var self = this;
+
+    Object.keys(self._polledJobs).forEach(function stopPolling(jobUuid) {
+        var polledJob = self._polledJobs[jobUuid];
+
+        clearTimeout(polledJob.timer);
+        polledJob.waiters.forEach(function clearWaiterTimer(waiter) {
+            clearTimeout(waiter.timer);
+        });
+    });
+
+    self._polledJobs = {};
+};
+
+JobPoller.prototype._jobReached = function _jobReached(job, waiter) {
+    return isTerminalExecution(job.execution) ||
+        waiter.executions.indexOf(job.execution) !== -1;
+};
+
+/*
+ * Adds "waiter" to the waiters of its job, and returns the polled job.
+ */
+JobPoller.prototype._addWaiter = function _addWaiter(waiter) {
+    var polledJob = this._polledJobs[waiter.jobUuid];
+
+    if (polledJob === undefined) {
+        polledJob = this._polledJobs[waiter.jobUuid] = {
+            job: undefined,
+            nbErrors: 0,
+            polling: false,
+            timer: undefined,
+            waiters: []
+        };
+    }
+
+    polledJob.waiters.push(waiter);
+
+    return polledJob;
+};
+
+/*
+ * Starts polling the job with UUID "jobUuid", unless it's already polled.
+ * This is done only once the waiter of a new polled job is added, so that
+ * errors when getting the job are always reported to that waiter.
+ */
+JobPoller.prototype._startPolling = function _startPolling(jobUuid) {
+    var polledJob = this._polledJobs[jobUuid];
+
+    if (polledJob.polling) {
+        return;
+    }
+
+    polledJob.polling = true;
+    this._log.debug({job_uuid: jobUuid}, 'Start polling job');
+    this._poll(jobUuid);
+};
+
+JobPoller.prototype._removeWaiter = function _removeWaiter(waiter) {
+    var idx;
+    var polledJob = this._polledJobs[waiter.jobUuid];
+
+    clearTimeout(waiter.timer);
+
+    if (polledJob === undefined) {
+        return;
+    }
+
+    idx = polledJob.waiters.indexOf(waiter);
+    if (idx !== -1) {
+        polledJob.waiters.splice(idx, 1);
+    }
+
+    /*
+     * Stop polling right away if the job is waiting for its next poll. If the
+     * job is being loaded, polling stops once it's loaded (see _poll).
+     */
+    if (polledJob.waiters.length === 0 && polledJob.timer !== undefined) {
+        clearTimeout(polledJob.timer);
+        this._log.debug({job_uuid: waiter.jobUuid}, 'Stop polling job');
+        delete this._polledJobs[waiter.jobUuid];
+    }
+};
+
+/*
+ * Stops polling the job with UUID "jobUuid" and notifies its remaining
+ * waiters with the error "err".
+ */
+JobPoller.prototype._failWaiters = function _failWaiters(jobUuid, err) {
+    var polledJob = this._polledJobs[jobUuid];
+
+    delete this._polledJobs[jobUuid];
+
+    polledJob.waiters.forEach(function failWaiter(waiter) {
+        clearTimeout(waiter.timer);
+        waiter.callback(err);
+    });
+};
+
+JobPoller.prototype._poll = function _poll(jobUuid) {
+    var self = this;
+
+    self._wfapi.getJob(jobUuid, function onGetJob(err, job) {
+        var polledJob = self._polledJobs[jobUuid];
+
+        if (polledJob === undefined) {
+            // The poller was closed while the job was being loaded.
+            return;
+        }
+
+        polledJob.timer = undefined;
+
+        if (err) {
+            polledJob.nbErrors++;
+            self._log.warn({err: err, job_uuid: jobUuid,
+                nbErrors: polledJob.nbErrors}, 'Failed to get polled job');
+
+            /*
+             * Stop polling jobs that don't exist, and jobs that WFAPI
+             * repeatedly fails to return.
+             */
+            if (err.statusCode === 404 ||
+                polledJob.nbErrors >= MAX_CONSECUTIVE_POLL_ERRORS) {
+                self._failWaiters(jobUuid, err);
+                return;
+            }
+        } else {
+            polledJob.nbErrors = 0;
+            polledJob.job = job;
+
+            polledJob.waiters.slice().forEach(function notify(waiter) {
+                var reached = self._jobReached(job, waiter);
+
+                if (waiter.watch) {
+                    if (reached) {
+                        self._removeWaiter(waiter);
+                    }
+                    waiter.callback(null, job);
+                } else if (reached || waiter.timedOut) {
+                    self._removeWaiter(waiter);
+                    waiter.callback(null, job, reached);
+                }
+            });
+        }
+
+        if (polledJob.waiters.length === 0) {
+            self._log.debug({job_uuid: jobUuid}, 'Stop polling job');
+            delete self._polledJobs[jobUuid];
+            return;
+        }
+
+        polledJob.timer = setTimeout(self._poll.bind(self, jobUuid),
+            self._pollInterval);
+    });
+};
+
+module.exports = {
+    isTerminalExecution: isTerminalExecution,
+    JobPoller: JobPoller,
+    TERMINAL_JOB_EXECUTIONS: TERMINAL_JOB_EXECUTIONS
+};
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2019, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -39,10 +39,25 @@ var VMS_BUCKET_CONFIG = {
              * "internal_metadata" field so that it is searchable.
              */
             internal_metadata_search_array: { type: '[string]' },
+            /*
+             * These indexed fields store the IP addresses, MAC addresses,
+             * network UUIDs and NIC tags of the VM's NICs so that VMs can be
+             * searched by NIC.
+             */
+            ip_search_array: { type: '[string]' },
+            mac_search_array: { type: '[string]' },
+            network_uuid_search_array: { type: '[string]' },
+            nic_tag_search_array: { type: '[string]' },
+            /*
+             * This indexed field stores the words (and their prefixes) found
+             * in the VM's alias, tags and customer_metadata keys, so that VMs
+             * can be searched with GET /vms/search.
+             */
+            fulltext_search_array: { type: '[string]' },
             data_version: { type: 'number' }
         },
         options: {
-            version: 2
+            version: 4
         }
     }
 };
@@ -91,9 +106,156 @@ var VM_MIGRATIONS_BUCKET_CONFIG = {
     }
 };
 
+/*
+ * Stores the "Idempotency-Key" header values sent with requests that create
+ * workflow jobs, along with the response that was sent for the request that
+ * first used that key, so that retried requests can be answered without
+ * creating a new job.
+ */
+var IDEMPOTENCY_KEYS_BUCKET_CONFIG = {
+    name: 'vmapi_idempotency_keys',
+    schema: {
+        index: {
+            key: { type: 'string', unique: true },
+            vm_uuid: { type: 'string' },
+            job_uuid: { type: 'string' },
+            created_timestamp: { type: 'number' },
+            data_version: { type: 'number' }
+        },
+        options: {
+            version: 1
+        }
+    }
+};
+
+/*
+ * Stores an entry for each request that modified a VM, see lib/audit.js.
+ */
+var AUDIT_BUCKET_CONFIG = {
+    name: 'vmapi_audit',
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            timestamp: { type: 'number' },
+            req_id: { type: 'string' },
+            route: { type: 'string' },
+            action: { type: 'string' },
+            vm_uuid: { type: 'string' },
+            owner_uuid: { type: 'string' },
+            job_uuid: { type: 'string' },
+            data_version: { type: 'number' }
+        },
+        options: {
+            version: 1
+        }
+    }
+};
+
+/*
+ * Stores a revision of a VM each time its record is changed, along with the
+ * names of the properties that changed, see lib/endpoints/history.js.
+ */
+var VM_HISTORY_BUCKET_CONFIG = {
+    name: 'vmapi_vm_history',
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            vm_uuid: { type: 'string' },
+            timestamp: { type: 'number' },
+            data_version: { type: 'number' }
+        },
+        options: {
+            version: 1
+        }
+    }
+};
+
+/*
+ * Stores the limits that cap the resources each owner can use, see
+ * lib/owner-limits.js.
+ */
+var OWNER_LIMITS_BUCKET_CONFIG = {
+    name: 'vmapi_owner_limits',
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            owner_uuid: { type: 'string' },
+            data_version: { type: 'number' }
+        },
+        options: {
+            version: 1
+        }
+    }
+};
+
+/*
+ * Stores the saved searches of owners, see lib/searches.js.
+ */
+var SEARCHES_BUCKET_CONFIG = {
+    name: 'vmapi_searches',
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            owner_uuid: { type: 'string' },
+            name: { type: 'string' },
+            data_version: { type: 'number' }
+        },
+        options: {
+            version: 1
+        }
+    }
+};
+
+/*
+ * Stores the schedules of VM actions, see lib/schedules.js and
+ * lib/scheduler.js.
+ */
+var SCHEDULES_BUCKET_CONFIG = {
+    name: 'vmapi_schedules',
+    schema: {
+        index: {
+            uuid: { type: 'string', unique: true },
+            owner_uuid: { type: 'string' },
+            enabled: { type: 'boolean' },
+            next_run: { type: 'number' },
+            created_at: { type: 'string' },
+            data_version: { type: 'number' }
+        },
+        options: {
+            version: 1
+        }
+    }
+};
+
+/*
+ * Stores leases that VMAPI instances acquire so that only one of them performs
+ * a given task at a time, such as purging the VM history or running due
+ * schedules.
+ */
+var LEASES_BUCKET_CONFIG = {
+    name: 'vmapi_leases',
+    schema: {
+        index: {
+            name: { type: 'string', unique: true },
+            holder: { type: 'string' },
+            expires: { type: 'number' }
+        },
+        options: {
+            version: 1
+        }
+    }
+};
+
 module.exports = {
     vms: VMS_BUCKET_CONFIG,
     server_vms: SERVER_VMS_BUCKET_CONFIG,
     vm_role_tags: VM_ROLE_TAGS_BUCKET_CONFIG,
-    vm_migrations: VM_MIGRATIONS_BUCKET_CONFIG
+    vm_migrations: VM_MIGRATIONS_BUCKET_CONFIG,
+    idempotency_keys: IDEMPOTENCY_KEYS_BUCKET_CONFIG,
+    audit: AUDIT_BUCKET_CONFIG,
+    vm_history: VM_HISTORY_BUCKET_CONFIG,
+    owner_limits: OWNER_LIMITS_BUCKET_CONFIG,
+    searches: SEARCHES_BUCKET_CONFIG,
+    schedules: SCHEDULES_BUCKET_CONFIG,
+    leases: LEASES_BUCKET_CONFIG
 };
@@ -0,0 +1,242 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Owner limits cap the resources that the active VMs of an owner can use.
+ * Each limit can cap:
+ *
+ *  - "vms": the number of VMs
+ *  - "ram": the total RAM of VMs, in MiB
+ *  - "disk": the total disk of VMs, in MiB. The disk of bhyve and kvm VMs is
+ *    the sum of the sizes of their disks, the disk of other VMs is their quota.
+ *
+ * A limit can be restricted to the VMs of a given brand and/or image by
+ * setting its "brand" and/or "image_uuid" properties. An owner can have any
+ * number of limits, and they must all be satisfied when creating or resizing
+ * a VM.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var errors = require('./errors');
+
+var OWNER_LIMIT_DATA_VERSION = 1;
+var OWNER_LIMIT_RESOURCES = ['vms', 'ram', 'disk'];
+var HVM_BRANDS = ['bhyve', 'kvm'];
+
+/*
+ * Returns the UUID of the image of the VM "vm", which for bhyve and kvm VMs is
+ * the image of their boot disk.
+ */
+function getVmImageUuid(vm) {
+    if (HVM_BRANDS.indexOf(vm.brand) !== -1) {
+        return vm.disks && vm.disks[0] && vm.disks[0].image_uuid;
+    }
+
+    return vm.image_uuid;
+}
+
+/*
+ * Returns the disk used by the VM "vm", in MiB.
+ */
+function getVmDisk(vm) {
+    if (HVM_BRANDS.indexOf(vm.brand) !== -1) {
+        return (vm.disks || []).reduce(function addDiskSize(sum, disk) {
+            return sum + (typeof (disk.size) === 'number' ? disk.size : 0);
+        }, 0);
+    }
+
+    return (vm.quota || 0) * 1024;
+}
+
+/*
+ * Returns the resources, as counted by owner limits, used by the VM "vm".
+ */
+function getVmResources(vm) {
+    assert.object(vm, 'vm');
+
+    return {
+        vms: 1,
+        ram: vm.ram || vm.max_physical_memory || 0,
+        disk: getVmDisk(vm)
+    };
+}
+
+function limitAppliesToVm(limit, vm) {
+    return (limit.brand === undefined || limit.brand === vm.brand) &&
+        (limit.image_uuid === undefined ||
+            limit.image_uuid === getVmImageUuid(vm));
+}
+
+/*
+ * Computes the resources used by the active VMs of the owner with UUID
+ * "ownerUuid" that the limit "limit" applies to. VMs are only read to sum
+ * their resources when the limit caps their RAM or disk, otherwise they are
+ * only counted.
+ */
+function getLimitUsage(moray, ownerUuid, limit, callback) {
+    var params = {
+        owner_uuid: ownerUuid,
+        state: 'active'
+    };
+
+    if (limit.brand !== undefined) {
+        params.brand = limit.brand;
+    }
+
+    if (limit.image_uuid !== undefined) {
+        params.image_uuid = limit.image_uuid;
+    }
+
+    if (limit.ram === undefined && limit.disk === undefined) {
+        moray.countVms(params, function onCount(err, count) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, {vms: count});
+        });
+        return;
+    }
+
+    moray.getVmStats(params, 'brand', function onStats(err, stats, groups) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, {
+            vms: stats.count,
+            ram: stats.max_physical_memory,
+            disk: groups.reduce(function addGroupDisk(sum, group) {
+                if (HVM_BRANDS.indexOf(group.value) !== -1) {
+                    return sum + group.stats.disk_size;
+                }
+                return sum + group.stats.quota * 1024;
+            }, 0)
+        });
+    });
+}
+
+/*
+ * Checks that the owner with UUID "ownerUuid" can use "requested" additional
+ * resources (an object with optional "vms", "ram" and "disk" properties) for
+ * the VM "vm". "vm" is the VM being created or resized, and is used to
+ * determine which limits apply. Calls "callback" with an
+ * OwnerLimitExceededError if that would exceed any of the owner's limits.
+ */
+function checkOwnerLimits(moray, ownerUuid, vm, requested, callback) {
+    assert.object(moray, 'moray');
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.object(vm, 'vm');
+    assert.object(requested, 'requested');
+    assert.func(callback, 'callback');
+
+    moray.listOwnerLimits(ownerUuid, function onLimits(listErr, limits) {
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        limits = limits.filter(function isLimitChecked(limit) {
+            return limitAppliesToVm(limit, vm) &&
+                OWNER_LIMIT_RESOURCES.some(function isRequested(resource) {
+                    return limit[resource] !== undefined &&
+                        requested[resource] > 0;
+                });
+        });
+
+        vasync.forEachPipeline({
+            func: function checkLimit(limit, next) {
+                getLimitUsage(moray, ownerUuid, limit,
+                    function onUsage(usageErr, usage) {
+                        var idx;
+                        var resource;
+
+                        if (usageErr) {
+                            next(usageErr);
+                            return;
+                        }
+
+                        for (idx = 0; idx < OWNER_LIMIT_RESOURCES.length;
+                            idx++) {
+                            resource = OWNER_LIMIT_RESOURCES[idx];
+                            if (limit[resource] !== undefined &&
+                                requested[resource] > 0 &&
+                                usage[resource] + requested[resource] >
+                                    limit[resource]) {
+                                next(new errors.OwnerLimitExceededError(limit,
+                                    resource, usage[resource],
+                                    requested[resource]));
+                                return;
+                            }
+                        }
+
+                        next();
+                    });
+            },
+            inputs: limits
+        }, function onChecked(err) {
+            callback(err);
+        });
+    });
+}
+
+/*
+ * Returns a new owner limit record for the owner with UUID "ownerUuid" and
+ * the limit with UUID "limitUuid" from the (validated) request parameters
+ * "params".
+ */
+function createOwnerLimit(ownerUuid, limitUuid, params) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.uuid(limitUuid, 'limitUuid');
+    assert.object(params, 'params');
+
+    var limit = {
+        uuid: limitUuid,
+        owner_uuid: ownerUuid,
+        data_version: OWNER_LIMIT_DATA_VERSION
+    };
+
+    ['brand', 'image_uuid'].concat(OWNER_LIMIT_RESOURCES).forEach(
+        function copyParam(name) {
+            if (params[name] !== undefined) {
+                limit[name] = params[name];
+            }
+        });
+
+    return limit;
+}
+
+/*
+ * Returns the API representation of the owner limit "limit".
+ */
+function translateOwnerLimit(limit) {
+    assert.object(limit, 'limit');
+
+    return {
+        uuid: limit.uuid,
+        owner_uuid: limit.owner_uuid,
+        brand: limit.brand,
+        image_uuid: limit.image_uuid,
+        vms: limit.vms,
+        ram: limit.ram,
+        disk: limit.disk
+    };
+}
+
+module.exports = {
+    checkOwnerLimits: checkOwnerLimits,
+    createOwnerLimit: createOwnerLimit,
+    getVmResources: getVmResources,
+    translateOwnerLimit: translateOwnerLimit
+};
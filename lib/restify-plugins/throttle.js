@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Token bucket throttling of requests.
+ *
+ * Requests are split in three classes that each have their own budget, so that
+ * e.g clients listing VMs in a loop cannot prevent vm-agent from updating
+ * VMs:
+ *
+ *  - "vmagent": requests to the routes used by vm-agent to update VMs (PutVm
+ *    and PutVms)
+ *  - "read": other GET and HEAD requests
+ *  - "mutation": all other requests
+ *
+ * Within each class, requests are throttled per key, which is one of:
+ *
+ *  - "ip": the client's IP address (the default)
+ *  - "header": the value of the request header named by the "header" option,
+ *    e.g a header that identifies the calling service. Requests without that
+ *    header are keyed on their IP address.
+ *  - "route": the route's name, so that all clients share the same budget
+ *
+ * Each budget is a token bucket that holds up to "burst" tokens, and is
+ * refilled at "rate" tokens per second. "burst" defaults to "rate", rounded
+ * up, so that clients can send one second worth of requests at once. Each
+ * request consumes one token.
+ * Requests that find their bucket empty fail with a 429 error and a
+ * Retry-After header. A class without a budget is not throttled.
+ */
+
+var assert = require('assert-plus');
+var restify = require('restify');
+
+var THROTTLE_CLASSES = ['read', 'mutation', 'vmagent'];
+var THROTTLE_KEYS = ['ip', 'header', 'route'];
+
+var VMAGENT_ROUTES = {
+    putvm: true,
+    putvms: true
+};
+
+/*
+ * Routes that are never throttled, as they are used to check VMAPI's health.
+ */
+var UNTHROTTLED_ROUTES = {
+    ping: true
+};
+
+/*
+ * Buckets that were not used for that long are full, and are removed so that
+ * the number of buckets does not grow with the number of keys ever seen.
+ */
+var BUCKETS_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function getThrottleClass(req) {
+    if (VMAGENT_ROUTES[req.route.name]) {
+        return 'vmagent';
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        return 'read';
+    }
+
+    return 'mutation';
+}
+
+/*
+ * Returns a restify handler that throttles requests according to "options":
+ *
+ *  - "key": one of "ip", "header" or "route", see above
+ *  - "header": the name of the header to use as key when "key" is "header"
+ *  - "budgets": an object with optional "read", "mutation" and "vmagent"
+ *    properties, each an object with a "rate" and an optional "burst" numbers
+ *  - "metricsManager": an optional triton-metrics manager, used to count
+ *    throttled requests
+ */
+function createThrottle(options) {
+    assert.object(options, 'options');
+    assert.optionalString(options.key, 'options.key');
+    assert.object(options.budgets, 'options.budgets');
+    assert.optionalObject(options.metricsManager, 'options.metricsManager');
+
+    var key = options.key || 'ip';
+    var header;
+    var budgets = {};
+    var buckets = {};
+    var lastSweep = Date.now();
+    var throttledCounter;
+    var bucketsGauge;
+
+    assert.ok(THROTTLE_KEYS.indexOf(key) !== -1,
+        'options.key must be one of ' + THROTTLE_KEYS.join(', '));
+
+    if (key === 'header') {
+        assert.string(options.header, 'options.header');
+        header = options.header.toLowerCase();
+    }
+
+    THROTTLE_CLASSES.forEach(function checkBudget(throttleClass) {
+        var budget = options.budgets[throttleClass];
+
+        assert.optionalObject(budget, 'options.budgets.' + throttleClass);
+        if (budget) {
+            assert.number(budget.rate, 'budget.rate');
+            assert.ok(budget.rate > 0, 'budget.rate must be positive');
+            assert.optionalNumber(budget.burst, 'budget.burst');
+
+            budgets[throttleClass] = {
+                rate: budget.rate,
+                burst: budget.burst !== undefined ? budget.burst :
+                    Math.ceil(budget.rate)
+            };
+            assert.ok(budgets[throttleClass].burst >= 1,
+                'budget.burst must be >= 1');
+        }
+
+        buckets[throttleClass] = {};
+    });
+
+    if (options.metricsManager && options.metricsManager.collector) {
+        throttledCounter = options.metricsManager.collector.counter({
+            name: 'http_requests_throttled',
+            help: 'count of requests rejected by the throttle'
+        });
+        bucketsGauge = options.metricsManager.collector.gauge({
+            name: 'throttle_buckets',
+            help: 'number of throttle token buckets in use'
+        });
+    }
+
+    function getKey(req) {
+        if (key === 'route') {
+            return req.route.name;
+        }
+
+        if (key === 'header' && req.headers[header] !== undefined) {
+            return 'header:' + req.headers[header];
+        }
+
+        return 'ip:' + req.connection.remoteAddress;
+    }
+
+    function sweepBuckets(now) {
+        THROTTLE_CLASSES.forEach(function sweepClass(throttleClass) {
+            var classBuckets = buckets[throttleClass];
+            var budget = budgets[throttleClass];
+
+            Object.keys(classBuckets).forEach(function sweepBucket(bucketKey) {
+                var bucket = classBuckets[bucketKey];
+
+                if (bucket.tokens + (now - bucket.lastFill) / 1000 *
+                    budget.rate >= budget.burst) {
+                    delete classBuckets[bucketKey];
+                }
+            });
+
+            if (bucketsGauge) {
+                bucketsGauge.set(Object.keys(classBuckets).length,
+                    {budget: throttleClass});
+            }
+        });
+
+        lastSweep = now;
+    }
+
+    function throttle(req, res, next) {
+        var bucket;
+        var bucketKey;
+        var budget;
+        var now = Date.now();
+        var retryAfter;
+        var throttleClass;
+
+        if (!req.route || UNTHROTTLED_ROUTES[req.route.name]) {
+            next();
+            return;
+        }
+
+        throttleClass = getThrottleClass(req);
+        budget = budgets[throttleClass];
+        if (!budget) {
+            next();
+            return;
+        }
+
+        if (now - lastSweep >= BUCKETS_SWEEP_INTERVAL_MS) {
+            sweepBuckets(now);
+        }
+
+        bucketKey = getKey(req);
+        bucket = buckets[throttleClass][bucketKey];
+        if (bucket === undefined) {
+            bucket = {tokens: budget.burst, lastFill: now};
+            buckets[throttleClass][bucketKey] = bucket;
+        } else {
+            bucket.tokens = Math.min(budget.burst,
+                bucket.tokens + (now - bucket.lastFill) / 1000 * budget.rate);
+            bucket.lastFill = now;
+        }
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            next();
+            return;
+        }
+
+        retryAfter = Math.ceil((1 - bucket.tokens) / budget.rate);
+
+        req.log.info({
+            budget: throttleClass,
+            key: bucketKey,
+            retry_after: retryAfter
+        }, 'Throttling request');
+
+        if (throttledCounter) {
+            throttledCounter.increment({
+                budget: throttleClass,
+                route: req.route.name
+            });
+        }
+
+        res.header('Retry-After', retryAfter);
+        next(new restify.TooManyRequestsError('Request rate exceeded for ' +
+            throttleClass + ' requests, retry in ' + retryAfter + ' seconds'));
+    }
+
+    return throttle;
+}
+
+module.exports = createThrottle;
@@ -0,0 +1,397 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * The scheduler runs the schedules of VM actions (see lib/schedules.js) when
+ * they are due. Every VMAPI instance runs a scheduler, but only the instance
+ * that holds the "scheduler" lease in moray runs schedules. The lease is
+ * renewed at each tick, so when that instance goes away, another one takes over
+ * once the lease expires.
+ *
+ * Each run of a schedule is claimed by writing its next run time with the etag
+ * of the schedule that was read, so that a run is never performed twice even
+ * if two instances briefly both believe they hold the lease. Runs that were
+ * missed while no instance was running schedules are performed only once, as
+ * soon as possible.
+ *
+ * The snapshot jobs created by snapshot schedules are handed to the snapshot
+ * pruner (see lib/snapshot-pruner.js), which deletes the oldest snapshots
+ * created by the schedule beyond its "keep" most recent ones, and the snapshots
+ * that the VM's retention policy doesn't keep, once a job succeeds.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var restify = require('restify');
+var uuid = require('uuid');
+var vasync = require('vasync');
+var verror = require('verror');
+
+var common = require('./common');
+var cron = require('./cron');
+var errors = require('./errors');
+var schedules = require('./schedules');
+var vms = require('./endpoints/vms');
+
+var DEFAULT_TICK_INTERVAL_MS = 30 * 1000;
+var SCHEDULER_LEASE_NAME = 'scheduler';
+
+/*
+ * The lease is renewed at every tick, it expires after several missed ticks so
+ * that a slow tick doesn't make another instance take over.
+ */
+var LEASE_TICKS = 4;
+
+/*
+ * The number of times the results of a run are written again when the schedule
+ * was modified concurrently.
+ */
+var MAX_RECORD_RUN_ATTEMPTS = 3;
+
+var JOB_CREATORS = {
+    reboot: function createRebootJob(wfapi, jobReq, cb) {
+        wfapi.createRebootJob(jobReq, cb);
+    },
+    snapshot: function createSnapshotJob(wfapi, jobReq, cb) {
+        wfapi.createSnapshotJob(jobReq, cb);
+    }
+};
+
+/*
+ * Returns the representation of the error "err" in the "errors" of the last
+ * run of a schedule.
+ */
+function runError(vmUuid, err) {
+    return {
+        vm_uuid: vmUuid,
+        code: err.restCode || err.name,
+        message: err.message
+    };
+}
+
+/*
+ * Scheduler constructor. "options.instanceUuid" identifies this VMAPI instance
+ * as the holder of the scheduler lease, "options.snapshotPruner" is the
+ * SnapshotPruner that deletes old snapshots after snapshot jobs, and
+ * "options.tickInterval" is the interval between two checks for due schedules,
+ * in milliseconds.
+ */
+function Scheduler(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.moray, 'options.moray');
+    assert.object(options.wfapi, 'options.wfapi');
+    assert.object(options.snapshotPruner, 'options.snapshotPruner');
+    assert.optionalString(options.instanceUuid, 'options.instanceUuid');
+    assert.optionalNumber(options.tickInterval, 'options.tickInterval');
+
+    this._log = options.log;
+    this._moray = options.moray;
+    this._wfapi = options.wfapi;
+    this._snapshotPruner = options.snapshotPruner;
+    this._instanceUuid = options.instanceUuid || uuid.v4();
+    this._tickInterval = options.tickInterval || DEFAULT_TICK_INTERVAL_MS;
+
+    this._interval = undefined;
+    this._ticking = false;
+}
+
+/*
+ * Starts checking for due schedules periodically.
+ */
+Scheduler.prototype.start = function start() {
+    if (this._interval === undefined) {
+        this._interval = setInterval(this._tick.bind(this),
+            this._tickInterval);
+    }
+};
+
+/*
+ * Stops checking for due schedules.
+ */
+Scheduler.prototype.stop = function stop() {
+    if (this._interval !== undefined) {
+        clearInterval(this._interval);
+        this._interval = undefined;
+    }
+};
+
+/*
+ * Runs the schedules that are due if this instance holds the scheduler lease.
+ */
+Scheduler.prototype._tick = function _tick() {
+    var self = this;
+    var log = self._log;
+
+    if (self._ticking || !self._moray.bucketsSetup()) {
+        return;
+    }
+
+    self._ticking = true;
+
+    vasync.pipeline({arg: {}, funcs: [
+        function acquireLease(ctx, next) {
+            self._moray.acquireLease(SCHEDULER_LEASE_NAME, self._instanceUuid,
+                self._tickInterval * LEASE_TICKS,
+                function onLease(err, acquired) {
+                    ctx.acquired = acquired;
+                    next(err);
+                });
+        },
+        function listDueSchedules(ctx, next) {
+            ctx.dueSchedules = [];
+
+            if (!ctx.acquired) {
+                next();
+                return;
+            }
+
+            self._moray.listSchedules({due_before: Date.now()},
+                function onList(err, dueSchedules) {
+                    ctx.dueSchedules = dueSchedules;
+                    next(err);
+                });
+        },
+        function runDueSchedules(ctx, next) {
+            vasync.forEachPipeline({
+                func: function runDueSchedule(schedule, done) {
+                    self._runSchedule(schedule.uuid, function onRun(err) {
+                        if (err) {
+                            log.error({err: err, schedule_uuid: schedule.uuid},
+                                'Error when running schedule');
+                        }
+                        done();
+                    });
+                },
+                inputs: ctx.dueSchedules
+            }, next);
+        }
+    ]}, function onTickDone(err) {
+        self._ticking = false;
+
+        if (err) {
+            log.error({err: err}, 'Error when running due schedules');
+        }
+    });
+};
+
+/*
+ * Runs the schedule with UUID "scheduleUuid" if it is still due, and records
+ * the jobs created and the errors encountered as its last run.
+ */
+Scheduler.prototype._runSchedule = function _runSchedule(scheduleUuid, cb) {
+    var self = this;
+    var log = self._log;
+    var run;
+    var schedule;
+
+    vasync.pipeline({arg: {}, funcs: [
+        function getSchedule(ctx, next) {
+            self._moray.getSchedule(scheduleUuid,
+                function onGetSchedule(err, _schedule, etag) {
+                    schedule = _schedule;
+                    ctx.etag = etag;
+                    next(err);
+                });
+        },
+        function claimRun(ctx, next) {
+            var now = Date.now();
+
+            if (!schedule || !schedule.enabled || schedule.next_run === null ||
+                schedule.next_run > now) {
+                next(new verror.VError({name: 'ScheduleNotDueError'},
+                    'schedule is not due anymore'));
+                return;
+            }
+
+            run = {
+                scheduled_for: new Date(schedule.next_run).toISOString(),
+                started_at: new Date(now).toISOString(),
+                finished_at: null,
+                jobs: [],
+                errors: []
+            };
+
+            schedule.last_run = run;
+            schedule.next_run = cron.nextCronTime(schedule.cron, now);
+
+            self._moray.putSchedule(schedule, {etag: ctx.etag}, next);
+        },
+        function createJobs(_, next) {
+            log.info({
+                schedule_uuid: schedule.uuid,
+                action: schedule.action,
+                scheduled_for: run.scheduled_for
+            }, 'Running schedule');
+
+            vasync.forEachPipeline({
+                func: function createVmJob(vmUuid, done) {
+                    self._createVmJob(schedule, run, vmUuid,
+                        function onJobCreated(err, jobUuid) {
+                            if (err) {
+                                run.errors.push(runError(vmUuid, err));
+                            } else {
+                                run.jobs.push({
+                                    vm_uuid: vmUuid,
+                                    job_uuid: jobUuid
+                                });
+                            }
+                            done();
+                        });
+                },
+                inputs: schedule.vm_uuids
+            }, next);
+        },
+        function recordRun(_, next) {
+            run.finished_at = new Date().toISOString();
+            self._recordRun(schedule.uuid, run, 1, function onRecorded(err) {
+                /*
+                 * The jobs of the run were created even if the run can't be
+                 * recorded, so their snapshots still need to be pruned.
+                 */
+                if (err) {
+                    log.error({err: err, schedule_uuid: schedule.uuid},
+                        'Error when recording the run of schedule');
+                }
+                next();
+            });
+        }
+    ]}, function onRunDone(err) {
+        if (err && (verror.hasCauseWithName(err, 'ScheduleNotDueError') ||
+            verror.hasCauseWithName(err, 'EtagConflictError'))) {
+            log.debug({schedule_uuid: scheduleUuid},
+                'Schedule not due or already run by another instance');
+            cb();
+            return;
+        }
+
+        if (!err && schedule.action === 'snapshot') {
+            run.jobs.forEach(function pruneAfterJob(runJob) {
+                self._snapshotPruner.pruneAfterJob({
+                    jobUuid: runJob.job_uuid,
+                    schedule: schedule,
+                    vmUuid: runJob.vm_uuid
+                });
+            });
+        }
+
+        cb(err);
+    });
+};
+
+/*
+ * Creates the job that performs the action of the schedule "schedule" for the
+ * run "run" on the VM with UUID "vmUuid". The same checks as for the
+ * corresponding VM action are performed.
+ */
+Scheduler.prototype._createVmJob =
+function _createVmJob(schedule, run, vmUuid, cb) {
+    var self = this;
+
+    self._moray.getVm({uuid: vmUuid, owner_uuid: schedule.owner_uuid},
+        function onGetVm(getErr, vm) {
+            var canSnap;
+            var params = {origin: 'schedule'};
+
+            if (getErr) {
+                cb(getErr);
+                return;
+            }
+
+            if (!vm || vm.state === 'destroyed') {
+                cb(new restify.ResourceNotFoundError('VM not found'));
+                return;
+            }
+
+            vm = common.translateVm(vm, true);
+
+            if (vm.state === 'provisioning') {
+                cb(new errors.UnallocatedVMError('Cannot call ' +
+                    schedule.action + ' for a VM that has not been ' +
+                    'provisioned yet'));
+                return;
+            }
+
+            if (schedule.action === 'snapshot') {
+                canSnap = vms.canSnapshot(vm);
+                if (util.isError(canSnap)) {
+                    cb(canSnap);
+                    return;
+                }
+
+                params.snapshot_name = schedules.getScheduleSnapshotName(
+                    schedule, Date.parse(run.scheduled_for));
+            }
+
+            JOB_CREATORS[schedule.action](self._wfapi,
+                self._createJobRequest(vm, params), cb);
+        });
+};
+
+/*
+ * Returns an object that can be passed as the request to the functions of the
+ * WFAPI client that create jobs for the VM "vm".
+ */
+Scheduler.prototype._createJobRequest = function _createJobRequest(vm, params) {
+    var reqId = uuid.v4();
+
+    return {
+        getId: function getId() {
+            return reqId;
+        },
+        headers: {},
+        log: this._log,
+        params: params,
+        vm: vm
+    };
+};
+
+/*
+ * Sets "run" as the last run of the schedule with UUID "scheduleUuid", unless
+ * the schedule was deleted or was run again since then. Retries when the
+ * schedule is modified concurrently (e.g by an UpdateSchedule request).
+ */
+Scheduler.prototype._recordRun =
+function _recordRun(scheduleUuid, run, attempt, cb) {
+    var self = this;
+
+    self._moray.getSchedule(scheduleUuid,
+        function onGetSchedule(getErr, schedule, etag) {
+            if (getErr) {
+                cb(getErr);
+                return;
+            }
+
+            if (!schedule || !schedule.last_run ||
+                schedule.last_run.started_at !== run.started_at) {
+                cb();
+                return;
+            }
+
+            schedule.last_run = run;
+
+            self._moray.putSchedule(schedule, {etag: etag},
+                function onPut(putErr) {
+                    if (putErr && verror.hasCauseWithName(putErr,
+                        'EtagConflictError') &&
+                        attempt < MAX_RECORD_RUN_ATTEMPTS) {
+                        self._recordRun(scheduleUuid, run, attempt + 1, cb);
+                        return;
+                    }
+
+                    cb(putErr);
+                });
+        });
+};
+
+module.exports = {
+    Scheduler: Scheduler
+};
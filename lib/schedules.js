@@ -0,0 +1,145 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Schedules run an action on a set of VMs that belong to an owner each time a
+ * cron expression is due (see lib/cron.js), e.g "reboot these VMs at 02:00
+ * UTC on Sundays" or "snapshot these VMs every night". They are run by the
+ * scheduler (see lib/scheduler.js), which creates the same workflow jobs as the
+ * corresponding VM actions.
+ *
+ * Snapshots created by a schedule are named after the schedule, so that when
+ * "keep" is set, the oldest of them can be deleted once there are more than
+ * "keep" of them, without touching snapshots created by other means.
+ *
+ * The "last_run" property of a schedule records the jobs created, and the
+ * errors encountered, the last time it ran.
+ */
+
+var assert = require('assert-plus');
+
+var cron = require('./cron');
+
+var SCHEDULE_DATA_VERSION = 1;
+
+/*
+ * Returns the prefix of the names of the snapshots created by the schedule
+ * "schedule".
+ */
+function getScheduleSnapshotPrefix(schedule) {
+    assert.object(schedule, 'schedule');
+    assert.uuid(schedule.uuid, 'schedule.uuid');
+
+    return 'schedule-' + schedule.uuid.split('-')[0] + '-';
+}
+
+/*
+ * Returns the name of the snapshot created by the schedule "schedule" for the
+ * run that was scheduled for "scheduledFor" (a number of milliseconds since the
+ * epoch). Names sort in the order in which snapshots were created.
+ */
+function getScheduleSnapshotName(schedule, scheduledFor) {
+    assert.object(schedule, 'schedule');
+    assert.number(scheduledFor, 'scheduledFor');
+
+    return getScheduleSnapshotPrefix(schedule) +
+        new Date(scheduledFor).toISOString().replace(/[-:]|\.[0-9]+/g, '');
+}
+
+/*
+ * Returns the names of the snapshots of the VM "vm" that were created by the
+ * schedule "schedule" and that are not among the "schedule.keep" most recent
+ * ones, oldest first.
+ */
+function getExpiredScheduleSnapshots(schedule, vm) {
+    assert.object(schedule, 'schedule');
+    assert.number(schedule.keep, 'schedule.keep');
+    assert.object(vm, 'vm');
+
+    var prefix = getScheduleSnapshotPrefix(schedule);
+    var names = (vm.snapshots || []).map(function getName(snapshot) {
+        return snapshot.name;
+    }).filter(function isScheduleSnapshot(name) {
+        return typeof (name) === 'string' && name.indexOf(prefix) === 0;
+    }).sort();
+
+    return names.slice(0, Math.max(names.length - schedule.keep, 0));
+}
+
+/*
+ * Returns a new schedule record for the owner with UUID "ownerUuid" and the
+ * schedule with UUID "scheduleUuid" from the (validated) request parameters
+ * "params". Its next run is the first time its cron expression is due after
+ * "now" (a number of milliseconds since the epoch).
+ */
+function createSchedule(ownerUuid, scheduleUuid, params, now) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.uuid(scheduleUuid, 'scheduleUuid');
+    assert.object(params, 'params');
+    assert.string(params.action, 'params.action');
+    assert.string(params.cron, 'params.cron');
+    assert.arrayOfUuid(params.vm_uuids, 'params.vm_uuids');
+    assert.optionalBool(params.enabled, 'params.enabled');
+    assert.optionalNumber(params.keep, 'params.keep');
+    assert.optionalString(params.name, 'params.name');
+    assert.number(now, 'now');
+
+    var schedule = {
+        uuid: scheduleUuid,
+        owner_uuid: ownerUuid,
+        action: params.action,
+        vm_uuids: params.vm_uuids.slice(),
+        cron: params.cron,
+        enabled: params.enabled !== false,
+        next_run: cron.nextCronTime(params.cron, now),
+        last_run: null,
+        created_at: new Date(now).toISOString(),
+        data_version: SCHEDULE_DATA_VERSION
+    };
+
+    if (params.name !== undefined) {
+        schedule.name = params.name;
+    }
+
+    if (params.keep !== undefined) {
+        schedule.keep = params.keep;
+    }
+
+    return schedule;
+}
+
+/*
+ * Returns the API representation of the schedule "schedule".
+ */
+function translateSchedule(schedule) {
+    assert.object(schedule, 'schedule');
+
+    return {
+        uuid: schedule.uuid,
+        owner_uuid: schedule.owner_uuid,
+        name: schedule.name,
+        action: schedule.action,
+        vm_uuids: schedule.vm_uuids,
+        cron: schedule.cron,
+        keep: schedule.keep,
+        enabled: schedule.enabled,
+        next_run: schedule.next_run === null ? null :
+            new Date(schedule.next_run).toISOString(),
+        last_run: schedule.last_run,
+        created_at: schedule.created_at
+    };
+}
+
+module.exports = {
+    createSchedule: createSchedule,
+    getExpiredScheduleSnapshots: getExpiredScheduleSnapshots,
+    getScheduleSnapshotName: getScheduleSnapshotName,
+    translateSchedule: translateSchedule
+};
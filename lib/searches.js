@@ -0,0 +1,75 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Saved searches are named sets of ListVms filters (e.g a "query", a
+ * "predicate" or "tag.*" parameters) that belong to an owner. They allow
+ * sharing complex filters without having to copy them between scripts: a
+ * saved search is executed by sending its name as the "search" parameter of
+ * ListVms, along with the "owner_uuid" of its owner.
+ *
+ * The filters of a saved search are stored as they would be sent in the query
+ * string of a ListVms request, and the name of a search is unique among the
+ * searches of its owner.
+ */
+
+var assert = require('assert-plus');
+
+var common = require('./common');
+
+var SEARCH_DATA_VERSION = 1;
+
+/*
+ * Returns a new saved search record for the owner with UUID "ownerUuid" and
+ * the search with UUID "searchUuid" from the (validated) request parameters
+ * "params".
+ */
+function createSearch(ownerUuid, searchUuid, params) {
+    assert.uuid(ownerUuid, 'ownerUuid');
+    assert.uuid(searchUuid, 'searchUuid');
+    assert.object(params, 'params');
+    assert.string(params.name, 'params.name');
+    assert.optionalString(params.description, 'params.description');
+    assert.object(params.filters, 'params.filters');
+
+    var search = {
+        uuid: searchUuid,
+        owner_uuid: ownerUuid,
+        name: params.name,
+        filters: common.clone(params.filters),
+        data_version: SEARCH_DATA_VERSION
+    };
+
+    if (params.description !== undefined) {
+        search.description = params.description;
+    }
+
+    return search;
+}
+
+/*
+ * Returns the API representation of the saved search "search".
+ */
+function translateSearch(search) {
+    assert.object(search, 'search');
+
+    return {
+        uuid: search.uuid,
+        owner_uuid: search.owner_uuid,
+        name: search.name,
+        description: search.description,
+        filters: search.filters
+    };
+}
+
+module.exports = {
+    createSearch: createSearch,
+    translateSearch: translateSearch
+};
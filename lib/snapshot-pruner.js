@@ -0,0 +1,205 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * A SnapshotPruner waits for snapshot jobs created by VMAPI and, once a job
+ * succeeds, deletes the snapshots of the VM that are not kept anymore by:
+ *
+ * - the VM's snapshot retention policy, if any (see lib/snapshot-retention.js)
+ *
+ * - the "keep" property of the schedule that created the job, if any (see
+ *   lib/schedules.js)
+ *
+ * Snapshots kept by the "keep_tagged" property of the VM's policy are never
+ * deleted. Which snapshots to delete is determined once the job succeeded,
+ * from the VM and policy at that time, and the same checks as for the
+ * DeleteSnapshot action are performed.
+ *
+ * The jobs waited on are only kept in memory, by the VMAPI instance that
+ * created them: they are not stored in moray, and no other instance takes
+ * them over. When that instance restarts or stops, the jobs it was waiting on
+ * are forgotten, and the snapshots they would have expired are deleted after
+ * the next successful snapshot job of the VM instead.
+ */
+
+var util = require('util');
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var common = require('./common');
+var JobPoller = require('./job-poller').JobPoller;
+var schedules = require('./schedules');
+var snapshotRetention = require('./snapshot-retention');
+var vms = require('./endpoints/vms');
+
+/*
+ * Snapshot jobs are polled less often than jobs waited on by clients, as many
+ * of them can be waited on for a long time.
+ */
+var SNAPSHOT_JOB_POLL_INTERVAL_MS = 10 * 1000;
+var SNAPSHOT_JOB_TIMEOUT_MS = 60 * 60 * 1000;
+
+/*
+ * SnapshotPruner constructor.
+ */
+function SnapshotPruner(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.moray, 'options.moray');
+    assert.object(options.wfapi, 'options.wfapi');
+
+    this._log = options.log;
+    this._moray = options.moray;
+    this._wfapi = options.wfapi;
+    this._jobPoller = new JobPoller({
+        log: this._log,
+        wfapi: this._wfapi,
+        pollInterval: SNAPSHOT_JOB_POLL_INTERVAL_MS
+    });
+}
+
+/*
+ * Waits for the snapshot job with UUID "options.jobUuid" of the VM with UUID
+ * "options.vmUuid" and, if it succeeds, deletes the snapshots of that VM that
+ * are not kept anymore. "options.schedule" is the schedule that created the
+ * job, if any.
+ */
+SnapshotPruner.prototype.pruneAfterJob = function pruneAfterJob(options) {
+    assert.object(options, 'options');
+    assert.uuid(options.vmUuid, 'options.vmUuid');
+    assert.uuid(options.jobUuid, 'options.jobUuid');
+    assert.optionalObject(options.schedule, 'options.schedule');
+
+    var self = this;
+    var log = self._log.child({
+        vm_uuid: options.vmUuid,
+        job_uuid: options.jobUuid,
+        schedule_uuid: options.schedule ? options.schedule.uuid : undefined
+    }, true);
+
+    self._jobPoller.waitForJob(options.jobUuid, {
+        timeout: SNAPSHOT_JOB_TIMEOUT_MS
+    }, function onWaited(waitErr, job, reached) {
+        if (waitErr) {
+            log.error({err: waitErr}, 'Error when waiting on snapshot job');
+            return;
+        }
+
+        if (!reached || job.execution !== 'succeeded') {
+            log.warn({execution: job.execution},
+                'Snapshot job did not succeed, not deleting old snapshots');
+            return;
+        }
+
+        self._moray.getVm({uuid: options.vmUuid},
+            function onGetVm(getErr, vm) {
+                if (getErr || !vm) {
+                    log.error({err: getErr},
+                        'Error when loading VM to delete old snapshots');
+                    return;
+                }
+
+                vm = common.translateVm(vm, true);
+                self._deleteSnapshots(vm,
+                    self._getExpiredSnapshots(vm, options.schedule), log);
+            });
+    });
+};
+
+/*
+ * Stops waiting on snapshot jobs.
+ */
+SnapshotPruner.prototype.close = function close() {
+    this._jobPoller.close();
+};
+
+/*
+ * Returns the names of the snapshots of the VM "vm" that are not kept anymore
+ * by its retention policy or by the schedule "schedule" (if any).
+ */
+SnapshotPruner.prototype._getExpiredSnapshots =
+function _getExpiredSnapshots(vm, schedule) {
+    var expired = [];
+    var policy = snapshotRetention.getVmSnapshotRetention(vm);
+
+    if (policy !== null) {
+        expired = snapshotRetention.getExpiredSnapshots(vm, policy,
+            Date.now());
+    }
+
+    if (schedule && schedule.keep !== undefined) {
+        schedules.getExpiredScheduleSnapshots(schedule, vm).forEach(
+            function addExpired(name) {
+                if (expired.indexOf(name) === -1 && (policy === null ||
+                    !snapshotRetention.isTaggedSnapshot(policy, name))) {
+                    expired.push(name);
+                }
+            });
+    }
+
+    return expired;
+};
+
+/*
+ * Creates a job to delete each snapshot of the VM "vm" in "snapshotNames".
+ */
+SnapshotPruner.prototype._deleteSnapshots =
+function _deleteSnapshots(vm, snapshotNames, log) {
+    var self = this;
+    var canSnap;
+
+    if (snapshotNames.length === 0) {
+        return;
+    }
+
+    canSnap = vms.canSnapshot(vm);
+    if (util.isError(canSnap)) {
+        log.warn({err: canSnap}, 'Cannot delete old snapshots');
+        return;
+    }
+
+    vasync.forEachPipeline({
+        func: function deleteSnapshot(snapshotName, done) {
+            var reqId = uuid.v4();
+
+            self._wfapi.createDeleteSnapshotJob({
+                getId: function getId() {
+                    return reqId;
+                },
+                headers: {},
+                log: log,
+                params: {
+                    origin: 'snapshot-retention',
+                    snapshot_name: snapshotName
+                },
+                vm: vm
+            }, function onJobCreated(err, jobUuid) {
+                if (!err) {
+                    log.info({
+                        snapshot_name: snapshotName,
+                        delete_job_uuid: jobUuid
+                    }, 'Deleting expired snapshot');
+                }
+                done(err);
+            });
+        },
+        inputs: snapshotNames
+    }, function onDeleted(err) {
+        if (err) {
+            log.error({err: err}, 'Error when deleting old snapshots');
+        }
+    });
+};
+
+module.exports = {
+    SnapshotPruner: SnapshotPruner
+};
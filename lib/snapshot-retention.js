@@ -0,0 +1,211 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Snapshot retention policies determine which snapshots of a VM are deleted
+ * after each successful snapshot job (see lib/snapshot-pruner.js). A policy
+ * has the following optional properties, at least one of "keep_last" and
+ * "keep_newer_than" being set:
+ *
+ * - "keep_last": the number of most recent snapshots to keep
+ *
+ * - "keep_newer_than": a duration such as "12h", "7d" or "4w", snapshots
+ *   created less than that long ago are kept
+ *
+ * - "keep_tagged": names of snapshots that are always kept
+ *
+ * A snapshot expires when none of these rules keeps it. Snapshots whose
+ * creation time is unknown are never expired by "keep_newer_than".
+ *
+ * Policies are stored as JSON in the internal_metadata of VMs, under the
+ * SNAPSHOT_RETENTION_KEY key, so that they are kept on the VM's compute node
+ * along with the rest of the VM's properties.
+ */
+
+var assert = require('assert-plus');
+
+var SNAPSHOT_RETENTION_KEY = 'vmapi:snapshot_retention';
+
+var RETENTION_DURATION_RE = /^([1-9][0-9]*)(h|d|w)$/;
+var RETENTION_DURATION_UNITS_MS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/*
+ * Returns the number of milliseconds represented by the retention duration
+ * "duration" (e.g "7d"), or null if it's not a valid duration.
+ */
+function parseRetentionDuration(duration) {
+    var matches;
+
+    if (typeof (duration) !== 'string') {
+        return null;
+    }
+
+    matches = RETENTION_DURATION_RE.exec(duration);
+    if (!matches) {
+        return null;
+    }
+
+    return Number(matches[1]) * RETENTION_DURATION_UNITS_MS[matches[2]];
+}
+
+/*
+ * Returns the snapshot retention policy of the VM "vm", or null if it doesn't
+ * have a valid one.
+ */
+function getVmSnapshotRetention(vm) {
+    assert.object(vm, 'vm');
+
+    var policy;
+    var value = vm.internal_metadata &&
+        vm.internal_metadata[SNAPSHOT_RETENTION_KEY];
+
+    if (typeof (value) !== 'string') {
+        return null;
+    }
+
+    try {
+        policy = JSON.parse(value);
+    } catch (parseErr) {
+        return null;
+    }
+
+    if (policy === null || typeof (policy) !== 'object' ||
+        (typeof (policy.keep_last) !== 'number' &&
+        parseRetentionDuration(policy.keep_newer_than) === null)) {
+        return null;
+    }
+
+    return policy;
+}
+
+/*
+ * Returns the snapshots of the VM "vm", oldest first, as objects with a
+ * "name", a "created_at" (a number of milliseconds since the epoch, or null
+ * if unknown) and a "size" (in bytes, or null if unknown). Snapshots are
+ * sorted by creation time if it is known for all of them, and otherwise kept
+ * in the order in which the VM lists them, which is their creation order.
+ */
+function getVmSnapshots(vm) {
+    assert.object(vm, 'vm');
+
+    var snapshots = (vm.snapshots || []).filter(function hasName(snapshot) {
+        return snapshot && typeof (snapshot.name) === 'string';
+    }).map(function toSnapshot(snapshot, idx) {
+        var createdAt = Date.parse(snapshot.created_at);
+
+        return {
+            name: snapshot.name,
+            created_at: isNaN(createdAt) ? null : createdAt,
+            size: typeof (snapshot.size) === 'number' ? snapshot.size : null,
+            idx: idx
+        };
+    });
+
+    if (snapshots.every(function hasCreatedAt(snapshot) {
+        return snapshot.created_at !== null;
+    })) {
+        snapshots.sort(function byCreatedAt(a, b) {
+            return (a.created_at - b.created_at) || (a.idx - b.idx);
+        });
+    }
+
+    return snapshots.map(function removeIdx(snapshot) {
+        return {
+            name: snapshot.name,
+            created_at: snapshot.created_at,
+            size: snapshot.size
+        };
+    });
+}
+
+/*
+ * Returns true if the policy "policy" always keeps the snapshot named "name".
+ */
+function isTaggedSnapshot(policy, name) {
+    return Array.isArray(policy.keep_tagged) &&
+        policy.keep_tagged.indexOf(name) !== -1;
+}
+
+/*
+ * Returns the names of the snapshots of the VM "vm" that the retention policy
+ * "policy" doesn't keep at time "now" (a number of milliseconds since the
+ * epoch), oldest first.
+ */
+function getExpiredSnapshots(vm, policy, now) {
+    assert.object(vm, 'vm');
+    assert.object(policy, 'policy');
+    assert.number(now, 'now');
+
+    var maxAge = parseRetentionDuration(policy.keep_newer_than);
+    var snapshots = getVmSnapshots(vm);
+    var nbExpirable = snapshots.length;
+
+    if (typeof (policy.keep_last) === 'number') {
+        nbExpirable = Math.max(snapshots.length - policy.keep_last, 0);
+    }
+
+    return snapshots.filter(function isExpired(snapshot, idx) {
+        if (idx >= nbExpirable || isTaggedSnapshot(policy, snapshot.name)) {
+            return false;
+        }
+
+        if (maxAge !== null &&
+            (snapshot.created_at === null ||
+            now - snapshot.created_at < maxAge)) {
+            return false;
+        }
+
+        return true;
+    }).map(function getName(snapshot) {
+        return snapshot.name;
+    });
+}
+
+/*
+ * Returns the API representation of the snapshots of the VM "vm", oldest
+ * first. When the VM has a retention policy, snapshots that it always keeps
+ * are "tagged", and snapshots that it doesn't keep anymore at time "now" are
+ * "expired": they are deleted after the next successful snapshot job.
+ */
+function translateVmSnapshots(vm, now) {
+    assert.object(vm, 'vm');
+    assert.number(now, 'now');
+
+    var expired = [];
+    var policy = getVmSnapshotRetention(vm);
+
+    if (policy !== null) {
+        expired = getExpiredSnapshots(vm, policy, now);
+    }
+
+    return getVmSnapshots(vm).map(function translateSnapshot(snapshot) {
+        return {
+            name: snapshot.name,
+            created_at: snapshot.created_at === null ? null :
+                new Date(snapshot.created_at).toISOString(),
+            size: snapshot.size,
+            tagged: policy !== null && isTaggedSnapshot(policy, snapshot.name),
+            expired: expired.indexOf(snapshot.name) !== -1
+        };
+    });
+}
+
+module.exports = {
+    getExpiredSnapshots: getExpiredSnapshots,
+    getVmSnapshotRetention: getVmSnapshotRetention,
+    isTaggedSnapshot: isTaggedSnapshot,
+    parseRetentionDuration: parseRetentionDuration,
+    SNAPSHOT_RETENTION_KEY: SNAPSHOT_RETENTION_KEY,
+    translateVmSnapshots: translateVmSnapshots
+};
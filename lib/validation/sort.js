@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2016, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
  /*
@@ -15,7 +15,10 @@
   *
   * GET /vms?sort=create_timestamp.ASC
   *
-  * the sort criteria is the string 'create_timestamp.ASC'.
+  * the sort criteria is the string 'create_timestamp.ASC'. Several sort
+  * criterion can be separated by commas, as in:
+  *
+  * GET /vms?sort=state.ASC,create_timestamp.DESC
   */
 
 var assert = require('assert-plus');
@@ -39,23 +42,70 @@ exports.VALID_SORT_KEYS = VALID_SORT_KEYS;
 var VALID_SORT_ORDERS = ['ASC', 'DESC'];
 exports.VALID_SORT_ORDERS = VALID_SORT_ORDERS;
 
-function isValidSortCriteria(sortCriteriaString) {
+/*
+ * Parses the sort criteria string "sortCriteriaString", a comma-separated list
+ * of sort criterion of the form 'property' or 'property.order', e.g
+ * 'state.asc,create_timestamp.desc'. "validSortKeys" is the list of properties
+ * that can be sorted on, and defaults to the properties of VMs that can be
+ * sorted on.
+ *
+ * Returns an array of objects with a "field" property and an "order" property,
+ * which is undefined for criterion that don't specify an order, in the same
+ * order as in "sortCriteriaString". Returns null if "sortCriteriaString" is
+ * not a valid sort criteria.
+ */
+function parseSortCriteria(sortCriteriaString, validSortKeys) {
     assert.string(sortCriteriaString, 'sortCriteriaString must be a string');
+    assert.optionalArrayOfString(validSortKeys, 'validSortKeys');
+
+    if (validSortKeys === undefined) {
+        validSortKeys = VALID_SORT_KEYS;
+    }
+
+    var sortCriteria = [];
+    var seenSortKeys = {};
+    var valid;
 
     // No sort criteria is considered a valid sort criteria
     if (sortCriteriaString === '')
+        return sortCriteria;
+
+    valid = sortCriteriaString.split(',').every(function (sortCriterion) {
+        var sortCriterionComponents = sortCriterion.split('.');
+        var sortKey = sortCriterionComponents[0];
+        var sortOrder = sortCriterionComponents[1];
+
+        if (sortCriterionComponents.length > 2)
+            return false;
+
+        // Normalize sort order so that we accept any casing as valid
+        if (sortOrder !== undefined) {
+            sortOrder = sortOrder.toUpperCase();
+        }
+
+        if (validSortKeys.indexOf(sortKey) === -1 ||
+            (sortOrder !== undefined &&
+                VALID_SORT_ORDERS.indexOf(sortOrder) === -1)) {
+            return false;
+        }
+
+        // Sorting on the same key twice is most likely a mistake.
+        if (seenSortKeys[sortKey])
+            return false;
+        seenSortKeys[sortKey] = true;
+
+        sortCriteria.push({field: sortKey, order: sortOrder});
+
         return true;
+    });
 
-    var sortCriteriaComponents = sortCriteriaString.split('.');
-    var sortKey = sortCriteriaComponents[0];
-    var sortOrder = sortCriteriaComponents[1];
+    return valid ? sortCriteria : null;
+}
+exports.parseSortCriteria = parseSortCriteria;
 
-    // Normalize sort order so that we accept any casing as valid
-    if (sortOrder !== undefined) {
-        sortOrder = sortOrder.toUpperCase();
-    }
+function isValidSortCriteria(sortCriteriaString, validSortKeys) {
+    assert.string(sortCriteriaString, 'sortCriteriaString must be a string');
 
-    return VALID_SORT_KEYS.indexOf(sortKey) > -1 &&
-        (sortOrder === undefined || VALID_SORT_ORDERS.indexOf(sortOrder) > -1);
+    return parseSortCriteria(sortCriteriaString, validSortKeys) !== null;
 }
 exports.isValidSortCriteria = isValidSortCriteria;
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -20,8 +20,10 @@ var restify = require('restify');
 var uuid = require('uuid');
 var vasync = require('vasync');
 
+var audit = require('../audit');
 var common = require('../common');
 var errors = require('../errors');
+var idempotency = require('../idempotency');
 
 var format = util.format;
 
@@ -813,12 +815,18 @@ function migrateVm(req, res, next) {
                 migrationRecord.phase = action;
                 migrationRecord.state = 'running';
 
-                res.header('workflow-api', req.app.wfapi.url);
-                res.send(202, {
+                var response = {
                     job_uuid: jobUuid,
                     migration: migrationRecord
-                });
-                cb();
+                };
+
+                audit.recordJob(req, req.vm, jobUuid);
+                res.header('workflow-api', req.app.wfapi.url);
+                idempotency.storeIdempotencyKey(req, response,
+                    function onStored() {
+                        res.send(202, response);
+                        cb();
+                    });
             });
         }
     ]}, function _pipelineCb(err) {
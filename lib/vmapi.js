@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright 2019, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -21,25 +21,50 @@ var once = require('once');
 var restify = require('restify');
 var trace_event = require('trace-event');
 var util = require('util');
+var uuid = require('uuid');
 
+var audit = require('./audit');
 var curlUserAgent = require('./restify-plugins/curl-user-agent');
+var createThrottle = require('./restify-plugins/throttle');
 var interceptors = require('./interceptors');
+var JobPoller = require('./job-poller').JobPoller;
+var Scheduler = require('./scheduler').Scheduler;
+var SnapshotPruner = require('./snapshot-pruner').SnapshotPruner;
+var auditEndpoints = require('./endpoints/audit');
+var history = require('./endpoints/history');
 var jobs = require('./endpoints/jobs');
 var metadata = require('./endpoints/metadata');
+var ownerLimits = require('./endpoints/owner-limits');
 var ping = require('./endpoints/ping');
 var roleTags = require('./endpoints/role-tags');
+var schedules = require('./endpoints/schedules');
+var search = require('./endpoints/search');
+var searches = require('./endpoints/searches');
 var statuses = require('./endpoints/statuses');
 var vms = require('./endpoints/vms');
+var watch = require('./endpoints/watch');
 var validations = require('./common/validation');
 
 var os = require('os');
-var crypto = require('crypto');
 var http = require('http');
 var https = require('https');
 
 var request_seq_id = 0;
 var API_SERVER_DEFAULT_PORT = 80;
 
+/*
+ * VM revisions are kept for "vm_history_retention_days" days (see the SAPI
+ * manifest), and the revisions that are older than that are purged every
+ * VM_HISTORY_PURGE_INTERVAL_MS milliseconds by the VMAPI instance that holds
+ * the VM_HISTORY_PURGE_LEASE_NAME lease. That lease outlives one purge
+ * interval, so that it's only taken over by another instance once its holder
+ * missed a purge.
+ */
+var DEFAULT_VM_HISTORY_RETENTION_DAYS = 30;
+var VM_HISTORY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+var VM_HISTORY_PURGE_LEASE_NAME = 'vm-history-purge';
+var VM_HISTORY_PURGE_LEASE_TTL_MS = 2 * VM_HISTORY_PURGE_INTERVAL_MS;
+
 /*
  * VmapiApp constructor
  */
@@ -47,8 +72,13 @@ function VmapiApp(options) {
     assert.object(options, 'options');
     assert.object(options.metricsManager, 'options.metricsManager');
     assert.optionalObject(options.log, 'options.log');
+    assert.optionalString(options.instanceUuid, 'options.instanceUuid');
     assert.optionalBool(options.userMigrationAllowed,
         'options.userMigrationAllowed');
+    assert.optionalObject(options.throttle, 'options.throttle');
+    assert.string(options.page_token_secret, 'options.page_token_secret');
+    assert.optionalBool(options.schedules_enabled,
+        'options.schedules_enabled');
 
     // Fabric options
     assert.optionalObject(options.overlay, 'options.overlay');
@@ -125,6 +155,55 @@ function VmapiApp(options) {
 
     this.options = options;
 
+    /*
+     * Identifies this VMAPI instance when it acquires leases in moray, which
+     * elect the instance that performs tasks that must be performed by only
+     * one instance at a time.
+     */
+    this.instanceUuid = options.instanceUuid || uuid.v4();
+
+    /*
+     * Shared by all WaitJob requests, so that the same job is polled only once
+     * regardless of the number of clients waiting on it.
+     */
+    if (this.wfapi) {
+        this.jobPoller = new JobPoller({log: this.log, wfapi: this.wfapi});
+
+        /*
+         * Deletes the snapshots that are not kept anymore by the retention
+         * policy of a VM, or by a schedule, after snapshot jobs succeed.
+         */
+        this.snapshotPruner = new SnapshotPruner({
+            log: this.log.child({component: 'snapshot-pruner'}, true),
+            moray: this.moray,
+            wfapi: this.wfapi
+        });
+    }
+
+    if (this.wfapi && options.schedules_enabled === true) {
+        /*
+         * Runs schedules of VM actions when they are due. Schedules create
+         * jobs in the background, so they only run when enabled with the
+         * "schedules_enabled" SAPI configuration value. All VMAPI instances
+         * then have a scheduler, and they use a lease in moray to elect the
+         * one that runs schedules.
+         */
+        this.scheduler = new Scheduler({
+            instanceUuid: this.instanceUuid,
+            log: this.log.child({component: 'scheduler'}, true),
+            moray: this.moray,
+            snapshotPruner: this.snapshotPruner,
+            wfapi: this.wfapi
+        });
+    }
+
+    /*
+     * The secret used to sign the page tokens of ListVms responses. It is the
+     * same for all VMAPI instances, so that page tokens can be used with any
+     * of them, and after they restart.
+     */
+    this.pageTokenSecret = options.page_token_secret;
+
     /*
      * We make it mandatory to pass a data migrations controller so that we
      * don't omit to pass it to the VMAPI application constructor by mistake at
@@ -193,6 +272,10 @@ VmapiApp.prototype._initApis = function _initApis(options) {
             'text/plain': formatJSON,
             'application/octet-stream': formatJSON,
             'application/x-json-stream': formatJSON,
+            // Only used for errors of GET /vms/export, which streams its
+            // successful responses itself.
+            'application/x-ndjson': formatJSON,
+            'text/csv': formatJSON,
             '*/*': formatJSON },
         handleUncaughtExceptions: false
     });
@@ -242,6 +325,8 @@ VmapiApp.prototype._initApis = function _initApis(options) {
     this.server.on('after', metricsManager.collectRestifyMetrics
         .bind(metricsManager));
 
+    this.server.on('after', audit.auditRequest);
+
     // Init Server middleware
     this.setMiddleware();
     this.setStaticRoutes();
@@ -251,11 +336,77 @@ VmapiApp.prototype._initApis = function _initApis(options) {
 };
 
 VmapiApp.prototype.close = function close() {
+    if (this._vmHistoryPurgeInterval) {
+        clearInterval(this._vmHistoryPurgeInterval);
+        this._vmHistoryPurgeInterval = undefined;
+    }
+
+    if (this.jobPoller) {
+        this.jobPoller.close();
+    }
+
+    if (this._onMorayBucketsInitialized) {
+        this.morayBucketsInitializer.removeListener('done',
+            this._onMorayBucketsInitialized);
+        this._onMorayBucketsInitialized = undefined;
+    }
+
+    if (this.scheduler) {
+        this.scheduler.stop();
+    }
+
+    if (this.snapshotPruner) {
+        this.snapshotPruner.close();
+    }
+
     if (this.server) {
         this.server.close();
     }
 };
 
+/*
+ * Deletes the VM revisions that are older than the configured retention
+ * period, if this instance holds the VM history purge lease. A retention
+ * period of 0 days means that VM revisions are never purged.
+ */
+VmapiApp.prototype._purgeVmHistory = function _purgeVmHistory() {
+    var log = this.log;
+    var retentionDays = this.options.vm_history_retention_days;
+    var self = this;
+
+    if (retentionDays === undefined) {
+        retentionDays = DEFAULT_VM_HISTORY_RETENTION_DAYS;
+    }
+
+    if (retentionDays === 0) {
+        return;
+    }
+
+    self.moray.acquireLease(VM_HISTORY_PURGE_LEASE_NAME, self.instanceUuid,
+        VM_HISTORY_PURGE_LEASE_TTL_MS, function onLease(leaseErr, acquired) {
+            if (leaseErr) {
+                log.error({err: leaseErr},
+                    'Error when acquiring VM history purge lease');
+                return;
+            }
+
+            if (!acquired) {
+                log.debug('VM history purge lease held by another instance');
+                return;
+            }
+
+            self.moray.purgeVmHistory(
+                Date.now() - retentionDays * 24 * 60 * 60 * 1000,
+                function onPurged(err, count) {
+                    if (err) {
+                        log.error({err: err}, 'Error when purging VM history');
+                    } else {
+                        log.info({count: count}, 'Purged VM history');
+                    }
+                });
+        });
+};
+
 /*
  * Sets custom middlewares to use for the API
  */
@@ -277,6 +428,20 @@ VmapiApp.prototype.setMiddleware = function () {
 
     server.use(restify.requestLogger());
 
+    // See lib/restify-plugins/throttle.js for the throttling configuration.
+    if (this.options.throttle) {
+        server.use(createThrottle({
+            key: this.options.throttle.key,
+            header: this.options.throttle.header,
+            budgets: {
+                read: this.options.throttle.read,
+                mutation: this.options.throttle.mutation,
+                vmagent: this.options.throttle.vmagent
+            },
+            metricsManager: this.options.metricsManager
+        }));
+    }
+
     var EVT_SKIP_ROUTES = {
         'ping': true,
         'changefeeds': true,
@@ -340,11 +505,23 @@ VmapiApp.prototype.setRoutes = function () {
      */
     this.server.use(interceptors.checkMorayBucketsSetup);
 
+    /*
+     * The watch and search endpoints' routes (/vms/watch and /vms/search) need
+     * to be mounted before the routes from the vms endpoints, otherwise they
+     * would be handled by the GetVm route (/vms/:uuid).
+     */
+    watch.mount(this.server);
+    search.mount(this.server);
     vms.mount(this.server);
     jobs.mount(this.server);
+    auditEndpoints.mount(this.server);
+    history.mount(this.server);
     roleTags.mount(this.server);
     metadata.mount(this.server);
     statuses.mount(this.server);
+    ownerLimits.mount(this.server);
+    searches.mount(this.server);
+    schedules.mount(this.server);
 };
 
 
@@ -402,6 +579,13 @@ VmapiApp.prototype.listen = function (options, callback) {
         self.log.info({ url: self.server.url },
                       '%s listening', self.server.name);
 
+        self._vmHistoryPurgeInterval = setInterval(
+            self._purgeVmHistory.bind(self), VM_HISTORY_PURGE_INTERVAL_MS);
+
+        if (self.scheduler) {
+            self._startScheduler();
+        }
+
         if (callback) {
             callback();
         }
@@ -410,6 +594,26 @@ VmapiApp.prototype.listen = function (options, callback) {
     });
 };
 
+/*
+ * Starts the scheduler once VMAPI's moray buckets are setup and reindexed, so
+ * that schedules are only searched for with the indexes of their bucket.
+ */
+VmapiApp.prototype._startScheduler = function _startScheduler() {
+    var self = this;
+
+    if (self.morayBucketsInitializer.status() === 'BUCKETS_REINDEX_DONE') {
+        self.scheduler.start();
+        return;
+    }
+
+    self._onMorayBucketsInitialized = function onMorayBucketsInitialized() {
+        self._onMorayBucketsInitialized = undefined;
+        self.scheduler.start();
+    };
+
+    self.morayBucketsInitializer.once('done', self._onMorayBucketsInitialized);
+};
+
 VmapiApp.prototype.getLatestCompletedDataMigrationForModel =
     function getLatestCompletedDataMigrationForModel(modelName) {
     assert.ok(this.moray.isValidModelName(modelName), modelName + ' is valid');
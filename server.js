@@ -14,7 +14,6 @@
 
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
-var changefeed = require('changefeed');
 var cueball = require('cueball');
 var fs = require('fs');
 var http = require('http');
@@ -34,6 +33,7 @@ var VmapiApp = require('./lib/vmapi');
 var VOLAPI = require('sdc-clients').VOLAPI;
 var WFAPI = require('./lib/apis/wfapi');
 
+var changefeedUtils = require('./lib/changefeed');
 var configLoader = require('./lib/config-loader');
 var createMetricsManager = require('triton-metrics').createMetricsManager;
 var DataMigrationsController = require('./lib/data-migrations/controller');
@@ -167,7 +167,7 @@ function startVmapiService() {
                 true);
 
             changefeedPublisher =
-                changefeed.createPublisher(changefeedOptions);
+                changefeedUtils.createPublisher(changefeedOptions);
 
             changefeedPublisher.on('moray-ready', function onMorayReady() {
                 changefeedPublisher.start();
@@ -54,7 +54,8 @@ vasync.pipeline({funcs: [
             morayBucketsInitializer: {
                 status: function status() { return 'BUCKETS_REINDEX_DONE'; },
                 lastInitError: function lastInitError() { return null; }
-            }
+            },
+            page_token_secret: 'page-token-secret'
         });
 
         next();
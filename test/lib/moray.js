@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2019, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 var assert = require('assert-plus');
@@ -44,6 +44,34 @@ function getDefaultBucketsConfig(suffix) {
         vm_migrations: {
             name: 'test_vmapi_vm_migrations_' + suffix,
             schema: {}
+        },
+        idempotency_keys: {
+            name: 'test_vmapi_idempotency_keys_' + suffix,
+            schema: {}
+        },
+        audit: {
+            name: 'test_vmapi_audit_' + suffix,
+            schema: {}
+        },
+        vm_history: {
+            name: 'test_vmapi_vm_history_' + suffix,
+            schema: {}
+        },
+        owner_limits: {
+            name: 'test_vmapi_owner_limits_' + suffix,
+            schema: {}
+        },
+        searches: {
+            name: 'test_vmapi_searches_' + suffix,
+            schema: {}
+        },
+        schedules: {
+            name: 'test_vmapi_schedules_' + suffix,
+            schema: {}
+        },
+        leases: {
+            name: 'test_vmapi_leases_' + suffix,
+            schema: {}
         }
     };
 }
@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the audit entries recorded for requests that modify VMs, and for
+ * the GET /audit and GET /vms/:uuid/audit endpoints.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var CALLER = {
+    type: 'signature',
+    ip: '127.0.0.68',
+    keyId: '/foo@joyent.com/keys/id_rsa'
+};
+var REQUEST_ID = uuid.v4();
+
+var testVm;
+var testVmUuid;
+
+/*
+ * Calls "callback" with the audit entries listed by "path", retrying for a
+ * while until "isDone" returns true for them, since audit entries are stored
+ * after responses are sent.
+ */
+function waitForAuditEntries(path, isDone, callback) {
+    var nbTries = 0;
+
+    function listEntries() {
+        nbTries++;
+        client.get(path, function (err, req, res, entries) {
+            if (err || isDone(entries) || nbTries >= 10) {
+                callback(err, entries);
+                return;
+            }
+
+            setTimeout(listEntries, 500);
+        });
+    }
+
+    listEntries();
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {}, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        testVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+exports.get_test_vm = function (t) {
+    client.get('/vms/' + testVmUuid, function (err, req, res, body) {
+        t.ifError(err, 'getting test VM should not error');
+        testVm = body;
+        t.done();
+    });
+};
+
+exports.list_audit_invalid_params = function (t) {
+    client.get('/audit?vm_uuid=foo', function (err, req, res, body) {
+        t.ok(err, 'listing audit entries with invalid params should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.equal(body.code, 'ValidationFailed',
+            'error code should be ValidationFailed');
+        t.done();
+    });
+};
+
+exports.put_vm_with_changes_has_entry = function (t) {
+    var opts = {
+        path: '/vms/' + testVmUuid,
+        headers: {
+            'x-request-id': REQUEST_ID,
+            'x-context': JSON.stringify({caller: CALLER})
+        }
+    };
+
+    testVm.alias = testVm.alias + 'audited';
+
+    client.put(opts, testVm, function (putErr) {
+        t.ifError(putErr, 'putting test VM should not error');
+
+        waitForAuditEntries('/audit?req_id=' + REQUEST_ID,
+            function hasEntry(entries) {
+                return entries.length > 0;
+            }, function onEntries(err, entries) {
+                var entry = entries && entries[0];
+
+                t.ifError(err, 'listing audit entries should not error');
+                t.equal(entries.length, 1, 'there should be one audit entry');
+                if (entry) {
+                    t.equal(entry.route, 'PutVm', 'route should be PutVm');
+                    t.equal(entry.vm_uuid, testVmUuid,
+                        'entry should be for the test VM');
+                    t.equal(entry.req_id, REQUEST_ID,
+                        'request ID should be recorded');
+                    t.deepEqual(entry.caller, CALLER,
+                        'caller should be recorded');
+                    t.notEqual(entry.diffs.indexOf('alias'), -1,
+                        'alias should be listed as changed');
+                    t.equal(entry.params, undefined,
+                        'PutVm params should not be recorded');
+                }
+                t.done();
+            });
+    });
+};
+
+exports.list_vm_audit = function (t) {
+    client.get('/vms/' + testVmUuid + '/audit?route=PutVm',
+        function (err, req, res, entries) {
+            t.ifError(err, 'listing audit entries should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.ok(entries.some(function (entry) {
+                return entry.req_id === REQUEST_ID;
+            }), 'entry of the PutVm request should be listed');
+            t.done();
+        });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
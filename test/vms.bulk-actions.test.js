@@ -0,0 +1,205 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the POST /vms/actions endpoint.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var NB_TEST_VMS = 3;
+var TEST_OWNER_UUID = uuid.v4();
+
+var testVmUuids = [];
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vasync.forEachPipeline({
+        func: function createTestVm(idx, done) {
+            vmTest.createTestVm(moray, {}, {
+                owner_uuid: TEST_OWNER_UUID,
+                server_uuid: uuid.v4(),
+                state: 'running'
+            }, function onVmCreated(err, vmUuid) {
+                testVmUuids.push(vmUuid);
+                done(err);
+            });
+        },
+        inputs: [0, 1, 2]
+    }, function onTestVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.invalid_params = function (t) {
+    var testCases = [
+        {
+            params: {uuids: testVmUuids},
+            field: 'action'
+        },
+        {
+            params: {action: 'add_nics', uuids: testVmUuids},
+            field: 'action'
+        },
+        {
+            params: {action: 'stop'},
+            field: 'uuids'
+        },
+        {
+            params: {action: 'stop', uuids: ['foo']},
+            field: 'uuids'
+        },
+        {
+            params: {action: 'stop', uuids: testVmUuids, concurrency: 0},
+            field: 'concurrency'
+        },
+        {
+            params: {action: 'delete_snapshot', uuids: testVmUuids},
+            field: 'snapshot_name'
+        }
+    ];
+
+    vasync.forEachPipeline({
+        func: function runTestCase(testCase, done) {
+            client.post('/vms/actions', testCase.params,
+                function onPost(err, req, res, body) {
+                    t.ok(err, 'request with params ' +
+                        util.inspect(testCase.params) + ' should error');
+                    t.equal(res.statusCode, 409, 'status code should be 409');
+                    t.equal(body.code, 'ValidationFailed',
+                        'error code should be ValidationFailed');
+                    t.equal(body.errors[0].field, testCase.field,
+                        'invalid field should be ' + testCase.field);
+                    done();
+                });
+        },
+        inputs: testCases
+    }, function onAllTestCasesRan() {
+        t.done();
+    });
+};
+
+exports.dry_run_with_filters = function (t) {
+    var params = {
+        action: 'stop',
+        filters: {owner_uuid: TEST_OWNER_UUID},
+        dry_run: true
+    };
+
+    client.post('/vms/actions', params, function (err, req, res, body) {
+        t.ifError(err, 'dry run should not error');
+        t.equal(res.statusCode, 200, 'status code should be 200');
+        t.equal(res.headers['x-joyent-resource-count'], String(NB_TEST_VMS),
+            'resource count should be ' + NB_TEST_VMS);
+        t.equal(body.length, NB_TEST_VMS, 'all test VMs should be listed');
+
+        body.forEach(function (result) {
+            t.notEqual(testVmUuids.indexOf(result.vm_uuid), -1,
+                'result should be for a test VM');
+            t.equal(result.state, 'running', 'state should be listed');
+            t.equal(result.job_uuid, undefined, 'no job should be queued');
+            t.equal(result.error, undefined, 'no error should be reported');
+        });
+
+        t.done();
+    });
+};
+
+exports.stop_with_uuids = function (t) {
+    var missingUuid = uuid.v4();
+    var params = {
+        action: 'stop',
+        uuids: testVmUuids.concat([missingUuid]),
+        concurrency: 2
+    };
+
+    client.post('/vms/actions', params, function (err, req, res, body) {
+        var missingResult;
+
+        t.ifError(err, 'stopping test VMs should not error');
+        t.equal(res.statusCode, 202, 'status code should be 202');
+        t.equal(body.length, NB_TEST_VMS + 1,
+            'there should be one result per VM UUID');
+
+        body.forEach(function (result) {
+            if (result.vm_uuid === missingUuid) {
+                missingResult = result;
+            } else {
+                t.ok(result.job_uuid, 'a job should be queued for VM ' +
+                    result.vm_uuid);
+            }
+        });
+
+        t.ok(missingResult, 'there should be a result for the missing VM');
+        if (missingResult) {
+            t.equal(missingResult.error.code, 'ResourceNotFound',
+                'missing VM should be reported as not found');
+        }
+
+        t.done();
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -5,13 +5,14 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 var assert = require('assert-plus');
 var async = require('async');
 var bunyan = require('bunyan');
 var changefeed = require('changefeed');
+var jsprim = require('jsprim');
 var uuid = require('libuuid');
 
 var common = require('./common');
@@ -338,7 +339,7 @@ exports.get_vm_ok = function (t) {
 };
 
 exports.listen_for_alias = function (t) {
-    t.expect(2);
+    t.expect(3);
     VM.alias = 'sdcvmapitest_listen_for_alias';
     var opts = { path: '/vms/' + VM.uuid + '?server_uuid=' + VM.server_uuid };
     var listener = changefeed.createListener(listenerOpts);
@@ -358,6 +359,8 @@ exports.listen_for_alias = function (t) {
             changeKind.subResources &&
             changeKind.subResources.indexOf('alias') !== -1) {
             t.ok(true, 'alias received');
+            t.equal(changeItem.changes, undefined,
+                'changes should only be sent to listeners that asked for them');
             noStateReceived = false;
             listener._endSocket();
             t.done();
@@ -422,6 +425,57 @@ exports.listen_for_internal_metadata = function (t) {
     });
 };
 
+exports.listen_for_internal_metadata_changes = function (t) {
+    t.expect(5);
+    var oldInternalMetadata = jsprim.deepCopy(VM.internal_metadata);
+    var opts = { path: '/vms/' + VM.uuid + '?server_uuid=' + VM.server_uuid };
+    var includeChangesListenerOpts = {};
+
+    Object.keys(listenerOpts).forEach(function (key) {
+        includeChangesListenerOpts[key] = listenerOpts[key];
+    });
+    includeChangesListenerOpts.changeKind =
+        jsprim.deepCopy(listenerOpts.changeKind);
+    includeChangesListenerOpts.changeKind.includeChanges = true;
+
+    VM.internal_metadata.test = 'test_changes';
+    VM.internal_metadata.test_pw = 'secret';
+
+    var listener = changefeed.createListener(includeChangesListenerOpts);
+    listener.register();
+
+    listener.on('bootstrap', function () {
+        client.put(opts, VM, function (err, req, res) {
+            common.ifError(t, err);
+        });
+    });
+
+    var noStateReceived = true;
+    listener.on('readable', function () {
+        var changeItem = listener.read();
+        var changeKind = changeItem.changeKind;
+        var change;
+
+        if (noStateReceived &&
+            changeItem.changedResourceId === VM.uuid &&
+            changeKind.subResources &&
+            changeKind.subResources.indexOf('internal_metadata') !== -1) {
+            noStateReceived = false;
+            listener._endSocket();
+
+            t.ok(changeItem.changes, 'changes received');
+            change = changeItem.changes && changeItem.changes.internal_metadata;
+            t.deepEqual(change.old, oldInternalMetadata,
+                'old internal_metadata should be included');
+            t.equal(change.new.test, 'test_changes',
+                'new internal_metadata should be included');
+            t.equal(change.new.test_pw, '[REDACTED]',
+                '*_pw internal_metadata keys should be redacted');
+            t.done();
+        }
+    });
+};
+
 exports.listen_for_tags = function (t) {
     t.expect(2);
     VM.tags.test_tag = 'test';
@@ -293,7 +293,8 @@ exports.data_migrations = function (t) {
                 dataMigrationsCtrl: ctx.dataMigrationsCtrl,
                 metricsManager: MOCKED_METRICS_MANAGER,
                 morayBucketsInitializer: ctx.morayBucketsInitializer,
-                moray: ctx.moray
+                moray: ctx.moray,
+                page_token_secret: 'page-token-secret'
             });
 
             /*
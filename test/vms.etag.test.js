@@ -0,0 +1,190 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the "ETag" response header of GetVm/HeadVm and for the handling
+ * of the "If-Match" request header by endpoints that modify VMs.
+ */
+
+var assert = require('assert-plus');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var testVm;
+var testVmEtag;
+var testVmUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {}, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        testVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+exports.get_vm_returns_etag = function (t) {
+    client.get('/vms/' + testVmUuid, function (err, req, res, body) {
+        t.ifError(err, 'getting test VM should not error');
+        t.ok(res.headers.etag, 'response should have an etag header');
+        t.ok(/^".+"$/.test(res.headers.etag),
+            'etag should be a quoted string, got: ' + res.headers.etag);
+
+        testVm = body;
+        testVmEtag = res.headers.etag;
+        t.done();
+    });
+};
+
+exports.head_vm_returns_same_etag = function (t) {
+    client.head('/vms/' + testVmUuid, function (err, req, res) {
+        t.ifError(err, 'HEAD on test VM should not error');
+        t.equal(res.headers.etag, testVmEtag,
+            'HeadVm and GetVm etags should be the same');
+        t.done();
+    });
+};
+
+exports.put_vm_with_wrong_etag_fails = function (t) {
+    var opts = {
+        path: '/vms/' + testVmUuid,
+        headers: {'If-Match': '"not-the-etag"'}
+    };
+
+    client.put(opts, testVm, function (err, req, res, body) {
+        t.ok(err, 'PutVm with a non-matching If-Match should error');
+        t.equal(res.statusCode, 412, 'status code should be 412');
+        t.equal(body.code, 'PreconditionFailed',
+            'error code should be PreconditionFailed');
+        t.done();
+    });
+};
+
+exports.put_vm_with_matching_etag_succeeds = function (t) {
+    var opts = {
+        path: '/vms/' + testVmUuid,
+        headers: {'If-Match': '"not-the-etag", ' + testVmEtag}
+    };
+
+    testVm.alias = testVm.alias + 'updated';
+
+    client.put(opts, testVm, function (err, req, res) {
+        t.ifError(err, 'PutVm with a matching If-Match should not error');
+        t.equal(res.statusCode, 200, 'status code should be 200');
+        t.done();
+    });
+};
+
+exports.get_vm_returns_new_etag = function (t) {
+    client.get('/vms/' + testVmUuid, function (err, req, res) {
+        t.ifError(err, 'getting test VM should not error');
+        t.ok(res.headers.etag, 'response should have an etag header');
+        t.notEqual(res.headers.etag, testVmEtag,
+            'etag should change after the VM is modified');
+        t.done();
+    });
+};
+
+exports.put_vm_with_stale_etag_fails = function (t) {
+    var opts = {
+        path: '/vms/' + testVmUuid,
+        headers: {'If-Match': testVmEtag}
+    };
+
+    client.put(opts, testVm, function (err, req, res) {
+        t.ok(err, 'PutVm with a stale If-Match should error');
+        t.equal(res.statusCode, 412, 'status code should be 412');
+        t.done();
+    });
+};
+
+exports.put_vm_with_wildcard_etag_succeeds = function (t) {
+    var opts = {
+        path: '/vms/' + testVmUuid,
+        headers: {'If-Match': '*'}
+    };
+
+    client.put(opts, testVm, function (err, req, res) {
+        t.ifError(err, 'PutVm with If-Match: * should not error');
+        t.equal(res.statusCode, 200, 'status code should be 200');
+        t.done();
+    });
+};
+
+exports.moray_put_vm_with_stale_etag_fails = function (t) {
+    moray.getVm({uuid: testVmUuid}, function onGetVm(getErr, vm, etag) {
+        t.ifError(getErr, 'getting test VM from moray should not error');
+
+        moray.putVm(testVmUuid, vm, vm, {}, function onPut(putErr) {
+            t.ifError(putErr, 'putting test VM should not error');
+
+            moray.putVm(testVmUuid, vm, vm, {etag: etag},
+                function onStalePut(stalePutErr) {
+                    t.ok(stalePutErr,
+                        'putting test VM with a stale etag should error');
+                    t.equal(stalePutErr && stalePutErr.name,
+                        'EtagConflictError',
+                        'error should be an EtagConflictError');
+                    t.done();
+                });
+        });
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -0,0 +1,221 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the GET /vms/export endpoint.
+ */
+
+var http = require('http');
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var VMAPI_IP = process.env.VMAPI_IP || '127.0.0.1';
+
+var OWNER_UUID = uuid.v4();
+
+var TEST_VMS_PARAMS = [
+    {
+        owner_uuid: OWNER_UUID,
+        alias: 'export-a',
+        nics: [ {ip: '10.99.0.1'}, {ip: '10.99.0.2'} ]
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        alias: 'export-b',
+        nics: [ {ip: '10.99.0.3'} ]
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        alias: 'export,c'
+    }
+];
+
+var client;
+var moray;
+var morayClient;
+
+/*
+ * Sends a GET /vms/export request with the query string "query" and the
+ * Accept header "accept", and calls "callback" with the response and its
+ * body.
+ */
+function exportVms(query, accept, callback) {
+    assert.string(query, 'query');
+    assert.string(accept, 'accept');
+    assert.func(callback, 'callback');
+
+    var req = http.get({
+        hostname: VMAPI_IP,
+        path: '/vms/export?' + query,
+        headers: {accept: accept}
+    }, function onRes(res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function onData(chunk) {
+            body += chunk;
+        });
+        res.on('end', function onEnd() {
+            callback(null, res, body);
+        });
+    });
+
+    req.on('error', callback);
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vasync.forEachPipeline({
+        func: function createVm(vmParams, done) {
+            vmTest.createTestVm(moray, {}, vmParams, done);
+        },
+        inputs: TEST_VMS_PARAMS
+    }, function onVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.export_ndjson = function (t) {
+    exportVms('owner_uuid=' + OWNER_UUID + '&fields=alias,nics.ip',
+        'application/x-ndjson', function onExport(err, res, body) {
+            var vms;
+
+            t.ifError(err, 'exporting VMs should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(res.headers['content-type'], 'application/x-ndjson',
+                'content type should be NDJSON');
+
+            vms = body.trim().split('\n').map(function parseLine(line) {
+                return JSON.parse(line);
+            }).sort(function byAlias(a, b) {
+                return a.alias < b.alias ? -1 : 1;
+            });
+
+            t.deepEqual(vms, [
+                {
+                    alias: 'test--export,c',
+                    nics: []
+                },
+                {
+                    alias: 'test--export-a',
+                    nics: [ {ip: '10.99.0.1'}, {ip: '10.99.0.2'} ]
+                },
+                {
+                    alias: 'test--export-b',
+                    nics: [ {ip: '10.99.0.3'} ]
+                }
+            ], 'all VMs should be exported with the selected fields');
+            t.done();
+        });
+};
+
+exports.export_csv = function (t) {
+    exportVms('owner_uuid=' + OWNER_UUID + '&fields=alias,nics.ip',
+        'text/csv', function onExport(err, res, body) {
+            var lines;
+
+            t.ifError(err, 'exporting VMs should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(res.headers['content-type'], 'text/csv',
+                'content type should be CSV');
+
+            lines = body.split('\r\n');
+            t.equal(lines.shift(), 'alias,nics.ip',
+                'first line should hold the columns names');
+            t.equal(lines.pop(), '', 'last line should end with CRLF');
+
+            t.deepEqual(lines.sort(), [
+                '"test--export,c",',
+                'test--export-a,10.99.0.1;10.99.0.2',
+                'test--export-b,10.99.0.3'
+            ], 'each VM should be exported as a line');
+            t.done();
+        });
+};
+
+exports.export_not_acceptable = function (t) {
+    exportVms('owner_uuid=' + OWNER_UUID, 'application/json',
+        function onExport(err, res, body) {
+            t.ifError(err, 'request should not error');
+            t.equal(res.statusCode, 406, 'status code should be 406');
+            t.done();
+        });
+};
+
+exports.export_invalid_params = function (t) {
+    vasync.forEachPipeline({
+        func: function exportWithInvalidParams(queryString, done) {
+            client.get('/vms/export?' + queryString,
+                function onExport(err, req, res, body) {
+                    t.ok(err, 'exporting VMs with ' + queryString +
+                        ' should error');
+                    t.equal(res.statusCode, 409, 'status code should be 409');
+                    t.equal(body.code, 'ValidationFailed',
+                        'error code should be ValidationFailed');
+                    done();
+                });
+        },
+        inputs: ['limit=1', 'sort=uuid', 'owner_uuid=foo', 'fields=role_tags']
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -0,0 +1,200 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the revisions stored when VMs change, the GET /vms/:uuid/history
+ * endpoint and the "as_of" parameter of GET /vms/:uuid.
+ */
+
+var assert = require('assert-plus');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var originalAlias;
+var revisions;
+var testVm;
+var testVmUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {}, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        testVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+exports.get_test_vm = function (t) {
+    client.get('/vms/' + testVmUuid, function (err, req, res, body) {
+        t.ifError(err, 'getting test VM should not error');
+        testVm = body;
+        originalAlias = body.alias;
+        t.done();
+    });
+};
+
+exports.put_vm_with_changes = function (t) {
+    testVm.alias = originalAlias + 'history';
+
+    client.put('/vms/' + testVmUuid, testVm, function (err) {
+        t.ifError(err, 'putting test VM should not error');
+        t.done();
+    });
+};
+
+exports.put_vm_without_changes = function (t) {
+    client.put('/vms/' + testVmUuid, testVm, function (err) {
+        t.ifError(err, 'putting test VM should not error');
+        t.done();
+    });
+};
+
+exports.list_vm_history = function (t) {
+    var nbChecks = 0;
+
+    /*
+     * Revisions are stored in the background once VMs are updated, so the
+     * latest one may not be stored yet when the PutVm response is received.
+     */
+    function listHistory() {
+        client.get('/vms/' + testVmUuid + '/history',
+            function (err, req, res, body) {
+                t.ifError(err, 'listing VM history should not error');
+                t.equal(res.statusCode, 200, 'status code should be 200');
+
+                if (!err && body.length < 2 && ++nbChecks < 20) {
+                    setTimeout(listHistory, 100);
+                    return;
+                }
+
+                t.equal(body.length, 2,
+                    'there should be one revision for the creation of the ' +
+                    'VM and one for the alias change');
+                if (body.length === 2) {
+                    t.notEqual(body[0].diffs.indexOf('alias'), -1,
+                        'alias should be listed as changed in latest ' +
+                        'revision');
+                    t.ok(body[0].timestamp >= body[1].timestamp,
+                        'revisions should be listed most recent first');
+                }
+                revisions = body;
+                t.done();
+            });
+    }
+
+    listHistory();
+};
+
+exports.list_vm_history_invalid_params = function (t) {
+    client.get('/vms/' + testVmUuid + '/history?limit=0',
+        function (err, req, res, body) {
+            t.ok(err, 'listing VM history with invalid params should error');
+            t.equal(res.statusCode, 409, 'status code should be 409');
+            t.equal(body.code, 'ValidationFailed',
+                'error code should be ValidationFailed');
+            t.done();
+        });
+};
+
+exports.get_vm_as_of_creation = function (t) {
+    client.get('/vms/' + testVmUuid + '?as_of=' + revisions[1].timestamp,
+        function (err, req, res, body) {
+            t.ifError(err, 'getting VM as of its creation should not error');
+            t.equal(body.alias, originalAlias,
+                'VM should have its original alias');
+            t.equal(res.headers.etag, undefined,
+                'response should not have an ETag header');
+            t.done();
+        });
+};
+
+exports.get_vm_as_of_latest_revision = function (t) {
+    client.get('/vms/' + testVmUuid + '?as_of=' + revisions[0].timestamp,
+        function (err, req, res, body) {
+            t.ifError(err, 'getting VM as of its latest revision should not ' +
+                'error');
+            t.equal(body.alias, originalAlias + 'history',
+                'VM should have its new alias');
+            t.done();
+        });
+};
+
+exports.get_vm_as_of_before_creation = function (t) {
+    var asOf = new Date(Date.parse(revisions[1].timestamp) - 1000);
+
+    client.get('/vms/' + testVmUuid + '?as_of=' + asOf.toISOString(),
+        function (err, req, res) {
+            t.ok(err, 'getting VM before its creation should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.get_vm_as_of_with_sync = function (t) {
+    client.get('/vms/' + testVmUuid + '?sync=true&as_of=' +
+        revisions[0].timestamp, function (err, req, res, body) {
+            t.ok(err, 'using as_of with sync should error');
+            t.equal(res.statusCode, 409, 'status code should be 409');
+            t.equal(body.code, 'ValidationFailed',
+                'error code should be ValidationFailed');
+            t.done();
+        });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
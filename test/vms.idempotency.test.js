@@ -0,0 +1,283 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the handling of the "Idempotency-Key" request header by endpoints
+ * that create workflow jobs.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var IDEMPOTENCY_KEY = uuid.v4();
+var TEST_OWNER_UUID = uuid.v4();
+
+var otherOwnerVmUuid;
+var testVmUuid;
+var testJobUuid;
+
+function createOpts(path, key) {
+    return {
+        path: path,
+        headers: {
+            'Idempotency-Key': key
+        }
+    };
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: TEST_OWNER_UUID,
+        server_uuid: uuid.v4(),
+        state: 'stopped'
+    }, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        testVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+exports.create_other_owner_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: uuid.v4(),
+        server_uuid: uuid.v4(),
+        state: 'stopped'
+    }, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        otherOwnerVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+exports.invalid_idempotency_key_fails = function (t) {
+    var opts = createOpts('/vms/' + testVmUuid + '?action=start',
+        'not a valid key');
+
+    client.post(opts, {}, function (err, req, res, body) {
+        t.ok(err, 'using an invalid idempotency key should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.equal(body.code, 'ValidationFailed',
+            'error code should be ValidationFailed');
+        t.done();
+    });
+};
+
+exports.first_request_creates_job = function (t) {
+    var opts = createOpts('/vms/' + testVmUuid + '?action=start',
+        IDEMPOTENCY_KEY);
+
+    client.post(opts, {}, function (err, req, res, body) {
+        t.ifError(err, 'starting test VM should not error');
+        t.equal(res.statusCode, 202, 'status code should be 202');
+        t.equal(res.headers['idempotent-replayed'], undefined,
+            'response should not be marked as replayed');
+        t.ok(body.job_uuid, 'response should include a job UUID');
+
+        testJobUuid = body.job_uuid;
+        t.done();
+    });
+};
+
+exports.replayed_request_returns_same_job = function (t) {
+    var opts = createOpts('/vms/' + testVmUuid + '?action=start',
+        IDEMPOTENCY_KEY);
+
+    client.post(opts, {}, function (err, req, res, body) {
+        t.ifError(err, 'replaying request should not error');
+        t.equal(res.statusCode, 202, 'status code should be 202');
+        t.equal(res.headers['idempotent-replayed'], 'true',
+            'response should be marked as replayed');
+        t.deepEqual(body, {vm_uuid: testVmUuid, job_uuid: testJobUuid},
+            'response should be the same as the original response');
+        t.done();
+    });
+};
+
+exports.different_request_with_same_key_fails = function (t) {
+    var opts = createOpts('/vms/' + testVmUuid + '?action=stop',
+        IDEMPOTENCY_KEY);
+
+    client.post(opts, {}, function (err, req, res, body) {
+        t.ok(err, 'reusing idempotency key for a different request ' +
+            'should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.equal(body.code, 'IdempotencyKeyConflict',
+            'error code should be IdempotencyKeyConflict');
+        t.done();
+    });
+};
+
+exports.same_key_for_other_owner_creates_job = function (t) {
+    var opts = createOpts('/vms/' + otherOwnerVmUuid + '?action=start',
+        IDEMPOTENCY_KEY);
+
+    client.post(opts, {}, function (err, req, res, body) {
+        t.ifError(err, 'starting VM of another owner should not error');
+        t.equal(res.statusCode, 202, 'status code should be 202');
+        t.equal(res.headers['idempotent-replayed'], undefined,
+            'response should not be marked as replayed');
+        t.notEqual(body.job_uuid, testJobUuid,
+            'a new job should be created');
+        t.done();
+    });
+};
+
+exports.concurrent_requests_create_one_job = function (t) {
+    var key = uuid.v4();
+    var nbResponses = 0;
+    var NB_REQUESTS = 3;
+    var jobUuids = [];
+
+    function onResponse(err, req, res, body) {
+        if (err) {
+            t.equal(res.statusCode, 409, 'status code should be 409');
+            t.equal(body.code, 'IdempotencyKeyInProgress',
+                'error code should be IdempotencyKeyInProgress');
+        } else if (jobUuids.indexOf(body.job_uuid) === -1) {
+            jobUuids.push(body.job_uuid);
+        }
+
+        nbResponses++;
+        if (nbResponses === NB_REQUESTS) {
+            t.equal(jobUuids.length, 1, 'only one job should be created');
+            t.done();
+        }
+    }
+
+    for (var i = 0; i < NB_REQUESTS; i++) {
+        client.post(createOpts('/vms/' + testVmUuid + '?action=stop', key), {},
+            onResponse);
+    }
+};
+
+exports.failed_request_releases_key = function (t) {
+    var key = uuid.v4();
+    var nbChecks = 0;
+
+    client.post(createOpts('/vms/' + testVmUuid + '?action=foo', key), {},
+        function (err, req, res, body) {
+            t.ok(err, 'performing an invalid action should error');
+            t.equal(res.statusCode, 409, 'status code should be 409');
+            t.equal(body.code, 'ValidationFailed',
+                'error code should be ValidationFailed');
+            waitForRelease();
+        });
+
+    /*
+     * The key is released once the response is sent, so it may not be
+     * released yet when the client gets the response.
+     */
+    function waitForRelease() {
+        moray.getIdempotencyKey(TEST_OWNER_UUID, key,
+            function onGetKey(getErr, record) {
+                t.ifError(getErr,
+                    'getting idempotency key should not error');
+
+                if (record && ++nbChecks < 20) {
+                    setTimeout(waitForRelease, 100);
+                    return;
+                }
+
+                t.equal(record, undefined,
+                    'idempotency key should be released');
+                retryWithKey();
+            });
+    }
+
+    function retryWithKey() {
+        client.post(createOpts('/vms/' + testVmUuid + '?action=start', key),
+            {}, function (err, req, res) {
+                t.ifError(err, 'reusing a released key should not error');
+                t.equal(res.statusCode, 202, 'status code should be 202');
+                t.done();
+            });
+    }
+};
+
+/*
+ * A key reserved by a request that never stored its response, e.g. because the
+ * VMAPI process handling it exited, can be used again once the reservation
+ * expired.
+ */
+exports.expired_reservation_is_reused = function (t) {
+    var key = uuid.v4();
+
+    moray.putIdempotencyKey(TEST_OWNER_UUID, key, {
+        request_hash: 'abandoned-request',
+        vm_uuid: null,
+        job_uuid: null,
+        created_timestamp: Date.now() - 10 * 60 * 1000,
+        response: null
+    }, {etag: null}, function onReserved(putErr) {
+        t.ifError(putErr, 'reserving idempotency key should not error');
+
+        client.post(createOpts('/vms/' + testVmUuid + '?action=stop', key),
+            {}, function (err, req, res) {
+                t.ifError(err, 'reusing an expired reservation should not ' +
+                    'error');
+                t.equal(res.statusCode, 202, 'status code should be 202');
+                t.done();
+            });
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
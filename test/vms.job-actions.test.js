@@ -0,0 +1,217 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for canceling and retrying jobs with POST /jobs/:job_uuid.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var testJobUuid;
+var testVmUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.job_action_invalid_params = function (t) {
+    vasync.forEachPipeline({
+        func: function postJobAction(path, done) {
+            client.post(path, {}, function onPost(err, req, res, body) {
+                t.ok(err, 'POST ' + path + ' should error');
+                t.equal(res.statusCode, 409, 'status code should be 409');
+                t.equal(body.code, 'ValidationFailed',
+                    'error code should be ValidationFailed');
+                done();
+            });
+        },
+        inputs: [
+            '/jobs/' + uuid.v4(),
+            '/jobs/' + uuid.v4() + '?action=foo',
+            '/jobs/foo?action=cancel'
+        ]
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.job_action_unknown_job = function (t) {
+    vasync.forEachPipeline({
+        func: function postJobAction(action, done) {
+            var path = '/jobs/' + uuid.v4() + '?action=' + action;
+
+            client.post(path, {}, function onPost(err, req, res) {
+                t.ok(err, 'POST ' + path + ' should error');
+                t.equal(res.statusCode, 404, 'status code should be 404');
+                done();
+            });
+        },
+        inputs: ['cancel', 'retry']
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.job_action_finished_job = function (t) {
+    client.get('/jobs?execution=succeeded&limit=1',
+        function onList(listErr, listReq, listRes, jobs) {
+            t.ifError(listErr, 'listing jobs should not error');
+
+            if (listErr || jobs.length === 0) {
+                t.done();
+                return;
+            }
+
+            vasync.forEachPipeline({
+                func: function postJobAction(action, done) {
+                    var path = '/jobs/' + jobs[0].uuid + '?action=' + action;
+
+                    client.post(path, {}, function onPost(err, req, res, body) {
+                        t.ok(err, 'POST ' + path + ' should error');
+                        t.equal(res.statusCode, 409,
+                            'status code should be 409');
+                        t.equal(body.code, 'JobExecutionConflict',
+                            'error code should be JobExecutionConflict');
+                        done();
+                    });
+                },
+                inputs: ['cancel', 'retry']
+            }, function onDone() {
+                t.done();
+            });
+        });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        brand: 'joyent',
+        server_uuid: uuid.v4(),
+        state: 'running'
+    }, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        testVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+/*
+ * The test VM's server does not exist, so its stop job either fails or is
+ * canceled here, and it can be retried in both cases.
+ */
+exports.create_retryable_job = function (t) {
+    client.post('/vms/' + testVmUuid + '?action=stop', {},
+        function onStop(err, req, res, body) {
+            t.ifError(err, 'stopping test VM should not error');
+            testJobUuid = body.job_uuid;
+
+            client.post('/jobs/' + testJobUuid + '?action=cancel', {},
+                function onCancel(cancelErr, cancelReq, cancelRes) {
+                    if (cancelErr) {
+                        t.equal(cancelRes.statusCode, 409,
+                            'canceling should only fail if the job failed');
+                    }
+                    t.done();
+                });
+        });
+};
+
+exports.retry_job_with_stale_etag_fails = function (t) {
+    var opts = {
+        path: '/jobs/' + testJobUuid + '?action=retry',
+        headers: {'If-Match': '"not-the-etag"'}
+    };
+
+    client.post(opts, {}, function onRetry(err, req, res, body) {
+        t.ok(err, 'retrying a job with a non-matching If-Match should error');
+        t.equal(res.statusCode, 412, 'status code should be 412');
+        t.equal(body.code, 'PreconditionFailed',
+            'error code should be PreconditionFailed');
+        t.done();
+    });
+};
+
+exports.retry_job_of_destroyed_vm_fails = function (t) {
+    moray.getVm({uuid: testVmUuid}, function onGetVm(getErr, vm) {
+        var destroyedVm;
+
+        t.ifError(getErr, 'getting test VM from moray should not error');
+
+        destroyedVm = JSON.parse(JSON.stringify(vm));
+        destroyedVm.state = 'destroyed';
+
+        moray.putVm(testVmUuid, destroyedVm, vm, {},
+            function onPut(putErr) {
+                t.ifError(putErr, 'destroying test VM should not error');
+
+                client.post('/jobs/' + testJobUuid + '?action=retry',
+                    {}, function onRetry(err, req, res, body) {
+                        t.ok(err, 'retrying a job of a destroyed VM should ' +
+                            'error');
+                        t.equal(res.statusCode, 409,
+                            'status code should be 409');
+                        t.equal(body.code, 'ValidationFailed',
+                            'error code should be ValidationFailed');
+                        t.done();
+                    });
+            });
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -0,0 +1,169 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for waiting on jobs with GET /jobs/:job_uuid/wait, and for the job
+ * poller that is shared by all waiters of a job.
+ */
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var common = require('./common');
+var JobPoller = require('../lib/job-poller').JobPoller;
+
+var client;
+
+/*
+ * Returns a WFAPI client that responds with a job whose execution is
+ * "state.execution", and counts the number of requests it receives in
+ * "state.nbGetJob".
+ */
+function createFakeWfapi(state) {
+    return {
+        getJob: function getJob(jobUuid, callback) {
+            state.nbGetJob++;
+            setImmediate(callback, null, {
+                uuid: jobUuid,
+                execution: state.execution
+            });
+        }
+    };
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.job_poller_shares_polls = function (t) {
+    var jobUuid = uuid.v4();
+    var state = {execution: 'running', nbGetJob: 0};
+    var poller = new JobPoller({
+        log: bunyan.createLogger({name: 'job-poller-test', level: 'fatal'}),
+        wfapi: createFakeWfapi(state),
+        pollInterval: 10
+    });
+
+    vasync.parallel({funcs: [
+        function waitForSucceeded(done) {
+            poller.waitForJob(jobUuid, {timeout: 1000},
+                function onWaited(err, job, reached) {
+                    t.ifError(err, 'waiting should not error');
+                    t.equal(job.execution, 'succeeded',
+                        'job should be succeeded');
+                    t.ok(reached, 'job should have reached the execution');
+                    done();
+                });
+        },
+        function waitForRunning(done) {
+            poller.waitForJob(jobUuid, {
+                executions: ['running'],
+                timeout: 1000
+            }, function onWaited(err, job, reached) {
+                t.ifError(err, 'waiting should not error');
+                t.equal(job.execution, 'running', 'job should be running');
+                t.ok(reached, 'job should have reached the execution');
+                done();
+            });
+        },
+        function waitTimesOut(done) {
+            poller.waitForJob(jobUuid, {timeout: 20},
+                function onWaited(err, job, reached) {
+                    t.ifError(err, 'waiting should not error');
+                    t.equal(job.execution, 'running', 'job should be running');
+                    t.ok(!reached, 'wait should have timed out');
+                    state.execution = 'succeeded';
+                    done();
+                });
+        }
+    ]}, function onDone() {
+        t.ok(state.nbGetJob < 20, 'waiters should share polls, got ' +
+            state.nbGetJob + ' requests');
+
+        // Waiters are notified before the poller stops polling the job.
+        setImmediate(function checkPollingStopped() {
+            t.deepEqual(Object.keys(poller._polledJobs), [],
+                'job should not be polled anymore');
+            poller.close();
+            t.done();
+        });
+    });
+};
+
+exports.wait_job_invalid_params = function (t) {
+    var jobUuid = uuid.v4();
+
+    vasync.forEachPipeline({
+        func: function waitJob(path, done) {
+            client.get(path, function onGet(err, req, res, body) {
+                t.ok(err, 'GET ' + path + ' should error');
+                t.equal(res.statusCode, 409, 'status code should be 409');
+                t.equal(body.code, 'ValidationFailed',
+                    'error code should be ValidationFailed');
+                done();
+            });
+        },
+        inputs: [
+            '/jobs/foo/wait',
+            '/jobs/' + jobUuid + '/wait?timeout=foo',
+            '/jobs/' + jobUuid + '/wait?timeout=0',
+            '/jobs/' + jobUuid + '/wait?timeout=2m',
+            '/jobs/' + jobUuid + '/wait?execution=foo',
+            '/jobs/' + jobUuid + '/wait?foo=bar'
+        ]
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.wait_unknown_job = function (t) {
+    client.get('/jobs/' + uuid.v4() + '/wait?timeout=1s',
+        function onGet(err, req, res) {
+            t.ok(err, 'waiting on an unknown job should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.wait_finished_job = function (t) {
+    client.get('/jobs?execution=succeeded&limit=1',
+        function onList(listErr, listReq, listRes, jobs) {
+            t.ifError(listErr, 'listing jobs should not error');
+
+            if (listErr || jobs.length === 0) {
+                t.done();
+                return;
+            }
+
+            client.get('/jobs/' + jobs[0].uuid + '/wait?timeout=10s',
+                function onGet(err, req, res, job) {
+                    t.ifError(err, 'waiting on a job should not error');
+                    t.equal(res.statusCode, 200, 'status code should be 200');
+                    t.equal(res.headers['x-joyent-repoll'], 'false',
+                        'clients should not repoll');
+                    t.equal(job.uuid, jobs[0].uuid, 'job should be returned');
+                    t.equal(job.execution, 'succeeded',
+                        'job should be succeeded');
+                    t.done();
+                });
+        });
+};
+
+exports.close_clients = function (t) {
+    client.close();
+    t.done();
+};
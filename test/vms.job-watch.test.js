@@ -0,0 +1,168 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the GET /jobs/:job_uuid/watch endpoint.
+ */
+
+var http = require('http');
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var uuid = require('uuid');
+
+var JobPoller = require('../lib/job-poller').JobPoller;
+var common = require('./common');
+
+var VMAPI_IP = process.env.VMAPI_IP || '127.0.0.1';
+
+var client;
+
+/*
+ * Watches the job with UUID "jobUuid", and calls "callback" with the response
+ * and all the events received once the stream ends.
+ */
+function watchJob(jobUuid, callback) {
+    assert.string(jobUuid, 'jobUuid');
+    assert.func(callback, 'callback');
+
+    var req = http.get({
+        hostname: VMAPI_IP,
+        path: '/jobs/' + jobUuid + '/watch'
+    }, function onRes(res) {
+        var body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', function onData(chunk) {
+            body += chunk;
+        });
+        res.on('end', function onEnd() {
+            var lines = body.split('\n').filter(function isNotEmpty(line) {
+                return line.length > 0;
+            });
+
+            callback(null, res, lines.map(function parseLine(line) {
+                return JSON.parse(line);
+            }));
+        });
+    });
+
+    req.on('error', callback);
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.job_poller_stops_when_watch_canceled = function (t) {
+    var jobUuid = uuid.v4();
+    var nbGetJob = 0;
+    var nbNotified = 0;
+    var poller = new JobPoller({
+        log: bunyan.createLogger({name: 'job-poller-test', level: 'fatal'}),
+        wfapi: {
+            getJob: function getJob(_, callback) {
+                nbGetJob++;
+                setImmediate(callback, null, {
+                    uuid: jobUuid,
+                    execution: 'running'
+                });
+            }
+        },
+        pollInterval: 10
+    });
+    var waiter = poller.watchJob(jobUuid, function onJob(err) {
+        t.ifError(err, 'watching should not error');
+        nbNotified++;
+
+        // The next poll of the job is scheduled once the watcher returns.
+        setImmediate(function cancelWatch() {
+            poller.cancelWait(waiter);
+            t.deepEqual(Object.keys(poller._polledJobs), [],
+                'job should not be polled anymore');
+
+            setTimeout(function checkNotPolled() {
+                t.equal(nbGetJob, 1, 'job should only be polled once');
+                t.equal(nbNotified, 1, 'watcher should only be notified once');
+                poller.close();
+                t.done();
+            }, 50);
+        });
+    });
+};
+
+exports.watch_job_invalid_uuid = function (t) {
+    watchJob('foo', function onWatched(err, res) {
+        t.ifError(err, 'watching a job should not error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.done();
+    });
+};
+
+exports.watch_unknown_job = function (t) {
+    watchJob(uuid.v4(), function onWatched(err, res) {
+        t.ifError(err, 'watching a job should not error');
+        t.equal(res.statusCode, 404, 'status code should be 404');
+        t.done();
+    });
+};
+
+exports.watch_finished_job = function (t) {
+    client.get('/jobs?execution=succeeded&limit=1',
+        function onList(listErr, listReq, listRes, jobs) {
+            t.ifError(listErr, 'listing jobs should not error');
+
+            if (listErr || jobs.length === 0) {
+                t.done();
+                return;
+            }
+
+            watchJob(jobs[0].uuid, function onWatched(err, res, events) {
+                var nbTasks = jobs[0].chain_results.length;
+
+                t.ifError(err, 'watching a job should not error');
+                t.equal(res.statusCode, 200, 'status code should be 200');
+                t.equal(res.headers['content-type'],
+                    'application/x-json-stream',
+                    'content type should be application/x-json-stream');
+
+                t.equal(events[0].type, 'start', 'first event is start');
+                t.equal(events[0].job_uuid, jobs[0].uuid,
+                    'start event should have the job UUID');
+                t.ok(Array.isArray(events[0].chain),
+                    'start event should have the job chain');
+
+                t.equal(events.length, 2 + 2 * nbTasks,
+                    'there should be a start and end event for each task');
+                events.slice(1, -1).forEach(function checkEvent(event, idx) {
+                    t.equal(event.type, idx % 2 === 0 ? 'task_start' :
+                        'task_end', 'task events should alternate');
+                    t.equal(event.index, Math.floor(idx / 2),
+                        'task events should be in chain order');
+                });
+
+                t.equal(events[events.length - 1].type, 'end',
+                    'last event is end');
+                t.equal(events[events.length - 1].execution, 'succeeded',
+                    'end event should have the job execution');
+                t.done();
+            });
+        });
+};
+
+exports.close_clients = function (t) {
+    client.close();
+    t.done();
+};
@@ -0,0 +1,141 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the projection of nested VM properties and the exclusion of VM
+ * properties with the "fields" parameter of ListVms and GetVm.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+var NETWORK_UUID = uuid.v4();
+
+var testVmUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: OWNER_UUID,
+        customer_metadata: {'user-script': '#!/bin/sh', 'other-key': 'foo'},
+        internal_metadata: {'some:key': 'bar'},
+        nics: [
+            {
+                ip: '10.99.0.1',
+                mac: '90:b8:d0:00:00:01',
+                network_uuid: NETWORK_UUID,
+                nic_tag: 'admin'
+            },
+            {
+                ip: '10.99.0.2',
+                mac: '90:b8:d0:00:00:02',
+                network_uuid: NETWORK_UUID,
+                nic_tag: 'external'
+            }
+        ]
+    }, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        testVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+exports.list_with_nested_fields = function (t) {
+    client.get('/vms?owner_uuid=' + OWNER_UUID +
+        '&fields=uuid,nics.ip,nics.mac,customer_metadata.user-script',
+        function onList(err, req, res, body) {
+            t.ifError(err, 'listing VMs should not error');
+            t.deepEqual(body, [ {
+                uuid: testVmUuid,
+                nics: [
+                    {ip: '10.99.0.1', mac: '90:b8:d0:00:00:01'},
+                    {ip: '10.99.0.2', mac: '90:b8:d0:00:00:02'}
+                ],
+                customer_metadata: {'user-script': '#!/bin/sh'}
+            } ], 'only the selected nested properties should be returned');
+            t.done();
+        });
+};
+
+exports.get_with_excluded_fields = function (t) {
+    client.get('/vms/' + testVmUuid +
+        '?fields=-internal_metadata,-customer_metadata,-nics.mac',
+        function onGet(err, req, res, body) {
+            t.ifError(err, 'getting VM should not error');
+            t.equal(body.uuid, testVmUuid, 'uuid should be returned');
+            t.equal(body.owner_uuid, OWNER_UUID,
+                'owner_uuid should be returned');
+            t.equal(body.internal_metadata, undefined,
+                'internal_metadata should not be returned');
+            t.equal(body.customer_metadata, undefined,
+                'customer_metadata should not be returned');
+            t.deepEqual(body.nics.map(function getMac(nic) {
+                return nic.mac;
+            }), [undefined, undefined], 'NICs should not have a mac');
+            t.deepEqual(body.nics.map(function getIp(nic) {
+                return nic.ip;
+            }), ['10.99.0.1', '10.99.0.2'], 'NICs should have an ip');
+            t.done();
+        });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -0,0 +1,215 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the ip, mac, network_uuid and nic_tag filters of ListVms.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+var NETWORK_UUID_1 = uuid.v4();
+var NETWORK_UUID_2 = uuid.v4();
+
+/*
+ * Each test VM has a "name" tag that is used to identify it in the results of
+ * ListVms requests.
+ */
+var TEST_VMS_PARAMS = [
+    {
+        owner_uuid: OWNER_UUID,
+        tags: {name: 'a'},
+        nics: [
+            {
+                ip: '10.99.0.1',
+                mac: '90:b8:d0:00:00:01',
+                network_uuid: NETWORK_UUID_1,
+                nic_tag: 'admin'
+            },
+            {
+                ips: ['10.98.0.1/24', 'fd00::1/64'],
+                mac: '90:b8:d0:00:00:02',
+                network_uuid: NETWORK_UUID_2,
+                nic_tag: 'external'
+            }
+        ]
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        tags: {name: 'b'},
+        nics: [
+            {
+                ip: '10.99.0.2',
+                mac: '90:b8:d0:00:00:03',
+                network_uuid: NETWORK_UUID_1,
+                nic_tag: 'admin'
+            }
+        ]
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        tags: {name: 'c'}
+    }
+];
+
+function listVmNames(t, queryString, callback) {
+    var query = '/vms?owner_uuid=' + OWNER_UUID + '&' + queryString;
+
+    client.get(query, function onList(err, req, res, body) {
+        t.ifError(err, 'listing VMs with ' + queryString + ' should not ' +
+            'error');
+
+        callback((body || []).map(function getName(vm) {
+            return vm.tags.name;
+        }).sort());
+    });
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vasync.forEachPipeline({
+        func: function createVm(vmParams, done) {
+            vmTest.createTestVm(moray, {}, vmParams, done);
+        },
+        inputs: TEST_VMS_PARAMS
+    }, function onVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.list_with_valid_nics_filters = function (t) {
+    var testCases = [
+        {
+            queryString: 'ip=10.99.0.2',
+            expectedNames: ['b']
+        },
+        {
+            queryString: 'ip=10.98.0.1',
+            expectedNames: ['a']
+        },
+        {
+            queryString: 'ip=fd00::1',
+            expectedNames: ['a']
+        },
+        {
+            queryString: 'mac=90:B8:D0:00:00:02',
+            expectedNames: ['a']
+        },
+        {
+            queryString: 'network_uuid=' + NETWORK_UUID_1,
+            expectedNames: ['a', 'b']
+        },
+        {
+            queryString: 'nic_tag=external',
+            expectedNames: ['a']
+        },
+        {
+            queryString: 'predicate=' + encodeURIComponent(JSON.stringify({
+                prefix: ['ip', '10.99.']
+            })),
+            expectedNames: ['a', 'b']
+        },
+        {
+            queryString: 'predicate=' + encodeURIComponent(JSON.stringify({
+                not_exists: 'mac'
+            })),
+            expectedNames: ['c']
+        }
+    ];
+
+    vasync.forEachPipeline({
+        func: function runTestCase(testCase, done) {
+            listVmNames(t, testCase.queryString, function onNames(names) {
+                t.deepEqual(names, testCase.expectedNames,
+                    testCase.queryString + ' should match VMs ' +
+                        testCase.expectedNames);
+                done();
+            });
+        },
+        inputs: testCases
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.list_with_invalid_nics_filters = function (t) {
+    vasync.forEachPipeline({
+        func: function runTestCase(queryString, done) {
+            client.get('/vms?' + queryString,
+                function onList(err, req, res, body) {
+                    t.ok(err, 'listing VMs with ' + queryString +
+                        ' should error');
+                    t.equal(res.statusCode, 409, 'status code should be 409');
+                    t.equal(body.code, 'ValidationFailed',
+                        'error code should be ValidationFailed');
+                    done();
+                });
+        },
+        inputs: ['ip=10.99.0', 'mac=foo', 'network_uuid=foo']
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
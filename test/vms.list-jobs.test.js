@@ -0,0 +1,178 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the filters, sort and pagination parameters of ListJobs.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var common = require('./common');
+
+var client;
+
+function listJobs(t, queryString, callback) {
+    client.get('/jobs?' + queryString, function onList(err, req, res, body) {
+        t.ifError(err, 'listing jobs with ' + queryString + ' should not ' +
+            'error');
+        callback(body || [], res);
+    });
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.list_jobs_invalid_params = function (t) {
+    vasync.forEachPipeline({
+        func: function list(queryString, done) {
+            client.get('/jobs?' + queryString,
+                function onList(err, req, res, body) {
+                    t.ok(err, 'listing jobs with ' + queryString +
+                        ' should error');
+                    t.equal(res.statusCode, 409, 'status code should be 409');
+                    t.equal(body.code, 'ValidationFailed',
+                        'error code should be ValidationFailed');
+                    done();
+                });
+        },
+        inputs: [
+            'vm_uuid=foo',
+            'vm_uuid=' + uuid.v4() + ',foo',
+            'owner_uuid=foo',
+            'execution=foo',
+            'execution=running,foo',
+            'task=Foo',
+            'since=foo',
+            'limit=0',
+            'limit=1001',
+            'sort=uuid',
+            'sort=created_at.foo',
+            'marker=foo',
+            'marker=' + uuid.v4() + '&offset=1'
+        ]
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.list_jobs_unknown_marker = function (t) {
+    client.get('/jobs?marker=' + uuid.v4(),
+        function onList(err, req, res, body) {
+            t.ok(err, 'listing jobs with an unknown marker should error');
+            t.equal(res.statusCode, 409, 'status code should be 409');
+            t.equal(body.code, 'ValidationFailed',
+                'error code should be ValidationFailed');
+            t.done();
+        });
+};
+
+exports.list_jobs_with_execution_list = function (t) {
+    listJobs(t, 'execution=succeeded,failed&limit=10', function (jobs, res) {
+        t.ok(res.headers['x-joyent-resource-count'] !== undefined,
+            'response should have a resource count header');
+        t.ok(jobs.length <= 10, 'at most 10 jobs should be listed');
+        jobs.forEach(function (job) {
+            t.ok(['succeeded', 'failed'].indexOf(job.execution) !== -1,
+                'job ' + job.uuid + ' should have succeeded or failed');
+        });
+        t.done();
+    });
+};
+
+exports.list_jobs_with_wfapi_filters = function (t) {
+    listJobs(t, 'execution=succeeded&limit=2&offset=1', function (jobs, res) {
+        t.ok(jobs.length <= 2, 'at most 2 jobs should be listed');
+        if (jobs.length === 2) {
+            t.equal(res.headers['x-joyent-resource-count'], undefined,
+                'full pages listed by WFAPI should not be counted');
+        } else if (jobs.length > 0) {
+            t.equal(res.headers['x-joyent-resource-count'],
+                String(1 + jobs.length),
+                'the last page listed by WFAPI should be counted');
+        }
+        jobs.forEach(function (job) {
+            t.equal(job.execution, 'succeeded',
+                'job ' + job.uuid + ' should have succeeded');
+        });
+        t.done();
+    });
+};
+
+exports.list_jobs_with_unknown_param = function (t) {
+    listJobs(t, 'foo=bar&execution=succeeded&limit=2', function (jobs) {
+        t.ok(jobs.length <= 2, 'at most 2 jobs should be listed');
+        jobs.forEach(function (job) {
+            t.equal(job.execution, 'succeeded',
+                'job ' + job.uuid + ' should have succeeded');
+        });
+        t.done();
+    });
+};
+
+exports.list_jobs_with_unknown_vms = function (t) {
+    listJobs(t, 'vm_uuid=' + uuid.v4() + ',' + uuid.v4(),
+        function (jobs, res) {
+            t.deepEqual(jobs, [], 'no job should be listed');
+            t.equal(res.headers['x-joyent-resource-count'], '0',
+                'resource count should be 0');
+            t.done();
+        });
+};
+
+exports.list_jobs_sorted_and_paginated = function (t) {
+    listJobs(t, 'sort=created_at.asc&limit=4', function (jobs) {
+        var idx;
+
+        for (idx = 1; idx < jobs.length; ++idx) {
+            t.ok(Date.parse(jobs[idx - 1].created_at) <=
+                Date.parse(jobs[idx].created_at),
+                'jobs should be sorted by ascending creation time');
+        }
+
+        if (jobs.length < 4) {
+            t.done();
+            return;
+        }
+
+        listJobs(t, 'sort=created_at.asc&limit=2&marker=' + jobs[1].uuid,
+            function (nextJobs) {
+                t.deepEqual(nextJobs.map(function (job) {
+                    return job.uuid;
+                }), [jobs[2].uuid, jobs[3].uuid],
+                    'marker should list the jobs after the marker job');
+                t.done();
+            });
+    });
+};
+
+exports.list_jobs_created_range = function (t) {
+    var since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    listJobs(t, 'since=' + since + '&limit=10', function (jobs) {
+        jobs.forEach(function (job) {
+            t.ok(Date.parse(job.created_at) >= Date.parse(since),
+                'job ' + job.uuid + ' should be created after ' + since);
+        });
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    client.close();
+    t.done();
+};
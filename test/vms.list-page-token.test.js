@@ -0,0 +1,219 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for paginating through the results of ListVms with page tokens.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+var NB_TEST_VMS = 5;
+
+/*
+ * Lists all the VMs of the test owner, starting with the request "firstQuery"
+ * and then following the next page tokens of the responses. Calls "callback"
+ * with the list of all pages of VMs.
+ */
+function listAllPages(t, firstQuery, callback) {
+    var pages = [];
+
+    function listPage(query) {
+        client.get(query, function onList(err, req, res, body) {
+            var pageToken;
+
+            t.ifError(err, 'listing VMs with ' + query + ' should not error');
+            if (err) {
+                callback(pages);
+                return;
+            }
+
+            pages.push(body);
+
+            pageToken = res.headers['x-joyent-next-page-token'];
+            if (pageToken === undefined) {
+                t.equal(res.headers.link, undefined,
+                    'last page should not have a Link header');
+                callback(pages);
+                return;
+            }
+
+            t.equal(res.headers.link, '</vms?page_token=' + pageToken +
+                '>; rel="next"', 'Link header should point to the next page');
+            listPage('/vms?page_token=' + pageToken);
+        });
+    }
+
+    listPage(firstQuery);
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    var vmsParams = [];
+    var i;
+
+    for (i = 0; i < NB_TEST_VMS; ++i) {
+        vmsParams.push({owner_uuid: OWNER_UUID, alias: 'page-' + i});
+    }
+
+    vasync.forEachPipeline({
+        func: function createVm(vmParams, done) {
+            vmTest.createTestVm(moray, {}, vmParams, done);
+        },
+        inputs: vmsParams
+    }, function onVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.list_with_page_tokens = function (t) {
+    listAllPages(t, '/vms?owner_uuid=' + OWNER_UUID + '&limit=2',
+        function onPages(pages) {
+            var uuids = [];
+
+            t.deepEqual(pages.map(function getLength(page) {
+                return page.length;
+            }), [2, 2, 1], 'VMs should be listed in pages of 2 VMs');
+
+            pages.forEach(function addUuids(page) {
+                page.forEach(function addUuid(vm) {
+                    t.equal(vm.owner_uuid, OWNER_UUID,
+                        'page token should keep the owner_uuid filter');
+                    if (uuids.indexOf(vm.uuid) === -1) {
+                        uuids.push(vm.uuid);
+                    }
+                });
+            });
+
+            t.equal(uuids.length, NB_TEST_VMS,
+                'all VMs should be listed exactly once');
+            t.done();
+        });
+};
+
+exports.list_with_page_tokens_and_sort = function (t) {
+    listAllPages(t, '/vms?owner_uuid=' + OWNER_UUID + '&limit=2&sort=alias.asc',
+        function onPages(pages) {
+            var aliases = [];
+
+            pages.forEach(function addAliases(page) {
+                page.forEach(function addAlias(vm) {
+                    aliases.push(vm.alias);
+                });
+            });
+
+            t.deepEqual(aliases, ['test--page-0', 'test--page-1',
+                'test--page-2', 'test--page-3', 'test--page-4'],
+                'page tokens should keep the sort order');
+            t.done();
+        });
+};
+
+exports.list_with_invalid_page_tokens = function (t) {
+    var query = '/vms?owner_uuid=' + OWNER_UUID + '&limit=2';
+
+    client.get(query, function onList(err, req, res) {
+        var pageToken;
+        var tamperedPayload;
+
+        t.ifError(err, 'listing VMs should not error');
+        if (err) {
+            t.done();
+            return;
+        }
+
+        pageToken = res.headers['x-joyent-next-page-token'];
+        t.ok(pageToken, 'response should have a next page token');
+
+        tamperedPayload = Buffer.from(JSON.stringify({
+            v: 1,
+            params: {limit: '1000'}
+        })).toString('base64').replace(/=+$/, '');
+
+        vasync.forEachPipeline({
+            func: function listWithInvalidToken(queryString, done) {
+                client.get('/vms?' + queryString,
+                    function onListInvalid(listErr, listReq, listRes, body) {
+                        t.ok(listErr, 'listing VMs with ' + queryString +
+                            ' should error');
+                        t.equal(listRes.statusCode, 409,
+                            'status code should be 409');
+                        t.equal(body.code, 'ValidationFailed',
+                            'error code should be ValidationFailed');
+                        done();
+                    });
+            },
+            inputs: [
+                'page_token=foo',
+                'page_token=' + tamperedPayload + '.' +
+                    pageToken.split('.')[1],
+                'page_token=' + pageToken + '&limit=1'
+            ]
+        }, function onDone() {
+            t.done();
+        });
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
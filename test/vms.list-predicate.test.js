@@ -0,0 +1,214 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the "in", "prefix", "contains", "exists", "not_exists" and "not"
+ * predicate operators of ListVms.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+
+/*
+ * Each test VM has a "name" tag that is used to identify it in the results of
+ * ListVms requests.
+ */
+var TEST_VMS_PARAMS = [
+    {
+        owner_uuid: OWNER_UUID,
+        state: 'running',
+        tags: {name: 'a', role: 'web-front'},
+        internal_metadata: {'some:key': 'foobar'}
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        state: 'stopped',
+        tags: {name: 'b', role: 'db'}
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        state: 'provisioning',
+        tags: {name: 'c'}
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        state: 'failed',
+        tags: {name: 'd', role: 'web-back'},
+        internal_metadata: {'some:key': 'barfoo'}
+    }
+];
+
+function listVmNames(t, predicate, callback) {
+    var query = '/vms?owner_uuid=' + OWNER_UUID + '&predicate=' +
+        encodeURIComponent(JSON.stringify(predicate));
+
+    client.get(query, function onList(err, req, res, body) {
+        t.ifError(err, 'listing VMs with predicate ' +
+            JSON.stringify(predicate) + ' should not error');
+
+        callback((body || []).map(function getName(vm) {
+            return vm.tags.name;
+        }).sort());
+    });
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vasync.forEachPipeline({
+        func: function createVm(vmParams, done) {
+            vmTest.createTestVm(moray, {}, vmParams, done);
+        },
+        inputs: TEST_VMS_PARAMS
+    }, function onVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.list_with_valid_predicates = function (t) {
+    var testCases = [
+        {
+            predicate: {'in': ['state', ['running', 'stopped', 'failed']]},
+            expectedNames: ['a', 'b', 'd']
+        },
+        {
+            predicate: {'in': ['tag.name', ['c']]},
+            expectedNames: ['c']
+        },
+        {
+            predicate: {prefix: ['tag.role', 'web-']},
+            expectedNames: ['a', 'd']
+        },
+        {
+            predicate: {contains: ['internal_metadata.some:key', 'oba']},
+            expectedNames: ['a']
+        },
+        {
+            predicate: {exists: 'tag.role'},
+            expectedNames: ['a', 'b', 'd']
+        },
+        {
+            predicate: {not_exists: 'tag.role'},
+            expectedNames: ['c']
+        },
+        {
+            predicate: {not: {'in': ['state', ['running', 'stopped']]}},
+            expectedNames: ['c', 'd']
+        },
+        {
+            predicate: {and: [
+                {exists: 'tag.role'},
+                {not: {prefix: ['tag.role', 'web']}}
+            ]},
+            expectedNames: ['b']
+        }
+    ];
+
+    vasync.forEachPipeline({
+        func: function runTestCase(testCase, done) {
+            listVmNames(t, testCase.predicate, function onNames(names) {
+                t.deepEqual(names, testCase.expectedNames,
+                    'predicate ' + JSON.stringify(testCase.predicate) +
+                        ' should match VMs ' + testCase.expectedNames);
+                done();
+            });
+        },
+        inputs: testCases
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.list_with_invalid_predicates = function (t) {
+    var invalidPredicates = [
+        {'in': ['state', []]},
+        {'in': ['state', 'running']},
+        {prefix: ['alias', 'foo*']},
+        {prefix: ['alias', '']},
+        {contains: ['tag.role', 'web']},
+        {exists: ['alias']},
+        {not: {}}
+    ];
+
+    vasync.forEachPipeline({
+        func: function runTestCase(predicate, done) {
+            var query = '/vms?predicate=' +
+                encodeURIComponent(JSON.stringify(predicate));
+
+            client.get(query, function onList(err, req, res, body) {
+                t.ok(err, 'listing VMs with predicate ' +
+                    JSON.stringify(predicate) + ' should error');
+                t.equal(res.statusCode, 409, 'status code should be 409');
+                t.equal(body.code, 'ValidationFailed',
+                    'error code should be ValidationFailed');
+                done();
+            });
+        },
+        inputs: invalidPredicates
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -34,7 +34,10 @@ exports.list_param_invalid_sort = function (t) {
         'foo.ASC',
         'foo.asc',
         'create_timestamp.foo',
-        'create_timestamp.'
+        'create_timestamp.',
+        'state.asc,foo',
+        'state.asc,',
+        'state.asc,state.desc'
     ];
 
     vasync.forEachParallel({
@@ -68,6 +71,9 @@ exports.list_param_valid_sort = function (t) {
         });
     });
 
+    VALID_SORT_PARAMS.push('state.asc,create_timestamp.desc');
+    VALID_SORT_PARAMS.push('brand,alias.ASC,uuid.DESC');
+
     vasync.forEachParallel({
         func: function listWithValidSort(validSortParam, callback) {
             testCommon.testListValidParams(CLIENT, {sort: validSortParam}, t,
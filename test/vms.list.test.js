@@ -443,7 +443,10 @@ exports.list_param_valid_vm_fields = function (t) {
     var validVmFieldsList = allVmFields.concat([
         allVmFields.join(','),
         'role_tags',
-        '*'
+        '*',
+        'uuid,nics.ip,nics.mac,disks.size,customer_metadata.user-script',
+        '-internal_metadata,-customer_metadata',
+        '*,-role_tags,-nics.mac'
     ]);
 
     async.each(validVmFieldsList,
@@ -461,7 +464,12 @@ exports.list_param_invalid_vm_fields = function (t) {
         'foo',
         '',
         'foo,bar',
-        validation.VM_FIELDS[0].name + ',bar'
+        validation.VM_FIELDS[0].name + ',bar',
+        'foo.bar',
+        '-foo',
+        '-*',
+        'nics.',
+        'nics..ip'
     ], function (invalidVmFields, next) {
         var expectedError = {
             code: 'ValidationFailed',
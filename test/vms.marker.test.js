@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2017, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 var assert = require('assert-plus');
@@ -16,6 +16,7 @@ var Logger = require('bunyan');
 var moray = require('moray');
 var restify = require('restify');
 var url = require('url');
+var uuid = require('uuid');
 
 var changefeedUtils = require('../lib/changefeed');
 var common = require('./common');
@@ -560,6 +561,170 @@ Object.keys(NON_STRICT_TOTAL_ORDER_SORT_KEYS).forEach(function (sortKey) {
     createMarkerTests(sortKey, exports);
 });
 
+/*
+ * Checks that paginating with markers through VMs sorted on several fields
+ * lists all VMs exactly once, in the expected order, even when VMs that have
+ * the same value for the first sort field are split across pages.
+ */
+exports.list_vms_marker_multiple_sort_fields_ok = function (t) {
+    var LIMIT = 2;
+    var MULTI_SORT_OWNER_UUID = uuid.v4();
+    var MULTI_SORT_PARAM = 'state.ASC,alias.DESC';
+    var TEST_VMS_PARAMS = [
+        {state: 'running', alias: 'a'},
+        {state: 'stopped', alias: 'b'},
+        {state: 'running', alias: 'c'},
+        {state: 'stopped', alias: 'd'},
+        {state: 'running', alias: 'e'}
+    ];
+    var EXPECTED_ALIASES = ['e', 'c', 'a', 'd', 'b'].map(function (alias) {
+        return vmTest.TEST_VMS_ALIAS + alias;
+    });
+
+    var listedAliases = [];
+
+    function listPage(marker, next) {
+        var queryStringObject = {
+            owner_uuid: MULTI_SORT_OWNER_UUID,
+            sort: MULTI_SORT_PARAM,
+            limit: LIMIT
+        };
+
+        if (marker !== undefined)
+            queryStringObject.marker = JSON.stringify(marker);
+
+        client.get(url.format({pathname: '/vms', query: queryStringObject}),
+            function (err, req, res, body) {
+                t.ifError(err, 'listing VMs should not error');
+                if (err)
+                    return next(err);
+
+                body.forEach(function (vm) {
+                    listedAliases.push(vm.alias);
+                });
+
+                if (body.length < LIMIT)
+                    return next();
+
+                return listPage(buildMarker(body[body.length - 1],
+                    ['state', 'alias', 'uuid']), next);
+            });
+    }
+
+    async.series([
+        function createTestVms(next) {
+            async.eachSeries(TEST_VMS_PARAMS, function (vmParams, done) {
+                vmParams.owner_uuid = MULTI_SORT_OWNER_UUID;
+                vmTest.createTestVm(storage, {}, vmParams, done);
+            }, next);
+        },
+        function listAllPages(next) {
+            listPage(undefined, next);
+        }
+    ], function allDone(err) {
+        t.ifError(err);
+        t.deepEqual(listedAliases, EXPECTED_ALIASES,
+            'all VMs should be listed once, sorted on state then alias');
+        t.done();
+    });
+};
+
+exports.delete_test_vms_marker_multiple_sort_fields_ok = function (t) {
+    vmTest.deleteTestVMs(storage, {}, function testVmsDeleted(err) {
+        t.ifError(err, 'deleting fake VMs should not error');
+        t.done();
+    });
+};
+
+/*
+ * Checks that paginating with markers through VMs sorted on several fields
+ * lists all VMs exactly once, in the expected order, when the marker has no
+ * value for a sort field that is not the last one. VMs that have no value for a
+ * field come first when sorting on that field in descending order.
+ */
+exports.list_vms_marker_null_middle_sort_field_ok = function (t) {
+    var LIMIT = 2;
+    var NULL_SORT_OWNER_UUID = uuid.v4();
+    var NULL_SORT_PARAM = 'state.ASC,billing_id.DESC,alias.ASC';
+    var BILLING_ID_1 = '00000000-0000-0000-0000-000000000001';
+    var BILLING_ID_2 = '00000000-0000-0000-0000-000000000002';
+    var TEST_VMS_PARAMS = [
+        {state: 'running', billing_id: BILLING_ID_1, alias: 'a'},
+        {state: 'running', alias: 'b'},
+        {state: 'running', billing_id: BILLING_ID_2, alias: 'c'},
+        {state: 'running', alias: 'd'},
+        {state: 'stopped', billing_id: BILLING_ID_1, alias: 'e'}
+    ];
+    /*
+     * The second page starts after the VM with alias "d", which has no
+     * billing_id, so its marker has a null billing_id.
+     */
+    var EXPECTED_ALIASES = ['b', 'd', 'c', 'a', 'e'].map(function (alias) {
+        return vmTest.TEST_VMS_ALIAS + alias;
+    });
+
+    var listedAliases = [];
+
+    function listPage(marker, next) {
+        var queryStringObject = {
+            owner_uuid: NULL_SORT_OWNER_UUID,
+            sort: NULL_SORT_PARAM,
+            limit: LIMIT
+        };
+
+        if (marker !== undefined)
+            queryStringObject.marker = JSON.stringify(marker);
+
+        client.get(url.format({pathname: '/vms', query: queryStringObject}),
+            function (err, req, res, body) {
+                var nextMarker;
+
+                t.ifError(err, 'listing VMs should not error');
+                if (err)
+                    return next(err);
+
+                body.forEach(function (vm) {
+                    listedAliases.push(vm.alias);
+                });
+
+                if (body.length < LIMIT)
+                    return next();
+
+                nextMarker = buildMarker(body[body.length - 1],
+                    ['state', 'billing_id', 'alias', 'uuid']);
+                if (nextMarker.billing_id === undefined)
+                    nextMarker.billing_id = null;
+
+                return listPage(nextMarker, next);
+            });
+    }
+
+    async.series([
+        function createTestVms(next) {
+            async.eachSeries(TEST_VMS_PARAMS, function (vmParams, done) {
+                vmParams.owner_uuid = NULL_SORT_OWNER_UUID;
+                vmTest.createTestVm(storage, {}, vmParams, done);
+            }, next);
+        },
+        function listAllPages(next) {
+            listPage(undefined, next);
+        }
+    ], function allDone(err) {
+        t.ifError(err);
+        t.deepEqual(listedAliases, EXPECTED_ALIASES,
+            'all VMs should be listed once, sorted on state, billing_id ' +
+                'then alias');
+        t.done();
+    });
+};
+
+exports.delete_test_vms_marker_null_middle_sort_field_ok = function (t) {
+    vmTest.deleteTestVMs(storage, {}, function testVmsDeleted(err) {
+        t.ifError(err, 'deleting fake VMs should not error');
+        t.done();
+    });
+};
+
 exports.close_moray_client = function (t) {
     morayClient.close();
     t.done();
@@ -0,0 +1,139 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the /owners/:owner_uuid/limits endpoints.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+
+var common = require('./common');
+
+var client;
+
+var OWNER_UUID = uuid.v4();
+var OTHER_OWNER_UUID = uuid.v4();
+
+var limitUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.create_limit_without_resource_fails = function (t) {
+    client.post('/owners/' + OWNER_UUID + '/limits', {brand: 'joyent'},
+        function (err, req, res, body) {
+            t.ok(err, 'creating a limit without resource should error');
+            t.equal(res.statusCode, 409, 'status code should be 409');
+            t.equal(body.code, 'ValidationFailed',
+                'error code should be ValidationFailed');
+            t.done();
+        });
+};
+
+exports.create_limit_invalid_params_fails = function (t) {
+    client.post('/owners/' + OWNER_UUID + '/limits', {
+        brand: 'foo',
+        vms: 'bar'
+    }, function (err, req, res, body) {
+        t.ok(err, 'creating a limit with invalid params should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.equal(body.errors.length, 2, 'there should be two errors');
+        t.done();
+    });
+};
+
+exports.create_limit = function (t) {
+    client.post('/owners/' + OWNER_UUID + '/limits', {
+        brand: 'joyent',
+        vms: 2,
+        ram: 4096
+    }, function (err, req, res, body) {
+        t.ifError(err, 'creating a limit should not error');
+        t.equal(res.statusCode, 201, 'status code should be 201');
+        t.ok(body.uuid, 'limit should have a UUID');
+        t.equal(body.owner_uuid, OWNER_UUID, 'limit should have the owner');
+        t.equal(body.brand, 'joyent', 'limit should have the brand');
+        t.equal(body.vms, 2, 'limit should have a vms limit');
+        t.equal(body.ram, 4096, 'limit should have a ram limit');
+        limitUuid = body.uuid;
+        t.done();
+    });
+};
+
+exports.list_limits = function (t) {
+    client.get('/owners/' + OWNER_UUID + '/limits',
+        function (err, req, res, body) {
+            t.ifError(err, 'listing limits should not error');
+            t.equal(body.length, 1, 'owner should have one limit');
+            t.equal(body[0].uuid, limitUuid, 'limit should be listed');
+            t.done();
+        });
+};
+
+exports.get_limit_of_other_owner_fails = function (t) {
+    client.get('/owners/' + OTHER_OWNER_UUID + '/limits/' + limitUuid,
+        function (err, req, res) {
+            t.ok(err, 'getting a limit of another owner should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.update_limit = function (t) {
+    client.put('/owners/' + OWNER_UUID + '/limits/' + limitUuid, {
+        disk: 102400
+    }, function (err, req, res, body) {
+        t.ifError(err, 'updating a limit should not error');
+        t.equal(res.statusCode, 200, 'status code should be 200');
+        t.equal(body.uuid, limitUuid, 'limit should keep its UUID');
+        t.equal(body.disk, 102400, 'limit should have a disk limit');
+        t.equal(body.vms, undefined, 'limit should be replaced');
+        t.done();
+    });
+};
+
+exports.get_limit = function (t) {
+    client.get('/owners/' + OWNER_UUID + '/limits/' + limitUuid,
+        function (err, req, res, body) {
+            t.ifError(err, 'getting a limit should not error');
+            t.equal(body.disk, 102400, 'limit should have been updated');
+            t.done();
+        });
+};
+
+exports.delete_limit = function (t) {
+    client.del('/owners/' + OWNER_UUID + '/limits/' + limitUuid,
+        function (err, req, res) {
+            t.ifError(err, 'deleting a limit should not error');
+            t.equal(res.statusCode, 204, 'status code should be 204');
+            t.done();
+        });
+};
+
+exports.get_deleted_limit_fails = function (t) {
+    client.get('/owners/' + OWNER_UUID + '/limits/' + limitUuid,
+        function (err, req, res) {
+            t.ok(err, 'getting a deleted limit should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.close_clients = function (t) {
+    client.close();
+    t.done();
+};
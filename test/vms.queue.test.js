@@ -0,0 +1,134 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the GET /vms/:uuid/queue endpoint.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var headnode;
+var unallocatedVmUuid;
+var vmUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.find_headnode = function (t) {
+    common.findHeadnode(t, client, function onHeadnode(err, server) {
+        t.ifError(err, 'finding the headnode should not error');
+        headnode = server;
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: uuid.v4(),
+        server_uuid: headnode.uuid,
+        state: 'running'
+    }, function onVmCreated(err, createdUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        vmUuid = createdUuid;
+
+        vmTest.createTestVm(moray, {}, {
+            owner_uuid: uuid.v4(),
+            state: 'provisioning'
+        }, function onUnallocatedVmCreated(err2, uuid2) {
+            t.ifError(err2, 'creating unallocated test VM should not error');
+            unallocatedVmUuid = uuid2;
+            t.done();
+        });
+    });
+};
+
+exports.get_vm_queue = function (t) {
+    client.get('/vms/' + vmUuid + '/queue', function (err, req, res, queue) {
+        t.ifError(err, 'getting the VM queue should not error');
+        t.equal(res.statusCode, 200, 'status code should be 200');
+        t.equal(queue.vm_uuid, vmUuid, 'queue should have the VM UUID');
+        t.equal(queue.server_uuid, headnode.uuid,
+            'queue should have the server UUID');
+        t.deepEqual(queue.tickets, [], 'VM should have no ticket');
+        t.deepEqual(queue.jobs, [], 'VM should have no job');
+        t.done();
+    });
+};
+
+exports.get_unallocated_vm_queue = function (t) {
+    client.get('/vms/' + unallocatedVmUuid + '/queue',
+        function (err, req, res, queue) {
+            t.ifError(err, 'getting the VM queue should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(queue.server_uuid, null, 'VM should have no server');
+            t.deepEqual(queue.tickets, [], 'VM should have no ticket');
+            t.done();
+        });
+};
+
+exports.get_unknown_vm_queue = function (t) {
+    client.get('/vms/' + uuid.v4() + '/queue', function (err, req, res) {
+        t.ok(err, 'getting the queue of an unknown VM should error');
+        t.equal(res.statusCode, 404, 'status code should be 404');
+        t.done();
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
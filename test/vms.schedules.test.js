@@ -0,0 +1,415 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the /schedules endpoints, and for computing when schedules run and
+ * which of their snapshots they keep.
+ */
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var cron = require('../lib/cron');
+var morayInit = require('../lib/moray/moray-init');
+var Scheduler = require('../lib/scheduler').Scheduler;
+var schedules = require('../lib/schedules');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+var OTHER_OWNER_UUID = uuid.v4();
+
+var otherOwnerVmUuid;
+var scheduleUuid;
+var vmUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.next_cron_time = function (t) {
+    // 2026-10-17 is a Saturday.
+    var after = Date.parse('2026-10-17T03:00:00Z');
+
+    [
+        ['0 2 * * 0', '2026-10-18T02:00:00.000Z'],
+        ['0 2 * * 7', '2026-10-18T02:00:00.000Z'],
+        ['*/15 * * * *', '2026-10-17T03:15:00.000Z'],
+        ['30 1-3 * * *', '2026-10-17T03:30:00.000Z'],
+        ['0 0 1 * *', '2026-11-01T00:00:00.000Z'],
+        ['0 0 13 * 5', '2026-10-23T00:00:00.000Z'],
+        ['@yearly', '2027-01-01T00:00:00.000Z']
+    ].forEach(function checkNextTime(testCase) {
+        t.equal(new Date(cron.nextCronTime(testCase[0], after)).toISOString(),
+            testCase[1], testCase[0] + ' should next run at ' + testCase[1]);
+    });
+
+    t.equal(cron.nextCronTime('0 0 31 2 *', after), null,
+        'expressions that are never due should have no next run');
+
+    ['* * * *', '60 * * * *', '*/0 * * * *', '5-1 * * * *', '0 0 * 13 *',
+        'foo * * * *'].forEach(function checkInvalid(expression) {
+        t.ok(!cron.isValidCron(expression), expression + ' should be invalid');
+    });
+
+    t.done();
+};
+
+exports.expired_schedule_snapshots = function (t) {
+    var schedule = {uuid: '2b1c4c2e-6f6e-4d2b-9a5e-6b0f3e2a1c9d', keep: 2};
+    var snapshotNames = [
+        Date.parse('2026-10-15T02:00:00Z'),
+        Date.parse('2026-10-17T02:00:00Z'),
+        Date.parse('2026-10-16T02:00:00Z')
+    ].map(function getName(scheduledFor) {
+        return schedules.getScheduleSnapshotName(schedule, scheduledFor);
+    });
+
+    t.equal(snapshotNames[0], 'schedule-2b1c4c2e-20261015T020000Z',
+        'snapshot names should have the schedule and the scheduled time');
+
+    t.deepEqual(schedules.getExpiredScheduleSnapshots(schedule, {
+        snapshots: [
+            {name: 'manual'},
+            {name: 'schedule-11111111-20261014T020000Z'}
+        ].concat(snapshotNames.map(function toSnapshot(name) {
+            return {name: name};
+        }))
+    }), ['schedule-2b1c4c2e-20261015T020000Z'],
+        'only the oldest snapshots of the schedule should be expired');
+
+    t.done();
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: OWNER_UUID,
+        state: 'running'
+    }, function onVmCreated(err, createdUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        vmUuid = createdUuid;
+
+        vmTest.createTestVm(moray, {}, {
+            owner_uuid: OTHER_OWNER_UUID,
+            state: 'running'
+        }, function onOtherVmCreated(err2, uuid2) {
+            t.ifError(err2, 'creating test VM should not error');
+            otherOwnerVmUuid = uuid2;
+            t.done();
+        });
+    });
+};
+
+exports.create_schedule_invalid_params_fails = function (t) {
+    vasync.forEachPipeline({
+        func: function createSchedule(params, done) {
+            client.post('/schedules', params, function (err, req, res, body) {
+                t.ok(err, 'creating a schedule with ' + JSON.stringify(params) +
+                    ' should error');
+                t.equal(res.statusCode, 409, 'status code should be 409');
+                t.equal(body.code, 'ValidationFailed',
+                    'error code should be ValidationFailed');
+                done();
+            });
+        },
+        inputs: [
+            {action: 'reboot', cron: '@daily', vm_uuids: [vmUuid]},
+            {owner_uuid: OWNER_UUID, cron: '@daily', vm_uuids: [vmUuid]},
+            {
+                owner_uuid: OWNER_UUID,
+                action: 'stop',
+                cron: '@daily',
+                vm_uuids: [vmUuid]
+            },
+            {
+                owner_uuid: OWNER_UUID,
+                action: 'reboot',
+                cron: '0 25 * * *',
+                vm_uuids: [vmUuid]
+            },
+            {owner_uuid: OWNER_UUID, action: 'reboot', cron: '@daily'},
+            {
+                owner_uuid: OWNER_UUID,
+                action: 'reboot',
+                cron: '@daily',
+                vm_uuids: ['foo']
+            },
+            {
+                owner_uuid: OWNER_UUID,
+                action: 'reboot',
+                cron: '@daily',
+                vm_uuids: [vmUuid],
+                keep: 7
+            },
+            {
+                owner_uuid: OWNER_UUID,
+                action: 'snapshot',
+                cron: '@daily',
+                vm_uuids: [vmUuid],
+                keep: 0
+            },
+            {
+                owner_uuid: OWNER_UUID,
+                action: 'reboot',
+                cron: '@daily',
+                vm_uuids: [otherOwnerVmUuid]
+            },
+            {
+                owner_uuid: OWNER_UUID,
+                action: 'reboot',
+                cron: '@daily',
+                vm_uuids: [uuid.v4()]
+            }
+        ]
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.create_schedule = function (t) {
+    client.post('/schedules', {
+        owner_uuid: OWNER_UUID,
+        name: 'nightly-snapshots',
+        action: 'snapshot',
+        vm_uuids: [vmUuid],
+        cron: '0 2 * * *',
+        keep: 7
+    }, function (err, req, res, body) {
+        t.ifError(err, 'creating a schedule should not error');
+        t.equal(res.statusCode, 201, 'status code should be 201');
+        t.ok(body.uuid, 'schedule should have a UUID');
+        t.equal(body.owner_uuid, OWNER_UUID, 'schedule should have the owner');
+        t.deepEqual(body.vm_uuids, [vmUuid], 'schedule should have the VMs');
+        t.equal(body.keep, 7, 'schedule should have the number of snapshots ' +
+            'to keep');
+        t.equal(body.enabled, true, 'schedule should be enabled');
+        t.equal(body.last_run, null, 'schedule should not have run');
+        t.ok(/T02:00:00\.000Z$/.test(body.next_run),
+            'schedule should next run at 02:00 UTC, got ' + body.next_run);
+        scheduleUuid = body.uuid;
+        t.done();
+    });
+};
+
+exports.list_schedules = function (t) {
+    client.get('/schedules?owner_uuid=' + OWNER_UUID,
+        function (err, req, res, body) {
+            t.ifError(err, 'listing schedules should not error');
+            t.equal(body.length, 1, 'owner should have one schedule');
+            t.equal(body[0].uuid, scheduleUuid, 'schedule should be listed');
+            t.done();
+        });
+};
+
+exports.list_schedules_without_owner_fails = function (t) {
+    client.get('/schedules', function (err, req, res) {
+        t.ok(err, 'listing schedules without owner should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.done();
+    });
+};
+
+exports.get_schedule_of_other_owner_fails = function (t) {
+    client.get('/schedules/' + scheduleUuid + '?owner_uuid=' +
+        OTHER_OWNER_UUID, function (err, req, res) {
+            t.ok(err, 'getting a schedule of another owner should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.update_schedule = function (t) {
+    client.put('/schedules/' + scheduleUuid, {
+        owner_uuid: OWNER_UUID,
+        action: 'reboot',
+        vm_uuids: vmUuid,
+        cron: '0 2 * * 0',
+        enabled: false
+    }, function (err, req, res, body) {
+        t.ifError(err, 'updating a schedule should not error');
+        t.equal(res.statusCode, 200, 'status code should be 200');
+        t.equal(body.uuid, scheduleUuid, 'schedule should keep its UUID');
+        t.equal(body.action, 'reboot', 'schedule should have the new action');
+        t.deepEqual(body.vm_uuids, [vmUuid], 'schedule should have the VMs');
+        t.equal(body.enabled, false, 'schedule should be disabled');
+        t.equal(body.keep, undefined, 'schedule should be replaced');
+        t.equal(new Date(body.next_run).getUTCDay(), 0,
+            'schedule should next run on a Sunday');
+        t.done();
+    });
+};
+
+exports.delete_schedule = function (t) {
+    client.del('/schedules/' + scheduleUuid + '?owner_uuid=' + OWNER_UUID,
+        function (err, req, res) {
+            t.ifError(err, 'deleting a schedule should not error');
+            t.equal(res.statusCode, 204, 'status code should be 204');
+            t.done();
+        });
+};
+
+exports.get_deleted_schedule_fails = function (t) {
+    client.get('/schedules/' + scheduleUuid + '?owner_uuid=' + OWNER_UUID,
+        function (err, req, res) {
+            t.ok(err, 'getting a deleted schedule should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+/*
+ * Runs a due snapshot schedule with a scheduler that creates jobs with a fake
+ * WFAPI client, and hands them to a fake snapshot pruner.
+ */
+exports.run_snapshot_schedule = function (t) {
+    var jobReqs = [];
+    var prunedJobs = [];
+    var scheduler = new Scheduler({
+        log: bunyan.createLogger({name: 'scheduler-test', level: 'fatal'}),
+        moray: moray,
+        wfapi: {
+            createSnapshotJob: function createSnapshotJob(jobReq, cb) {
+                jobReqs.push(jobReq);
+                setImmediate(cb, null, uuid.v4());
+            }
+        },
+        snapshotPruner: {
+            pruneAfterJob: function pruneAfterJob(options) {
+                prunedJobs.push(options);
+            }
+        }
+    });
+
+    vasync.pipeline({arg: {}, funcs: [
+        function createVm(ctx, next) {
+            vmTest.createTestVm(moray, {}, {
+                owner_uuid: OWNER_UUID,
+                brand: 'joyent',
+                server_uuid: uuid.v4(),
+                state: 'running'
+            }, function onVmCreated(err, createdUuid) {
+                ctx.vmUuid = createdUuid;
+                next(err);
+            });
+        },
+        function createSchedule(ctx, next) {
+            client.post('/schedules', {
+                owner_uuid: OWNER_UUID,
+                name: 'hourly-snapshots',
+                action: 'snapshot',
+                vm_uuids: [ctx.vmUuid],
+                cron: '0 * * * *',
+                keep: 2
+            }, function (err, req, res, body) {
+                ctx.scheduleUuid = body && body.uuid;
+                next(err);
+            });
+        },
+        function makeScheduleDue(ctx, next) {
+            moray.getSchedule(ctx.scheduleUuid,
+                function onGetSchedule(err, schedule, etag) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+
+                    schedule.next_run = Date.now() - 1000;
+                    moray.putSchedule(schedule, {etag: etag}, next);
+                });
+        },
+        function runSchedule(ctx, next) {
+            scheduler._runSchedule(ctx.scheduleUuid, next);
+        },
+        function checkRun(ctx, next) {
+            client.get('/schedules/' + ctx.scheduleUuid +
+                '?owner_uuid=' + OWNER_UUID, function (err, req, res, body) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+
+                    t.deepEqual(body.last_run.errors, [],
+                        'run should not have errors');
+                    t.equal(body.last_run.jobs.length, 1,
+                        'run should have created one job');
+                    t.equal(jobReqs.length, 1,
+                        'one snapshot job should have been created');
+                    t.equal(jobReqs[0].vm.uuid, ctx.vmUuid,
+                        'snapshot job should be for the schedule\'s VM');
+                    t.ok(/^schedule-/.test(jobReqs[0].params.snapshot_name),
+                        'snapshot should be named after the schedule');
+                    t.deepEqual(prunedJobs.map(function getJobUuid(job) {
+                        return job.jobUuid;
+                    }), [body.last_run.jobs[0].job_uuid],
+                        'snapshot job should be handed to the pruner');
+                    t.ok(Date.parse(body.next_run) > Date.now(),
+                        'schedule should next run in the future');
+                    next();
+                });
+        },
+        function deleteSchedule(ctx, next) {
+            client.del('/schedules/' + ctx.scheduleUuid +
+                '?owner_uuid=' + OWNER_UUID, function (err) {
+                    next(err);
+                });
+        }
+    ]}, function onDone(err) {
+        t.ifError(err, 'running a snapshot schedule should not error');
+        t.done();
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
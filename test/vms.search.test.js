@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the GET /vms/search endpoint.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+var OTHER_OWNER_UUID = uuid.v4();
+
+/*
+ * Each test VM has a "name" tag that is used to identify it in search results.
+ */
+var TEST_VMS_PARAMS = [
+    {
+        owner_uuid: OWNER_UUID,
+        alias: 'frontend-01',
+        tags: {name: 'a'}
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        alias: 'lb0',
+        tags: {name: 'b', role: 'frontends'}
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        alias: 'db0',
+        tags: {name: 'c', 'docker:label:com.example.tier': 'backend'},
+        customer_metadata: {'frontend-url': 'https://example.com'}
+    },
+    {
+        owner_uuid: OTHER_OWNER_UUID,
+        alias: 'frontend-02',
+        tags: {name: 'd'}
+    }
+];
+
+function searchVmNames(t, queryString, callback) {
+    client.get('/vms/search?' + queryString,
+        function onSearch(err, req, res, body) {
+            t.ifError(err, 'searching VMs with ' + queryString + ' should ' +
+                'not error');
+
+            callback((body || []).map(function getName(vm) {
+                return vm.tags.name;
+            }));
+        });
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vasync.forEachPipeline({
+        func: function createVm(vmParams, done) {
+            vmTest.createTestVm(moray, {}, vmParams, done);
+        },
+        inputs: TEST_VMS_PARAMS
+    }, function onVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.search_ranks_results = function (t) {
+    searchVmNames(t, 'owner_uuid=' + OWNER_UUID + '&q=Front',
+        function onNames(names) {
+            t.deepEqual(names, ['a', 'b', 'c'], 'alias matches should ' +
+                'rank before tag matches, which should rank before ' +
+                'customer_metadata key matches');
+            t.done();
+        });
+};
+
+exports.search_matches_all_words = function (t) {
+    searchVmNames(t, 'owner_uuid=' + OWNER_UUID + '&q=front%20example',
+        function onNames(names) {
+            t.deepEqual(names, ['c'], 'only VMs that match all words should ' +
+                'be returned');
+            t.done();
+        });
+};
+
+exports.search_docker_labels = function (t) {
+    searchVmNames(t, 'owner_uuid=' + OWNER_UUID + '&q=tier',
+        function onNames(names) {
+            t.deepEqual(names, ['c'], 'docker label names should be ' +
+                'searchable');
+            t.done();
+        });
+};
+
+exports.search_with_limit = function (t) {
+    client.get('/vms/search?owner_uuid=' + OWNER_UUID + '&q=front&limit=1',
+        function onSearch(err, req, res, body) {
+            t.ifError(err, 'searching VMs should not error');
+            t.deepEqual(body.map(function getName(vm) {
+                return vm.tags.name;
+            }), ['a'], 'only the best match should be returned');
+            t.equal(res.headers['x-joyent-resource-count'], '3',
+                'count should be the number of VMs that match');
+            t.done();
+        });
+};
+
+exports.search_no_match = function (t) {
+    searchVmNames(t, 'owner_uuid=' + OWNER_UUID + '&q=nomatch',
+        function onNames(names) {
+            t.deepEqual(names, [], 'no VM should match');
+            t.done();
+        });
+};
+
+exports.search_invalid_params = function (t) {
+    vasync.forEachPipeline({
+        func: function search(queryString, done) {
+            client.get('/vms/search?' + queryString,
+                function onSearch(err, req, res, body) {
+                    t.ok(err, 'searching VMs with ' + queryString +
+                        ' should error');
+                    t.equal(res.statusCode, 409, 'status code should be 409');
+                    t.equal(body.code, 'ValidationFailed',
+                        'error code should be ValidationFailed');
+                    done();
+                });
+        },
+        inputs: ['', 'q=a', 'q=foo&owner_uuid=foo', 'q=foo&alias=foo']
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -0,0 +1,324 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the /searches endpoints and for executing saved searches with
+ * ListVms.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+var OTHER_OWNER_UUID = uuid.v4();
+
+var SEARCH_NAME = 'test-dbs';
+var searchUuid;
+
+/*
+ * Each test VM has a "name" tag that is used to identify it in ListVms
+ * results.
+ */
+var TEST_VMS_PARAMS = [
+    {
+        owner_uuid: OWNER_UUID,
+        state: 'running',
+        tags: {name: 'a', role: 'db'}
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        state: 'stopped',
+        tags: {name: 'b', role: 'db'}
+    },
+    {
+        owner_uuid: OWNER_UUID,
+        state: 'running',
+        tags: {name: 'c', role: 'web'}
+    },
+    {
+        owner_uuid: OTHER_OWNER_UUID,
+        state: 'running',
+        tags: {name: 'd', role: 'db'}
+    }
+];
+
+function listVmNames(t, queryString, callback) {
+    client.get('/vms?' + queryString, function onList(err, req, res, body) {
+        t.ifError(err, 'listing VMs with ' + queryString + ' should not ' +
+            'error');
+
+        callback((body || []).map(function getName(vm) {
+            return vm.tags.name;
+        }).sort());
+    });
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vasync.forEachPipeline({
+        func: function createVm(vmParams, done) {
+            vmTest.createTestVm(moray, {}, vmParams, done);
+        },
+        inputs: TEST_VMS_PARAMS
+    }, function onVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_search_invalid_params_fails = function (t) {
+    vasync.forEachPipeline({
+        func: function createSearch(params, done) {
+            client.post('/searches', params, function (err, req, res, body) {
+                t.ok(err, 'creating a search with ' + JSON.stringify(params) +
+                    ' should error');
+                t.equal(res.statusCode, 409, 'status code should be 409');
+                t.equal(body.code, 'ValidationFailed',
+                    'error code should be ValidationFailed');
+                done();
+            });
+        },
+        inputs: [
+            {name: SEARCH_NAME, filters: {'tag.role': 'db'}},
+            {owner_uuid: OWNER_UUID, filters: {'tag.role': 'db'}},
+            {owner_uuid: OWNER_UUID, name: SEARCH_NAME},
+            {owner_uuid: OWNER_UUID, name: SEARCH_NAME, filters: {}},
+            {owner_uuid: OWNER_UUID, name: '-foo', filters: {'tag.role': 'db'}},
+            {owner_uuid: OWNER_UUID, name: SEARCH_NAME, filters: {limit: '1'}},
+            {owner_uuid: OWNER_UUID, name: SEARCH_NAME, filters: {foo: 'bar'}},
+            {owner_uuid: OWNER_UUID, name: SEARCH_NAME, filters: {state: 1}},
+            {
+                owner_uuid: OWNER_UUID,
+                name: SEARCH_NAME,
+                filters: {predicate: '{"foo":'}
+            }
+        ]
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.create_search = function (t) {
+    client.post('/searches', {
+        owner_uuid: OWNER_UUID,
+        name: SEARCH_NAME,
+        description: 'DB VMs',
+        filters: {
+            'tag.role': 'db',
+            predicate: '{"eq":["owner_uuid","' + OWNER_UUID + '"]}'
+        }
+    }, function (err, req, res, body) {
+        t.ifError(err, 'creating a search should not error');
+        t.equal(res.statusCode, 201, 'status code should be 201');
+        t.ok(body.uuid, 'search should have a UUID');
+        t.equal(body.owner_uuid, OWNER_UUID, 'search should have the owner');
+        t.equal(body.name, SEARCH_NAME, 'search should have the name');
+        t.equal(body.description, 'DB VMs',
+            'search should have the description');
+        t.equal(body.filters['tag.role'], 'db',
+            'search should have the filters');
+        searchUuid = body.uuid;
+        t.done();
+    });
+};
+
+exports.create_search_duplicate_name_fails = function (t) {
+    client.post('/searches', {
+        owner_uuid: OWNER_UUID,
+        name: SEARCH_NAME,
+        filters: {state: 'running'}
+    }, function (err, req, res, body) {
+        t.ok(err, 'creating a search with a duplicate name should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.equal(body.errors[0].code, 'Duplicate',
+            'error should be a duplicate name error');
+        t.done();
+    });
+};
+
+exports.list_searches = function (t) {
+    client.get('/searches?owner_uuid=' + OWNER_UUID,
+        function (err, req, res, body) {
+            t.ifError(err, 'listing searches should not error');
+            t.equal(body.length, 1, 'owner should have one search');
+            t.equal(body[0].uuid, searchUuid, 'search should be listed');
+            t.done();
+        });
+};
+
+exports.list_searches_without_owner_fails = function (t) {
+    client.get('/searches', function (err, req, res) {
+        t.ok(err, 'listing searches without owner should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.done();
+    });
+};
+
+exports.get_search_of_other_owner_fails = function (t) {
+    client.get('/searches/' + searchUuid + '?owner_uuid=' + OTHER_OWNER_UUID,
+        function (err, req, res) {
+            t.ok(err, 'getting a search of another owner should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.list_vms_with_search = function (t) {
+    listVmNames(t, 'owner_uuid=' + OWNER_UUID + '&search=' + SEARCH_NAME,
+        function onNames(names) {
+            t.deepEqual(names, ['a', 'b'], 'search should list the DB VMs ' +
+                'of the owner');
+            t.done();
+        });
+};
+
+exports.list_vms_with_search_and_filter = function (t) {
+    listVmNames(t, 'owner_uuid=' + OWNER_UUID + '&search=' + SEARCH_NAME +
+        '&state=running', function onNames(names) {
+            t.deepEqual(names, ['a'], 'search should be combined with ' +
+                'other filters');
+            t.done();
+        });
+};
+
+exports.list_vms_with_invalid_search_fails = function (t) {
+    vasync.forEachPipeline({
+        func: function listVms(testCase, done) {
+            client.get('/vms?' + testCase.query,
+                function (err, req, res, body) {
+                    t.ok(err, 'listing VMs with ' + testCase.query +
+                        ' should error');
+                    t.equal(res.statusCode, testCase.statusCode,
+                        'status code should be ' + testCase.statusCode);
+                    t.equal(body.code, testCase.code,
+                        'error code should be ' + testCase.code);
+                    done();
+                });
+        },
+        inputs: [
+            {
+                query: 'search=' + SEARCH_NAME,
+                statusCode: 409,
+                code: 'ValidationFailed'
+            },
+            {
+                query: 'owner_uuid=' + OWNER_UUID + '&search=' + SEARCH_NAME +
+                    '&tag.role=web',
+                statusCode: 409,
+                code: 'ValidationFailed'
+            },
+            {
+                query: 'owner_uuid=' + OTHER_OWNER_UUID + '&search=' +
+                    SEARCH_NAME,
+                statusCode: 404,
+                code: 'ResourceNotFound'
+            }
+        ]
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.update_search = function (t) {
+    client.put('/searches/' + searchUuid, {
+        owner_uuid: OWNER_UUID,
+        name: SEARCH_NAME,
+        filters: {state: 'running'}
+    }, function (err, req, res, body) {
+        t.ifError(err, 'updating a search should not error');
+        t.equal(res.statusCode, 200, 'status code should be 200');
+        t.equal(body.uuid, searchUuid, 'search should keep its UUID');
+        t.deepEqual(body.filters, {state: 'running'},
+            'search should have the new filters');
+        t.equal(body.description, undefined, 'search should be replaced');
+        t.done();
+    });
+};
+
+exports.list_vms_with_updated_search = function (t) {
+    listVmNames(t, 'owner_uuid=' + OWNER_UUID + '&search=' + SEARCH_NAME,
+        function onNames(names) {
+            t.deepEqual(names, ['a', 'c'], 'search should list the running ' +
+                'VMs of the owner');
+            t.done();
+        });
+};
+
+exports.delete_search = function (t) {
+    client.del('/searches/' + searchUuid + '?owner_uuid=' + OWNER_UUID,
+        function (err, req, res) {
+            t.ifError(err, 'deleting a search should not error');
+            t.equal(res.statusCode, 204, 'status code should be 204');
+            t.done();
+        });
+};
+
+exports.get_deleted_search_fails = function (t) {
+    client.get('/searches/' + searchUuid + '?owner_uuid=' + OWNER_UUID,
+        function (err, req, res) {
+            t.ok(err, 'getting a deleted search should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
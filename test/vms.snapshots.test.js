@@ -0,0 +1,367 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the /vms/:uuid/snapshots endpoints, and for computing which
+ * snapshots snapshot retention policies keep.
+ */
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var schedules = require('../lib/schedules');
+var snapshotRetention = require('../lib/snapshot-retention');
+var SnapshotPruner = require('../lib/snapshot-pruner').SnapshotPruner;
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var NOW = Date.parse('2026-10-18T12:00:00Z');
+var OWNER_UUID = uuid.v4();
+
+var SNAPSHOTS = [
+    {name: 'before-upgrade', created_at: '2026-09-01T09:00:00Z', size: 1024},
+    {name: 'daily-1', created_at: '2026-10-15T02:00:00Z', size: 2048},
+    {name: 'daily-2', created_at: '2026-10-16T02:00:00Z', size: 4096},
+    {name: 'daily-3', created_at: '2026-10-17T02:00:00Z'},
+    {name: 'daily-4', created_at: '2026-10-18T02:00:00Z', size: 512}
+];
+
+var POLICY = {
+    keep_last: 2,
+    keep_newer_than: '2d',
+    keep_tagged: ['before-upgrade']
+};
+
+var vmUuid;
+var vmWithPolicyUuid;
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.parse_retention_duration = function (t) {
+    t.equal(snapshotRetention.parseRetentionDuration('12h'),
+        12 * 60 * 60 * 1000, '12h should be 12 hours');
+    t.equal(snapshotRetention.parseRetentionDuration('7d'),
+        7 * 24 * 60 * 60 * 1000, '7d should be 7 days');
+    t.equal(snapshotRetention.parseRetentionDuration('2w'),
+        14 * 24 * 60 * 60 * 1000, '2w should be 14 days');
+
+    ['0d', '7', 'd', '1.5d', '7m', ' 7d', 7].forEach(
+        function checkInvalid(duration) {
+            t.equal(snapshotRetention.parseRetentionDuration(duration), null,
+                JSON.stringify(duration) + ' should be invalid');
+        });
+
+    t.done();
+};
+
+exports.expired_snapshots = function (t) {
+    var vm = {snapshots: SNAPSHOTS};
+
+    t.deepEqual(snapshotRetention.getExpiredSnapshots(vm, {keep_last: 3}, NOW),
+        ['before-upgrade', 'daily-1'],
+        'keep_last should keep the most recent snapshots');
+
+    t.deepEqual(snapshotRetention.getExpiredSnapshots(vm,
+        {keep_newer_than: '2d'}, NOW),
+        ['before-upgrade', 'daily-1', 'daily-2'],
+        'keep_newer_than should keep the snapshots newer than 2 days');
+
+    t.deepEqual(snapshotRetention.getExpiredSnapshots(vm, POLICY, NOW),
+        ['daily-1', 'daily-2'],
+        'snapshots should be kept if any rule of the policy keeps them');
+
+    t.deepEqual(snapshotRetention.getExpiredSnapshots({
+        snapshots: [
+            {name: 'unknown-1'},
+            {name: 'unknown-2'},
+            {name: 'unknown-3'}
+        ]
+    }, {keep_last: 1, keep_newer_than: '1h'}, NOW), [],
+        'snapshots with an unknown creation time should not expire by age');
+
+    t.done();
+};
+
+exports.translate_vm_snapshots = function (t) {
+    var snapshots = snapshotRetention.translateVmSnapshots({
+        internal_metadata: {
+            'vmapi:snapshot_retention': JSON.stringify(POLICY)
+        },
+        snapshots: SNAPSHOTS.slice().reverse()
+    }, NOW);
+
+    t.deepEqual(snapshots.map(function getName(snapshot) {
+        return snapshot.name;
+    }), ['before-upgrade', 'daily-1', 'daily-2', 'daily-3', 'daily-4'],
+        'snapshots should be sorted by creation time');
+    t.deepEqual(snapshots[0], {
+        name: 'before-upgrade',
+        created_at: '2026-09-01T09:00:00.000Z',
+        size: 1024,
+        tagged: true,
+        expired: false
+    }, 'tagged snapshot should be kept');
+    t.equal(snapshots[1].expired, true, 'daily-1 should be expired');
+    t.equal(snapshots[3].size, null, 'unknown size should be null');
+
+    t.deepEqual(snapshotRetention.translateVmSnapshots({
+        internal_metadata: {'vmapi:snapshot_retention': '{"keep_last": "x"}'},
+        snapshots: SNAPSHOTS
+    }, NOW).filter(function isExpired(snapshot) {
+        return snapshot.expired || snapshot.tagged;
+    }), [], 'invalid policies should be ignored');
+
+    t.done();
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: OWNER_UUID,
+        brand: 'joyent',
+        state: 'running',
+        snapshots: SNAPSHOTS
+    }, function onVmCreated(err, createdUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        vmUuid = createdUuid;
+
+        vmTest.createTestVm(moray, {}, {
+            owner_uuid: OWNER_UUID,
+            brand: 'joyent',
+            state: 'running',
+            internal_metadata: {
+                'vmapi:snapshot_retention': JSON.stringify(POLICY)
+            },
+            snapshots: SNAPSHOTS
+        }, function onOtherVmCreated(err2, uuid2) {
+            t.ifError(err2, 'creating test VM should not error');
+            vmWithPolicyUuid = uuid2;
+            t.done();
+        });
+    });
+};
+
+exports.list_vm_snapshots = function (t) {
+    client.get('/vms/' + vmUuid + '/snapshots',
+        function (err, req, res, body) {
+            t.ifError(err, 'listing snapshots should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(body.length, SNAPSHOTS.length, 'all snapshots are listed');
+            t.deepEqual(body[1], {
+                name: 'daily-1',
+                created_at: '2026-10-15T02:00:00.000Z',
+                size: 2048,
+                tagged: false,
+                expired: false
+            }, 'snapshot should have its creation time and size');
+            t.done();
+        });
+};
+
+exports.list_snapshots_of_unknown_vm_fails = function (t) {
+    client.get('/vms/' + uuid.v4() + '/snapshots',
+        function (err, req, res) {
+            t.ok(err, 'listing snapshots of an unknown VM should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.get_vm_snapshot_retention = function (t) {
+    client.get('/vms/' + vmWithPolicyUuid + '/snapshots/retention',
+        function (err, req, res, body) {
+            t.ifError(err, 'getting the retention policy should not error');
+            t.deepEqual(body, POLICY, 'VM should have its retention policy');
+            t.done();
+        });
+};
+
+exports.list_vm_snapshots_with_policy = function (t) {
+    client.get('/vms/' + vmWithPolicyUuid + '/snapshots',
+        function (err, req, res, body) {
+            t.ifError(err, 'listing snapshots should not error');
+            t.deepEqual(body.filter(function isExpired(snapshot) {
+                return snapshot.expired;
+            }).map(function getName(snapshot) {
+                return snapshot.name;
+            }), ['daily-1', 'daily-2'],
+                'snapshots not kept by the policy should be expired');
+            t.equal(body[0].tagged, true, 'tagged snapshot should be tagged');
+            t.done();
+        });
+};
+
+exports.get_missing_vm_snapshot_retention_fails = function (t) {
+    client.get('/vms/' + vmUuid + '/snapshots/retention',
+        function (err, req, res) {
+            t.ok(err, 'getting a missing retention policy should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.delete_missing_vm_snapshot_retention_fails = function (t) {
+    client.del('/vms/' + vmUuid + '/snapshots/retention',
+        function (err, req, res) {
+            t.ok(err, 'deleting a missing retention policy should error');
+            t.equal(res.statusCode, 404, 'status code should be 404');
+            t.done();
+        });
+};
+
+exports.set_vm_snapshot_retention_invalid_params_fails = function (t) {
+    vasync.forEachPipeline({
+        func: function setRetention(params, done) {
+            client.put('/vms/' + vmUuid + '/snapshots/retention', params,
+                function (err, req, res, body) {
+                    t.ok(err, 'setting a retention policy with ' +
+                        JSON.stringify(params) + ' should error');
+                    t.equal(res.statusCode, 409, 'status code should be 409');
+                    t.equal(body.code, 'ValidationFailed',
+                        'error code should be ValidationFailed');
+                    done();
+                });
+        },
+        inputs: [
+            {},
+            {keep_tagged: ['before-upgrade']},
+            {keep_last: 0},
+            {keep_last: 1001},
+            {keep_newer_than: '7 days'},
+            {keep_last: 7, keep_tagged: ['']},
+            {keep_last: 7, keep: 3}
+        ]
+    }, function onDone() {
+        t.done();
+    });
+};
+
+/*
+ * Prunes the snapshots of a VM after a successful snapshot job of a schedule
+ * that keeps one snapshot, with a fake WFAPI client. The oldest snapshot of
+ * the schedule is kept by the "keep_tagged" property of the VM's policy.
+ */
+exports.prune_snapshots_after_job = function (t) {
+    var deletedSnapshots = [];
+    var schedule = {uuid: uuid.v4(), keep: 1};
+    var scheduleSnapshots = [
+        '2026-10-16T02:00:00Z',
+        '2026-10-17T02:00:00Z',
+        '2026-10-18T02:00:00Z'
+    ].map(function toSnapshot(createdAt) {
+        return {
+            name: schedules.getScheduleSnapshotName(schedule,
+                Date.parse(createdAt)),
+            created_at: createdAt
+        };
+    });
+    var pruner = new SnapshotPruner({
+        log: bunyan.createLogger({name: 'snapshot-pruner-test',
+            level: 'fatal'}),
+        moray: moray,
+        wfapi: {
+            getJob: function getJob(jobUuid, cb) {
+                setImmediate(cb, null, {
+                    uuid: jobUuid,
+                    execution: 'succeeded'
+                });
+            },
+            createDeleteSnapshotJob: function createDeleteSnapshotJob(
+                jobReq, cb) {
+                deletedSnapshots.push(jobReq.params.snapshot_name);
+                setImmediate(cb, null, uuid.v4());
+
+                // Wait a bit for other snapshots that would be deleted.
+                clearTimeout(timer);
+                timer = setTimeout(finish, 500);
+            }
+        }
+    });
+    var timer = setTimeout(finish, 5000);
+
+    function finish() {
+        pruner.close();
+        t.deepEqual(deletedSnapshots, [scheduleSnapshots[1].name],
+            'only the expired snapshot of the schedule should be deleted');
+        t.done();
+    }
+
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: OWNER_UUID,
+        brand: 'joyent',
+        server_uuid: uuid.v4(),
+        state: 'running',
+        internal_metadata: {
+            'vmapi:snapshot_retention': JSON.stringify({
+                keep_last: 10,
+                keep_tagged: [scheduleSnapshots[0].name]
+            })
+        },
+        snapshots: scheduleSnapshots
+    }, function onVmCreated(err, prunedVmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+
+        pruner.pruneAfterJob({
+            jobUuid: uuid.v4(),
+            schedule: schedule,
+            vmUuid: prunedVmUuid
+        });
+    });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
@@ -0,0 +1,198 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the GET /vms/stats endpoint.
+ */
+
+var assert = require('assert-plus');
+var uuid = require('uuid');
+var vasync = require('vasync');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var client;
+var moray;
+var morayClient;
+
+var OWNER_UUID = uuid.v4();
+
+var TEST_VMS_PARAMS = [
+    {
+        brand: 'joyent',
+        owner_uuid: OWNER_UUID,
+        max_physical_memory: 1024,
+        quota: 10,
+        cpu_cap: 100
+    },
+    {
+        brand: 'joyent',
+        owner_uuid: OWNER_UUID,
+        max_physical_memory: 1024,
+        quota: 10,
+        cpu_cap: 100
+    },
+    {
+        brand: 'bhyve',
+        owner_uuid: OWNER_UUID,
+        max_physical_memory: 2048,
+        cpu_cap: 200,
+        disks: [
+            {size: 10240},
+            {size: 20480}
+        ]
+    }
+];
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vms = function (t) {
+    vasync.forEachPipeline({
+        func: function createVm(vmParams, done) {
+            vmTest.createTestVm(moray, {}, vmParams, done);
+        },
+        inputs: TEST_VMS_PARAMS
+    }, function onVmsCreated(err) {
+        t.ifError(err, 'creating test VMs should not error');
+        t.done();
+    });
+};
+
+exports.get_stats_invalid_params = function (t) {
+    vasync.forEachPipeline({
+        func: function getStats(query, done) {
+            client.get('/vms/stats?' + query, function (err, req, res, body) {
+                t.ok(err, 'getting stats with ' + query + ' should error');
+                t.equal(res.statusCode, 409, 'status code should be 409');
+                t.equal(body.code, 'ValidationFailed',
+                    'error code should be ValidationFailed');
+                done();
+            });
+        },
+        inputs: ['group_by=alias', 'limit=10', 'owner_uuid=foo']
+    }, function onDone() {
+        t.done();
+    });
+};
+
+exports.get_stats = function (t) {
+    client.get('/vms/stats?owner_uuid=' + OWNER_UUID,
+        function (err, req, res, body) {
+            t.ifError(err, 'getting stats should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(res.headers['x-joyent-resource-count'], '3',
+                'resource count header should be set');
+            t.deepEqual(body, {
+                count: 3,
+                disk_size: 30720,
+                max_physical_memory: 4096,
+                quota: 20,
+                cpu_cap: 400
+            }, 'stats should be the sums for all test VMs');
+            t.done();
+        });
+};
+
+exports.get_stats_group_by_brand = function (t) {
+    client.get('/vms/stats?group_by=brand&owner_uuid=' + OWNER_UUID,
+        function (err, req, res, body) {
+            var groupsByBrand = {};
+
+            t.ifError(err, 'getting stats should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(body.length, 2, 'there should be one group per brand');
+
+            body.forEach(function (group) {
+                groupsByBrand[group.brand] = group;
+            });
+
+            t.deepEqual(groupsByBrand.joyent, {
+                brand: 'joyent',
+                count: 2,
+                disk_size: 0,
+                max_physical_memory: 2048,
+                quota: 20,
+                cpu_cap: 200
+            }, 'stats of joyent VMs should be correct');
+            t.deepEqual(groupsByBrand.bhyve, {
+                brand: 'bhyve',
+                count: 1,
+                disk_size: 30720,
+                max_physical_memory: 2048,
+                quota: 0,
+                cpu_cap: 200
+            }, 'stats of bhyve VMs should be correct');
+            t.done();
+        });
+};
+
+exports.get_stats_no_matching_vm = function (t) {
+    client.get('/vms/stats?owner_uuid=' + uuid.v4(),
+        function (err, req, res, body) {
+            t.ifError(err, 'getting stats should not error');
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(res.headers['x-joyent-resource-count'], '0',
+                'resource count header should be set');
+            t.deepEqual(body, {
+                count: 0,
+                disk_size: 0,
+                max_physical_memory: 0,
+                quota: 0,
+                cpu_cap: 0
+            }, 'stats should be empty');
+            t.done();
+        });
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};
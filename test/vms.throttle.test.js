@@ -0,0 +1,202 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the token bucket throttling of requests (see
+ * lib/restify-plugins/throttle.js).
+ */
+
+var createThrottle = require('../lib/restify-plugins/throttle');
+
+var NOOP_LOG = {
+    info: function () {}
+};
+
+function createRequest(routeName, method, options) {
+    options = options || {};
+
+    return {
+        connection: {remoteAddress: options.ip || '10.0.0.1'},
+        headers: options.headers || {},
+        log: NOOP_LOG,
+        method: method,
+        route: {name: routeName}
+    };
+}
+
+/*
+ * Sends the request "req" through the throttle handler "throttle" and calls
+ * "callback" with the error passed to "next", if any, and the response
+ * headers that were set.
+ */
+function throttleRequest(throttle, req, callback) {
+    var headers = {};
+    var res = {
+        header: function (name, value) {
+            headers[name] = value;
+        }
+    };
+
+    throttle(req, res, function onNext(err) {
+        callback(err, headers);
+    });
+}
+
+exports.requests_over_burst_are_throttled = function (t) {
+    var throttle = createThrottle({
+        budgets: {read: {rate: 0.1, burst: 2}}
+    });
+    var req = createRequest('getvm', 'GET');
+
+    throttleRequest(throttle, req, function (err) {
+        t.ifError(err, 'first request should not be throttled');
+
+        throttleRequest(throttle, req, function (err2) {
+            t.ifError(err2, 'second request should not be throttled');
+
+            throttleRequest(throttle, req, function (err3, headers) {
+                t.ok(err3, 'third request should be throttled');
+                t.equal(err3.statusCode, 429, 'status code should be 429');
+                t.equal(err3.body.code, 'TooManyRequestsError',
+                    'error code should be TooManyRequestsError');
+                t.equal(headers['Retry-After'], 10,
+                    'Retry-After should be the time to get one token');
+                t.done();
+            });
+        });
+    });
+};
+
+exports.buckets_are_refilled = function (t) {
+    var throttle = createThrottle({
+        budgets: {mutation: {rate: 100, burst: 1}}
+    });
+    var req = createRequest('updatevm', 'POST');
+
+    throttleRequest(throttle, req, function (err) {
+        t.ifError(err, 'first request should not be throttled');
+
+        throttleRequest(throttle, req, function (err2) {
+            t.ok(err2, 'second request should be throttled');
+
+            setTimeout(function () {
+                throttleRequest(throttle, req, function (err3) {
+                    t.ifError(err3, 'request should not be throttled once ' +
+                        'the bucket is refilled');
+                    t.done();
+                });
+            }, 50);
+        });
+    });
+};
+
+exports.burst_defaults_to_rate = function (t) {
+    var nbAccepted = 0;
+    var throttle = createThrottle({
+        budgets: {read: {rate: 2.5}}
+    });
+    var req = createRequest('listvms', 'GET');
+
+    [1, 2, 3, 4].forEach(function sendRequest() {
+        throttleRequest(throttle, req, function (err) {
+            if (!err) {
+                nbAccepted++;
+            }
+        });
+    });
+
+    t.equal(nbAccepted, 3, 'burst should be the rate rounded up');
+    t.done();
+};
+
+exports.classes_have_separate_budgets = function (t) {
+    var throttle = createThrottle({
+        budgets: {
+            read: {rate: 0.1, burst: 1},
+            vmagent: {rate: 0.1, burst: 1}
+        }
+    });
+
+    throttleRequest(throttle, createRequest('listvms', 'GET'), function (err) {
+        t.ifError(err, 'read request should not be throttled');
+
+        throttleRequest(throttle, createRequest('putvms', 'PUT'),
+            function (err2) {
+                t.ifError(err2, 'vm-agent requests should not use the ' +
+                    'budget of read requests');
+
+                throttleRequest(throttle, createRequest('getvm', 'HEAD'),
+                    function (err3) {
+                        t.ok(err3, 'HEAD requests should use the budget of ' +
+                            'read requests');
+
+                        throttleRequest(throttle,
+                            createRequest('createvm', 'POST'),
+                            function (err4) {
+                                t.ifError(err4, 'mutations should not be ' +
+                                    'throttled without a budget');
+                                t.done();
+                            });
+                    });
+            });
+    });
+};
+
+exports.ping_is_not_throttled = function (t) {
+    var throttle = createThrottle({
+        budgets: {read: {rate: 0.1, burst: 1}}
+    });
+    var req = createRequest('ping', 'GET');
+
+    throttleRequest(throttle, req, function (err) {
+        t.ifError(err, 'first ping should not be throttled');
+
+        throttleRequest(throttle, req, function (err2) {
+            t.ifError(err2, 'second ping should not be throttled');
+            t.done();
+        });
+    });
+};
+
+exports.requests_are_throttled_per_key = function (t) {
+    var throttle = createThrottle({
+        key: 'header',
+        header: 'X-Caller',
+        budgets: {read: {rate: 0.1, burst: 1}}
+    });
+
+    throttleRequest(throttle, createRequest('getvm', 'GET', {
+        headers: {'x-caller': 'cloudapi'}
+    }), function (err) {
+        t.ifError(err, 'first request of cloudapi should not be throttled');
+
+        throttleRequest(throttle, createRequest('getvm', 'GET', {
+            headers: {'x-caller': 'adminui'}
+        }), function (err2) {
+            t.ifError(err2, 'first request of adminui should not be ' +
+                'throttled');
+
+            throttleRequest(throttle, createRequest('getvm', 'GET', {
+                headers: {'x-caller': 'cloudapi'},
+                ip: '10.0.0.2'
+            }), function (err3) {
+                t.ok(err3, 'second request of cloudapi should be throttled');
+
+                throttleRequest(throttle, createRequest('getvm', 'GET', {
+                    ip: '10.0.0.2'
+                }), function (err4) {
+                    t.ifError(err4, 'requests without the header should be ' +
+                        'keyed on their IP address');
+                    t.done();
+                });
+            });
+        });
+    });
+};
@@ -128,7 +128,8 @@ exports.moray_init_non_transient_error = function (t) {
                 dataMigrationsCtrl: new NoopDataMigrationsController(),
                 metricsManager: mockedMetricsManager,
                 morayBucketsInitializer: morayBucketsInitializer,
-                moray: moray
+                moray: moray,
+                page_token_secret: 'page-token-secret'
             });
 
             next();
@@ -144,7 +144,8 @@ exports.moray_init_invalid_index_removal = function (t) {
                 dataMigrationsCtrl: new NoopDataMigrationsController(),
                 metricsManager: mockedMetricsManager,
                 morayBucketsInitializer: morayBucketsInitializer,
-                moray: moray
+                moray: moray,
+                page_token_secret: 'page-token-secret'
             });
 
             next();
@@ -271,7 +271,8 @@ function testMigrationToBucketsConfig(bucketsConfig, options, t, callback) {
                 dataMigrationsCtrl: new NoopDataMigrationsController(),
                 metricsManager: MOCKED_METRICS_MANAGER,
                 morayBucketsInitializer: morayBucketsInitializer,
-                moray: storage
+                moray: storage,
+                page_token_secret: 'page-token-secret'
             });
 
             next();
@@ -0,0 +1,194 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tests for the GET /vms/watch endpoint.
+ */
+
+var http = require('http');
+
+var assert = require('assert-plus');
+var once = require('once');
+var uuid = require('uuid');
+
+var changefeedUtils = require('../lib/changefeed');
+var common = require('./common');
+var morayInit = require('../lib/moray/moray-init');
+var vmTest = require('./lib/vm');
+
+var VMAPI_IP = process.env.VMAPI_IP || '127.0.0.1';
+
+var TEST_OWNER_UUID = uuid.v4();
+
+var client;
+var moray;
+var morayClient;
+
+var testVm;
+var testVmUuid;
+
+/*
+ * Starts watching VM changes with the query string "query", and calls
+ * "onEvent" with each event received. Returns the underlying HTTP request so
+ * that callers can abort it when done.
+ */
+function watchVms(query, onResponse, onEvent) {
+    assert.string(query, 'query');
+    assert.func(onResponse, 'onResponse');
+    assert.func(onEvent, 'onEvent');
+
+    var req = http.get({
+        hostname: VMAPI_IP,
+        path: '/vms/watch?' + query
+    }, function onRes(res) {
+        var buffered = '';
+
+        onResponse(null, res);
+
+        res.setEncoding('utf8');
+        res.on('data', function onData(chunk) {
+            var lines;
+
+            buffered += chunk;
+            lines = buffered.split('\n');
+            buffered = lines.pop();
+
+            lines.forEach(function parseLine(line) {
+                if (line.length > 0) {
+                    onEvent(JSON.parse(line));
+                }
+            });
+        });
+    });
+
+    req.on('error', function onReqError(err) {
+        onResponse(err);
+    });
+
+    return req;
+}
+
+exports.setUp = function (callback) {
+    common.setUp(function (err, _client) {
+        assert.ifError(err);
+        assert.ok(_client, 'restify client');
+        client = _client;
+        callback();
+    });
+};
+
+exports.init_storage_layer = function (t) {
+    var moraySetup = morayInit.startMorayInit({
+        morayConfig: common.config.moray,
+        maxBucketsReindexAttempts: 1,
+        maxBucketsSetupAttempts: 1,
+        changefeedPublisher: changefeedUtils.createNoopCfPublisher()
+    });
+
+    morayClient = moraySetup.morayClient;
+    moray = moraySetup.moray;
+
+    moraySetup.morayBucketsInitializer.on('done', function onMorayReady() {
+        t.done();
+    });
+};
+
+exports.cleanup_leftover_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.create_test_vm = function (t) {
+    vmTest.createTestVm(moray, {}, {
+        owner_uuid: TEST_OWNER_UUID
+    }, function onVmCreated(err, vmUuid) {
+        t.ifError(err, 'creating test VM should not error');
+        testVmUuid = vmUuid;
+        t.done();
+    });
+};
+
+exports.get_test_vm = function (t) {
+    client.get('/vms/' + testVmUuid, function (err, req, res, body) {
+        t.ifError(err, 'getting test VM should not error');
+        testVm = body;
+        t.done();
+    });
+};
+
+exports.invalid_params = function (t) {
+    client.get('/vms/watch?owner_uuid=foo', function (err, req, res, body) {
+        t.ok(err, 'watching with an invalid owner_uuid should error');
+        t.equal(res.statusCode, 409, 'status code should be 409');
+        t.equal(body.code, 'ValidationFailed',
+            'error code should be ValidationFailed');
+        t.done();
+    });
+};
+
+exports.watch_streams_vm_change = function (t) {
+    var done = once(function onDone(err) {
+        t.ifError(err, 'watching VM changes should not error');
+        watchReq.abort();
+        t.done();
+    });
+    var watchReq = watchVms('owner_uuid=' + TEST_OWNER_UUID,
+        function onResponse(err, res) {
+            if (err) {
+                done(err);
+                return;
+            }
+
+            t.equal(res.statusCode, 200, 'status code should be 200');
+            t.equal(res.headers['content-type'], 'application/x-json-stream',
+                'content type should be application/x-json-stream');
+        }, function onEvent(event) {
+            if (event.type === 'start') {
+                updateTestVm();
+                return;
+            }
+
+            if (event.type !== 'change') {
+                return;
+            }
+
+            t.equal(event.vm_uuid, testVmUuid,
+                'change should be for the test VM');
+            t.notEqual(event.diffs.indexOf('alias'), -1,
+                'alias should be listed as changed');
+            t.equal(event.vm.alias, testVm.alias,
+                'change should include the updated VM');
+            done();
+        });
+
+    function updateTestVm() {
+        testVm.alias = testVm.alias + 'watched';
+        client.put('/vms/' + testVmUuid, testVm, function onPut(err) {
+            if (err) {
+                done(err);
+            }
+        });
+    }
+};
+
+exports.delete_test_vms = function (t) {
+    vmTest.deleteTestVMs(moray, {}, function onTestVmsDeleted(delTestVmsErr) {
+        t.ifError(delTestVmsErr, 'Deleting test VMs should not error');
+        t.done();
+    });
+};
+
+exports.close_clients = function (t) {
+    morayClient.close();
+    client.close();
+    t.done();
+};